@@ -1,5 +1,8 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { verifyAccessToken } = require('../services/tokenService');
+const { isSessionActive } = require('../services/sessionService');
+const { isTwoFactorRequired } = require('../services/twoFactorService');
+const { hasPermission, hasClubPermission } = require('../services/permissionService');
 
 // Middleware to authenticate user
 const auth = async (req, res, next) => {
@@ -25,7 +28,7 @@ const auth = async (req, res, next) => {
 
     try {
       // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = verifyAccessToken(token);
       
       // Get user from database and exclude password
       const user = await User.findById(decoded.userId)
@@ -47,6 +50,34 @@ const auth = async (req, res, next) => {
         });
       }
 
+      // Reject tokens issued before the user's tokens were invalidated.
+      // Reported as expired so clients refresh and pick up the current role.
+      if ((decoded.ver || 0) !== (user.tokenVersion || 0)) {
+        return res.status(401).json({ 
+          success: false,
+          message: 'Token is no longer valid. Please login again.',
+          code: 'TOKEN_EXPIRED'
+        });
+      }
+
+      // Reject tokens issued before the last password change
+      if (user.changedPasswordAfter(decoded.iat)) {
+        return res.status(401).json({ 
+          success: false,
+          message: 'Password was changed recently. Please login again.',
+          code: 'TOKEN_REVOKED'
+        });
+      }
+
+      // Reject tokens whose session was logged out, revoked or has expired
+      if (!decoded.sid || !(await isSessionActive(decoded.sid, user._id))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has ended. Please login again.',
+          code: 'SESSION_REVOKED'
+        });
+      }
+
       // Check if account is locked
       if (user.isLocked) {
         const lockTimeRemaining = Math.ceil((user.lockUntil - Date.now()) / (1000 * 60));
@@ -56,8 +87,18 @@ const auth = async (req, res, next) => {
         });
       }
 
-      // Add user to request object
+      // Roles that must use two-factor can only reach account routes until they enroll
+      if (!user.twoFactor?.enabled && req.baseUrl !== '/api/auth' && await isTwoFactorRequired(user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor authentication is required for your role. Please enable it from your profile.',
+          code: 'TWO_FACTOR_SETUP_REQUIRED'
+        });
+      }
+
+      // Add user and session to request object
       req.user = user;
+      req.sessionId = decoded.sid;
       next();
       
     } catch (jwtError) {
@@ -86,6 +127,18 @@ const auth = async (req, res, next) => {
   }
 };
 
+// Middleware to authenticate when a token is sent, letting anonymous requests
+// through without req.user
+const optionalAuth = (req, res, next) => {
+  const authHeader = req.header('Authorization');
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
+  }
+
+  return auth(req, res, next);
+};
+
 // Middleware to authorize admin users only
 const adminAuth = (req, res, next) => {
   if (!req.user) {
@@ -179,6 +232,37 @@ const ownerOrElevatedAuth = (resourceUserField = 'userId') => {
   };
 };
 
+// Middleware to allow the resource owner or users holding a permission
+const ownerOrPermission = (permission, resourceUserField = 'userId') => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ 
+          success: false,
+          message: 'Authentication required.' 
+        });
+      }
+
+      const resourceUserId = req.params[resourceUserField] || req.body[resourceUserField];
+
+      if (req.user._id.toString() === resourceUserId || await hasPermission(req.user, permission)) {
+        return next();
+      }
+
+      return res.status(403).json({ 
+        success: false,
+        message: 'Access denied. You can only access your own resources.' 
+      });
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({ 
+        success: false,
+        message: 'Server error during authorization.' 
+      });
+    }
+  };
+};
+
 // Middleware to check club membership or elevated privileges
 const clubMemberAuth = async (req, res, next) => {
   try {
@@ -299,6 +383,29 @@ const eventAccessAuth = async (req, res, next) => {
       return next();
     }
 
+    // Club coordinators and co-coordinators can access their club's events.
+    // The club is kept on the request for club permission checks in routes.
+    const Club = require('../models/Club');
+    const club = await Club.findById(event.club).select('coordinator coCoordinators');
+
+    if (club) {
+      req.eventClub = club;
+
+      if (club.coordinator.toString() === req.user._id.toString()) {
+        req.eventRole = 'club_coordinator';
+        return next();
+      }
+
+      const isCoCoordinator = club.coCoordinators.some(
+        coCoordinator => coCoordinator.user.toString() === req.user._id.toString()
+      );
+
+      if (isCoCoordinator) {
+        req.eventRole = 'club_co_coordinator';
+        return next();
+      }
+    }
+
     // Teachers can access events for administrative purposes
     if (req.user.role === 'teacher') {
       req.eventRole = 'teacher';
@@ -354,6 +461,80 @@ const authorize = (...roles) => {
   };
 };
 
+// Middleware to require one or more permissions from the role registry
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ 
+          success: false,
+          message: 'Authentication required.' 
+        });
+      }
+
+      for (const permission of permissions) {
+        if (!(await hasPermission(req.user, permission))) {
+          return res.status(403).json({ 
+            success: false,
+            message: 'Access denied. Insufficient permissions.',
+            userRole: req.user.role,
+            requiredPermission: permission
+          });
+        }
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({ 
+        success: false,
+        message: 'Server error during authorization.' 
+      });
+    }
+  };
+};
+
+// Middleware to require a club-scoped permission for the club in req.params
+const requireClubPermission = (clubPermission, paramName = 'id') => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ 
+          success: false,
+          message: 'Authentication required.' 
+        });
+      }
+
+      const Club = require('../models/Club');
+      const club = await Club.findById(req.params[paramName]);
+
+      if (!club) {
+        return res.status(404).json({ 
+          success: false,
+          message: 'Club not found.' 
+        });
+      }
+
+      if (!(await hasClubPermission(req.user, club, clubPermission))) {
+        return res.status(403).json({ 
+          success: false,
+          message: 'Access denied. Club permission required.',
+          requiredClubPermission: clubPermission
+        });
+      }
+
+      req.club = club;
+      next();
+    } catch (error) {
+      console.error('Club permission check error:', error);
+      res.status(500).json({ 
+        success: false,
+        message: 'Server error during club authorization.' 
+      });
+    }
+  };
+};
+
 // Middleware to verify email (for future email verification feature)
 const verifyEmail = (req, res, next) => {
   if (!req.user) {
@@ -397,13 +578,17 @@ const logActivity = (action) => {
 
 module.exports = {
   auth,
+  optionalAuth,
   adminAuth,
   teacherAuth,
   studentAuth,
   ownerOrElevatedAuth,
+  ownerOrPermission,
   clubMemberAuth,
   eventAccessAuth,
   authorize,
+  requirePermission,
+  requireClubPermission,
   verifyEmail,
   logActivity,
 };
\ No newline at end of file
@@ -15,6 +15,7 @@ const notFound = (req, res, next) => {
       events: '/api/events',
       attendance: '/api/attendance',
       feedback: '/api/feedback',
+      notifications: '/api/notifications',
     },
     method: req.method,
     requestedRoute: req.originalUrl,
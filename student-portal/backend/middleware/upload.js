@@ -0,0 +1,99 @@
+const path = require('path');
+const multer = require('multer');
+const { createValidationError } = require('./errorHandler');
+
+// Accepted uploads for the club resource library, keyed by MIME type. Each
+// entry lists the extensions allowed for it and the resource type it maps to.
+const RESOURCE_FILE_TYPES = {
+  'application/pdf': { extensions: ['.pdf'], resourceType: 'document' },
+  'application/msword': { extensions: ['.doc'], resourceType: 'document' },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { extensions: ['.docx'], resourceType: 'document' },
+  'application/vnd.ms-excel': { extensions: ['.xls'], resourceType: 'document' },
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { extensions: ['.xlsx'], resourceType: 'document' },
+  'text/plain': { extensions: ['.txt'], resourceType: 'document' },
+  'text/csv': { extensions: ['.csv'], resourceType: 'document' },
+  'application/vnd.ms-powerpoint': { extensions: ['.ppt'], resourceType: 'presentation' },
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': { extensions: ['.pptx'], resourceType: 'presentation' },
+  'image/jpeg': { extensions: ['.jpg', '.jpeg'], resourceType: 'image' },
+  'image/png': { extensions: ['.png'], resourceType: 'image' },
+  'image/gif': { extensions: ['.gif'], resourceType: 'image' },
+  'image/webp': { extensions: ['.webp'], resourceType: 'image' },
+  'video/mp4': { extensions: ['.mp4'], resourceType: 'video' },
+  'video/webm': { extensions: ['.webm'], resourceType: 'video' },
+};
+
+// Accepted uploads for avatars, club logos, banners and gallery images, and
+// event banners. The file contents are sniffed again in services/imageService.js.
+const IMAGE_FILE_TYPES = {
+  'image/jpeg': { extensions: ['.jpg', '.jpeg'] },
+  'image/png': { extensions: ['.png'] },
+  'image/gif': { extensions: ['.gif'] },
+  'image/webp': { extensions: ['.webp'] },
+};
+
+const DEFAULT_RESOURCE_MAX_SIZE = 25 * 1024 * 1024;
+const DEFAULT_IMAGE_MAX_SIZE = 5 * 1024 * 1024;
+const DEFAULT_ATTACHMENT_MAX_SIZE = 10 * 1024 * 1024;
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${Math.round(bytes / (1024 * 1024))}MB`;
+  return `${Math.round(bytes / 1024)}KB`;
+};
+
+// Build a middleware that accepts one file in `field`, keeps it in memory and
+// rejects types outside `fileTypes` or files over `maxSize` bytes
+const singleFile = (field, { fileTypes, maxSize }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: 1 },
+    fileFilter: (req, file, cb) => {
+      const allowed = fileTypes[file.mimetype];
+      const extension = path.extname(file.originalname).toLowerCase();
+
+      if (!allowed || !allowed.extensions.includes(extension)) {
+        return cb(createValidationError(`Files of type ${extension || file.mimetype} are not allowed`, field));
+      }
+      cb(null, true);
+    },
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+          return next(createValidationError(`File cannot be larger than ${formatBytes(maxSize)}`, field));
+        }
+        return next(createValidationError(error.message, field));
+      }
+      next(error);
+    });
+  };
+};
+
+// Upload middleware for club library resources
+const uploadResource = singleFile('file', {
+  fileTypes: RESOURCE_FILE_TYPES,
+  maxSize: parseInt(process.env.RESOURCE_MAX_FILE_SIZE) || DEFAULT_RESOURCE_MAX_SIZE,
+});
+
+// Upload middleware for achievement attachments (same types as the library)
+const uploadAttachment = singleFile('file', {
+  fileTypes: RESOURCE_FILE_TYPES,
+  maxSize: parseInt(process.env.ATTACHMENT_MAX_FILE_SIZE) || DEFAULT_ATTACHMENT_MAX_SIZE,
+});
+
+// Upload middleware for images (multipart field "image")
+const uploadImage = singleFile('image', {
+  fileTypes: IMAGE_FILE_TYPES,
+  maxSize: parseInt(process.env.IMAGE_MAX_FILE_SIZE) || DEFAULT_IMAGE_MAX_SIZE,
+});
+
+module.exports = {
+  RESOURCE_FILE_TYPES,
+  IMAGE_FILE_TYPES,
+  formatBytes,
+  singleFile,
+  uploadResource,
+  uploadAttachment,
+  uploadImage,
+};
\ No newline at end of file
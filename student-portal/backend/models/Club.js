@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const storedImageSchema = require('./schemas/storedImage');
 
 const clubSchema = new mongoose.Schema({
   name: {
@@ -41,18 +42,31 @@ const clubSchema = new mongoose.Schema({
     trim: true,
     lowercase: true,
   }],
+  // logo, banner and gallery urls point at the display size of the uploaded
+  // image; the *File fields keep every stored size so they can be cleaned up
   images: {
     logo: {
       type: String,
       default: '',
     },
+    logoFile: storedImageSchema,
     banner: {
       type: String,
       default: '',
     },
+    bannerFile: storedImageSchema,
     gallery: [{
       url: String,
-      caption: String,
+      caption: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Caption cannot exceed 200 characters'],
+      },
+      file: storedImageSchema,
+      uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
       uploadedAt: {
         type: Date,
         default: Date.now,
@@ -173,6 +187,11 @@ const clubSchema = new mongoose.Schema({
     location: String,
     virtualMeetingLink: String,
     additionalInfo: String,
+    // First occurrence of the meeting events generated from this schedule
+    seriesEvent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+    },
   },
   requirements: {
     eligibility: {
@@ -187,18 +206,50 @@ const clubSchema = new mongoose.Schema({
     title: {
       type: String,
       required: true,
+      trim: true,
+      maxlength: [200, 'Title cannot exceed 200 characters'],
+    },
+    description: {
+      type: String,
+      maxlength: [2000, 'Description cannot exceed 2000 characters'],
+    },
+    date: {
+      type: Date,
+      default: Date.now,
     },
-    description: String,
-    date: Date,
     category: {
       type: String,
       enum: ['award', 'recognition', 'milestone', 'competition', 'project'],
     },
+    // The club event where the achievement was earned
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+    },
     attachments: [{
       name: String,
       url: String,
-      type: String,
+      // document, presentation, image or video for uploads, otherwise link
+      type: {
+        type: String,
+      },
+      // Stored upload; url is its public address
+      file: {
+        key: String,
+        originalName: String,
+        mimeType: String,
+        size: Number,
+      },
     }],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    updatedAt: Date,
   }],
   events: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -232,11 +283,18 @@ const clubSchema = new mongoose.Schema({
       type: Boolean,
       default: true,
     },
+    // Only urgent announcements can be pinned to the top
+    isPinned: {
+      type: Boolean,
+      default: false,
+    },
+    pinnedAt: Date,
     expiresAt: Date,
     createdAt: {
       type: Date,
       default: Date.now,
     },
+    updatedAt: Date,
   }],
   resources: [{
     title: {
@@ -249,9 +307,18 @@ const clubSchema = new mongoose.Schema({
       enum: ['document', 'link', 'video', 'image', 'presentation'],
       required: true,
     },
+    // External link; uploaded files are downloaded through the API instead
     url: {
       type: String,
-      required: true,
+      required: function() {
+        return !(this.file && this.file.key);
+      },
+    },
+    file: {
+      key: String,
+      originalName: String,
+      mimeType: String,
+      size: Number,
     },
     isPublic: {
       type: Boolean,
@@ -265,6 +332,11 @@ const clubSchema = new mongoose.Schema({
       type: Date,
       default: Date.now,
     },
+    updatedAt: Date,
+    downloadCount: {
+      type: Number,
+      default: 0,
+    },
     tags: [String],
   }],
   settings: {
@@ -354,6 +426,7 @@ clubSchema.index({ 'members.user': 1 });
 clubSchema.index({ createdAt: -1 });
 clubSchema.index({ slug: 1 });
 clubSchema.index({ tags: 1 });
+clubSchema.index({ 'achievements.date': -1 });
 
 // Virtual for member count
 clubSchema.virtual('memberCount').get(function() {
@@ -409,22 +482,6 @@ clubSchema.pre('save', function(next) {
   next();
 });
 
-// Post-save middleware to update coordinator's clubs
-clubSchema.post('save', async function() {
-  if (this.isModified('coordinator')) {
-    const User = mongoose.model('User');
-    await User.findByIdAndUpdate(this.coordinator, {
-      $addToSet: {
-        joinedClubs: {
-          club: this._id,
-          role: 'coordinator',
-          joinedAt: new Date(),
-        }
-      }
-    });
-  }
-});
-
 // Instance method to add a member
 clubSchema.methods.addMember = function(userId, role = 'member') {
   const existingMember = this.members.find(
@@ -440,11 +497,22 @@ clubSchema.methods.addMember = function(userId, role = 'member') {
     throw new Error('Club has reached maximum member capacity');
   }
 
-  this.members.push({
-    user: userId,
-    role: role,
-    isActive: true,
-  });
+  // Reuse the entry left behind when a former member rejoins
+  const formerMember = this.members.find(
+    member => member.user.toString() === userId.toString()
+  );
+
+  if (formerMember) {
+    formerMember.role = role;
+    formerMember.joinedAt = new Date();
+    formerMember.isActive = true;
+  } else {
+    this.members.push({
+      user: userId,
+      role: role,
+      isActive: true,
+    });
+  }
 
   return this.save();
 };
@@ -506,6 +574,48 @@ clubSchema.methods.addAnnouncement = function(announcementData) {
   return this.save();
 };
 
+// Instance method to list the announcement audiences a user belongs to
+clubSchema.methods.getAnnouncementAudiences = function(userId) {
+  const id = userId.toString();
+  const audiences = ['all'];
+
+  const coordinatorId = (this.coordinator._id || this.coordinator).toString();
+  const isCoordinator = coordinatorId === id ||
+    this.coCoordinators.some(coCoord => (coCoord.user._id || coCoord.user).toString() === id);
+  const member = this.members.find(
+    member => (member.user._id || member.user).toString() === id && member.isActive
+  );
+
+  if (member || isCoordinator) {
+    audiences.push('members');
+  }
+  if (isCoordinator || (member && ['leader', 'coordinator', 'co-coordinator'].includes(member.role))) {
+    audiences.push('leaders');
+  }
+  if (isCoordinator) {
+    audiences.push('coordinators');
+  }
+
+  return audiences;
+};
+
+// Instance method to get the announcements for the given audiences, pinned
+// first and newest next. Inactive and expired ones are left out unless asked.
+clubSchema.methods.getVisibleAnnouncements = function(audiences, { includeExpired = false } = {}) {
+  const now = Date.now();
+
+  return this.announcements
+    .filter(announcement => audiences.includes(announcement.targetAudience))
+    .filter(announcement => includeExpired || (
+      announcement.isActive && !(announcement.expiresAt && announcement.expiresAt <= now)
+    ))
+    .sort((a, b) => (
+      (b.isPinned - a.isPinned) ||
+      ((b.pinnedAt || 0) - (a.pinnedAt || 0)) ||
+      (b.createdAt - a.createdAt)
+    ));
+};
+
 // Instance method to add a resource
 clubSchema.methods.addResource = function(resourceData) {
   this.resources.push({
@@ -516,6 +626,37 @@ clubSchema.methods.addResource = function(resourceData) {
   return this.save();
 };
 
+// Instance method to check whether a user may open a resource. Public
+// resources are open to everyone, the rest only to members and club staff.
+clubSchema.methods.canAccessResource = function(resource, userId) {
+  if (resource.isPublic) return true;
+  if (!userId) return false;
+
+  const id = userId.toString();
+  return (this.coordinator._id || this.coordinator).toString() === id ||
+    this.coCoordinators.some(coCoord => (coCoord.user._id || coCoord.user).toString() === id) ||
+    this.members.some(member => (member.user._id || member.user).toString() === id && member.isActive);
+};
+
+// Instance method to search the resource library by text, tag and type
+clubSchema.methods.searchResources = function({ search, tag, type } = {}) {
+  const pattern = search
+    ? new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i')
+    : null;
+  const normalizedTag = tag ? tag.toLowerCase() : null;
+
+  return this.resources
+    .filter(resource => !type || resource.type === type)
+    .filter(resource => !normalizedTag || resource.tags.includes(normalizedTag))
+    .filter(resource => !pattern || [
+      resource.title,
+      resource.description,
+      resource.file && resource.file.originalName,
+      ...resource.tags,
+    ].some(value => value && pattern.test(value)))
+    .sort((a, b) => b.uploadedAt - a.uploadedAt);
+};
+
 // Instance method to calculate statistics
 clubSchema.methods.calculateStatistics = async function() {
   const Event = mongoose.model('Event');
@@ -609,6 +750,86 @@ clubSchema.statics.getPopularClubs = function(limit = 10) {
     .limit(limit);
 };
 
+// Static method to list achievements across active clubs, newest first, for
+// the Hall of Fame. Also returns every year that has achievements.
+clubSchema.statics.getHallOfFame = async function({ category, year, page = 1, limit = 20 } = {}) {
+  const filters = {};
+  if (category) {
+    filters['achievements.category'] = category;
+  }
+  if (year) {
+    filters['achievements.date'] = {
+      $gte: new Date(Date.UTC(year, 0, 1)),
+      $lt: new Date(Date.UTC(year + 1, 0, 1)),
+    };
+  }
+
+  const [result] = await this.aggregate([
+    { $match: { isActive: true } },
+    { $unwind: '$achievements' },
+    {
+      $facet: {
+        achievements: [
+          { $match: filters },
+          { $sort: { 'achievements.date': -1, 'achievements._id': -1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $project: {
+              _id: '$achievements._id',
+              title: '$achievements.title',
+              description: '$achievements.description',
+              date: '$achievements.date',
+              category: '$achievements.category',
+              event: '$achievements.event',
+              attachments: {
+                $map: {
+                  input: { $ifNull: ['$achievements.attachments', []] },
+                  as: 'attachment',
+                  in: {
+                    _id: '$$attachment._id',
+                    name: '$$attachment.name',
+                    url: '$$attachment.url',
+                    type: '$$attachment.type',
+                  },
+                },
+              },
+              club: {
+                _id: '$_id',
+                name: '$name',
+                slug: '$slug',
+                category: '$category',
+                logo: '$images.logo',
+              },
+            },
+          },
+        ],
+        total: [
+          { $match: filters },
+          { $count: 'count' },
+        ],
+        years: [
+          { $group: { _id: { $year: '$achievements.date' } } },
+          { $match: { _id: { $ne: null } } },
+          { $sort: { _id: -1 } },
+        ],
+      },
+    },
+  ]);
+
+  const achievements = await this.populate(result.achievements, {
+    path: 'event',
+    model: 'Event',
+    select: 'title slug eventDate',
+  });
+
+  return {
+    achievements,
+    total: result.total.length ? result.total[0].count : 0,
+    years: result.years.map(entry => entry._id),
+  };
+};
+
 // Static method to get club statistics
 clubSchema.statics.getClubStats = async function() {
   const totalClubs = await this.countDocuments();
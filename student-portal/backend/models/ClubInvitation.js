@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// An invitation to join a club, sent by email. The invitee may not have an
+// account yet, so invitations are keyed by email and linked to a user later.
+const clubInvitationSchema = new mongoose.Schema({
+  club: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Club',
+    required: [true, 'Club is required'],
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Inviter is required'],
+  },
+  email: {
+    type: String,
+    required: [true, 'Invitee email is required'],
+    lowercase: true,
+    trim: true,
+  },
+  // Set when the email belongs to an account, or once the invitee registers
+  invitee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true,
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters'],
+  },
+  // SHA-256 of the emailed token; the raw token is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'accepted', 'declined', 'revoked', 'expired'],
+      message: 'Status must be pending, accepted, declined, revoked or expired',
+    },
+    default: 'pending',
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  respondedAt: Date,
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes for better performance
+clubInvitationSchema.index({ club: 1, status: 1, createdAt: -1 });
+clubInvitationSchema.index({ email: 1, status: 1 });
+// Only one open invitation per email and club
+clubInvitationSchema.index(
+  { club: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Virtual for whether the invitation can still be answered
+clubInvitationSchema.virtual('isOpen').get(function() {
+  return this.status === 'pending' && this.expiresAt > Date.now();
+});
+
+// Instance method to create the invitation token (only its hash is stored)
+clubInvitationSchema.methods.createToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresInDays = parseInt(process.env.CLUB_INVITATION_EXPIRE_DAYS) || 7;
+
+  this.tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  this.expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+
+  return token;
+};
+
+// Instance method to record the invitee's answer
+clubInvitationSchema.methods.respond = function(status, userId) {
+  this.status = status;
+  this.respondedAt = new Date();
+  if (userId) {
+    this.invitee = userId;
+  }
+  return this.save();
+};
+
+// Static method to find an invitation by its raw token
+clubInvitationSchema.statics.findByToken = function(token) {
+  const tokenHash = crypto.createHash('sha256').update(String(token)).digest('hex');
+  return this.findOne({ tokenHash });
+};
+
+// Static method to mark pending invitations past their expiry as expired
+clubInvitationSchema.statics.expireStale = function(filter = {}) {
+  return this.updateMany(
+    { ...filter, status: 'pending', expiresAt: { $lte: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+};
+
+module.exports = mongoose.model('ClubInvitation', clubInvitationSchema);
\ No newline at end of file
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+
+// Sent emails are kept this long for the outbox statistics, then removed
+const SENT_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+function isAwaitingDelivery() {
+  return this.status === 'pending' || this.status === 'sending';
+}
+
+// Drop the rendered body of an email that will not be delivered again
+const clearBody = (entry) => {
+  entry.html = undefined;
+  entry.text = undefined;
+};
+
+const emailOutboxSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true,
+  },
+  to: {
+    type: String,
+    required: [true, 'Recipient email is required'],
+    lowercase: true,
+    trim: true,
+  },
+  template: {
+    type: String,
+    required: [true, 'Email template is required'],
+    index: true,
+  },
+  subject: {
+    type: String,
+    required: [true, 'Email subject is required'],
+    trim: true,
+  },
+  // The rendered body is cleared once the email is sent, skipped or has
+  // failed for good, since it can hold one-time links (password reset,
+  // email verification) that must not sit readable in the database
+  html: {
+    type: String,
+    required: [isAwaitingDelivery, 'Email body is required'],
+  },
+  text: {
+    type: String,
+    required: [isAwaitingDelivery, 'Email body is required'],
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed', 'skipped'],
+    default: 'pending',
+    index: true,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: 1,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedAt: Date,
+  lastError: String,
+  sentAt: Date,
+  messageId: String,
+  // Used to avoid queueing the same email twice (e.g. reminders)
+  dedupeKey: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better performance
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ createdAt: -1 });
+// Remove sent emails after the retention period (only sent emails have sentAt)
+emailOutboxSchema.index({ sentAt: 1 }, { expireAfterSeconds: SENT_RETENTION_SECONDS });
+
+// Instance method to record a failed delivery attempt and schedule a retry
+emailOutboxSchema.methods.recordFailure = function(error) {
+  this.lastError = error.message || String(error);
+  this.lockedAt = undefined;
+
+  if (this.attempts >= this.maxAttempts) {
+    this.status = 'failed';
+    clearBody(this);
+  } else {
+    // Exponential backoff: 1, 2, 4, 8... minutes
+    const delayMinutes = Math.pow(2, this.attempts - 1);
+    this.status = 'pending';
+    this.nextAttemptAt = new Date(Date.now() + delayMinutes * 60 * 1000);
+  }
+
+  return this.save();
+};
+
+// Instance method to mark email as delivered
+emailOutboxSchema.methods.markSent = function(messageId) {
+  this.status = 'sent';
+  this.sentAt = new Date();
+  this.messageId = messageId;
+  this.lockedAt = undefined;
+  this.lastError = undefined;
+  clearBody(this);
+  return this.save();
+};
+
+// Instance method to mark email as skipped without sending it
+emailOutboxSchema.methods.markSkipped = function(reason) {
+  this.status = 'skipped';
+  this.lockedAt = undefined;
+  this.lastError = reason;
+  clearBody(this);
+  return this.save();
+};
+
+// Static method to atomically claim the next email that is due for delivery
+emailOutboxSchema.statics.claimNext = function(staleLockMs = 10 * 60 * 1000) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        // Recover emails left in "sending" by a crashed worker
+        { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - staleLockMs) } },
+      ],
+    },
+    {
+      $set: { status: 'sending', lockedAt: now },
+      $inc: { attempts: 1 },
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// Static method to get outbox statistics
+emailOutboxSchema.statics.getStats = async function() {
+  const stats = await this.aggregate([
+    {
+      $group: {
+        _id: '$status',
+        count: { $sum: 1 },
+      }
+    }
+  ]);
+
+  return stats.reduce((acc, stat) => {
+    acc[stat._id] = stat.count;
+    return acc;
+  }, { pending: 0, sending: 0, sent: 0, failed: 0, skipped: 0 });
+};
+
+module.exports = mongoose.model('EmailOutbox', emailOutboxSchema);
\ No newline at end of file
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const storedImageSchema = require('./schemas/storedImage');
+const { DEFAULT_TIMEZONE, isValidTimeZone, getZonedDateTime } = require('../services/timezone');
 
 const eventSchema = new mongoose.Schema({
   title: {
@@ -61,6 +63,10 @@ const eventSchema = new mongoose.Schema({
     required: [true, 'Event date is required'],
     validate: {
       validator: function(v) {
+        // Saving an event that has already taken place leaves its date alone
+        if (this instanceof mongoose.Document && !this.isNew && !this.isModified('eventDate')) {
+          return true;
+        }
         return v >= new Date();
       },
       message: 'Event date must be in the future',
@@ -100,6 +106,15 @@ const eventSchema = new mongoose.Schema({
       max: 59,
     },
   },
+  // IANA timezone the start and end times are given in
+  timezone: {
+    type: String,
+    default: () => DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Timezone must be a valid IANA timezone such as Asia/Kolkata',
+    },
+  },
   venue: {
     name: {
       type: String,
@@ -188,6 +203,7 @@ const eventSchema = new mongoose.Schema({
   images: {
     poster: String,
     banner: String,
+    bannerFile: storedImageSchema,
     gallery: [{
       url: String,
       caption: String,
@@ -363,6 +379,18 @@ const eventSchema = new mongoose.Schema({
       enum: ['pending', 'paid', 'failed', 'refunded', 'waived'],
       default: 'pending',
     },
+    // Paid registrations are marked for refund when the event is cancelled
+    // or the seat is released after a postponement
+    refundStatus: {
+      type: String,
+      enum: ['pending', 'processing', 'completed', 'failed'],
+    },
+    // Asked of registered participants when the event is postponed
+    postponementResponse: {
+      type: String,
+      enum: ['pending', 'confirmed', 'released'],
+    },
+    respondedAt: Date,
     checkInTime: Date,
     checkOutTime: Date,
     feedback: {
@@ -432,6 +460,29 @@ const eventSchema = new mongoose.Schema({
     default: 'draft',
     index: true,
   },
+  // Drafts are published automatically once this time passes
+  publishAt: Date,
+  statusHistory: [{
+    from: String,
+    to: {
+      type: String,
+      required: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Set for changes made by the clock rather than a person
+    automatic: {
+      type: Boolean,
+      default: false,
+    },
+    reason: String,
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
   cancellation: {
     reason: String,
     cancelledAt: Date,
@@ -444,6 +495,18 @@ const eventSchema = new mongoose.Schema({
       enum: ['pending', 'processing', 'completed', 'failed'],
     },
   },
+  // The latest postponement; earlier ones are in statusHistory
+  postponement: {
+    reason: String,
+    postponedAt: Date,
+    postponedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    previousDate: Date,
+    previousStartTime: String,
+    previousEndTime: String,
+  },
   feedback: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -516,9 +579,21 @@ const eventSchema = new mongoose.Schema({
       type: String,
       enum: ['weekly', 'monthly', 'yearly'],
     },
-    interval: Number,
+    interval: {
+      type: Number,
+      min: [1, 'Repeat interval must be at least 1'],
+    },
     endDate: Date,
-    daysOfWeek: [String],
+    daysOfWeek: [{
+      type: String,
+      enum: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+    }],
+    // Register for each occurrence separately, or for the whole series at once
+    registration: {
+      type: String,
+      enum: ['occurrence', 'series'],
+      default: 'occurrence',
+    },
   },
   parentEvent: {
     type: mongoose.Schema.Types.ObjectId,
@@ -544,17 +619,79 @@ eventSchema.index({ registrationDeadline: 1 });
 eventSchema.index({ slug: 1 });
 eventSchema.index({ tags: 1 });
 eventSchema.index({ 'registeredParticipants.user': 1 });
+eventSchema.index({ parentEvent: 1, eventDate: 1 });
+
+// Cancelled registrations don't hold a spot
+const countActiveRegistrations = (event) => event.registeredParticipants.filter(
+  p => p.status === 'registered' || p.status === 'attended'
+).length;
+
+// Register a user, reusing their cancelled registration if they have one so
+// each user keeps a single entry per event
+const addRegistration = (event, userId, paymentStatus = 'pending') => {
+  const previous = event.registeredParticipants.find(
+    p => p.user.toString() === userId.toString()
+  );
+
+  if (previous) {
+    previous.status = 'registered';
+    previous.paymentStatus = paymentStatus;
+    previous.registrationDate = new Date();
+    // A refund for the earlier registration doesn't carry over to the new one
+    previous.refundStatus = undefined;
+    previous.postponementResponse = undefined;
+    previous.respondedAt = undefined;
+    return;
+  }
+
+  event.registeredParticipants.push({
+    user: userId,
+    status: 'registered',
+    paymentStatus: paymentStatus,
+  });
+};
+
+// HH:MM to minutes since midnight and back
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const fromMinutes = (total) => (
+  `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`
+);
+
+// Mark a paid registration for refund; returns whether it was marked
+const markForRefund = (registration) => {
+  if (registration.paymentStatus !== 'paid' || registration.refundStatus) {
+    return false;
+  }
+  registration.refundStatus = 'pending';
+  return true;
+};
+
+// Statuses an event can move to from each status. "upcoming" is an older
+// name for "published" and is treated the same way.
+const STATUS_TRANSITIONS = {
+  draft: ['published', 'cancelled'],
+  published: ['draft', 'ongoing', 'completed', 'cancelled', 'postponed'],
+  upcoming: ['published', 'draft', 'ongoing', 'completed', 'cancelled', 'postponed'],
+  ongoing: ['completed', 'cancelled'],
+  postponed: ['published', 'ongoing', 'completed', 'cancelled'],
+  completed: [],
+  cancelled: [],
+};
 
 // Virtual for available spots
 eventSchema.virtual('availableSpots').get(function() {
   if (!this.maxParticipants) return null;
-  return Math.max(0, this.maxParticipants - this.registeredParticipants.length);
+  return Math.max(0, this.maxParticipants - countActiveRegistrations(this));
 });
 
 // Virtual for is full
 eventSchema.virtual('isFull').get(function() {
   if (!this.maxParticipants) return false;
-  return this.registeredParticipants.length >= this.maxParticipants;
+  return countActiveRegistrations(this) >= this.maxParticipants;
 });
 
 // Virtual for registration status
@@ -634,42 +771,26 @@ eventSchema.pre('save', function(next) {
   next();
 });
 
-// Pre-save middleware to auto-update status based on dates
+// Pre-save middleware to auto-update status based on dates. Events nobody
+// saves are moved along by services/eventStatusService.js.
 eventSchema.pre('save', function(next) {
-  const now = new Date();
-  const eventStart = new Date(this.eventDate);
-  const eventEnd = new Date(eventStart);
-  
-  // Calculate event end time
-  if (this.endTime) {
-    const [hours, minutes] = this.endTime.split(':').map(Number);
-    eventEnd.setHours(hours, minutes, 0, 0);
-  } else {
-    eventEnd.setHours(eventStart.getHours() + 2); // Default 2 hours duration
-  }
-
-  // Auto-update status based on time
-  if (this.status === 'published' || this.status === 'upcoming') {
-    if (now >= eventStart && now <= eventEnd) {
-      this.status = 'ongoing';
-    } else if (now > eventEnd) {
-      this.status = 'completed';
-    }
+  const clockStatus = this.getClockStatus();
+  if (clockStatus) {
+    this.changeStatus(clockStatus, { automatic: true });
   }
-
   next();
 });
 
 // Instance method to register a participant
 eventSchema.methods.registerParticipant = function(userId, paymentStatus = 'pending') {
-  // Check if registration is open
-  if (this.registrationStatus !== 'open') {
+  // Check if registration is open; full events still take the waitlist
+  if (this.registrationStatus === 'closed') {
     throw new Error('Registration is not open for this event');
   }
 
   // Check if already registered
   const existingRegistration = this.registeredParticipants.find(
-    p => p.user.toString() === userId.toString()
+    p => p.user.toString() === userId.toString() && p.status !== 'cancelled'
   );
 
   if (existingRegistration) {
@@ -682,22 +803,18 @@ eventSchema.methods.registerParticipant = function(userId, paymentStatus = 'pend
     return this.addToWaitlist(userId);
   }
 
-  this.registeredParticipants.push({
-    user: userId,
-    status: 'registered',
-    paymentStatus: paymentStatus,
-  });
+  addRegistration(this, userId, paymentStatus);
 
   return this.save();
 };
 
 // Instance method to unregister a participant
 eventSchema.methods.unregisterParticipant = function(userId) {
-  const participantIndex = this.registeredParticipants.findIndex(
-    p => p.user.toString() === userId.toString()
+  const participant = this.registeredParticipants.find(
+    p => p.user.toString() === userId.toString() && p.status !== 'cancelled'
   );
 
-  if (participantIndex === -1) {
+  if (!participant) {
     throw new Error('User is not registered for this event');
   }
 
@@ -706,15 +823,15 @@ eventSchema.methods.unregisterParticipant = function(userId) {
     throw new Error('Cannot unregister after event has started');
   }
 
-  this.registeredParticipants[participantIndex].status = 'cancelled';
+  const heldSpot = participant.status === 'registered';
+  participant.status = 'cancelled';
 
-  // If there's a waitlist, move the first person
-  if (this.waitlist.length > 0) {
+  // If there's a waitlist, give the freed spot to the first person
+  if (heldSpot && this.waitlist.length > 0) {
     const nextInLine = this.waitlist.shift();
-    this.registeredParticipants.push({
-      user: nextInLine.user,
-      status: 'registered',
-      paymentStatus: 'pending',
+    addRegistration(this, nextInLine.user);
+    this.waitlist.forEach((entry, index) => {
+      entry.position = index + 1;
     });
   }
 
@@ -739,6 +856,24 @@ eventSchema.methods.addToWaitlist = function(userId) {
   return this.save();
 };
 
+// Instance method to remove a user from the waitlist
+eventSchema.methods.removeFromWaitlist = function(userId) {
+  const index = this.waitlist.findIndex(
+    w => w.user.toString() === userId.toString()
+  );
+
+  if (index === -1) {
+    throw new Error('User is not on the waitlist');
+  }
+
+  this.waitlist.splice(index, 1);
+  this.waitlist.forEach((entry, position) => {
+    entry.position = position + 1;
+  });
+
+  return this.save();
+};
+
 // Instance method to mark attendance
 eventSchema.methods.markAttendance = function(participants, markedBy) {
   // Clear existing attendance
@@ -805,6 +940,12 @@ eventSchema.methods.addFeedback = function(userId, feedbackData) {
 // Instance method to check if user can register
 eventSchema.methods.canUserRegister = function(userId) {
   const now = new Date();
+
+  // Only published events take registrations. Postponed events have their
+  // new date set, so people can still sign up for it.
+  if (!['published', 'upcoming', 'postponed'].includes(this.status)) {
+    return { canRegister: false, reason: 'Registration is not available for this event' };
+  }
   
   // Check if registration is still open
   if (now > this.registrationDeadline) {
@@ -817,7 +958,16 @@ eventSchema.methods.canUserRegister = function(userId) {
   );
 
   if (isRegistered) {
-    return { canRegister: false, reason: 'Already registered' };
+    return { canRegister: false, reason: 'Already registered', isRegistered: true };
+  }
+
+  // Check if already waiting for a spot
+  const isWaitlisted = this.waitlist.some(
+    w => w.user.toString() === userId.toString()
+  );
+
+  if (isWaitlisted) {
+    return { canRegister: false, reason: 'Already on the waitlist', isWaitlisted: true };
   }
 
   // Check if event is full
@@ -828,6 +978,177 @@ eventSchema.methods.canUserRegister = function(userId) {
   return { canRegister: true };
 };
 
+// Instance method to get the event start (eventDate combined with startTime
+// in the event's timezone)
+eventSchema.methods.getStartDateTime = function() {
+  return getZonedDateTime(this.eventDate, this.startTime, this.timezone || DEFAULT_TIMEZONE);
+};
+
+// Instance method to get the event end, defaulting to two hours after the start
+eventSchema.methods.getEndDateTime = function() {
+  if (!this.endTime) {
+    return new Date(this.getStartDateTime().getTime() + 2 * 60 * 60 * 1000);
+  }
+  return getZonedDateTime(this.eventDate, this.endTime, this.timezone || DEFAULT_TIMEZONE);
+};
+
+// Instance method to get the status the clock says the event should have
+// moved to, or null when it is where it should be
+eventSchema.methods.getClockStatus = function(now = new Date()) {
+  if (this.status === 'draft') {
+    return this.publishAt && this.publishAt <= now ? 'published' : null;
+  }
+
+  if (['published', 'upcoming', 'postponed', 'ongoing'].includes(this.status)) {
+    if (now >= this.getEndDateTime()) return 'completed';
+    if (now >= this.getStartDateTime() && this.status !== 'ongoing') return 'ongoing';
+  }
+
+  return null;
+};
+
+// Instance method to explain why the event can't move to a status, or null
+// when the change is allowed
+eventSchema.methods.getStatusTransitionError = function(status, now = new Date()) {
+  if (status === this.status) {
+    return `Event is already ${status}`;
+  }
+
+  const allowed = STATUS_TRANSITIONS[this.status] || [];
+  if (!allowed.includes(status) && !(status === 'upcoming' && allowed.includes('published'))) {
+    return `Cannot change event status from ${this.status} to ${status}`;
+  }
+
+  if ((status === 'ongoing' || status === 'completed') && now < this.getStartDateTime()) {
+    return 'Event has not started yet';
+  }
+
+  if (['draft', 'published', 'upcoming'].includes(status) && now >= this.getStartDateTime()) {
+    return 'Event start time has already passed';
+  }
+
+  return null;
+};
+
+// Instance method to list the statuses the event can be moved to right now
+eventSchema.methods.getAllowedStatuses = function(now = new Date()) {
+  return (STATUS_TRANSITIONS[this.status] || []).filter(
+    status => !this.getStatusTransitionError(status, now)
+  );
+};
+
+// Instance method to change status and record it in the status history.
+// Clock-driven changes pass automatic: true and skip the transition check.
+eventSchema.methods.changeStatus = function(status, { changedBy, reason, automatic = false } = {}) {
+  if (!automatic) {
+    const error = this.getStatusTransitionError(status);
+    if (error) {
+      throw new Error(error);
+    }
+  }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    changedBy,
+    automatic,
+    reason,
+  });
+  this.status = status;
+
+  return this;
+};
+
+// Instance method to cancel the event and mark paid registrations for
+// refund; returns how many were marked
+eventSchema.methods.cancel = function({ cancelledBy, reason, automatic = false }) {
+  this.changeStatus('cancelled', { changedBy: cancelledBy, reason, automatic });
+
+  const refunds = this.registeredParticipants
+    .filter(p => p.status === 'registered' && markForRefund(p))
+    .length;
+
+  this.cancellation = {
+    reason,
+    cancelledAt: new Date(),
+    cancelledBy,
+    refundStatus: refunds > 0 ? 'pending' : undefined,
+  };
+
+  return refunds;
+};
+
+// Instance method to move the event to a new date. Registered participants
+// are asked to confirm or release their seat. A postponed event can be
+// postponed again.
+eventSchema.methods.postpone = function(schedule, { postponedBy, reason }) {
+  const { eventDate, startTime, endTime, registrationDeadline } = schedule;
+
+  if (this.status === 'postponed') {
+    this.statusHistory.push({ from: 'postponed', to: 'postponed', changedBy: postponedBy, reason });
+  } else {
+    this.changeStatus('postponed', { changedBy: postponedBy, reason });
+  }
+
+  this.postponement = {
+    reason,
+    postponedAt: new Date(),
+    postponedBy,
+    previousDate: this.eventDate,
+    previousStartTime: this.startTime,
+    previousEndTime: this.endTime,
+  };
+
+  // Moving only the start keeps the event's length
+  if (startTime && !endTime && this.endTime) {
+    const duration = toMinutes(this.endTime) - toMinutes(this.startTime);
+    this.endTime = fromMinutes(Math.min(toMinutes(startTime) + duration, 23 * 60 + 59));
+  }
+
+  this.eventDate = eventDate;
+  if (startTime) this.startTime = startTime;
+  if (endTime) this.endTime = endTime;
+
+  // The old deadline may now fall on the wrong side of the new date
+  if (registrationDeadline) {
+    this.registrationDeadline = registrationDeadline;
+  } else if (this.registrationDeadline > this.eventDate) {
+    this.registrationDeadline = this.eventDate;
+  }
+
+  this.registeredParticipants
+    .filter(p => p.status === 'registered')
+    .forEach(p => {
+      p.postponementResponse = 'pending';
+      p.respondedAt = undefined;
+    });
+
+  return this;
+};
+
+// Instance method to record a participant's answer to a postponement.
+// Releasing the seat unregisters them (promoting the waitlist) and marks a
+// paid registration for refund.
+eventSchema.methods.respondToPostponement = function(userId, response) {
+  const participant = this.registeredParticipants.find(
+    p => p.user.toString() === userId.toString() && p.status === 'registered'
+  );
+
+  if (!participant || !participant.postponementResponse) {
+    throw new Error('User has no seat to confirm for this event');
+  }
+
+  participant.postponementResponse = response;
+  participant.respondedAt = new Date();
+
+  if (response === 'released') {
+    markForRefund(participant);
+    return this.unregisterParticipant(userId);
+  }
+
+  return this.save();
+};
+
 // Instance method to generate certificate data
 eventSchema.methods.generateCertificate = function(userId) {
   const participant = this.attendedParticipants.find(
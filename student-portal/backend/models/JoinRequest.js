@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A request to join a club that has settings.requireApproval turned on
+const joinRequestSchema = new mongoose.Schema({
+  club: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Club',
+    required: [true, 'Club is required'],
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Applicant is required'],
+    index: true,
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'approved', 'rejected', 'withdrawn'],
+      message: 'Status must be pending, approved, rejected or withdrawn',
+    },
+    default: 'pending',
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters'],
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  reviewedAt: Date,
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Review note cannot exceed 500 characters'],
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better performance
+joinRequestSchema.index({ club: 1, status: 1, createdAt: -1 });
+// Only one open request per user and club
+joinRequestSchema.index(
+  { club: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Instance method to record a coordinator's decision
+joinRequestSchema.methods.review = function(status, reviewerId, note) {
+  this.status = status;
+  this.reviewedBy = reviewerId;
+  this.reviewedAt = new Date();
+  this.reviewNote = note;
+  return this.save();
+};
+
+// Static method to get a user's open request for a club
+joinRequestSchema.statics.findPending = function(clubId, userId) {
+  return this.findOne({ club: clubId, user: userId, status: 'pending' });
+};
+
+module.exports = mongoose.model('JoinRequest', joinRequestSchema);
\ No newline at end of file
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const User = require('./User');
+
+// Failed logins for emails that have no account. They are counted and locked
+// exactly like User.loginAttempts, so the login response can't be used to
+// find out whether an account exists.
+const loginAttemptSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+  },
+  loginAttempts: {
+    type: Number,
+    default: 0,
+  },
+  lockUntil: Date,
+  // Pushed back on every failure; an account's attempts are only cleared by a
+  // successful login, so these are kept long enough to behave the same
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Remove records from the collection once they have expired
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Virtual for account lock status, matching User.isLocked
+loginAttemptSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// Static method to count a failed login for an email, following the same
+// rules as User#incLoginAttempts; returns the updated record
+loginAttemptSchema.statics.recordFailure = async function(email) {
+  const { maxAttempts, lockTimeMs } = User.getLockoutPolicy();
+  const now = Date.now();
+  const expiresAt = new Date(now + RETENTION_MS);
+
+  const existing = await this.findOne({ email: email.toLowerCase() });
+
+  // If we have a previous lock that has expired, restart at 1
+  if (existing && existing.lockUntil && existing.lockUntil < now) {
+    return this.findByIdAndUpdate(existing._id, {
+      $unset: { lockUntil: 1 },
+      $set: { loginAttempts: 1, expiresAt },
+    }, { new: true });
+  }
+
+  const attempts = (existing ? existing.loginAttempts : 0) + 1;
+  const updates = { $inc: { loginAttempts: 1 }, $set: { expiresAt } };
+
+  if (attempts >= maxAttempts && !(existing && existing.isLocked)) {
+    updates.$set.lockUntil = new Date(now + lockTimeMs);
+  }
+
+  return this.findOneAndUpdate({ email: email.toLowerCase() }, updates, { new: true, upsert: true });
+};
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
\ No newline at end of file
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One entry per change to a user's membership of a club. Written by
+// services/membershipService.js alongside the Club and User updates.
+const membershipHistorySchema = new mongoose.Schema({
+  club: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Club',
+    required: [true, 'Club is required'],
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true,
+  },
+  action: {
+    type: String,
+    enum: {
+      values: ['joined', 'left', 'removed', 'role_changed', 'repaired'],
+      message: 'Action must be joined, left, removed, role_changed or repaired',
+    },
+    required: true,
+  },
+  previousRole: {
+    type: String,
+    enum: ['member', 'leader', 'coordinator', 'co-coordinator'],
+  },
+  newRole: {
+    type: String,
+    enum: ['member', 'leader', 'coordinator', 'co-coordinator'],
+  },
+  // What caused the change, e.g. a direct join, an approved request or an invitation
+  source: {
+    type: String,
+    enum: ['join', 'join_request', 'invitation', 'club_created', 'coordinator_transfer', 'co_coordinator', 'manual', 'repair'],
+    default: 'manual',
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// Indexes for better performance
+membershipHistorySchema.index({ club: 1, createdAt: -1 });
+membershipHistorySchema.index({ club: 1, user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('MembershipHistory', membershipHistorySchema);
\ No newline at end of file
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Notification recipient is required'],
+    index: true,
+  },
+  type: {
+    type: String,
+    required: [true, 'Notification type is required'],
+    enum: {
+      values: [
+        'event_registration',
+        'event_waitlisted',
+        'event_new_registration',
+        'waitlist_promoted',
+        'event_status_changed',
+        'club_announcement',
+        'club_role_changed',
+        'club_join_request',
+        'club_join_request_reviewed',
+        'club_invitation',
+        'club_invitation_response',
+        'system',
+      ],
+      message: 'Notification type must be one of the predefined values',
+    },
+  },
+  title: {
+    type: String,
+    required: [true, 'Notification title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters'],
+  },
+  message: {
+    type: String,
+    required: [true, 'Notification message is required'],
+    trim: true,
+    maxlength: [1000, 'Message cannot exceed 1000 characters'],
+  },
+  link: {
+    type: String,
+    trim: true,
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'medium',
+  },
+  relatedEvent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+  },
+  relatedClub: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Club',
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  isRead: {
+    type: Boolean,
+    default: false,
+  },
+  readAt: Date,
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes for better performance
+notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+
+// Instance method to mark notification as read
+notificationSchema.methods.markAsRead = function() {
+  if (!this.isRead) {
+    this.isRead = true;
+    this.readAt = new Date();
+  }
+  return this.save();
+};
+
+// Static method to create the same notification for many recipients
+notificationSchema.statics.notifyUsers = function(recipients, notificationData) {
+  const uniqueRecipients = [...new Set(
+    recipients.filter(Boolean).map(recipient => recipient.toString())
+  )];
+
+  if (uniqueRecipients.length === 0) {
+    return Promise.resolve([]);
+  }
+
+  return this.insertMany(uniqueRecipients.map(recipient => ({
+    ...notificationData,
+    recipient,
+  })));
+};
+
+// Static method to get unread count for a user
+notificationSchema.statics.getUnreadCount = function(userId) {
+  return this.countDocuments({ recipient: userId, isRead: false });
+};
+
+// Static method to mark all notifications as read for a user
+notificationSchema.statics.markAllAsRead = function(userId) {
+  return this.updateMany(
+    { recipient: userId, isRead: false },
+    { $set: { isRead: true, readAt: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
\ No newline at end of file
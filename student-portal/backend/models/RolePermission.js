@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Permissions granted to a role. Roles without a document use the defaults
+// from the permission registry.
+const rolePermissionSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['student', 'teacher', 'admin'],
+    required: [true, 'Role is required'],
+    unique: true,
+  },
+  permissions: [{
+    type: String,
+    trim: true,
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('RolePermission', rolePermissionSchema);
\ No newline at end of file
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+const scheduledJobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Job type is required'],
+    index: true,
+  },
+  runAt: {
+    type: Date,
+    required: [true, 'Run time is required'],
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'pending',
+    index: true,
+  },
+  // Unique key so the same job is never scheduled (or run) twice
+  key: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: 1,
+  },
+  lockedAt: Date,
+  lastError: String,
+  result: mongoose.Schema.Types.Mixed,
+  completedAt: Date,
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better performance
+scheduledJobSchema.index({ status: 1, runAt: 1 });
+scheduledJobSchema.index({ event: 1, type: 1 });
+scheduledJobSchema.index({ user: 1, type: 1 });
+
+// Instance method to record a failed run and schedule a retry
+scheduledJobSchema.methods.recordFailure = function(error) {
+  this.lastError = error.message || String(error);
+  this.lockedAt = undefined;
+
+  if (this.attempts >= this.maxAttempts) {
+    this.status = 'failed';
+  } else {
+    // Retry after 1, 2, 4... minutes
+    const delayMinutes = Math.pow(2, this.attempts - 1);
+    this.status = 'pending';
+    this.runAt = new Date(Date.now() + delayMinutes * 60 * 1000);
+  }
+
+  return this.save();
+};
+
+// Instance method to mark job as completed
+scheduledJobSchema.methods.markCompleted = function(result) {
+  this.status = 'completed';
+  this.completedAt = new Date();
+  this.lockedAt = undefined;
+  this.lastError = undefined;
+  if (result !== undefined) this.result = result;
+  return this.save();
+};
+
+// Instance method to cancel a pending job
+scheduledJobSchema.methods.cancel = function(cancelledBy) {
+  if (this.status !== 'pending') {
+    throw new Error('Only pending jobs can be cancelled');
+  }
+
+  this.status = 'cancelled';
+  this.cancelledAt = new Date();
+  this.cancelledBy = cancelledBy;
+  return this.save();
+};
+
+// Static method to atomically claim the next job that is due
+scheduledJobSchema.statics.claimNext = function(staleLockMs = 10 * 60 * 1000) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', runAt: { $lte: now } },
+        // Recover jobs left "running" by a process that stopped mid-run
+        { status: 'running', lockedAt: { $lte: new Date(now.getTime() - staleLockMs) } },
+      ],
+    },
+    {
+      $set: { status: 'running', lockedAt: now },
+      $inc: { attempts: 1 },
+    },
+    { new: true, sort: { runAt: 1 } }
+  );
+};
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
\ No newline at end of file
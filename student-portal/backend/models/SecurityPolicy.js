@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Site-wide security settings, stored as a single document
+const securityPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true,
+  },
+  // Roles that must have two-factor authentication enabled
+  twoFactorRequiredRoles: [{
+    type: String,
+    enum: ['teacher', 'admin'],
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// Static method to get the policy, creating it on first use
+securityPolicySchema.statics.getCurrent = function() {
+  return this.findOneAndUpdate(
+    { key: 'default' },
+    { $setOnInsert: { key: 'default' } },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = mongoose.model('SecurityPolicy', securityPolicySchema);
\ No newline at end of file
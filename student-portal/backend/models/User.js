@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { issueAccessToken } = require('../services/tokenService');
+const storedImageSchema = require('./schemas/storedImage');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -60,6 +62,8 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: '',
   },
+  // Uploaded avatar; profilePicture holds the url of its display size
+  avatar: storedImageSchema,
   bio: {
     type: String,
     maxlength: [500, 'Bio cannot exceed 500 characters'],
@@ -111,7 +115,7 @@ const userSchema = new mongoose.Schema({
     },
     role: {
       type: String,
-      enum: ['member', 'leader', 'coordinator'],
+      enum: ['member', 'leader', 'coordinator', 'co-coordinator'],
       default: 'member',
     },
     isActive: {
@@ -164,8 +168,54 @@ const userSchema = new mongoose.Schema({
     default: false,
   },
   emailVerificationToken: String,
+  emailVerificationExpires: Date,
+  emailVerificationSentAt: Date,
   passwordResetToken: String,
   passwordResetExpires: Date,
+  passwordChangedAt: Date,
+  // Bumped to invalidate every access token issued to the user (e.g. on role change)
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
+  passwordHistory: {
+    type: [{
+      hash: String,
+      changedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+    select: false,
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    enabledAt: Date,
+    // Base32 TOTP secret; pendingSecret holds it until enrollment is confirmed
+    secret: {
+      type: String,
+      select: false,
+    },
+    pendingSecret: {
+      type: String,
+      select: false,
+    },
+    // Last accepted time step, so a code cannot be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: Date,
+      }],
+      select: false,
+    },
+  },
   isActive: {
     type: Boolean,
     default: true,
@@ -208,21 +258,35 @@ userSchema.virtual('stats').get(function() {
   };
 });
 
+// bcrypt cost for stored passwords (12 unless configured)
+const getSaltRounds = () => parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
+
+// Hash of a random password at the same cost, checked when a login names no
+// account so that it takes as long as one that does. Created on first use.
+let dummyPasswordHash = null;
+
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
   // Only hash the password if it has been modified (or is new)
   if (!this.isModified('password')) return next();
 
   try {
-    // Hash password with cost of 12
-    const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
-    this.password = await bcrypt.hash(this.password, saltRounds);
+    this.password = await bcrypt.hash(this.password, getSaltRounds());
     next();
   } catch (error) {
     next(error);
   }
 });
 
+// Pre-save middleware to record when the password was changed
+userSchema.pre('save', function(next) {
+  if (this.isModified('password') && !this.isNew) {
+    // Backdate slightly so a token issued right after the change is still valid
+    this.passwordChangedAt = new Date(Date.now() - 1000);
+  }
+  next();
+});
+
 // Pre-save middleware for student ID validation
 userSchema.pre('save', function(next) {
   // Ensure student ID is unique for students
@@ -263,23 +327,67 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
-// Instance method to generate JWT token
-userSchema.methods.generateAuthToken = function() {
-  const payload = {
-    userId: this._id,
-    email: this.email,
-    role: this.role,
-  };
+// Instance method to check a candidate against the current and recent passwords
+userSchema.methods.isPasswordReused = async function(candidatePassword, historySize) {
+  const hashes = [this.password, ...(this.passwordHistory || []).map(entry => entry.hash)]
+    .filter(Boolean)
+    .slice(0, historySize);
 
-  return jwt.sign(
-    payload,
-    process.env.JWT_SECRET,
-    { 
-      expiresIn: process.env.JWT_EXPIRE || '7d',
-      issuer: 'smart-clubs-api',
-      audience: 'smart-clubs-users',
+  for (const hash of hashes) {
+    if (await bcrypt.compare(candidatePassword, hash)) {
+      return true;
     }
-  );
+  }
+  return false;
+};
+
+// Instance method to set a new password and remember the previous one
+userSchema.methods.setPassword = function(newPassword, historySize) {
+  if (!this.isSelected('password') || !this.isSelected('passwordHistory')) {
+    throw new Error('Password and password history must be selected to change the password');
+  }
+
+  if (this.password) {
+    this.passwordHistory.unshift({ hash: this.password, changedAt: new Date() });
+    // The current password counts towards the history size
+    this.passwordHistory = this.passwordHistory.slice(0, Math.max(historySize - 1, 0));
+  }
+
+  this.password = newPassword;
+};
+
+// Instance method to generate an access token for a session
+userSchema.methods.generateAuthToken = function(sessionId) {
+  return issueAccessToken(this, sessionId);
+};
+
+// Instance method to create an email verification token (only its hash is stored)
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresInHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+  this.emailVerificationToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.emailVerificationExpires = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+  this.emailVerificationSentAt = new Date();
+
+  return token;
+};
+
+// Instance method to create a password reset token (only its hash is stored)
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+  this.passwordResetToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  return token;
+};
+
+// Instance method to check if the password changed after a token was issued
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
 };
 
 // Instance method to increment login attempts
@@ -293,10 +401,11 @@ userSchema.methods.incLoginAttempts = function() {
   }
 
   const updates = { $inc: { loginAttempts: 1 } };
+  const { maxAttempts, lockTimeMs } = this.constructor.getLockoutPolicy();
   
-  // Lock account after 5 attempts for 2 hours
-  if (this.loginAttempts + 1 >= 5 && !this.isLocked) {
-    updates.$set = { lockUntil: Date.now() + 2 * 60 * 60 * 1000 };
+  // Lock account after too many attempts (5 attempts for 2 hours by default)
+  if (this.loginAttempts + 1 >= maxAttempts && !this.isLocked) {
+    updates.$set = { lockUntil: Date.now() + lockTimeMs };
   }
 
   return this.updateOne(updates);
@@ -367,6 +476,45 @@ userSchema.methods.unregisterFromEvent = function(eventId) {
   return this.save();
 };
 
+// Static method to get the failed login lockout settings
+userSchema.statics.getLockoutPolicy = function() {
+  return {
+    maxAttempts: parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5,
+    lockTimeMs: (parseInt(process.env.LOGIN_LOCK_MINUTES) || 120) * 60 * 1000,
+  };
+};
+
+// Static method to check a password for a login that matched no account.
+// Always fails, but costs the same as checking a real password.
+userSchema.statics.compareDummyPassword = async function(candidatePassword) {
+  if (!dummyPasswordHash) {
+    dummyPasswordHash = bcrypt.hash(crypto.randomBytes(32).toString('hex'), getSaltRounds());
+  }
+
+  await bcrypt.compare(candidatePassword, await dummyPasswordHash);
+  return false;
+};
+
+// Static method to find a user by an unexpired email verification token
+userSchema.statics.findByEmailVerificationToken = function(token) {
+  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+  return this.findOne({
+    emailVerificationToken: hashedToken,
+    emailVerificationExpires: { $gt: Date.now() },
+  });
+};
+
+// Static method to find a user by an unexpired password reset token
+userSchema.statics.findByPasswordResetToken = function(token) {
+  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+  return this.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: Date.now() },
+  });
+};
+
 // Static method to find users by role
 userSchema.statics.findByRole = function(role) {
   return this.find({ role, isActive: true });
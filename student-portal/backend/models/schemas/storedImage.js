@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// One resized copy of an uploaded image
+const imageVariantSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+  },
+  url: String,
+  width: Number,
+  height: Number,
+}, { _id: false });
+
+// An uploaded image and the resized copies made from it, as written by
+// services/imageService.js. Keys are storage keys (see services/storage).
+const storedImageSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+  },
+  url: String,
+  mimeType: String,
+  size: Number,
+  width: Number,
+  height: Number,
+  variants: {
+    small: imageVariantSchema,
+    medium: imageVariantSchema,
+    large: imageVariantSchema,
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+module.exports = storedImageSchema;
\ No newline at end of file
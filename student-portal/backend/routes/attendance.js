@@ -2,15 +2,16 @@ const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const Event = require('../models/Event');
 const User = require('../models/User');
-const { auth, teacherAuth } = require('../middleware/auth');
+const { auth } = require('../middleware/auth');
+const { hasPermission, hasClubPermission } = require('../services/permissionService');
 const { createNotFoundError, createValidationError, createForbiddenError } = require('../middleware/errorHandler');
 
 const router = express.Router();
 
 // @route   POST /api/attendance/mark
 // @desc    Mark attendance for event participants
-// @access  Private (Teachers only)
-router.post('/mark', auth, teacherAuth, [
+// @access  Private (Event organizer with attendance.mark, create_events club permission, or attendance.manage_any)
+router.post('/mark', auth, [
   body('eventId')
     .isMongoId()
     .withMessage('Event ID must be a valid MongoDB ID'),
@@ -48,7 +49,7 @@ router.post('/mark', auth, teacherAuth, [
     const { eventId, participants, attendanceType = 'full', notes } = req.body;
 
     const event = await Event.findById(eventId)
-      .populate('club', 'name coordinator')
+      .populate('club', 'name coordinator coCoordinators')
       .populate('organizer', 'name email');
 
     if (!event) {
@@ -57,10 +58,11 @@ router.post('/mark', auth, teacherAuth, [
 
     // Check if user has permission to mark attendance
     const isOrganizer = event.organizer._id.toString() === req.user._id.toString();
-    const isCoordinator = event.club.coordinator.toString() === req.user._id.toString();
-    const isAdmin = req.user.role === 'admin';
+    const isClubStaff = await hasClubPermission(req.user, event.club, 'create_events');
+    const canManageAny = await hasPermission(req.user, 'attendance.manage_any');
+    const canMarkOwn = isOrganizer && await hasPermission(req.user, 'attendance.mark');
 
-    if (!isOrganizer && !isCoordinator && !isAdmin) {
+    if (!canMarkOwn && !isClubStaff && !canManageAny) {
       throw createForbiddenError('Only event organizers, club coordinators, and admins can mark attendance');
     }
 
@@ -124,13 +126,13 @@ router.post('/mark', auth, teacherAuth, [
 
 // @route   GET /api/attendance/event/:eventId
 // @desc    Get attendance for an event
-// @access  Private (Event organizer, club coordinator, or Admin)
+// @access  Private (Event organizer, view_analytics club permission, or attendance.view_any permission)
 router.get('/event/:eventId', auth, async (req, res, next) => {
   try {
     const { eventId } = req.params;
 
     const event = await Event.findById(eventId)
-      .populate('club', 'name coordinator')
+      .populate('club', 'name coordinator coCoordinators')
       .populate('organizer', 'name email')
       .populate('registeredParticipants.user', 'name email studentId department profilePicture')
       .populate('attendedParticipants.user', 'name email studentId department profilePicture')
@@ -142,11 +144,10 @@ router.get('/event/:eventId', auth, async (req, res, next) => {
 
     // Check permissions
     const isOrganizer = event.organizer._id.toString() === req.user._id.toString();
-    const isCoordinator = event.club.coordinator.toString() === req.user._id.toString();
-    const isAdmin = req.user.role === 'admin';
-    const isTeacher = req.user.role === 'teacher';
+    const canViewClub = await hasClubPermission(req.user, event.club, 'view_analytics');
+    const canViewAny = await hasPermission(req.user, 'attendance.view_any');
 
-    if (!isOrganizer && !isCoordinator && !isAdmin && !isTeacher) {
+    if (!isOrganizer && !canViewClub && !canViewAny) {
       throw createForbiddenError('Access denied');
     }
 
@@ -208,7 +209,7 @@ router.get('/event/:eventId', auth, async (req, res, next) => {
 
 // @route   GET /api/attendance/user/:userId
 // @desc    Get attendance history for a user
-// @access  Private (Own data, Teacher, or Admin)
+// @access  Private (Own data or attendance.view_any permission)
 router.get('/user/:userId', auth, [
   query('limit')
     .optional()
@@ -241,7 +242,7 @@ router.get('/user/:userId', auth, [
 
     // Check permissions
     const isOwnData = req.user._id.toString() === userId;
-    const isAuthorized = isOwnData || req.user.role === 'teacher' || req.user.role === 'admin';
+    const isAuthorized = isOwnData || await hasPermission(req.user, 'attendance.view_any');
 
     if (!isAuthorized) {
       throw createForbiddenError('You can only access your own attendance data');
@@ -356,8 +357,8 @@ router.get('/user/:userId', auth, [
 
 // @route   PUT /api/attendance/update/:eventId/:userId
 // @desc    Update attendance record for a specific user in an event
-// @access  Private (Teachers only)
-router.put('/update/:eventId/:userId', auth, teacherAuth, [
+// @access  Private (Event organizer with attendance.mark, create_events club permission, or attendance.manage_any)
+router.put('/update/:eventId/:userId', auth, [
   body('attendanceType')
     .optional()
     .isIn(['full', 'partial', 'late'])
@@ -394,7 +395,7 @@ router.put('/update/:eventId/:userId', auth, teacherAuth, [
     const { attendanceType, notes, checkInTime, checkOutTime } = req.body;
 
     const event = await Event.findById(eventId)
-      .populate('club', 'name coordinator')
+      .populate('club', 'name coordinator coCoordinators')
       .populate('organizer', 'name email');
 
     if (!event) {
@@ -403,10 +404,11 @@ router.put('/update/:eventId/:userId', auth, teacherAuth, [
 
     // Check permissions
     const isOrganizer = event.organizer._id.toString() === req.user._id.toString();
-    const isCoordinator = event.club.coordinator.toString() === req.user._id.toString();
-    const isAdmin = req.user.role === 'admin';
+    const isClubStaff = await hasClubPermission(req.user, event.club, 'create_events');
+    const canManageAny = await hasPermission(req.user, 'attendance.manage_any');
+    const canMarkOwn = isOrganizer && await hasPermission(req.user, 'attendance.mark');
 
-    if (!isOrganizer && !isCoordinator && !isAdmin) {
+    if (!canMarkOwn && !isClubStaff && !canManageAny) {
       throw createForbiddenError('Only event organizers, club coordinators, and admins can update attendance');
     }
 
@@ -457,13 +459,13 @@ router.put('/update/:eventId/:userId', auth, teacherAuth, [
 
 // @route   DELETE /api/attendance/remove/:eventId/:userId
 // @desc    Remove attendance record for a specific user
-// @access  Private (Teachers only)
-router.delete('/remove/:eventId/:userId', auth, teacherAuth, async (req, res, next) => {
+// @access  Private (Event organizer with attendance.mark, create_events club permission, or attendance.manage_any)
+router.delete('/remove/:eventId/:userId', auth, async (req, res, next) => {
   try {
     const { eventId, userId } = req.params;
 
     const event = await Event.findById(eventId)
-      .populate('club', 'name coordinator')
+      .populate('club', 'name coordinator coCoordinators')
       .populate('organizer', 'name email');
 
     if (!event) {
@@ -472,10 +474,11 @@ router.delete('/remove/:eventId/:userId', auth, teacherAuth, async (req, res, ne
 
     // Check permissions
     const isOrganizer = event.organizer._id.toString() === req.user._id.toString();
-    const isCoordinator = event.club.coordinator.toString() === req.user._id.toString();
-    const isAdmin = req.user.role === 'admin';
+    const isClubStaff = await hasClubPermission(req.user, event.club, 'create_events');
+    const canManageAny = await hasPermission(req.user, 'attendance.manage_any');
+    const canMarkOwn = isOrganizer && await hasPermission(req.user, 'attendance.mark');
 
-    if (!isOrganizer && !isCoordinator && !isAdmin) {
+    if (!canMarkOwn && !isClubStaff && !canManageAny) {
       throw createForbiddenError('Only event organizers, club coordinators, and admins can remove attendance');
     }
 
@@ -517,7 +520,7 @@ router.delete('/remove/:eventId/:userId', auth, teacherAuth, async (req, res, ne
 
 // @route   GET /api/attendance/reports/club/:clubId
 // @desc    Get attendance reports for a club
-// @access  Private (Club coordinator or Admin)
+// @access  Private (view_analytics club permission or attendance.view_any permission)
 router.get('/reports/club/:clubId', auth, [
   query('startDate')
     .optional()
@@ -555,12 +558,11 @@ router.get('/reports/club/:clubId', auth, [
       throw createNotFoundError('Club');
     }
 
-    const isCoordinator = club.coordinator.toString() === req.user._id.toString();
-    const isAdmin = req.user.role === 'admin';
-    const isTeacher = req.user.role === 'teacher';
+    const canViewClub = await hasClubPermission(req.user, club, 'view_analytics');
+    const canViewAny = await hasPermission(req.user, 'attendance.view_any');
 
-    if (!isCoordinator && !isAdmin && !isTeacher) {
-      throw createForbiddenError('Only club coordinators, teachers, and admins can view attendance reports');
+    if (!canViewClub && !canViewAny) {
+      throw createForbiddenError('Only club coordinators, co-coordinators with analytics access, teachers, and admins can view attendance reports');
     }
 
     // Build query for club events
@@ -674,7 +676,7 @@ router.get('/reports/club/:clubId', auth, [
 
 // @route   GET /api/attendance/export/:eventId
 // @desc    Export attendance data for an event
-// @access  Private (Event organizer, club coordinator, or Admin)
+// @access  Private (Event organizer, view_analytics club permission, or attendance.export permission)
 router.get('/export/:eventId', auth, [
   query('format')
     .optional()
@@ -686,7 +688,7 @@ router.get('/export/:eventId', auth, [
     const { format = 'json' } = req.query;
 
     const event = await Event.findById(eventId)
-      .populate('club', 'name coordinator')
+      .populate('club', 'name coordinator coCoordinators')
       .populate('organizer', 'name email')
       .populate('registeredParticipants.user', 'name email studentId department phoneNumber')
       .populate('attendedParticipants.user', 'name email studentId department phoneNumber')
@@ -698,11 +700,10 @@ router.get('/export/:eventId', auth, [
 
     // Check permissions
     const isOrganizer = event.organizer._id.toString() === req.user._id.toString();
-    const isCoordinator = event.club.coordinator.toString() === req.user._id.toString();
-    const isAdmin = req.user.role === 'admin';
-    const isTeacher = req.user.role === 'teacher';
+    const canViewClub = await hasClubPermission(req.user, event.club, 'view_analytics');
+    const canExport = await hasPermission(req.user, 'attendance.export');
 
-    if (!isOrganizer && !isCoordinator && !isAdmin && !isTeacher) {
+    if (!isOrganizer && !canViewClub && !canExport) {
       throw createForbiddenError('Access denied');
     }
 
@@ -1,22 +1,158 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const LoginAttempt = require('../models/LoginAttempt');
+const { auth, requirePermission } = require('../middleware/auth');
+const { queueEmail } = require('../services/mailService');
+const { getPasswordPolicy, passwordRules } = require('../services/passwordPolicy');
+const {
+  createSession,
+  createAccessToken,
+  rotateSession,
+  revokeSessionByToken,
+  revokeSessionById,
+  revokeAllSessions,
+  listSessions
+} = require('../services/sessionService');
+const { issueTwoFactorChallenge, verifyTwoFactorChallenge } = require('../services/tokenService');
+const {
+  TWO_FACTOR_ROLES,
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+  getQrCodeDataUrl,
+  generateRecoveryCodes,
+  verifyUserCode,
+  getRequiredRoles,
+  setRequiredRoles,
+  isTwoFactorRequired
+} = require('../services/twoFactorService');
+const { linkInvitationsToUser } = require('../services/invitationService');
 
 const router = express.Router();
 
+// Minimum time between verification emails for one account
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+
+// Limit how many verification emails can be requested from one IP
+const resendVerificationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.VERIFICATION_RESEND_MAX) || 5,
+  message: {
+    message: 'Too many verification emails requested. Please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Limit password reset requests from one IP
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.PASSWORD_RESET_MAX) || 5,
+  message: {
+    message: 'Too many password reset requests. Please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Limit refresh attempts from one IP
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.REFRESH_TOKEN_MAX) || 100,
+  message: {
+    message: 'Too many refresh attempts. Please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Respond to a login attempt on a locked account
+const sendLockedResponse = (res, lockUntil) => {
+  const retryAfter = Math.ceil((lockUntil - Date.now()) / 1000);
+  const minutesRemaining = Math.ceil(retryAfter / 60);
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    message: `Account is temporarily locked due to too many failed login attempts. Try again in ${minutesRemaining} minute${minutesRemaining === 1 ? '' : 's'}.`,
+    code: 'ACCOUNT_LOCKED',
+    lockUntil,
+    retryAfter,
+    minutesRemaining
+  });
+};
+
+// Record a successful login and start a session for this device
+const completeLogin = async (user, req, res, extra = {}) => {
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { loginAttempts: 0, lastLoginAt: new Date() },
+      $unset: { lockUntil: 1 }
+    }
+  );
+
+  const { accessToken, refreshToken } = await createSession(user, req);
+  const twoFactorSetupRequired = !user.twoFactor?.enabled && await isTwoFactorRequired(user);
+
+  return res.json({
+    token: accessToken,
+    refreshToken,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      department: user.department,
+      isEmailVerified: user.isEmailVerified
+    },
+    twoFactorSetupRequired,
+    ...extra
+  });
+};
+
+// Respond to a failed login step with the lock or the attempts remaining
+const sendAttemptsResponse = (res, { loginAttempts, lockUntil }, message, code) => {
+  if (lockUntil && lockUntil > Date.now()) {
+    return sendLockedResponse(res, lockUntil);
+  }
+
+  const { maxAttempts } = User.getLockoutPolicy();
+  const attemptsRemaining = Math.max(maxAttempts - loginAttempts, 0);
+  return res.status(400).json({
+    message: `${message}. ${attemptsRemaining} attempt${attemptsRemaining === 1 ? '' : 's'} remaining before your account is locked.`,
+    attemptsRemaining,
+    ...(code && { code })
+  });
+};
+
+// Count a failed login step and respond with the lock or attempts remaining
+const sendFailedAttemptResponse = async (res, user, message, code) => {
+  await user.incLoginAttempts();
+
+  const updated = await User.findById(user._id).select('loginAttempts lockUntil');
+  return sendAttemptsResponse(res, updated, message, code);
+};
+
+// Issue a new verification token and email it to the user
+const sendVerificationEmail = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save();
+  await queueEmail(user, 'emailVerification', { token });
+};
+
 // Register
 router.post('/register', [
   body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   body('email').isEmail().withMessage('Please enter a valid email'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  passwordRules('password'),
   body('role').isIn(['student', 'teacher', 'admin']).withMessage('Invalid role')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+      return res.status(400).json({ message: errors.array()[0].msg, errors: errors.array() });
     }
 
     const { name, email, password, role, studentId, department } = req.body;
@@ -39,21 +175,33 @@ router.post('/register', [
 
     await user.save();
 
-    // Create token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
+    // Send verification email; registration still succeeds if this fails
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Verification email error:', error.message);
+    }
+
+    // Club invitations sent to this email before the account existed
+    try {
+      await linkInvitationsToUser(user);
+    } catch (error) {
+      console.error('Club invitation link error:', error.message);
+    }
+
+    // Start a session for this device
+    const { accessToken, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
-      token,
+      token: accessToken,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
-        department: user.department
+        department: user.department,
+        isEmailVerified: user.isEmailVerified
       }
     });
   } catch (error) {
@@ -75,35 +223,115 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
-    // Check if user exists
-    const user = await User.findOne({ email });
+    // Check if user exists. Unknown emails are counted and locked like real
+    // accounts so the response doesn't reveal which emails are registered.
+    const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
     if (!user) {
-      return res.status(400).json({ message: 'Invalid credentials' });
+      const previous = await LoginAttempt.findOne({ email: email.toLowerCase() });
+      if (previous && previous.isLocked) {
+        return sendLockedResponse(res, previous.lockUntil);
+      }
+
+      // Spend the same time on the password as for an account
+      await User.compareDummyPassword(password);
+
+      const attempt = await LoginAttempt.recordFailure(email);
+      return sendAttemptsResponse(res, attempt, 'Invalid credentials');
+    }
+
+    // Refuse locked accounts before checking the password
+    if (user.isLocked) {
+      return sendLockedResponse(res, user.lockUntil);
     }
 
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
-      return res.status(400).json({ message: 'Invalid credentials' });
+      return sendFailedAttemptResponse(res, user, 'Invalid credentials');
     }
 
-    // Create token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
+    // Only reveal deactivation once the password is known to be correct
+    if (!user.isActive) {
+      return res.status(403).json({
+        message: 'Account has been deactivated. Please contact administrator.',
+        code: 'ACCOUNT_DEACTIVATED'
+      });
+    }
 
-    res.json({
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        department: user.department
-      }
+    // Accounts with two-factor enabled finish signing in at /login/2fa
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        twoFactorToken: issueTwoFactorChallenge(user)
+      });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Second login step for accounts with two-factor enabled
+router.post('/login/2fa', [
+  body('twoFactorToken').isString().notEmpty().withMessage('Sign-in token is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString(),
+  body().custom((value) => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error('Verification code is required');
+    }
+    return true;
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg, errors: errors.array() });
+    }
+
+    const expiredResponse = {
+      message: 'Your sign-in attempt has expired. Please login again.',
+      code: 'TWO_FACTOR_CHALLENGE_EXPIRED'
+    };
+
+    let decoded;
+    try {
+      decoded = verifyTwoFactorChallenge(req.body.twoFactorToken);
+    } catch (error) {
+      return res.status(401).json(expiredResponse);
+    }
+
+    const user = await User.findById(decoded.userId)
+      .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+    if (!user || !user.isActive || !user.twoFactor.enabled || (decoded.ver || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json(expiredResponse);
+    }
+
+    if (user.isLocked) {
+      return sendLockedResponse(res, user.lockUntil);
+    }
+
+    const result = verifyUserCode(user, {
+      code: req.body.code,
+      recoveryCode: req.body.recoveryCode
     });
+
+    if (!result.valid) {
+      return sendFailedAttemptResponse(res, user, 'Invalid verification code', 'INVALID_TWO_FACTOR_CODE');
+    }
+
+    // Persist the used time step or recovery code
+    await user.save();
+
+    const extra = result.method === 'recovery_code'
+      ? { recoveryCodesRemaining: result.recoveryCodesRemaining }
+      : {};
+
+    await completeLogin(user, req, res, extra);
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -114,8 +342,8 @@ router.post('/login', [
 router.get('/me', auth, async (req, res) => {
   try {
     const user = await User.findById(req.user._id)
-      .select('-password')
-      .populate('joinedClubs', 'name description category')
+      .select('-password -emailVerificationToken -passwordResetToken')
+      .populate('joinedClubs.club', 'name description category')
       .populate('eventsRegistered.event', 'title eventDate venue');
     
     res.json(user);
@@ -125,4 +353,557 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// Verify email address
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const user = await User.findByEmailVerificationToken(req.params.token);
+    if (!user) {
+      return res.status(400).json({
+        message: 'This verification link is invalid or has expired',
+        code: 'INVALID_VERIFICATION_TOKEN'
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.json({
+      message: 'Email verified successfully',
+      email: user.email
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Resend verification email
+router.post('/resend-verification', auth, resendVerificationLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    // Per-account cooldown on top of the per-IP limit
+    if (user.emailVerificationSentAt) {
+      const retryAfterMs = user.emailVerificationSentAt.getTime() + VERIFICATION_RESEND_COOLDOWN_MS - Date.now();
+      if (retryAfterMs > 0) {
+        return res.status(429).json({
+          message: 'Please wait before requesting another verification email',
+          retryAfter: Math.ceil(retryAfterMs / 1000)
+        });
+      }
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: `Verification email sent to ${user.email}` });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Request a password reset link
+router.post('/forgot-password', passwordResetLimiter, [
+  body('email').isEmail().withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Same response whether or not the account exists, so emails can't be probed
+    const genericResponse = {
+      message: 'If an account exists for that email, a password reset link has been sent.'
+    };
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+    if (!user || !user.isActive) {
+      return res.json(genericResponse);
+    }
+
+    const token = user.createPasswordResetToken();
+    await user.save();
+
+    try {
+      await queueEmail(user, 'passwordReset', { token });
+    } catch (error) {
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save();
+      throw error;
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reset password with a token from the reset email
+router.post('/reset-password/:token', [
+  passwordRules('password')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg, errors: errors.array() });
+    }
+
+    const user = await User.findByPasswordResetToken(req.params.token)
+      .select('+password +passwordHistory');
+    if (!user) {
+      return res.status(400).json({
+        message: 'This password reset link is invalid or has expired',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+
+    const { historySize } = getPasswordPolicy();
+    if (await user.isPasswordReused(req.body.password, historySize)) {
+      return res.status(400).json({
+        message: `You cannot reuse any of your last ${historySize} passwords`,
+        code: 'PASSWORD_REUSED'
+      });
+    }
+
+    // Single use: clear the token along with setting the new password.
+    // Saving the password also stamps passwordChangedAt, which revokes existing tokens.
+    user.setPassword(req.body.password, historySize);
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+
+    await revokeAllSessions(user._id, 'password_reset');
+
+    try {
+      await queueEmail(user, 'passwordChanged');
+    } catch (error) {
+      console.error('Password changed email error:', error.message);
+    }
+
+    res.json({ message: 'Password has been reset. Please sign in with your new password.' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get password requirements
+router.get('/password-policy', (req, res) => {
+  res.json(getPasswordPolicy());
+});
+
+// Change password
+router.put('/change-password', auth, [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  passwordRules('newPassword')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg, errors: errors.array() });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password +passwordHistory');
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    const { historySize } = getPasswordPolicy();
+    if (await user.isPasswordReused(newPassword, historySize)) {
+      return res.status(400).json({
+        message: `You cannot reuse any of your last ${historySize} passwords`,
+        code: 'PASSWORD_REUSED'
+      });
+    }
+
+    // Saving stamps passwordChangedAt, which revokes every token issued before now
+    user.setPassword(newPassword, historySize);
+    await user.save();
+
+    await revokeAllSessions(user._id, 'password_changed', req.sessionId);
+
+    try {
+      await queueEmail(user, 'passwordChanged');
+    } catch (error) {
+      console.error('Password changed email error:', error.message);
+    }
+
+    // New access token so this session stays signed in
+    res.json({
+      message: 'Password changed successfully. Your other sessions have been signed out.',
+      token: createAccessToken(user, req.sessionId)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Exchange a refresh token for new tokens
+router.post('/refresh', refreshLimiter, [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg, errors: errors.array() });
+    }
+
+    const result = await rotateSession(req.body.refreshToken, req);
+
+    if (result.error === 'REFRESH_TOKEN_REUSED') {
+      return res.status(401).json({
+        message: 'This session has been signed out for security reasons. Please login again.',
+        code: 'REFRESH_TOKEN_REUSED'
+      });
+    }
+
+    if (result.error) {
+      return res.status(401).json({
+        message: 'Session has expired. Please login again.',
+        code: 'INVALID_REFRESH_TOKEN'
+      });
+    }
+
+    if (!result.user.isActive) {
+      await result.session.revoke('account_deactivated');
+      return res.status(403).json({
+        message: 'Account has been deactivated. Please contact administrator.',
+        code: 'ACCOUNT_DEACTIVATED'
+      });
+    }
+
+    res.json({
+      token: result.accessToken,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Logout from this device
+router.post('/logout', async (req, res) => {
+  try {
+    if (req.body.refreshToken) {
+      await revokeSessionByToken(req.body.refreshToken, 'logout');
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Logout from all devices
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const result = await revokeAllSessions(req.user._id, 'logout_all');
+
+    res.json({
+      message: 'Logged out of all devices',
+      revokedCount: result.modifiedCount
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List active sessions
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        ipAddress: session.lastIpAddress || session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === String(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke a single session
+router.delete('/sessions/:id', auth, [
+  param('id').isMongoId().withMessage('Invalid session ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg, errors: errors.array() });
+    }
+
+    const session = await revokeSessionById(req.user._id, req.params.id, 'revoked_by_user');
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({
+      message: 'Session revoked',
+      current: session._id.toString() === String(req.sessionId)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get two-factor status
+router.get('/2fa', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      canEnroll: TWO_FACTOR_ROLES.includes(user.role),
+      required: await isTwoFactorRequired(user),
+      recoveryCodesRemaining: user.twoFactor.enabled
+        ? user.twoFactor.recoveryCodes.filter(entry => !entry.usedAt).length
+        : 0
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Start two-factor enrollment
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    if (!TWO_FACTOR_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ message: 'Two-factor authentication is available for teacher and admin accounts' });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    const otpauthUrl = buildOtpauthUrl(user, secret);
+
+    res.json({
+      secret,
+      otpauthUrl,
+      qrCode: await getQrCodeDataUrl(otpauthUrl)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Confirm enrollment with a code from the authenticator app
+router.post('/2fa/enable', auth, [
+  body('code').isString().notEmpty().withMessage('Verification code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg, errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        message: 'Invalid verification code',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    const { codes, hashed } = generateRecoveryCodes();
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = hashed;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Turn off two-factor authentication
+router.post('/2fa/disable', auth, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg, errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        message: 'Two-factor authentication is required for your role and cannot be turned off',
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    const result = verifyUserCode(user, {
+      code: req.body.code,
+      recoveryCode: req.body.recoveryCode
+    });
+    if (!result.valid) {
+      return res.status(400).json({
+        message: 'Invalid verification code',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace recovery codes
+router.post('/2fa/recovery-codes', auth, [
+  body('code').isString().notEmpty().withMessage('Verification code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg, errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id)
+      .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const result = verifyUserCode(user, { code: req.body.code });
+    if (!result.valid) {
+      return res.status(400).json({
+        message: 'Invalid verification code',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    const { codes, hashed } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashed;
+    await user.save();
+
+    res.json({
+      message: 'New recovery codes generated. Your old codes no longer work.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get roles that must use two-factor authentication
+router.get('/2fa/policy', auth, requirePermission('security.manage'), async (req, res) => {
+  try {
+    res.json({
+      requiredRoles: await getRequiredRoles(),
+      availableRoles: TWO_FACTOR_ROLES
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set roles that must use two-factor authentication
+router.put('/2fa/policy', auth, requirePermission('security.manage'), [
+  body('requiredRoles').isArray().withMessage('Required roles must be a list'),
+  body('requiredRoles.*').isIn(TWO_FACTOR_ROLES).withMessage('Two-factor can only be required for teacher and admin roles')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg, errors: errors.array() });
+    }
+
+    // Don't let an admin lock themselves out of the admin routes
+    if (req.body.requiredRoles.includes(req.user.role) && !req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        message: 'Enable two-factor authentication on your own account before requiring it for your role'
+      });
+    }
+
+    const policy = await setRequiredRoles([...new Set(req.body.requiredRoles)], req.user._id);
+
+    res.json({
+      message: 'Two-factor policy updated',
+      requiredRoles: policy.twoFactorRequiredRoles,
+      availableRoles: TWO_FACTOR_ROLES
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
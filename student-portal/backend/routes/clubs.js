@@ -1,17 +1,197 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const Club = require('../models/Club');
+const Event = require('../models/Event');
 const User = require('../models/User');
-const { auth, adminAuth } = require('../middleware/auth');
+const JoinRequest = require('../models/JoinRequest');
+const ClubInvitation = require('../models/ClubInvitation');
+const MembershipHistory = require('../models/MembershipHistory');
+const { auth, optionalAuth, requirePermission, requireClubPermission } = require('../middleware/auth');
+const { uploadResource, uploadAttachment, uploadImage, RESOURCE_FILE_TYPES } = require('../middleware/upload');
+const { createNotFoundError, createUnauthorizedError, createForbiddenError, createValidationError, createConflictError } = require('../middleware/errorHandler');
+const { CLUB_PERMISSIONS, hasPermission, hasClubPermission, getClubPermissions } = require('../services/permissionService');
+const { notifyClubAnnouncement, notifyClubRoleChange, notifyJoinRequest, notifyJoinRequestReviewed } = require('../services/notificationService');
+const { deleteClubCascade, getClubTimeline } = require('../services/clubService');
+const { joinClub, leaveClub, changeMemberRole, transferCoordinator, createClubWithCoordinator } = require('../services/membershipService');
+const { sendInvitation } = require('../services/invitationService');
+const { PRIVATE_PREFIX, getStorage, saveUpload, removeFiles } = require('../services/storageService');
+const { processImage, removeImages } = require('../services/imageService');
+const { syncClubMeetings } = require('../services/recurrenceService');
 
 const router = express.Router();
 
+// Assigning co-coordinators, archiving and transfers are coordinator-only (or
+// clubs.manage_any), so co-coordinators can't grant themselves more access
+const isClubCoordinator = async (user, club) => {
+  if (club.coordinator.toString() === user._id.toString()) return true;
+  return hasPermission(user, 'clubs.manage_any');
+};
+
+const userIdParam = param('userId')
+  .isMongoId()
+  .withMessage('User ID must be a valid MongoDB ID');
+
+const clubPermissionsValidation = [
+  body('permissions')
+    .isArray()
+    .withMessage('Permissions must be a list'),
+  body('permissions.*')
+    .isIn(Object.keys(CLUB_PERMISSIONS))
+    .withMessage(`Each permission must be one of: ${Object.keys(CLUB_PERMISSIONS).join(', ')}`),
+];
+
+// Staff with manage_members can always invite; members only when the club
+// allows member invites
+const canInviteToClub = async (user, club) => {
+  if (club.archivedAt) return false;
+  if (await hasClubPermission(user, club, 'manage_members')) return true;
+  return club.settings.allowMemberInvites && club.isMember(user._id);
+};
+
+const describeClubPermissions = (permissions) => (
+  permissions.length > 0 ? permissions.join(', ').replace(/_/g, ' ') : 'no permissions'
+);
+
+const ANNOUNCEMENT_AUDIENCES = ['all', 'members', 'leaders', 'coordinators'];
+
+// Announcement audiences the user can read; content managers see every audience
+const getAnnouncementAccess = async (user, club) => {
+  const canManage = await hasClubPermission(user, club, 'manage_content');
+  return {
+    canManage,
+    audiences: canManage ? ANNOUNCEMENT_AUDIENCES : club.getAnnouncementAudiences(user._id)
+  };
+};
+
+const formatAnnouncement = (announcement) => ({
+  ...announcement.toObject(),
+  isExpired: !!(announcement.expiresAt && announcement.expiresAt <= Date.now())
+});
+
+const announcementIdParam = param('announcementId')
+  .isMongoId()
+  .withMessage('Announcement ID must be a valid MongoDB ID');
+
+const resourceIdParam = param('resourceId')
+  .isMongoId()
+  .withMessage('Resource ID must be a valid MongoDB ID');
+
+const imageKindParam = param('kind')
+  .isIn(['logo', 'banner'])
+  .withMessage('Image must be logo or banner');
+
+// Logos are shown small, banners full width
+const IMAGE_DISPLAY_SIZES = { logo: 'medium', banner: 'large' };
+
+const MAX_GALLERY_IMAGES = 50;
+
+const ACHIEVEMENT_CATEGORIES = Club.schema.path('achievements').schema.path('category').enumValues;
+
+const MAX_ACHIEVEMENT_ATTACHMENTS = 10;
+
+const achievementIdParam = param('achievementId')
+  .isMongoId()
+  .withMessage('Achievement ID must be a valid MongoDB ID');
+
+const achievementFieldsValidation = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Description cannot exceed 2000 characters'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid date')
+    .custom(value => new Date(value) <= new Date())
+    .withMessage('Achievement date cannot be in the future'),
+  body('category')
+    .optional()
+    .isIn(ACHIEVEMENT_CATEGORIES)
+    .withMessage(`Category must be one of: ${ACHIEVEMENT_CATEGORIES.join(', ')}`),
+  body('event')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Event must be a valid MongoDB ID'),
+];
+
+// Achievements can only be linked to the club's own events
+const checkAchievementEvent = async (club, eventId) => {
+  if (eventId && !(await Event.exists({ _id: eventId, club: club._id }))) {
+    throw createValidationError('The linked event must belong to this club', 'event');
+  }
+};
+
+// Shape an achievement for responses; storage keys stay on the server
+const formatAchievement = (achievement) => {
+  const { attachments = [], ...fields } = achievement.toObject();
+
+  return {
+    ...fields,
+    attachments: attachments.map(({ file, ...attachment }) => ({
+      ...attachment,
+      ...(file && file.key && { size: file.size, mimeType: file.mimeType })
+    }))
+  };
+};
+
+// Tags arrive as an array or, from multipart forms, a comma-separated string
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+};
+
+const resourceFieldsValidation = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic must be true or false')
+    .toBoolean(),
+  body('tags')
+    .optional()
+    .customSanitizer(normalizeTags)
+    .custom(tags => tags.length <= 10 && tags.every(tag => tag.length <= 30))
+    .withMessage('Use at most 10 tags of up to 30 characters each'),
+  body('url')
+    .optional({ checkFalsy: true })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Link must be a valid http(s) URL'),
+];
+
+// Shape a resource for responses; storage keys stay on the server
+const formatResource = (club, resource) => {
+  const { file, ...fields } = resource.toObject();
+
+  if (!file || !file.key) {
+    return fields;
+  }
+
+  return {
+    ...fields,
+    file: {
+      originalName: file.originalName,
+      mimeType: file.mimeType,
+      size: file.size
+    },
+    downloadUrl: `/api/clubs/${club._id}/resources/${resource._id}/download`
+  };
+};
+
 // Get all clubs
 router.get('/', async (req, res) => {
   try {
-    const { category, search } = req.query;
+    const { category, search, includeArchived } = req.query;
     let query = { isActive: true };
 
+    if (includeArchived !== 'true') {
+      query.archivedAt = null;
+    }
+
     if (category) {
       query.category = category;
     }
@@ -24,6 +204,7 @@ router.get('/', async (req, res) => {
     }
 
     const clubs = await Club.find(query)
+      .select('-announcements')
       .populate('coordinator', 'name email')
       .populate('members.user', 'name email')
       .sort({ createdAt: -1 });
@@ -35,10 +216,132 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   GET /api/clubs/announcements/feed
+// @desc    Get current announcements from every club the user belongs to
+// @access  Private
+router.get('/announcements/feed', auth, [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 10;
+
+    const clubs = await Club.find({
+      isActive: true,
+      archivedAt: null,
+      $or: [
+        { members: { $elemMatch: { user: req.user._id, isActive: true } } },
+        { coordinator: req.user._id },
+        { 'coCoordinators.user': req.user._id }
+      ]
+    })
+      .select('name slug coordinator coCoordinators members announcements')
+      .populate('announcements.author', 'name');
+
+    const announcements = clubs
+      .flatMap(club => club.getVisibleAnnouncements(club.getAnnouncementAudiences(req.user._id))
+        .map(announcement => ({
+          ...formatAnnouncement(announcement),
+          club: { _id: club._id, name: club.name, slug: club.slug }
+        })))
+      .sort((a, b) => (
+        (b.isPinned - a.isPinned) ||
+        (new Date(b.createdAt) - new Date(a.createdAt))
+      ))
+      .slice(0, limit);
+
+    res.json({
+      success: true,
+      data: {
+        announcements
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/clubs/hall-of-fame
+// @desc    Achievements from every active club, filterable by category and year
+// @access  Public
+router.get('/hall-of-fame', [
+  query('category')
+    .optional()
+    .isIn(ACHIEVEMENT_CATEGORIES)
+    .withMessage('Invalid achievement category'),
+  query('year')
+    .optional()
+    .isInt({ min: 1900, max: 2100 })
+    .withMessage('Year must be a valid year'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { achievements, total, years } = await Club.getHallOfFame({
+      category: req.query.category,
+      year: req.query.year ? parseInt(req.query.year) : undefined,
+      page,
+      limit
+    });
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        achievements,
+        years,
+        categories: ACHIEVEMENT_CATEGORIES,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalAchievements: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get single club
 router.get('/:id', async (req, res) => {
   try {
     const club = await Club.findById(req.params.id)
+      .select('-announcements -resources -achievements')
       .populate('coordinator', 'name email department')
       .populate('members.user', 'name email department');
 
@@ -54,7 +357,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create club (Admin only)
-router.post('/', [auth, adminAuth], [
+router.post('/', [auth, requirePermission('clubs.create')], [
   body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   body('description').trim().isLength({ min: 10 }).withMessage('Description must be at least 10 characters'),
   body('category').isIn(['technical', 'cultural', 'sports', 'academic', 'social']).withMessage('Invalid category'),
@@ -75,21 +378,21 @@ router.post('/', [auth, adminAuth], [
       return res.status(400).json({ message: 'Coordinator must be a teacher or admin' });
     }
 
-    const club = new Club({
+    const club = await createClubWithCoordinator({
       name,
       description,
       category,
       coordinator,
       contactEmail,
       contactPhone,
-      meetingSchedule,
-      members: [{
-        user: coordinator,
-        role: 'coordinator'
-      }]
-    });
+      meetingSchedule
+    }, { performedBy: req.user._id });
+
+    // Generate meeting events when the club starts with a regular schedule
+    if (club.meetingSchedule && club.meetingSchedule.time) {
+      await syncClubMeetings(club);
+    }
 
-    await club.save();
     await club.populate('coordinator', 'name email');
 
     res.status(201).json(club);
@@ -99,38 +402,59 @@ router.post('/', [auth, adminAuth], [
   }
 });
 
-// Join club
-router.post('/:id/join', auth, async (req, res) => {
+// Join club, or ask to join when the club requires approval
+router.post('/:id/join', auth, requirePermission('clubs.join'), [
+  body('message').optional().trim().isLength({ max: 500 }).withMessage('Message cannot exceed 500 characters')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg, errors: errors.array() });
+    }
+
     const club = await Club.findById(req.params.id);
     if (!club) {
       return res.status(404).json({ message: 'Club not found' });
     }
 
-    // Check if already a member
-    const existingMember = club.members.find(
-      member => member.user.toString() === req.user._id.toString()
-    );
+    if (club.archivedAt) {
+      return res.status(400).json({ message: 'This club is archived and not accepting new members' });
+    }
 
-    if (existingMember) {
+    // Check if already a member
+    if (club.isMember(req.user._id)) {
       return res.status(400).json({ message: 'Already a member of this club' });
     }
 
-    // Add user to club members
-    club.members.push({
-      user: req.user._id,
-      role: 'member'
-    });
+    // Clubs that require approval get a join request for coordinators to review
+    if (club.settings.requireApproval) {
+      const existingRequest = await JoinRequest.findPending(club._id, req.user._id);
+      if (existingRequest) {
+        return res.status(400).json({ message: 'You already have a pending request to join this club' });
+      }
 
-    await club.save();
+      const joinRequest = await JoinRequest.create({
+        club: club._id,
+        user: req.user._id,
+        message: req.body.message
+      });
 
-    // Add club to user's joined clubs
-    await User.findByIdAndUpdate(req.user._id, {
-      $addToSet: { joinedClubs: club._id }
-    });
+      await notifyJoinRequest(club, req.user);
+
+      return res.status(202).json({
+        message: 'Join request sent. A coordinator will review it soon.',
+        status: 'pending',
+        joinRequest
+      });
+    }
+
+    await joinClub(club._id, req.user._id);
 
-    res.json({ message: 'Successfully joined the club' });
+    res.json({ message: 'Successfully joined the club', status: 'joined' });
   } catch (error) {
+    if (error.isCustomError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -144,23 +468,2367 @@ router.post('/:id/leave', auth, async (req, res) => {
       return res.status(404).json({ message: 'Club not found' });
     }
 
-    // Remove user from club members
-    club.members = club.members.filter(
-      member => member.user.toString() !== req.user._id.toString()
-    );
-
-    await club.save();
+    if (!club.isMember(req.user._id)) {
+      return res.status(400).json({ message: 'You are not a member of this club' });
+    }
 
-    // Remove club from user's joined clubs
-    await User.findByIdAndUpdate(req.user._id, {
-      $pull: { joinedClubs: club._id }
-    });
+    await leaveClub(club._id, req.user._id);
 
     res.json({ message: 'Successfully left the club' });
   } catch (error) {
+    if (error.isCustomError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Nested club fields that PUT /api/clubs/:id merges key by key
+const NESTED_UPDATES = {
+  contactInfo: ['email', 'phone', 'website', 'socialLinks'],
+  meetingSchedule: ['frequency', 'dayOfWeek', 'time', 'location', 'virtualMeetingLink', 'additionalInfo'],
+  requirements: ['eligibility', 'skills', 'prerequisites', 'minimumCommitment'],
+  settings: ['isPublic', 'requireApproval', 'allowMemberInvites', 'showMemberList', 'enableDiscussions', 'maxMembers'],
+};
+
+// @route   PUT /api/clubs/:id
+// @desc    Update club details; settings can only be changed by the coordinator
+// @access  Private (manage_content club permission)
+router.put('/:id', auth, requireClubPermission('manage_content'), [
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('description').optional().trim().isLength({ min: 10, max: 2000 }).withMessage('Description must be between 10 and 2000 characters'),
+  body('shortDescription').optional().trim().isLength({ max: 200 }).withMessage('Short description cannot exceed 200 characters'),
+  body('category').optional().isIn(Club.schema.path('category').enumValues).withMessage('Invalid category'),
+  body('tags').optional().isArray().withMessage('Tags must be a list'),
+  body('contactInfo').optional().isObject().withMessage('Contact info must be an object'),
+  body('contactInfo.email').optional().isEmail().withMessage('Please enter a valid email'),
+  body('meetingSchedule').optional().isObject().withMessage('Meeting schedule must be an object'),
+  body('meetingSchedule.time').optional({ checkFalsy: true }).matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Meeting time must be in HH:MM format'),
+  body('requirements').optional().isObject().withMessage('Requirements must be an object'),
+  body('settings').optional().isObject().withMessage('Settings must be an object'),
+  body('settings.maxMembers').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Maximum members must be a non-negative integer'),
+  body(['settings.isPublic', 'settings.requireApproval', 'settings.allowMemberInvites', 'settings.showMemberList', 'settings.enableDiscussions'])
+    .optional()
+    .isBoolean()
+    .withMessage('Club settings must be true or false')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Loaded by requireClubPermission
+    const club = req.club;
+
+    if (req.body.settings && !(await isClubCoordinator(req.user, club))) {
+      throw createForbiddenError('Only the club coordinator can change club settings');
+    }
+
+    if (req.body.settings?.maxMembers && req.body.settings.maxMembers < club.memberCount) {
+      throw createValidationError(`Maximum members cannot be below the current ${club.memberCount} members`, 'settings.maxMembers');
+    }
+
+    ['name', 'description', 'shortDescription', 'category', 'tags'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        club.set(field, req.body[field]);
+      }
+    });
+
+    Object.entries(NESTED_UPDATES).forEach(([group, fields]) => {
+      const updates = req.body[group];
+      if (!updates) return;
+
+      fields.forEach(field => {
+        if (updates[field] !== undefined) {
+          club.set(`${group}.${field}`, updates[field]);
+        }
+      });
+    });
+
+    const meetingScheduleChanged = club.isModified('meetingSchedule');
+
+    await club.save();
+
+    // Regenerate the club's meeting events to match the new schedule
+    if (meetingScheduleChanged) {
+      await syncClubMeetings(club);
+    }
+
+    await club.populate('coordinator', 'name email department');
+
+    res.json({
+      success: true,
+      message: 'Club updated successfully',
+      data: {
+        club
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/clubs/:id
+// @desc    Permanently delete a club with its events, feedback and memberships
+// @access  Private (clubs.delete permission)
+router.delete('/:id', auth, requirePermission('clubs.delete'), async (req, res, next) => {
+  try {
+    const club = await Club.findById(req.params.id);
+    if (!club) {
+      throw createNotFoundError('Club');
+    }
+
+    const deleted = await deleteClubCascade(club);
+
+    res.json({
+      success: true,
+      message: deleted.filesNotRemoved > 0
+        ? `Club deleted, but ${deleted.filesNotRemoved} stored files could not be removed`
+        : 'Club deleted successfully',
+      data: {
+        deleted
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/clubs/:id/archive
+// @desc    Archive a club; archived clubs are hidden and accept no new members or events
+// @access  Private (Club coordinator or clubs.manage_any permission)
+router.post('/:id/archive', auth, [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const club = await Club.findById(req.params.id);
+    if (!club) {
+      throw createNotFoundError('Club');
+    }
+
+    if (!(await isClubCoordinator(req.user, club))) {
+      throw createForbiddenError('Only the club coordinator can archive this club');
+    }
+
+    if (club.archivedAt) {
+      throw createConflictError('Club is already archived');
+    }
+
+    club.archivedAt = new Date();
+    club.archivedBy = req.user._id;
+    club.archiveReason = req.body.reason;
+
+    await club.save();
+
+    res.json({
+      success: true,
+      message: 'Club archived successfully',
+      data: {
+        club: {
+          id: club._id,
+          name: club.name,
+          status: club.status,
+          archivedAt: club.archivedAt,
+          archiveReason: club.archiveReason
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/clubs/:id/unarchive
+// @desc    Restore an archived club
+// @access  Private (Club coordinator or clubs.manage_any permission)
+router.post('/:id/unarchive', auth, async (req, res, next) => {
+  try {
+    const club = await Club.findById(req.params.id);
+    if (!club) {
+      throw createNotFoundError('Club');
+    }
+
+    if (!(await isClubCoordinator(req.user, club))) {
+      throw createForbiddenError('Only the club coordinator can restore this club');
+    }
+
+    if (!club.archivedAt) {
+      throw createConflictError('Club is not archived');
+    }
+
+    club.archivedAt = undefined;
+    club.archivedBy = undefined;
+    club.archiveReason = undefined;
+
+    await club.save();
+
+    res.json({
+      success: true,
+      message: 'Club restored successfully',
+      data: {
+        club: {
+          id: club._id,
+          name: club.name,
+          status: club.status
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/clubs/:id/verify
+// @desc    Mark a club as verified or unverified
+// @access  Private (clubs.verify permission)
+router.put('/:id/verify', auth, requirePermission('clubs.verify'), [
+  body('isVerified').optional().isBoolean().withMessage('isVerified must be true or false')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const club = await Club.findById(req.params.id);
+    if (!club) {
+      throw createNotFoundError('Club');
+    }
+
+    club.isVerified = req.body.isVerified !== undefined ? req.body.isVerified : true;
+    await club.save();
+
+    res.json({
+      success: true,
+      message: club.isVerified ? 'Club verified successfully' : 'Club verification removed',
+      data: {
+        club: {
+          id: club._id,
+          name: club.name,
+          isVerified: club.isVerified,
+          status: club.status
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/clubs/:id/transfer-coordinator
+// @desc    Hand the club to another teacher or admin
+// @access  Private (Club coordinator or clubs.manage_any permission)
+router.post('/:id/transfer-coordinator', auth, [
+  body('userId')
+    .isMongoId()
+    .withMessage('User ID must be a valid MongoDB ID'),
+  body('keepAsCoCoordinator')
+    .optional()
+    .isBoolean()
+    .withMessage('keepAsCoCoordinator must be true or false'),
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be a list'),
+  body('permissions.*')
+    .isIn(Object.keys(CLUB_PERMISSIONS))
+    .withMessage(`Each permission must be one of: ${Object.keys(CLUB_PERMISSIONS).join(', ')}`),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const club = await Club.findById(req.params.id);
+    if (!club) {
+      throw createNotFoundError('Club');
+    }
+
+    if (!(await isClubCoordinator(req.user, club))) {
+      throw createForbiddenError('Only the club coordinator can transfer this club');
+    }
+
+    const { userId, keepAsCoCoordinator = false } = req.body;
+
+    if (club.coordinator.toString() === userId) {
+      throw createValidationError('This user is already the coordinator', 'userId');
+    }
+
+    const newCoordinator = await User.findById(userId).select('name role isActive');
+    if (!newCoordinator || !newCoordinator.isActive) {
+      throw createNotFoundError('User');
+    }
+
+    if (newCoordinator.role !== 'teacher' && newCoordinator.role !== 'admin') {
+      throw createValidationError('Coordinator must be a teacher or admin', 'userId');
+    }
+
+    const { club: updatedClub, previousCoordinatorId } = await transferCoordinator(club._id, newCoordinator._id, {
+      keepPreviousAsCoCoordinator: keepAsCoCoordinator,
+      clubPermissions: [...new Set(req.body.permissions || Object.keys(CLUB_PERMISSIONS))],
+      performedBy: req.user._id
+    });
+
+    await notifyClubRoleChange(
+      updatedClub,
+      newCoordinator._id,
+      `You are now the coordinator of ${club.name}.`,
+      req.user._id
+    );
+    await notifyClubRoleChange(
+      updatedClub,
+      previousCoordinatorId,
+      keepAsCoCoordinator
+        ? `${newCoordinator.name} is now the coordinator of ${club.name}. You stay on as a co-coordinator.`
+        : `${newCoordinator.name} is now the coordinator of ${club.name}.`,
+      req.user._id
+    );
+
+    await updatedClub.populate('coordinator', 'name email department');
+
+    res.json({
+      success: true,
+      message: 'Coordinator transferred successfully',
+      data: {
+        club: {
+          id: updatedClub._id,
+          name: updatedClub.name,
+          coordinator: updatedClub.coordinator,
+          previousCoordinator: previousCoordinatorId
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/clubs/:id/announcements
+// @desc    Post a club announcement
+// @access  Private (manage_content club permission)
+router.post('/:id/announcements', auth, requireClubPermission('manage_content'), [
+  body('title').trim().isLength({ min: 3, max: 200 }).withMessage('Title must be between 3 and 200 characters'),
+  body('content').trim().isLength({ min: 10, max: 5000 }).withMessage('Content must be between 10 and 5000 characters'),
+  body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']).withMessage('Invalid priority'),
+  body('targetAudience').optional().isIn(ANNOUNCEMENT_AUDIENCES).withMessage('Invalid target audience'),
+  body('expiresAt').optional().isISO8601().withMessage('Expiry must be a valid date'),
+  body('isPinned').optional().isBoolean().withMessage('isPinned must be true or false')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Loaded by requireClubPermission
+    const club = req.club;
+
+    const { title, content, priority, targetAudience, expiresAt, isPinned = false } = req.body;
+
+    if (isPinned && priority !== 'urgent') {
+      throw createValidationError('Only urgent announcements can be pinned', 'isPinned');
+    }
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      throw createValidationError('Expiry must be in the future', 'expiresAt');
+    }
+
+    await club.addAnnouncement({
+      title,
+      content,
+      author: req.user._id,
+      priority,
+      targetAudience,
+      isPinned,
+      pinnedAt: isPinned ? new Date() : undefined,
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined
+    });
+
+    // addAnnouncement unshifts, so the new announcement is first
+    const announcement = club.announcements[0];
+
+    await notifyClubAnnouncement(club, announcement);
+
+    res.status(201).json({
+      success: true,
+      message: 'Announcement posted successfully',
+      data: {
+        announcement
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/clubs/:id/announcements
+// @desc    Get the club announcements meant for the current user
+// @access  Private
+router.get('/:id/announcements', auth, [
+  query('includeExpired')
+    .optional()
+    .isBoolean()
+    .withMessage('includeExpired must be true or false')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const club = await Club.findById(req.params.id)
+      .select('name coordinator coCoordinators members announcements')
+      .populate('announcements.author', 'name');
+
+    if (!club) {
+      throw createNotFoundError('Club');
+    }
+
+    const { canManage, audiences } = await getAnnouncementAccess(req.user, club);
+
+    // Only content managers can look back at expired and hidden announcements
+    const includeExpired = canManage && req.query.includeExpired === 'true';
+
+    res.json({
+      success: true,
+      data: {
+        announcements: club.getVisibleAnnouncements(audiences, { includeExpired }).map(formatAnnouncement),
+        canManage
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/clubs/:id/announcements/:announcementId
+// @desc    Get a single announcement
+// @access  Private (Announcement audience)
+router.get('/:id/announcements/:announcementId', auth, [
+  announcementIdParam
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const club = await Club.findById(req.params.id)
+      .select('name coordinator coCoordinators members announcements')
+      .populate('announcements.author', 'name');
+
+    if (!club) {
+      throw createNotFoundError('Club');
+    }
+
+    const { canManage, audiences } = await getAnnouncementAccess(req.user, club);
+    const announcement = club.getVisibleAnnouncements(audiences, { includeExpired: canManage })
+      .find(item => item._id.toString() === req.params.announcementId);
+
+    // Announcements outside the user's audience are reported as missing
+    if (!announcement) {
+      throw createNotFoundError('Announcement');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        announcement: formatAnnouncement(announcement)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/clubs/:id/announcements/:announcementId
+// @desc    Update an announcement
+// @access  Private (manage_content club permission)
+router.put('/:id/announcements/:announcementId', auth, requireClubPermission('manage_content'), [
+  announcementIdParam,
+  body('title').optional().trim().isLength({ min: 3, max: 200 }).withMessage('Title must be between 3 and 200 characters'),
+  body('content').optional().trim().isLength({ min: 10, max: 5000 }).withMessage('Content must be between 10 and 5000 characters'),
+  body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']).withMessage('Invalid priority'),
+  body('targetAudience').optional().isIn(ANNOUNCEMENT_AUDIENCES).withMessage('Invalid target audience'),
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Expiry must be a valid date'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Loaded by requireClubPermission
+    const club = req.club;
+    const announcement = club.announcements.id(req.params.announcementId);
+
+    if (!announcement) {
+      throw createNotFoundError('Announcement');
+    }
+
+    ['title', 'content', 'priority', 'targetAudience', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        announcement[field] = req.body[field];
+      }
+    });
+
+    // A null expiry clears it
+    if (req.body.expiresAt !== undefined) {
+      announcement.expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : undefined;
+    }
+
+    // Pins only hold while the announcement stays urgent
+    if (announcement.isPinned && announcement.priority !== 'urgent') {
+      announcement.isPinned = false;
+      announcement.pinnedAt = undefined;
+    }
+
+    announcement.updatedAt = new Date();
+    await club.save();
+
+    res.json({
+      success: true,
+      message: 'Announcement updated successfully',
+      data: {
+        announcement: formatAnnouncement(announcement)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/clubs/:id/announcements/:announcementId/pin
+// @desc    Pin or unpin an urgent announcement
+// @access  Private (manage_content club permission)
+router.put('/:id/announcements/:announcementId/pin', auth, requireClubPermission('manage_content'), [
+  announcementIdParam,
+  body('pinned').isBoolean().withMessage('pinned must be true or false')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Loaded by requireClubPermission
+    const club = req.club;
+    const announcement = club.announcements.id(req.params.announcementId);
+
+    if (!announcement) {
+      throw createNotFoundError('Announcement');
+    }
+
+    const pinned = req.body.pinned === true || req.body.pinned === 'true';
+
+    if (pinned && announcement.priority !== 'urgent') {
+      throw createValidationError('Only urgent announcements can be pinned', 'pinned');
+    }
+
+    announcement.isPinned = pinned;
+    announcement.pinnedAt = pinned ? new Date() : undefined;
+    await club.save();
+
+    res.json({
+      success: true,
+      message: pinned ? 'Announcement pinned' : 'Announcement unpinned',
+      data: {
+        announcement: formatAnnouncement(announcement)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/clubs/:id/announcements/:announcementId
+// @desc    Delete an announcement
+// @access  Private (manage_content club permission)
+router.delete('/:id/announcements/:announcementId', auth, requireClubPermission('manage_content'), [
+  announcementIdParam
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Loaded by requireClubPermission
+    const club = req.club;
+    const announcement = club.announcements.id(req.params.announcementId);
+
+    if (!announcement) {
+      throw createNotFoundError('Announcement');
+    }
+
+    announcement.deleteOne();
+    await club.save();
+
+    res.json({
+      success: true,
+      message: 'Announcement deleted successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/clubs/:id/images/:kind
+// @desc    Upload the club logo or banner (multipart field "image"), replacing the current one
+// @access  Private (manage_content club permission)
+router.put('/:id/images/:kind', auth, requireClubPermission('manage_content'), uploadImage, [
+  imageKindParam
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      throw createValidationError('Choose an image to upload', 'image');
+    }
+
+    // Loaded by requireClubPermission
+    const club = req.club;
+    const { kind } = req.params;
+    const previous = club.images[`${kind}File`];
+
+    const image = await processImage(req.file, `images/clubs/${club._id}/${kind}`, kind === 'logo' ? 'logo' : 'banner');
+
+    club.images[kind] = image.variants[IMAGE_DISPLAY_SIZES[kind]].url;
+    club.images[`${kind}File`] = image;
+
+    try {
+      await club.save();
+    } catch (error) {
+      await removeImages([image]);
+      throw error;
+    }
+
+    await removeImages([previous]);
+
+    res.json({
+      success: true,
+      message: `Club ${kind} updated successfully`,
+      data: {
+        url: club.images[kind],
+        image
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/clubs/:id/images/:kind
+// @desc    Remove the club logo or banner
+// @access  Private (manage_content club permission)
+router.delete('/:id/images/:kind', auth, requireClubPermission('manage_content'), [
+  imageKindParam
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Loaded by requireClubPermission
+    const club = req.club;
+    const { kind } = req.params;
+    const previous = club.images[`${kind}File`];
+
+    club.images[kind] = '';
+    club.images[`${kind}File`] = undefined;
+    await club.save();
+
+    await removeImages([previous]);
+
+    res.json({
+      success: true,
+      message: `Club ${kind} removed successfully`
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/clubs/:id/gallery
+// @desc    Add an image to the club gallery (multipart field "image")
+// @access  Private (manage_content club permission)
+router.post('/:id/gallery', auth, requireClubPermission('manage_content'), uploadImage, [
+  body('caption')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Caption cannot exceed 200 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      throw createValidationError('Choose an image to upload', 'image');
+    }
+
+    // Loaded by requireClubPermission
+    const club = req.club;
+
+    if (club.images.gallery.length >= MAX_GALLERY_IMAGES) {
+      throw createValidationError(`The gallery is limited to ${MAX_GALLERY_IMAGES} images`, 'image');
+    }
+
+    const image = await processImage(req.file, `images/clubs/${club._id}/gallery`, 'gallery');
+
+    club.images.gallery.push({
+      url: image.variants.large.url,
+      caption: req.body.caption,
+      file: image,
+      uploadedBy: req.user._id
+    });
+
+    try {
+      await club.save();
+    } catch (error) {
+      await removeImages([image]);
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Image added to the gallery',
+      data: {
+        image: club.images.gallery[club.images.gallery.length - 1]
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/clubs/:id/gallery/:imageId
+// @desc    Remove an image from the club gallery
+// @access  Private (manage_content club permission)
+router.delete('/:id/gallery/:imageId', auth, requireClubPermission('manage_content'), [
+  param('imageId')
+    .isMongoId()
+    .withMessage('Image ID must be a valid MongoDB ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Loaded by requireClubPermission
+    const club = req.club;
+    const item = club.images.gallery.id(req.params.imageId);
+
+    if (!item) {
+      throw createNotFoundError('Image');
+    }
+
+    const previous = item.file;
+
+    item.deleteOne();
+    await club.save();
+    await removeImages([previous]);
+
+    res.json({
+      success: true,
+      message: 'Image removed from the gallery'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/clubs/:id/achievements
+// @desc    List the club's achievements, newest first
+// @access  Public
+router.get('/:id/achievements', [
+  query('category')
+    .optional()
+    .isIn(ACHIEVEMENT_CATEGORIES)
+    .withMessage('Invalid achievement category'),
+  query('year')
+    .optional()
+    .isInt({ min: 1900, max: 2100 })
+    .withMessage('Year must be a valid year')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const club = await Club.findById(req.params.id)
+      .select('name achievements')
+      .populate('achievements.event', 'title slug eventDate');
+
+    if (!club) {
+      throw createNotFoundError('Club');
+    }
+
+    const { category } = req.query;
+    const year = req.query.year ? parseInt(req.query.year) : null;
+
+    const achievements = club.achievements
+      .filter(achievement => !category || achievement.category === category)
+      .filter(achievement => !year || (achievement.date && achievement.date.getFullYear() === year))
+      .sort((a, b) => (b.date || 0) - (a.date || 0));
+
+    res.json({
+      success: true,
+      data: {
+        achievements: achievements.map(formatAchievement)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/clubs/:id/timeline
+// @desc    Club history (founding, achievements and past events) grouped by year
+// @access  Public
+router.get('/:id/timeline', async (req, res, next) => {
+  try {
+    const club = await Club.findById(req.params.id)
+      .select('name establishedAt achievements')
+      .populate('achievements.event', 'title slug eventDate');
+
+    if (!club) {
+      throw createNotFoundError('Club');
+    }
+
+    const timeline = await getClubTimeline(club);
+
+    res.json({
+      success: true,
+      data: {
+        timeline
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/clubs/:id/achievements
+// @desc    Record a club achievement, optionally linked to the event where it was earned
+// @access  Private (manage_content club permission)
+router.post('/:id/achievements', auth, requireClubPermission('manage_content'), [
+  body('title')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Title must be between 2 and 200 characters'),
+  ...achievementFieldsValidation
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Loaded by requireClubPermission
+    const club = req.club;
+    const { title, description, date, category, event } = req.body;
+
+    await checkAchievementEvent(club, event);
+
+    club.achievements.push({
+      title,
+      description,
+      date: date ? new Date(date) : new Date(),
+      category,
+      event: event || undefined,
+      createdBy: req.user._id
+    });
+    await club.save();
+
+    const achievement = club.achievements[club.achievements.length - 1];
+    await club.populate('achievements.event', 'title slug eventDate');
+
+    res.status(201).json({
+      success: true,
+      message: 'Achievement added successfully',
+      data: {
+        achievement: formatAchievement(achievement)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/clubs/:id/achievements/:achievementId
+// @desc    Update an achievement; pass event: null to unlink its event
+// @access  Private (manage_content club permission)
+router.put('/:id/achievements/:achievementId', auth, requireClubPermission('manage_content'), [
+  achievementIdParam,
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Title must be between 2 and 200 characters'),
+  ...achievementFieldsValidation
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Loaded by requireClubPermission
+    const club = req.club;
+    const achievement = club.achievements.id(req.params.achievementId);
+
+    if (!achievement) {
+      throw createNotFoundError('Achievement');
+    }
+
+    await checkAchievementEvent(club, req.body.event);
+
+    ['title', 'description', 'category'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        achievement[field] = req.body[field];
+      }
+    });
+    if (req.body.date !== undefined) {
+      achievement.date = new Date(req.body.date);
+    }
+    if (req.body.event !== undefined) {
+      achievement.event = req.body.event || undefined;
+    }
+    achievement.updatedAt = new Date();
+
+    await club.save();
+    await club.populate('achievements.event', 'title slug eventDate');
+
+    res.json({
+      success: true,
+      message: 'Achievement updated successfully',
+      data: {
+        achievement: formatAchievement(achievement)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/clubs/:id/achievements/:achievementId
+// @desc    Delete an achievement and its uploaded attachments
+// @access  Private (manage_content club permission)
+router.delete('/:id/achievements/:achievementId', auth, requireClubPermission('manage_content'), [
+  achievementIdParam
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Loaded by requireClubPermission
+    const club = req.club;
+    const achievement = club.achievements.id(req.params.achievementId);
+
+    if (!achievement) {
+      throw createNotFoundError('Achievement');
+    }
+
+    const fileKeys = achievement.attachments.map(attachment => attachment.file && attachment.file.key);
+
+    achievement.deleteOne();
+    await club.save();
+    await removeFiles(fileKeys);
+
+    res.json({
+      success: true,
+      message: 'Achievement deleted successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/clubs/:id/achievements/:achievementId/attachments
+// @desc    Attach a file (multipart field "file") or a link to an achievement
+// @access  Private (manage_content club permission)
+router.post('/:id/achievements/:achievementId/attachments', auth, requireClubPermission('manage_content'), uploadAttachment, [
+  achievementIdParam,
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Name cannot exceed 200 characters'),
+  body('url')
+    .optional({ checkFalsy: true })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Link must be a valid http(s) URL')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Loaded by requireClubPermission
+    const club = req.club;
+    const achievement = club.achievements.id(req.params.achievementId);
+
+    if (!achievement) {
+      throw createNotFoundError('Achievement');
+    }
+
+    const { name, url } = req.body;
+
+    if (!req.file && !url) {
+      throw createValidationError('Upload a file or provide a link', 'file');
+    }
+
+    if (req.file && url) {
+      throw createValidationError('Provide either a file or a link, not both', 'url');
+    }
+
+    if (achievement.attachments.length >= MAX_ACHIEVEMENT_ATTACHMENTS) {
+      throw createValidationError(`An achievement can have at most ${MAX_ACHIEVEMENT_ATTACHMENTS} attachments`, 'file');
+    }
+
+    let attachment;
+    if (req.file) {
+      // Achievements are showcased publicly, so attachments are stored publicly
+      const file = await saveUpload(req.file, `files/clubs/${club._id}/achievements`);
+      attachment = {
+        name: name || file.originalName,
+        url: getStorage().getPublicUrl(file.key),
+        type: RESOURCE_FILE_TYPES[req.file.mimetype].resourceType,
+        file
+      };
+    } else {
+      attachment = { name: name || url, url, type: 'link' };
+    }
+
+    achievement.attachments.push(attachment);
+    achievement.updatedAt = new Date();
+
+    try {
+      await club.save();
+    } catch (error) {
+      if (attachment.file) {
+        await removeFiles([attachment.file.key]);
+      }
+      throw error;
+    }
+
+    await club.populate('achievements.event', 'title slug eventDate');
+
+    res.status(201).json({
+      success: true,
+      message: 'Attachment added successfully',
+      data: {
+        achievement: formatAchievement(achievement)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/clubs/:id/achievements/:achievementId/attachments/:attachmentId
+// @desc    Remove an attachment from an achievement
+// @access  Private (manage_content club permission)
+router.delete('/:id/achievements/:achievementId/attachments/:attachmentId', auth, requireClubPermission('manage_content'), [
+  achievementIdParam,
+  param('attachmentId')
+    .isMongoId()
+    .withMessage('Attachment ID must be a valid MongoDB ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Loaded by requireClubPermission
+    const club = req.club;
+    const achievement = club.achievements.id(req.params.achievementId);
+    const attachment = achievement && achievement.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      throw createNotFoundError('Attachment');
+    }
+
+    const fileKey = attachment.file && attachment.file.key;
+
+    attachment.deleteOne();
+    achievement.updatedAt = new Date();
+    await club.save();
+    await removeFiles([fileKey]);
+
+    res.json({
+      success: true,
+      message: 'Attachment removed successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/clubs/:id/resources
+// @desc    Search the club's resource library; members-only items need membership
+// @access  Public (members-only resources need club membership)
+router.get('/:id/resources', optionalAuth, [
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot exceed 100 characters'),
+  query('tag')
+    .optional()
+    .trim(),
+  query('type')
+    .optional()
+    .isIn(['document', 'link', 'video', 'image', 'presentation'])
+    .withMessage('Invalid resource type')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const club = await Club.findById(req.params.id)
+      .select('name coordinator coCoordinators members resources')
+      .populate('resources.uploadedBy', 'name');
+
+    if (!club) {
+      throw createNotFoundError('Club');
+    }
+
+    const userId = req.user ? req.user._id : null;
+    const canManage = req.user ? await hasClubPermission(req.user, club, 'manage_content') : false;
+    const canSee = resource => canManage || club.canAccessResource(resource, userId);
+
+    const { search, tag, type } = req.query;
+    const resources = club.searchResources({ search, tag, type }).filter(canSee);
+    const tags = [...new Set(club.resources.filter(canSee).flatMap(resource => resource.tags))].sort();
+
+    res.json({
+      success: true,
+      data: {
+        resources: resources.map(resource => formatResource(club, resource)),
+        tags,
+        canManage
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/clubs/:id/resources
+// @desc    Add a resource by uploading a file (multipart field "file") or linking a URL
+// @access  Private (manage_content club permission)
+router.post('/:id/resources', auth, requireClubPermission('manage_content'), uploadResource, [
+  body('title')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Title must be between 2 and 200 characters'),
+  body('type')
+    .optional()
+    .isIn(['document', 'link', 'video', 'image', 'presentation'])
+    .withMessage('Invalid resource type'),
+  ...resourceFieldsValidation
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Loaded by requireClubPermission
+    const club = req.club;
+    const { title, description, isPublic = false, tags = [], url, type } = req.body;
+
+    if (!req.file && !url) {
+      throw createValidationError('Upload a file or provide a link', 'file');
+    }
+
+    if (req.file && url) {
+      throw createValidationError('Provide either a file or a link, not both', 'url');
+    }
+
+    const resourceData = {
+      title,
+      description,
+      isPublic,
+      tags,
+      uploadedBy: req.user._id
+    };
+
+    if (req.file) {
+      resourceData.type = RESOURCE_FILE_TYPES[req.file.mimetype].resourceType;
+      resourceData.file = await saveUpload(req.file, `${PRIVATE_PREFIX}/clubs/${club._id}/resources`);
+    } else {
+      resourceData.type = type || 'link';
+      resourceData.url = url;
+    }
+
+    try {
+      await club.addResource(resourceData);
+    } catch (error) {
+      // Don't leave the stored file behind when the resource can't be saved
+      if (resourceData.file) {
+        await removeFiles([resourceData.file.key]);
+      }
+      throw error;
+    }
+
+    const resource = club.resources[club.resources.length - 1];
+
+    res.status(201).json({
+      success: true,
+      message: 'Resource added successfully',
+      data: {
+        resource: formatResource(club, resource)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/clubs/:id/resources/:resourceId
+// @desc    Update a resource's details, visibility, tags or link
+// @access  Private (manage_content club permission)
+router.put('/:id/resources/:resourceId', auth, requireClubPermission('manage_content'), [
+  resourceIdParam,
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Title must be between 2 and 200 characters'),
+  ...resourceFieldsValidation
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Loaded by requireClubPermission
+    const club = req.club;
+    const resource = club.resources.id(req.params.resourceId);
+
+    if (!resource) {
+      throw createNotFoundError('Resource');
+    }
+
+    if (req.body.url && resource.file && resource.file.key) {
+      throw createValidationError('Uploaded files cannot be changed into links', 'url');
+    }
+
+    ['title', 'description', 'isPublic', 'tags', 'url'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        resource[field] = req.body[field];
+      }
+    });
+    resource.updatedAt = new Date();
+
+    await club.save();
+
+    res.json({
+      success: true,
+      message: 'Resource updated successfully',
+      data: {
+        resource: formatResource(club, resource)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/clubs/:id/resources/:resourceId
+// @desc    Delete a resource and its stored file
+// @access  Private (manage_content club permission)
+router.delete('/:id/resources/:resourceId', auth, requireClubPermission('manage_content'), [
+  resourceIdParam
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Loaded by requireClubPermission
+    const club = req.club;
+    const resource = club.resources.id(req.params.resourceId);
+
+    if (!resource) {
+      throw createNotFoundError('Resource');
+    }
+
+    const fileKey = resource.file && resource.file.key;
+
+    resource.deleteOne();
+    await club.save();
+    await removeFiles([fileKey]);
+
+    res.json({
+      success: true,
+      message: 'Resource deleted successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/clubs/:id/resources/:resourceId/download
+// @desc    Download an uploaded resource file
+// @access  Public (members-only resources need club membership)
+router.get('/:id/resources/:resourceId/download', optionalAuth, [
+  resourceIdParam
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const club = await Club.findById(req.params.id)
+      .select('coordinator coCoordinators members resources');
+
+    if (!club) {
+      throw createNotFoundError('Club');
+    }
+
+    const resource = club.resources.id(req.params.resourceId);
+    if (!resource) {
+      throw createNotFoundError('Resource');
+    }
+
+    if (!club.canAccessResource(resource, req.user ? req.user._id : null)) {
+      if (!req.user) {
+        throw createUnauthorizedError('Sign in as a club member to download this resource');
+      }
+      if (!(await hasClubPermission(req.user, club, 'manage_content'))) {
+        throw createForbiddenError('This resource is only available to club members');
+      }
+    }
+
+    // Links have nothing stored to download
+    if (!resource.file || !resource.file.key) {
+      return res.redirect(resource.url);
+    }
+
+    const storage = getStorage();
+    if (!(await storage.exists(resource.file.key))) {
+      throw createNotFoundError('File');
+    }
+
+    await Club.updateOne(
+      { _id: club._id, 'resources._id': resource._id },
+      { $inc: { 'resources.$.downloadCount': 1 } }
+    );
+
+    const fileName = resource.file.originalName || 'download';
+    const stream = await storage.createReadStream(resource.file.key);
+
+    res.setHeader('Content-Type', resource.file.mimeType || 'application/octet-stream');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="${fileName.replace(/[^\w.-]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(fileName)}`
+    );
+    if (resource.file.size) {
+      res.setHeader('Content-Length', resource.file.size);
+    }
+
+    stream.on('error', next);
+    stream.pipe(res);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/clubs/:id/my-membership
+// @desc    Get the current user's membership, latest join request and club permissions
+// @access  Private
+router.get('/:id/my-membership', auth, async (req, res, next) => {
+  try {
+    const club = await Club.findById(req.params.id);
+    if (!club) {
+      throw createNotFoundError('Club');
+    }
+
+    const member = club.getMember(req.user._id);
+    const joinRequest = await JoinRequest.findOne({ club: club._id, user: req.user._id })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        isMember: !!member,
+        role: member ? member.role : null,
+        joinedAt: member ? member.joinedAt : null,
+        joinRequest,
+        clubPermissions: await getClubPermissions(req.user, club),
+        canInvite: await canInviteToClub(req.user, club)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/clubs/:id/join-request
+// @desc    Withdraw the current user's pending join request
+// @access  Private
+router.delete('/:id/join-request', auth, async (req, res, next) => {
+  try {
+    const joinRequest = await JoinRequest.findPending(req.params.id, req.user._id);
+    if (!joinRequest) {
+      throw createNotFoundError('Pending join request');
+    }
+
+    joinRequest.status = 'withdrawn';
+    await joinRequest.save();
+
+    res.json({
+      success: true,
+      message: 'Join request withdrawn',
+      data: {
+        joinRequest
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/clubs/:id/join-requests
+// @desc    Get join requests for a club, pending ones by default
+// @access  Private (manage_members club permission)
+router.get('/:id/join-requests', auth, requireClubPermission('manage_members'), [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected', 'withdrawn', 'all'])
+    .withMessage('Invalid status')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status = 'pending' } = req.query;
+    const filter = { club: req.club._id };
+
+    if (status !== 'all') {
+      filter.status = status;
+    }
+
+    const joinRequests = await JoinRequest.find(filter)
+      .populate('user', 'name email department studentId profilePicture')
+      .populate('reviewedBy', 'name')
+      .sort({ createdAt: status === 'pending' ? 1 : -1 });
+
+    res.json({
+      success: true,
+      data: {
+        joinRequests,
+        capacity: {
+          memberCount: req.club.memberCount,
+          maxMembers: req.club.settings.maxMembers || null
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+const reviewValidation = [
+  param('requestId')
+    .isMongoId()
+    .withMessage('Request ID must be a valid MongoDB ID'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+];
+
+// Find a pending join request for the club loaded by requireClubPermission
+const findPendingRequest = async (club, requestId) => {
+  const joinRequest = await JoinRequest.findOne({ _id: requestId, club: club._id });
+
+  if (!joinRequest) {
+    throw createNotFoundError('Join request');
+  }
+
+  if (joinRequest.status !== 'pending') {
+    throw createConflictError(`Join request is already ${joinRequest.status}`);
+  }
+
+  return joinRequest;
+};
+
+// @route   POST /api/clubs/:id/join-requests/:requestId/approve
+// @desc    Approve a join request and add the applicant to the club
+// @access  Private (manage_members club permission)
+router.post('/:id/join-requests/:requestId/approve', auth, requireClubPermission('manage_members'), reviewValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Loaded by requireClubPermission
+    const club = req.club;
+    const joinRequest = await findPendingRequest(club, req.params.requestId);
+
+    if (!club.isMember(joinRequest.user)) {
+      await joinClub(club._id, joinRequest.user, {
+        performedBy: req.user._id,
+        source: 'join_request'
+      });
+    }
+
+    await joinRequest.review('approved', req.user._id, req.body.note);
+    await notifyJoinRequestReviewed(club, joinRequest, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Join request approved',
+      data: {
+        joinRequest
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/clubs/:id/join-requests/:requestId/reject
+// @desc    Reject a join request
+// @access  Private (manage_members club permission)
+router.post('/:id/join-requests/:requestId/reject', auth, requireClubPermission('manage_members'), reviewValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Loaded by requireClubPermission
+    const club = req.club;
+    const joinRequest = await findPendingRequest(club, req.params.requestId);
+
+    await joinRequest.review('rejected', req.user._id, req.body.note);
+    await notifyJoinRequestReviewed(club, joinRequest, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Join request rejected',
+      data: {
+        joinRequest
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/clubs/:id/invitations
+// @desc    Invite someone to the club by email or student ID
+// @access  Private (manage_members club permission, or members when allowMemberInvites is on)
+router.post('/:id/invitations', auth, [
+  body('email')
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please enter a valid email'),
+  body('studentId')
+    .optional({ checkFalsy: true })
+    .trim(),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters'),
+  body()
+    .custom(value => !!(value.email || value.studentId))
+    .withMessage('Provide an email address or student ID'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const club = await Club.findById(req.params.id);
+    if (!club) {
+      throw createNotFoundError('Club');
+    }
+
+    if (!(await canInviteToClub(req.user, club))) {
+      throw createForbiddenError(club.archivedAt
+        ? 'Archived clubs cannot send invitations'
+        : 'You are not allowed to invite people to this club');
+    }
+
+    const { studentId, message } = req.body;
+    let invitee = null;
+    let email = req.body.email;
+
+    // Student IDs must belong to an account; emails may not have one yet
+    if (studentId) {
+      invitee = await User.findOne({ studentId, isActive: true }).select('name email preferences isActive');
+      if (!invitee) {
+        throw createNotFoundError('Student');
+      }
+      email = invitee.email;
+    } else {
+      invitee = await User.findOne({ email }).select('name email preferences isActive');
+    }
+
+    email = email.toLowerCase();
+
+    if (invitee && club.isMember(invitee._id)) {
+      throw createConflictError(`${invitee.name} is already a member of this club`);
+    }
+
+    await ClubInvitation.expireStale({ club: club._id, email });
+
+    const existing = await ClubInvitation.findOne({ club: club._id, email, status: 'pending' });
+    if (existing) {
+      throw createConflictError('An invitation has already been sent to this address');
+    }
+
+    const invitation = new ClubInvitation({
+      club: club._id,
+      invitedBy: req.user._id,
+      email,
+      invitee: invitee ? invitee._id : undefined,
+      message
+    });
+    const token = invitation.createToken();
+    await invitation.save();
+
+    await sendInvitation(invitation, token, { club, inviter: req.user, invitee });
+
+    res.status(201).json({
+      success: true,
+      message: invitee
+        ? `Invitation sent to ${invitee.name}`
+        : `Invitation sent to ${email}. They can accept after creating an account.`,
+      data: {
+        invitation: {
+          id: invitation._id,
+          email: invitation.email,
+          hasAccount: !!invitee,
+          status: invitation.status,
+          expiresAt: invitation.expiresAt
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/clubs/:id/invitations
+// @desc    Get invitations sent for a club, pending ones by default
+// @access  Private (manage_members club permission)
+router.get('/:id/invitations', auth, requireClubPermission('manage_members'), [
+  query('status')
+    .optional()
+    .isIn(['pending', 'accepted', 'declined', 'revoked', 'expired', 'all'])
+    .withMessage('Invalid status')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status = 'pending' } = req.query;
+    const filter = { club: req.club._id };
+
+    if (status !== 'all') {
+      filter.status = status;
+    }
+
+    await ClubInvitation.expireStale({ club: req.club._id });
+
+    const invitations = await ClubInvitation.find(filter)
+      .select('-tokenHash')
+      .populate('invitedBy', 'name')
+      .populate('invitee', 'name email studentId')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        invitations
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/clubs/:id/invitations/:invitationId
+// @desc    Revoke a pending invitation
+// @access  Private (The inviter or manage_members club permission)
+router.delete('/:id/invitations/:invitationId', auth, [
+  param('invitationId')
+    .isMongoId()
+    .withMessage('Invitation ID must be a valid MongoDB ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const club = await Club.findById(req.params.id);
+    if (!club) {
+      throw createNotFoundError('Club');
+    }
+
+    const invitation = await ClubInvitation.findOne({ _id: req.params.invitationId, club: club._id });
+    if (!invitation) {
+      throw createNotFoundError('Invitation');
+    }
+
+    const isInviter = invitation.invitedBy.toString() === req.user._id.toString();
+    if (!isInviter && !(await hasClubPermission(req.user, club, 'manage_members'))) {
+      throw createForbiddenError('Only the inviter or club staff can revoke this invitation');
+    }
+
+    if (invitation.status !== 'pending') {
+      throw createConflictError(`Invitation is already ${invitation.status}`);
+    }
+
+    invitation.status = 'revoked';
+    await invitation.save();
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/clubs/:id/co-coordinators
+// @desc    Get a club's co-coordinators and the current user's club permissions
+// @access  Private
+router.get('/:id/co-coordinators', auth, async (req, res, next) => {
+  try {
+    const club = await Club.findById(req.params.id)
+      .populate('coCoordinators.user', 'name email department profilePicture');
+
+    if (!club) {
+      throw createNotFoundError('Club');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        coCoordinators: club.coCoordinators,
+        availablePermissions: Object.entries(CLUB_PERMISSIONS).map(([key, description]) => ({
+          key,
+          description
+        })),
+        myPermissions: await getClubPermissions(req.user, club),
+        canAssign: await isClubCoordinator(req.user, club)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/clubs/:id/co-coordinators
+// @desc    Make a club member a co-coordinator
+// @access  Private (Club coordinator or clubs.manage_any permission)
+router.post('/:id/co-coordinators', auth, [
+  body('userId')
+    .isMongoId()
+    .withMessage('User ID must be a valid MongoDB ID'),
+  ...clubPermissionsValidation,
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const club = await Club.findById(req.params.id);
+    if (!club) {
+      throw createNotFoundError('Club');
+    }
+
+    if (!(await isClubCoordinator(req.user, club))) {
+      throw createForbiddenError('Only the club coordinator can assign co-coordinators');
+    }
+
+    const { userId } = req.body;
+    const permissions = [...new Set(req.body.permissions)];
+
+    if (club.coordinator.toString() === userId) {
+      throw createValidationError('The coordinator already has every club permission', 'userId');
+    }
+
+    if (!club.isMember(userId)) {
+      throw createValidationError('Only active club members can be made co-coordinators', 'userId');
+    }
+
+    if (club.coCoordinators.some(coCoordinator => coCoordinator.user.toString() === userId)) {
+      throw createConflictError('User is already a co-coordinator of this club');
+    }
+
+    const { club: updatedClub } = await changeMemberRole(club._id, userId, 'co-coordinator', {
+      permissions,
+      performedBy: req.user._id,
+      source: 'co_coordinator'
+    });
+    await updatedClub.populate('coCoordinators.user', 'name email department profilePicture');
+
+    await notifyClubRoleChange(
+      updatedClub,
+      userId,
+      `You are now a co-coordinator of ${club.name} with ${describeClubPermissions(permissions)}.`,
+      req.user._id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Co-coordinator assigned successfully',
+      data: {
+        coCoordinator: updatedClub.coCoordinators[updatedClub.coCoordinators.length - 1]
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/clubs/:id/co-coordinators/:userId
+// @desc    Replace a co-coordinator's club permissions
+// @access  Private (Club coordinator or clubs.manage_any permission)
+router.put('/:id/co-coordinators/:userId', auth, [
+  userIdParam,
+  ...clubPermissionsValidation,
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const club = await Club.findById(req.params.id);
+    if (!club) {
+      throw createNotFoundError('Club');
+    }
+
+    if (!(await isClubCoordinator(req.user, club))) {
+      throw createForbiddenError('Only the club coordinator can change co-coordinator permissions');
+    }
+
+    const { userId } = req.params;
+    const coCoordinator = club.coCoordinators.find(entry => entry.user.toString() === userId);
+
+    if (!coCoordinator) {
+      throw createNotFoundError('Co-coordinator');
+    }
+
+    coCoordinator.permissions = [...new Set(req.body.permissions)];
+
+    await club.save();
+    await club.populate('coCoordinators.user', 'name email department profilePicture');
+
+    await notifyClubRoleChange(
+      club,
+      userId,
+      `Your co-coordinator permissions for ${club.name} are now: ${describeClubPermissions(coCoordinator.permissions)}.`,
+      req.user._id
+    );
+
+    res.json({
+      success: true,
+      message: 'Co-coordinator permissions updated successfully',
+      data: {
+        coCoordinator
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/clubs/:id/co-coordinators/:userId
+// @desc    Revoke a co-coordinator; they stay on as a regular member
+// @access  Private (Club coordinator or clubs.manage_any permission)
+router.delete('/:id/co-coordinators/:userId', auth, [
+  userIdParam,
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const club = await Club.findById(req.params.id);
+    if (!club) {
+      throw createNotFoundError('Club');
+    }
+
+    if (!(await isClubCoordinator(req.user, club))) {
+      throw createForbiddenError('Only the club coordinator can revoke co-coordinators');
+    }
+
+    const { userId } = req.params;
+    const index = club.coCoordinators.findIndex(entry => entry.user.toString() === userId);
+
+    if (index === -1) {
+      throw createNotFoundError('Co-coordinator');
+    }
+
+    const member = club.getMember(userId);
+    if (member && member.role === 'co-coordinator') {
+      await changeMemberRole(club._id, userId, 'member', {
+        performedBy: req.user._id,
+        source: 'co_coordinator'
+      });
+    } else {
+      club.coCoordinators.splice(index, 1);
+      await club.save();
+    }
+
+    await notifyClubRoleChange(
+      club,
+      userId,
+      `You are no longer a co-coordinator of ${club.name}.`,
+      req.user._id
+    );
+
+    res.json({
+      success: true,
+      message: 'Co-coordinator revoked successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/clubs/:id/members/:userId/role
+// @desc    Change a member's role in the club
+// @access  Private (manage_members club permission)
+router.put('/:id/members/:userId/role', auth, requireClubPermission('manage_members'), [
+  userIdParam,
+  body('role')
+    .isIn(['member', 'leader'])
+    .withMessage('Role must be member or leader'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Loaded by requireClubPermission
+    const club = req.club;
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    const member = club.getMember(userId);
+    if (!member) {
+      throw createNotFoundError('Club member');
+    }
+
+    // Coordinator and co-coordinator roles change through their own endpoints
+    if (member.role === 'coordinator' || member.role === 'co-coordinator') {
+      throw createForbiddenError('Coordinator and co-coordinator roles cannot be changed here');
+    }
+
+    const { member: updatedMember } = await changeMemberRole(club._id, userId, role, {
+      performedBy: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Member role updated successfully',
+      data: {
+        member: updatedMember
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/clubs/:id/members/:userId
+// @desc    Remove a member from the club
+// @access  Private (manage_members club permission)
+router.delete('/:id/members/:userId', auth, requireClubPermission('manage_members'), [
+  userIdParam,
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Loaded by requireClubPermission
+    const club = req.club;
+    const { userId } = req.params;
+
+    const member = club.getMember(userId);
+    if (!member) {
+      throw createNotFoundError('Club member');
+    }
+
+    if (member.role === 'coordinator') {
+      throw createForbiddenError('Cannot remove the club coordinator');
+    }
+
+    // Co-coordinators are revoked by the coordinator first
+    if (club.coCoordinators.some(entry => entry.user.toString() === userId)) {
+      throw createForbiddenError('Revoke co-coordinator access before removing this member');
+    }
+
+    await leaveClub(club._id, userId, {
+      performedBy: req.user._id,
+      action: 'removed',
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/clubs/:id/members/history
+// @desc    Get the club's membership history, optionally for one user
+// @access  Private (manage_members club permission)
+router.get('/:id/members/history', auth, requireClubPermission('manage_members'), [
+  query('user')
+    .optional()
+    .isMongoId()
+    .withMessage('User must be a valid MongoDB ID'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = { club: req.club._id };
+
+    if (req.query.user) {
+      filter.user = req.query.user;
+    }
+
+    const [history, total] = await Promise.all([
+      MembershipHistory.find(filter)
+        .populate('user', 'name email studentId')
+        .populate('performedBy', 'name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      MembershipHistory.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        history,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalEntries: total,
+          hasNextPage: page * limit < total,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/clubs/:id/analytics
+// @desc    Get club statistics and membership breakdown
+// @access  Private (view_analytics club permission)
+router.get('/:id/analytics', auth, requireClubPermission('view_analytics'), async (req, res, next) => {
+  try {
+    // Loaded by requireClubPermission
+    const club = req.club;
+
+    await club.calculateStatistics();
+
+    const Event = require('../models/Event');
+    const eventsByStatus = await Event.aggregate([
+      { $match: { club: club._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const activeMembers = club.members.filter(member => member.isActive);
+    const membersByRole = activeMembers.reduce((counts, member) => {
+      counts[member.role] = (counts[member.role] || 0) + 1;
+      return counts;
+    }, {});
+
+    const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+    res.json({
+      success: true,
+      data: {
+        statistics: club.statistics,
+        members: {
+          total: activeMembers.length,
+          joinedLast30Days: activeMembers.filter(member => member.joinedAt >= thirtyDaysAgo).length,
+          byRole: membersByRole
+        },
+        events: {
+          byStatus: eventsByStatus.reduce((counts, entry) => {
+            counts[entry._id] = entry.count;
+            return counts;
+          }, {})
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -3,11 +3,77 @@ const { body, query, validationResult } = require('express-validator');
 const Event = require('../models/Event');
 const Club = require('../models/Club');
 const User = require('../models/User');
-const { auth, teacherAuth, eventAccessAuth } = require('../middleware/auth');
+const { auth, optionalAuth, eventAccessAuth, verifyEmail, requirePermission } = require('../middleware/auth');
+const { uploadImage } = require('../middleware/upload');
+const { hasPermission, hasClubPermission } = require('../services/permissionService');
 const { createNotFoundError, createValidationError, createForbiddenError, createConflictError } = require('../middleware/errorHandler');
+const { notifyEventRegistration, notifyWaitlistPromotion, notifyEventStatusChange, notifyEventPostponed } = require('../services/notificationService');
+const { updateEventReminders, getEventReminders } = require('../services/reminderService');
+const { updateEventStatusJobs } = require('../services/eventStatusService');
+const { isValidTimeZone, getZonedDateTime } = require('../services/timezone');
+const { processImage, removeImages } = require('../services/imageService');
+const {
+  getEventTemplate,
+  getSeriesEvents,
+  getScopedEvents,
+  generateOccurrences,
+  endSeriesBefore,
+  registerForSeries,
+  unregisterFromSeries
+} = require('../services/recurrenceService');
+const ScheduledJob = require('../models/ScheduledJob');
 
 const router = express.Router();
 
+const DAYS_OF_WEEK = Event.schema.path('recurringPattern.daysOfWeek').caster.enumValues;
+
+// Which occurrences of a recurring series an edit or cancellation applies to
+const scopeValidation = body('scope')
+  .optional()
+  .isIn(['this', 'following', 'all'])
+  .withMessage('Scope must be this, following or all');
+
+// Organizers, holders of events.manage_any, and club coordinators or
+// co-coordinators with the club permission can run an event. Expects
+// eventAccessAuth to have set req.eventRole and req.eventClub.
+const canManageEvent = async (req, clubPermission = 'create_events') => {
+  if (req.eventRole === 'organizer') return true;
+  if (await hasPermission(req.user, 'events.manage_any')) return true;
+  return hasClubPermission(req.user, req.eventClub, clubPermission);
+};
+
+// Why an event on eventDate can't be published at publishAt, or null
+const getPublishTimeError = (publishAt, eventDate) => {
+  if (new Date(publishAt) <= new Date()) {
+    return 'Publish time must be in the future';
+  }
+  if (eventDate && new Date(publishAt) > new Date(eventDate)) {
+    return 'Publish time must be before the event date';
+  }
+  return null;
+};
+
+// Shared by the create and update validators; a new eventDate in the same
+// request is what the publish time is compared with
+const publishTimeValidator = (value, { req }) => {
+  const error = getPublishTimeError(value, req.body.eventDate);
+  if (error) {
+    throw new Error(error);
+  }
+  return true;
+};
+
+// Students only see participant lists, feedback and analytics for events they
+// help run, or as co-coordinators holding the club permission
+const isRestrictedStudent = async (req, clubPermission) => {
+  if (req.user.role !== 'student') return false;
+  if (req.eventRole === 'participant') return true;
+  if (req.eventRole === 'club_co_coordinator') {
+    return !(await hasClubPermission(req.user, req.eventClub, clubPermission));
+  }
+  return false;
+};
+
 // @route   GET /api/events
 // @desc    Get all events with filtering and pagination
 // @access  Public
@@ -29,7 +95,7 @@ router.get('/', [
   
   query('status')
     .optional()
-    .isIn(['draft', 'published', 'upcoming', 'ongoing', 'completed', 'cancelled'])
+    .isIn(Event.schema.path('status').enumValues)
     .withMessage('Invalid status'),
   
   query('eventType')
@@ -82,7 +148,7 @@ router.get('/', [
 
     if (upcoming === 'true') {
       query.eventDate = { $gte: new Date() };
-      query.status = { $in: ['published', 'upcoming'] };
+      query.status = { $in: ['published', 'upcoming', 'postponed'] };
     }
 
     if (search) {
@@ -267,8 +333,8 @@ router.get('/popular', [
 
 // @route   GET /api/events/stats
 // @desc    Get event statistics
-// @access  Private (Admin/Teacher)
-router.get('/stats', auth, teacherAuth, async (req, res, next) => {
+// @access  Private (events.view_stats permission)
+router.get('/stats', auth, requirePermission('events.view_stats'), async (req, res, next) => {
   try {
     const stats = await Event.getEventStats();
 
@@ -284,10 +350,49 @@ router.get('/stats', auth, teacherAuth, async (req, res, next) => {
   }
 });
 
+// What a signed-in user viewing an event can do with it: their own
+// registration, waitlist place, whether they can register, and whether they
+// can run the event
+const getEventViewer = async (event, user) => {
+  const userId = user._id.toString();
+
+  const registration = event.registeredParticipants.find(
+    p => p.user && p.user._id.toString() === userId && p.status !== 'cancelled'
+  );
+  const waitlistEntry = event.waitlist.find(w => w.user.toString() === userId);
+
+  let canManage = event.organizer && event.organizer._id.toString() === userId;
+  if (!canManage) {
+    canManage = await hasPermission(user, 'events.manage_any');
+  }
+  if (!canManage && event.club) {
+    const club = await Club.findById(event.club._id).select('coordinator coCoordinators');
+    canManage = await hasClubPermission(user, club, 'create_events');
+  }
+
+  return {
+    registration: registration ? {
+      status: registration.status,
+      paymentStatus: registration.paymentStatus,
+      refundStatus: registration.refundStatus,
+      postponementResponse: registration.postponementResponse,
+      registrationDate: registration.registrationDate,
+      checkInTime: registration.checkInTime,
+    } : null,
+    waitlistPosition: waitlistEntry ? waitlistEntry.position : null,
+    registrationCheck: event.canUserRegister(user._id),
+    canManage: Boolean(canManage),
+    // Cancelling and postponing have their own routes
+    allowedStatuses: canManage
+      ? event.getAllowedStatuses().filter(status => status !== 'cancelled' && status !== 'postponed')
+      : [],
+  };
+};
+
 // @route   GET /api/events/:id
-// @desc    Get single event by ID
+// @desc    Get single event by ID, with the viewer's registration when signed in
 // @access  Public
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', optionalAuth, async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -297,7 +402,8 @@ router.get('/:id', async (req, res, next) => {
       .populate('coOrganizers.user', 'name email')
       .populate('registeredParticipants.user', 'name email department')
       .populate('attendedParticipants.user', 'name email')
-      .populate('attendedParticipants.markedBy', 'name');
+      .populate('attendedParticipants.markedBy', 'name')
+      .populate('statusHistory.changedBy', 'name');
 
     if (!event) {
       throw createNotFoundError('Event');
@@ -306,10 +412,20 @@ router.get('/:id', async (req, res, next) => {
     // Increment view count
     await Event.findByIdAndUpdate(id, { $inc: { 'statistics.views': 1 } });
 
+    const viewer = req.user ? await getEventViewer(event, req.user) : null;
+
+    // Private resources and the status history are only listed for the
+    // people running the event
+    if (!viewer || !viewer.canManage) {
+      event.resources = event.resources.filter(resource => resource.isPublic);
+      event.statusHistory = [];
+    }
+
     res.json({
       success: true,
       data: {
-        event
+        event,
+        viewer
       }
     });
 
@@ -320,8 +436,8 @@ router.get('/:id', async (req, res, next) => {
 
 // @route   POST /api/events
 // @desc    Create new event
-// @access  Private (Teachers and Admins only)
-router.post('/', auth, teacherAuth, [
+// @access  Private (create_events club permission)
+router.post('/', auth, [
   body('title')
     .trim()
     .isLength({ min: 3, max: 200 })
@@ -389,6 +505,50 @@ router.post('/', auth, teacherAuth, [
     .optional()
     .isInt({ min: 0 })
     .withMessage('Maximum participants must be a non-negative integer'),
+
+  body('timezone')
+    .optional()
+    .custom(value => isValidTimeZone(value))
+    .withMessage('Timezone must be a valid IANA timezone such as Europe/London'),
+
+  body('publishAt')
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .custom(publishTimeValidator),
+
+  body('recurringPattern.frequency')
+    .optional()
+    .isIn(Event.schema.path('recurringPattern.frequency').enumValues)
+    .withMessage('Repeat frequency must be weekly, monthly or yearly'),
+
+  body('recurringPattern.interval')
+    .optional()
+    .isInt({ min: 1, max: 52 })
+    .withMessage('Repeat interval must be between 1 and 52'),
+
+  body('recurringPattern.endDate')
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .custom((value, { req }) => {
+      if (new Date(value) <= new Date(req.body.eventDate)) {
+        throw new Error('Series end date must be after the first event date');
+      }
+      return true;
+    }),
+
+  body('recurringPattern.daysOfWeek')
+    .optional()
+    .isArray()
+    .withMessage('Days of week must be a list'),
+
+  body('recurringPattern.daysOfWeek.*')
+    .isIn(DAYS_OF_WEEK)
+    .withMessage('Invalid day of week'),
+
+  body('recurringPattern.registration')
+    .optional()
+    .isIn(['occurrence', 'series'])
+    .withMessage('Registration must be per occurrence or per series'),
 ], async (req, res, next) => {
   try {
     // Check for validation errors
@@ -416,7 +576,10 @@ router.post('/', auth, teacherAuth, [
       prizes,
       tags,
       agenda,
-      speakers
+      speakers,
+      recurringPattern,
+      timezone,
+      publishAt
     } = req.body;
 
     // Verify club exists and user has permissions
@@ -425,15 +588,13 @@ router.post('/', auth, teacherAuth, [
       throw createNotFoundError('Club');
     }
 
-    // Check if user is club coordinator, co-coordinator, or admin
-    const isCoordinator = clubDoc.coordinator.toString() === req.user._id.toString();
-    const isCoCoordinator = clubDoc.coCoordinators.some(
-      coCoord => coCoord.user.toString() === req.user._id.toString()
-    );
-    const isAdmin = req.user.role === 'admin';
+    // Coordinator, co-coordinator with create_events, or clubs.manage_any
+    if (!(await hasClubPermission(req.user, clubDoc, 'create_events'))) {
+      throw createForbiddenError('Only club coordinators and co-coordinators with event permissions can create events for this club');
+    }
 
-    if (!isCoordinator && !isCoCoordinator && !isAdmin) {
-      throw createForbiddenError('Only club coordinators and admins can create events for this club');
+    if (clubDoc.archivedAt) {
+      throw createForbiddenError('Archived clubs cannot create new events');
     }
 
     // Create event data
@@ -448,7 +609,8 @@ router.post('/', auth, teacherAuth, [
       venue,
       eventType,
       registrationDeadline: new Date(registrationDeadline),
-      status: 'published' // Auto-publish for now
+      // Auto-publish unless a publish time is set, then the scheduler publishes it
+      status: publishAt ? 'draft' : 'published'
     };
 
     // Add optional fields
@@ -458,6 +620,20 @@ router.post('/', auth, teacherAuth, [
     if (tags) eventData.tags = tags;
     if (agenda) eventData.agenda = agenda;
     if (speakers) eventData.speakers = speakers;
+    if (timezone) eventData.timezone = timezone;
+    if (publishAt) eventData.publishAt = new Date(publishAt);
+
+    // The event becomes the first occurrence of a recurring series
+    if (recurringPattern && recurringPattern.frequency) {
+      eventData.isRecurring = true;
+      eventData.recurringPattern = {
+        frequency: recurringPattern.frequency,
+        interval: recurringPattern.interval || 1,
+        endDate: recurringPattern.endDate ? new Date(recurringPattern.endDate) : undefined,
+        daysOfWeek: recurringPattern.daysOfWeek || [],
+        registration: recurringPattern.registration || 'occurrence'
+      };
+    }
 
     // Set category from club if not provided
     if (clubDoc.category) {
@@ -471,6 +647,11 @@ router.post('/', auth, teacherAuth, [
     clubDoc.events.push(event._id);
     await clubDoc.save();
 
+    await updateEventReminders(event);
+    await updateEventStatusJobs(event);
+
+    const occurrences = await generateOccurrences(event);
+
     // Populate event data for response
     await event.populate([
       { path: 'club', select: 'name slug category' },
@@ -479,9 +660,12 @@ router.post('/', auth, teacherAuth, [
 
     res.status(201).json({
       success: true,
-      message: 'Event created successfully',
+      message: occurrences.length > 0
+        ? `Event series created with ${occurrences.length + 1} occurrences`
+        : 'Event created successfully',
       data: {
-        event
+        event,
+        occurrences: occurrences.length
       }
     });
 
@@ -491,9 +675,11 @@ router.post('/', auth, teacherAuth, [
 });
 
 // @route   PUT /api/events/:id
-// @desc    Update event
-// @access  Private (Event organizer or Admin)
+// @desc    Update event; "scope" applies the change to this, following or all occurrences of a series
+// @access  Private (Event organizer, create_events club permission, or events.manage_any permission)
 router.put('/:id', auth, eventAccessAuth, [
+  scopeValidation,
+
   body('title')
     .optional()
     .trim()
@@ -524,6 +710,18 @@ router.put('/:id', auth, eventAccessAuth, [
     .optional()
     .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/),
   
+  body('timezone')
+    .optional()
+    .custom(value => isValidTimeZone(value))
+    .withMessage('Timezone must be a valid IANA timezone such as Europe/London'),
+
+  body('publishAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Publish time must be a valid date')
+    .bail()
+    .custom(publishTimeValidator),
+
   body('maxParticipants')
     .optional()
     .isInt({ min: 0 })
@@ -541,10 +739,11 @@ router.put('/:id', auth, eventAccessAuth, [
     }
 
     const { id } = req.params;
+    const { scope = 'this' } = req.body;
 
-    // Check permissions (only organizer or admin can edit)
-    if (req.eventRole !== 'organizer' && req.user.role !== 'admin') {
-      throw createForbiddenError('Only event organizers and admins can edit event details');
+    // Check permissions
+    if (!(await canManageEvent(req))) {
+      throw createForbiddenError('Only event organizers, club coordinators and admins can edit event details');
     }
 
     const event = await Event.findById(id);
@@ -561,7 +760,7 @@ router.put('/:id', auth, eventAccessAuth, [
     const allowedUpdates = [
       'title', 'description', 'eventDate', 'startTime', 'endTime', 'venue', 
       'maxParticipants', 'registrationDeadline', 'requirements', 'prizes', 
-      'tags', 'agenda', 'speakers'
+      'tags', 'agenda', 'speakers', 'timezone', 'publishAt'
     ];
 
     const updates = {};
@@ -571,20 +770,101 @@ router.put('/:id', auth, eventAccessAuth, [
       }
     });
 
-    const updatedEvent = await Event.findByIdAndUpdate(
+    // Every occurrence keeps its own dates
+    if (scope !== 'this' && (updates.eventDate || updates.registrationDeadline || updates.publishAt !== undefined)) {
+      throw createValidationError('Dates can only be changed one occurrence at a time', 'scope');
+    }
+
+    // Without a new date in the request, the publish time is checked against the stored one
+    if (updates.publishAt && !updates.eventDate) {
+      const publishError = getPublishTimeError(updates.publishAt, event.eventDate);
+      if (publishError) {
+        throw createValidationError(publishError, 'publishAt');
+      }
+    }
+
+    const occurrences = await getScopedEvents(event, scope);
+    let updatedEvent;
+
+    for (const occurrence of occurrences) {
+      const updated = await Event.findByIdAndUpdate(
+        occurrence._id,
+        { $set: updates },
+        { new: true, runValidators: true }
+      ).populate([
+        { path: 'club', select: 'name slug category' },
+        { path: 'organizer', select: 'name email' }
+      ]);
+
+      // Move reminders and status changes if the start, end or publish time changed
+      if (updates.eventDate || updates.startTime || updates.endTime || updates.timezone || updates.publishAt !== undefined) {
+        await updateEventReminders(updated);
+        await updateEventStatusJobs(updated);
+      }
+
+      if (updated._id.equals(event._id)) {
+        updatedEvent = updated;
+      }
+    }
+
+    res.json({
+      success: true,
+      message: occurrences.length > 1
+        ? `${occurrences.length} occurrences updated successfully`
+        : 'Event updated successfully',
+      data: {
+        event: updatedEvent,
+        updatedOccurrences: occurrences.length
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/events/:id/banner
+// @desc    Upload the event banner (multipart field "image"), replacing the current one
+// @access  Private (Event organizer, create_events club permission, or events.manage_any permission)
+router.put('/:id/banner', auth, eventAccessAuth, uploadImage, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await canManageEvent(req))) {
+      throw createForbiddenError('Only event organizers, club coordinators and admins can change the event banner');
+    }
+
+    if (!req.file) {
+      throw createValidationError('Choose an image to upload', 'image');
+    }
+
+    const event = await Event.findById(id).select('_id');
+    if (!event) {
+      throw createNotFoundError('Event');
+    }
+
+    const image = await processImage(req.file, `images/events/${id}/banner`, 'banner');
+
+    // The previous document is returned so its files can be cleaned up
+    const previous = await Event.findByIdAndUpdate(
       id,
-      { $set: updates },
-      { new: true, runValidators: true }
-    ).populate([
-      { path: 'club', select: 'name slug category' },
-      { path: 'organizer', select: 'name email' }
-    ]);
+      { 'images.banner': image.variants.large.url, 'images.bannerFile': image },
+      { new: false }
+    ).select('images.bannerFile');
+
+    if (!previous) {
+      await removeImages([image]);
+      throw createNotFoundError('Event');
+    }
+
+    await removeImages([previous.images && previous.images.bannerFile]);
 
     res.json({
       success: true,
-      message: 'Event updated successfully',
+      message: 'Event banner updated successfully',
       data: {
-        event: updatedEvent
+        url: image.variants.large.url,
+        image
       }
     });
 
@@ -593,10 +873,43 @@ router.put('/:id', auth, eventAccessAuth, [
   }
 });
 
+// @route   DELETE /api/events/:id/banner
+// @desc    Remove the event banner
+// @access  Private (Event organizer, create_events club permission, or events.manage_any permission)
+router.delete('/:id/banner', auth, eventAccessAuth, async (req, res, next) => {
+  try {
+    if (!(await canManageEvent(req))) {
+      throw createForbiddenError('Only event organizers, club coordinators and admins can change the event banner');
+    }
+
+    const previous = await Event.findByIdAndUpdate(
+      req.params.id,
+      { $unset: { 'images.banner': 1, 'images.bannerFile': 1 } },
+      { new: false }
+    ).select('images.bannerFile');
+
+    if (!previous) {
+      throw createNotFoundError('Event');
+    }
+
+    await removeImages([previous.images && previous.images.bannerFile]);
+
+    res.json({
+      success: true,
+      message: 'Event banner removed successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   DELETE /api/events/:id
-// @desc    Cancel event
-// @access  Private (Event organizer or Admin)
+// @desc    Cancel event; "scope" cancels this, following or all occurrences of a series
+// @access  Private (Event organizer, create_events club permission, or events.manage_any permission)
 router.delete('/:id', auth, eventAccessAuth, [
+  scopeValidation,
+
   body('reason')
     .optional()
     .trim()
@@ -604,12 +917,22 @@ router.delete('/:id', auth, eventAccessAuth, [
     .withMessage('Cancellation reason must be between 10 and 500 characters'),
 ], async (req, res, next) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { id } = req.params;
-    const { reason } = req.body;
+    const { reason, scope = 'this' } = req.body;
 
     // Check permissions
-    if (req.eventRole !== 'organizer' && req.user.role !== 'admin') {
-      throw createForbiddenError('Only event organizers and admins can cancel events');
+    if (!(await canManageEvent(req))) {
+      throw createForbiddenError('Only event organizers, club coordinators and admins can cancel events');
     }
 
     const event = await Event.findById(id);
@@ -622,26 +945,166 @@ router.delete('/:id', auth, eventAccessAuth, [
       throw createForbiddenError('Cannot cancel completed events');
     }
 
-    // Update event status to cancelled
-    event.status = 'cancelled';
-    event.cancellation = {
-      reason: reason || 'Event cancelled by organizer',
-      cancelledAt: new Date(),
-      cancelledBy: req.user._id
-    };
+    const transitionError = event.getStatusTransitionError('cancelled');
+    if (transitionError) {
+      throw createConflictError(transitionError);
+    }
 
-    await event.save();
+    const occurrences = await getScopedEvents(event, scope);
+    let refundsPending = 0;
+
+    for (const occurrence of occurrences) {
+      const previousStatus = occurrence.status;
+
+      // Cancel and mark paid registrations for refund
+      refundsPending += occurrence.cancel({
+        cancelledBy: req.user._id,
+        reason: reason || 'Event cancelled by organizer'
+      });
+
+      await occurrence.save();
+
+      await updateEventReminders(occurrence);
+      await updateEventStatusJobs(occurrence);
+      await notifyEventStatusChange(occurrence, previousStatus, req.user._id);
+    }
+
+    // Stop the series from generating the cancelled occurrences again
+    if (scope !== 'this' && occurrences.length > 0) {
+      await endSeriesBefore(event, occurrences[0].eventDate);
+    }
 
     res.json({
       success: true,
-      message: 'Event cancelled successfully',
+      message: occurrences.length > 1
+        ? `${occurrences.length} occurrences cancelled successfully`
+        : 'Event cancelled successfully',
       data: {
         event: {
           id: event._id,
           title: event.title,
           status: event.status,
           cancellation: event.cancellation
-        }
+        },
+        cancelledOccurrences: occurrences.length,
+        refundsPending
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/events/:id/postpone
+// @desc    Postpone event to a new date; registered participants are asked to confirm or release their seat
+// @access  Private (Event organizer, create_events club permission, or events.manage_any permission)
+router.post('/:id/postpone', auth, eventAccessAuth, [
+  body('reason')
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Postponement reason must be between 10 and 500 characters'),
+
+  body('eventDate')
+    .isISO8601()
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Event date must be in the future');
+      }
+      return true;
+    })
+    .withMessage('New event date must be a valid future date'),
+
+  body('startTime')
+    .optional()
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Start time must be in HH:MM format'),
+
+  body('endTime')
+    .optional()
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('End time must be in HH:MM format'),
+
+  body('registrationDeadline')
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .custom((value, { req }) => {
+      if (new Date(value) > new Date(req.body.eventDate)) {
+        throw new Error('Registration deadline must be before event date');
+      }
+      return true;
+    }),
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { reason, eventDate, startTime, endTime, registrationDeadline } = req.body;
+
+    // Check permissions
+    if (!(await canManageEvent(req))) {
+      throw createForbiddenError('Only event organizers, club coordinators and admins can postpone events');
+    }
+
+    const event = await Event.findById(id);
+    if (!event) {
+      throw createNotFoundError('Event');
+    }
+
+    // A postponed event can be postponed again
+    if (event.status !== 'postponed') {
+      const transitionError = event.getStatusTransitionError('postponed');
+      if (transitionError) {
+        throw createConflictError(transitionError);
+      }
+    }
+
+    // Without a new end time the event keeps its length
+    const newStartTime = startTime || event.startTime;
+    if (endTime && endTime <= newStartTime) {
+      throw createValidationError('End time must be after start time', 'endTime');
+    }
+
+    const newStart = getZonedDateTime(new Date(eventDate), newStartTime, event.timezone);
+    if (newStart <= event.getStartDateTime()) {
+      throw createValidationError('The new start must be later than the current one', 'eventDate');
+    }
+
+    event.postpone({
+      eventDate: new Date(eventDate),
+      startTime,
+      endTime,
+      registrationDeadline: registrationDeadline ? new Date(registrationDeadline) : undefined
+    }, { postponedBy: req.user._id, reason });
+
+    await event.save();
+
+    await updateEventReminders(event);
+    await updateEventStatusJobs(event);
+    await notifyEventPostponed(event, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Event postponed successfully',
+      data: {
+        event: {
+          id: event._id,
+          title: event.title,
+          status: event.status,
+          eventDate: event.eventDate,
+          startTime: event.startTime,
+          endTime: event.endTime,
+          postponement: event.postponement
+        },
+        awaitingResponse: event.registeredParticipants.filter(p => p.postponementResponse === 'pending').length
       }
     });
 
@@ -651,9 +1114,9 @@ router.delete('/:id', auth, eventAccessAuth, [
 });
 
 // @route   POST /api/events/:id/register
-// @desc    Register for an event
+// @desc    Register for an event, or for this and later occurrences of a series registered per series
 // @access  Private
-router.post('/:id/register', auth, async (req, res, next) => {
+router.post('/:id/register', auth, verifyEmail, requirePermission('events.register'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -662,17 +1125,54 @@ router.post('/:id/register', auth, async (req, res, next) => {
       throw createNotFoundError('Event');
     }
 
-    // Check if event is published and registration is open
-    if (event.status !== 'published' && event.status !== 'upcoming') {
+    // Check if event is published (or postponed to a new date) and registration is open
+    if (!['published', 'upcoming', 'postponed'].includes(event.status)) {
       throw createForbiddenError('Event registration is not available');
     }
 
+    const { canRegister, canWaitlist, reason } = event.canUserRegister(req.user._id);
+    if (!canRegister && !canWaitlist) {
+      throw createConflictError(reason);
+    }
+
+    if (event.recurringPattern && event.recurringPattern.registration === 'series') {
+      const series = await registerForSeries(event, req.user._id);
+      const waitlisted = !canRegister;
+
+      await notifyEventRegistration(event, req.user._id, { waitlisted });
+
+      return res.json({
+        success: true,
+        message: series.waitlisted.length > 0
+          ? `Registered for ${series.registered.length} sessions and waitlisted for ${series.waitlisted.length} in this series`
+          : `Registered for ${series.registered.length} sessions in this series`,
+        data: {
+          waitlisted,
+          series: {
+            registered: series.registered.length,
+            waitlisted: series.waitlisted.length
+          }
+        }
+      });
+    }
+
     // Use event method to register participant
     await event.registerParticipant(req.user._id);
 
+    const waitlisted = event.waitlist.some(
+      w => w.user.toString() === req.user._id.toString()
+    );
+
+    await notifyEventRegistration(event, req.user._id, { waitlisted });
+
     res.json({
       success: true,
-      message: 'Successfully registered for the event'
+      message: waitlisted
+        ? 'Event is full. You have been added to the waitlist'
+        : 'Successfully registered for the event',
+      data: {
+        waitlisted
+      }
     });
 
   } catch (error) {
@@ -681,20 +1181,68 @@ router.post('/:id/register', auth, async (req, res, next) => {
 });
 
 // @route   POST /api/events/:id/unregister
-// @desc    Unregister from an event
+// @desc    Unregister from an event, or leave its waitlist. Series registered per series are
+//          left from this occurrence onwards.
 // @access  Private
 router.post('/:id/unregister', auth, async (req, res, next) => {
   try {
     const { id } = req.params;
+    const userId = req.user._id.toString();
 
     const event = await Event.findById(id);
     if (!event) {
       throw createNotFoundError('Event');
     }
 
+    if (event.recurringPattern && event.recurringPattern.registration === 'series') {
+      const { count, promotions } = await unregisterFromSeries(event, req.user._id);
+      if (count === 0) {
+        throw createValidationError('You are not registered for this series');
+      }
+
+      for (const promotion of promotions) {
+        await notifyWaitlistPromotion(promotion.event, promotion.user);
+      }
+
+      return res.json({
+        success: true,
+        message: `Left ${count} sessions in this series`
+      });
+    }
+
+    const isWaitlisted = event.waitlist.some(w => w.user.toString() === userId);
+    if (isWaitlisted) {
+      await event.removeFromWaitlist(req.user._id);
+
+      return res.json({
+        success: true,
+        message: 'Removed from the waitlist'
+      });
+    }
+
+    const registration = event.registeredParticipants.find(
+      p => p.user.toString() === userId && p.status !== 'cancelled'
+    );
+    if (!registration) {
+      throw createValidationError('You are not registered for this event');
+    }
+
+    if (event.status === 'ongoing' || event.status === 'completed') {
+      throw createConflictError('Cannot unregister after the event has started');
+    }
+
+    // Remember who is next in line so they can be told about the open spot
+    const nextInLine = registration.status === 'registered' && event.waitlist.length > 0
+      ? event.waitlist[0].user
+      : null;
+
     // Use event method to unregister participant
     await event.unregisterParticipant(req.user._id);
 
+    if (nextInLine) {
+      await notifyWaitlistPromotion(event, nextInLine);
+    }
+
     res.json({
       success: true,
       message: 'Successfully unregistered from the event'
@@ -705,16 +1253,80 @@ router.post('/:id/unregister', auth, async (req, res, next) => {
   }
 });
 
+// @route   POST /api/events/:id/postponement-response
+// @desc    Confirm or release your seat after the event was postponed
+// @access  Private
+router.post('/:id/postponement-response', auth, [
+  body('response')
+    .isIn(['confirmed', 'released'])
+    .withMessage('Response must be confirmed or released'),
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { response } = req.body;
+    const userId = req.user._id.toString();
+
+    const event = await Event.findById(id);
+    if (!event) {
+      throw createNotFoundError('Event');
+    }
+
+    const registration = event.registeredParticipants.find(
+      p => p.user.toString() === userId && p.status === 'registered'
+    );
+    if (!registration || !registration.postponementResponse) {
+      throw createValidationError('You have no seat to confirm for this event');
+    }
+
+    if (['ongoing', 'completed', 'cancelled'].includes(event.status)) {
+      throw createConflictError(`Event is ${event.status}`);
+    }
+
+    // Releasing frees a spot for the first person on the waitlist
+    const nextInLine = response === 'released' && event.waitlist.length > 0
+      ? event.waitlist[0].user
+      : null;
+
+    await event.respondToPostponement(req.user._id, response);
+
+    if (nextInLine) {
+      await notifyWaitlistPromotion(event, nextInLine);
+    }
+
+    res.json({
+      success: true,
+      message: response === 'confirmed'
+        ? 'Your seat is confirmed for the new date'
+        : registration.refundStatus
+          ? 'Your seat has been released and your payment marked for refund'
+          : 'Your seat has been released'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   GET /api/events/:id/participants
 // @desc    Get event participants
-// @access  Private (Event organizer, club coordinator, or Admin)
+// @access  Private (Event organizer, club coordinator or co-coordinator, or staff)
 router.get('/:id/participants', auth, eventAccessAuth, async (req, res, next) => {
   try {
     const { id } = req.params;
     const { status = 'all' } = req.query;
 
     // Check permissions
-    if (req.eventRole === 'participant' && req.user.role === 'student') {
+    if (await isRestrictedStudent(req, 'create_events')) {
       throw createForbiddenError('Only organizers and coordinators can view participant lists');
     }
 
@@ -757,8 +1369,8 @@ router.get('/:id/participants', auth, eventAccessAuth, async (req, res, next) =>
 
 // @route   POST /api/events/:id/mark-attendance
 // @desc    Mark attendance for event participants
-// @access  Private (Teachers only)
-router.post('/:id/mark-attendance', auth, teacherAuth, [
+// @access  Private (Event organizer with attendance.mark, create_events club permission, or attendance.manage_any)
+router.post('/:id/mark-attendance', auth, [
   body('participants')
     .isArray({ min: 0 })
     .withMessage('Participants must be an array'),
@@ -781,11 +1393,20 @@ router.post('/:id/mark-attendance', auth, teacherAuth, [
     const { id } = req.params;
     const { participants } = req.body;
 
-    const event = await Event.findById(id);
+    const event = await Event.findById(id).populate('club', 'coordinator coCoordinators');
     if (!event) {
       throw createNotFoundError('Event');
     }
 
+    // Check permissions
+    const isOrganizer = event.organizer.toString() === req.user._id.toString();
+    const isClubStaff = await hasClubPermission(req.user, event.club, 'create_events');
+    const canMarkOwn = isOrganizer && await hasPermission(req.user, 'attendance.mark');
+
+    if (!canMarkOwn && !isClubStaff && !(await hasPermission(req.user, 'attendance.manage_any'))) {
+      throw createForbiddenError('Only event organizers, club coordinators, and admins can mark attendance');
+    }
+
     // Use event method to mark attendance
     await event.markAttendance(participants, req.user._id);
 
@@ -806,7 +1427,7 @@ router.post('/:id/mark-attendance', auth, teacherAuth, [
 // @route   POST /api/events/:id/feedback
 // @desc    Add feedback for an event
 // @access  Private
-router.post('/:id/feedback', auth, [
+router.post('/:id/feedback', auth, verifyEmail, requirePermission('feedback.submit'), [
   body('rating.overall')
     .isInt({ min: 1, max: 5 })
     .withMessage('Overall rating must be between 1 and 5'),
@@ -855,13 +1476,13 @@ router.post('/:id/feedback', auth, [
 
 // @route   GET /api/events/:id/feedback
 // @desc    Get event feedback
-// @access  Private (Event organizer, club coordinator, or Admin)
+// @access  Private (Event organizer, club coordinator or co-coordinator, or staff)
 router.get('/:id/feedback', auth, eventAccessAuth, async (req, res, next) => {
   try {
     const { id } = req.params;
 
     // Check permissions
-    if (req.eventRole === 'participant' && req.user.role === 'student') {
+    if (await isRestrictedStudent(req, 'view_analytics')) {
       throw createForbiddenError('Only organizers and coordinators can view feedback');
     }
 
@@ -903,12 +1524,18 @@ router.get('/:id/feedback', auth, eventAccessAuth, async (req, res, next) => {
 });
 
 // @route   PUT /api/events/:id/status
-// @desc    Update event status
-// @access  Private (Event organizer or Admin)
+// @desc    Update event status, rejecting changes the status rules don't allow
+// @access  Private (Event organizer, create_events club permission, or events.manage_any permission)
 router.put('/:id/status', auth, eventAccessAuth, [
   body('status')
-    .isIn(['draft', 'published', 'upcoming', 'ongoing', 'completed', 'cancelled'])
+    .isIn(Event.schema.path('status').enumValues)
     .withMessage('Invalid status'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
 ], async (req, res, next) => {
   try {
     // Check for validation errors
@@ -922,23 +1549,58 @@ router.put('/:id/status', auth, eventAccessAuth, [
     }
 
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
     // Check permissions
-    if (req.eventRole !== 'organizer' && req.user.role !== 'admin') {
-      throw createForbiddenError('Only event organizers and admins can change event status');
+    if (!(await canManageEvent(req))) {
+      throw createForbiddenError('Only event organizers, club coordinators and admins can change event status');
     }
 
-    const event = await Event.findByIdAndUpdate(
-      id,
-      { status },
-      { new: true, runValidators: true }
+    // These need a reason and participant handling, which only the dedicated routes do
+    if (status === 'cancelled' || status === 'postponed') {
+      throw createValidationError(
+        status === 'cancelled'
+          ? 'Use DELETE /api/events/:id to cancel an event'
+          : 'Use POST /api/events/:id/postpone to postpone an event',
+        'status'
+      );
+    }
+
+    const previousEvent = await Event.findById(id).select('status eventDate startTime endTime timezone');
+    if (!previousEvent) {
+      throw createNotFoundError('Event');
+    }
+
+    const transitionError = previousEvent.getStatusTransitionError(status);
+    if (transitionError) {
+      throw createConflictError(transitionError);
+    }
+
+    // Only apply the change if the status hasn't moved on since it was checked
+    const event = await Event.findOneAndUpdate(
+      { _id: id, status: previousEvent.status },
+      {
+        $set: { status },
+        $push: {
+          statusHistory: {
+            from: previousEvent.status,
+            to: status,
+            changedBy: req.user._id,
+            reason
+          }
+        }
+      },
+      { new: true }
     );
 
     if (!event) {
-      throw createNotFoundError('Event');
+      throw createConflictError('Event status changed while you were updating it; reload and try again');
     }
 
+    await updateEventReminders(event);
+    await updateEventStatusJobs(event);
+    await notifyEventStatusChange(event, previousEvent.status, req.user._id);
+
     res.json({
       success: true,
       message: 'Event status updated successfully',
@@ -956,13 +1618,13 @@ router.put('/:id/status', auth, eventAccessAuth, [
 
 // @route   GET /api/events/:id/analytics
 // @desc    Get event analytics
-// @access  Private (Event organizer, club coordinator, or Admin)
+// @access  Private (Event organizer, club coordinator or co-coordinator, or staff)
 router.get('/:id/analytics', auth, eventAccessAuth, async (req, res, next) => {
   try {
     const { id } = req.params;
 
     // Check permissions
-    if (req.eventRole === 'participant' && req.user.role === 'student') {
+    if (await isRestrictedStudent(req, 'view_analytics')) {
       throw createForbiddenError('Only organizers and coordinators can view analytics');
     }
 
@@ -1045,7 +1707,7 @@ router.get('/:id/analytics', auth, eventAccessAuth, async (req, res, next) => {
 
 // @route   POST /api/events/:id/duplicate
 // @desc    Duplicate an event
-// @access  Private (Event organizer or Admin)
+// @access  Private (Event organizer, create_events club permission, or events.manage_any permission)
 router.post('/:id/duplicate', auth, eventAccessAuth, [
   body('eventDate')
     .isISO8601()
@@ -1082,8 +1744,8 @@ router.post('/:id/duplicate', auth, eventAccessAuth, [
     const { eventDate, registrationDeadline, title } = req.body;
 
     // Check permissions
-    if (req.eventRole !== 'organizer' && req.user.role !== 'admin') {
-      throw createForbiddenError('Only event organizers and admins can duplicate events');
+    if (!(await canManageEvent(req))) {
+      throw createForbiddenError('Only event organizers, club coordinators and admins can duplicate events');
     }
 
     const originalEvent = await Event.findById(id);
@@ -1091,17 +1753,8 @@ router.post('/:id/duplicate', auth, eventAccessAuth, [
       throw createNotFoundError('Event');
     }
 
-    // Create duplicate event data
-    const duplicateData = originalEvent.toObject();
-    delete duplicateData._id;
-    delete duplicateData.slug;
-    delete duplicateData.registeredParticipants;
-    delete duplicateData.attendedParticipants;
-    delete duplicateData.waitlist;
-    delete duplicateData.feedback;
-    delete duplicateData.statistics;
-    delete duplicateData.createdAt;
-    delete duplicateData.updatedAt;
+    // Create duplicate event data; a duplicate is never part of the original's series
+    const duplicateData = getEventTemplate(originalEvent);
 
     // Update with new data
     duplicateData.title = title || `${originalEvent.title} (Copy)`;
@@ -1131,4 +1784,114 @@ router.post('/:id/duplicate', auth, eventAccessAuth, [
   }
 });
 
+// @route   GET /api/events/:id/series
+// @desc    Get the occurrences of the recurring series an event belongs to
+// @access  Public
+router.get('/:id/series', async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id)
+      .select('isRecurring recurringPattern parentEvent');
+
+    if (!event) {
+      throw createNotFoundError('Event');
+    }
+
+    if (!event.isRecurring && !event.parentEvent) {
+      throw createValidationError('This event is not part of a recurring series');
+    }
+
+    const occurrences = await getSeriesEvents(event)
+      .where('status').ne('draft')
+      .select('title eventDate startTime endTime status venue.name venue.isVirtual registeredParticipants.status maxParticipants parentEvent');
+
+    res.json({
+      success: true,
+      data: {
+        seriesId: event.parentEvent || event._id,
+        recurringPattern: event.recurringPattern,
+        occurrences: occurrences.map(occurrence => ({
+          _id: occurrence._id,
+          title: occurrence.title,
+          eventDate: occurrence.eventDate,
+          startTime: occurrence.startTime,
+          endTime: occurrence.endTime,
+          status: occurrence.status,
+          venue: occurrence.venue,
+          availableSpots: occurrence.availableSpots
+        }))
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/events/:id/reminders
+// @desc    Get scheduled reminders for an event
+// @access  Private (Event organizer, create_events club permission, or events.manage_any permission)
+router.get('/:id/reminders', auth, eventAccessAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Check permissions
+    if (!(await canManageEvent(req))) {
+      throw createForbiddenError('Only event organizers, club coordinators and admins can view reminders');
+    }
+
+    const reminders = await getEventReminders(id);
+
+    res.json({
+      success: true,
+      data: {
+        reminders
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/events/:id/reminders/:reminderId
+// @desc    Cancel a scheduled reminder
+// @access  Private (Event organizer, create_events club permission, or events.manage_any permission)
+router.delete('/:id/reminders/:reminderId', auth, eventAccessAuth, async (req, res, next) => {
+  try {
+    const { id, reminderId } = req.params;
+
+    // Check permissions
+    if (!(await canManageEvent(req))) {
+      throw createForbiddenError('Only event organizers, club coordinators and admins can cancel reminders');
+    }
+
+    const reminder = await ScheduledJob.findOne({
+      _id: reminderId,
+      event: id,
+      type: 'event_reminder'
+    });
+
+    if (!reminder) {
+      throw createNotFoundError('Reminder');
+    }
+
+    if (reminder.status !== 'pending') {
+      throw createConflictError(`Reminder is already ${reminder.status}`);
+    }
+
+    await reminder.cancel(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Reminder cancelled successfully',
+      data: {
+        reminder
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
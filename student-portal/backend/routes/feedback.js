@@ -3,7 +3,8 @@ const { body, query, validationResult } = require('express-validator');
 const Feedback = require('../models/Feedback');
 const Event = require('../models/Event');
 const Club = require('../models/Club');
-const { auth, teacherAuth } = require('../middleware/auth');
+const { auth, verifyEmail, requirePermission } = require('../middleware/auth');
+const { hasPermission, hasClubPermission } = require('../services/permissionService');
 const { createNotFoundError, createValidationError, createForbiddenError, createConflictError } = require('../middleware/errorHandler');
 
 const router = express.Router();
@@ -11,7 +12,7 @@ const router = express.Router();
 // @route   POST /api/feedback
 // @desc    Submit feedback for an event
 // @access  Private
-router.post('/', auth, [
+router.post('/', auth, verifyEmail, requirePermission('feedback.submit'), [
   body('event')
     .isMongoId()
     .withMessage('Event must be a valid MongoDB ID'),
@@ -152,8 +153,8 @@ router.post('/', auth, [
 
 // @route   GET /api/feedback/event/:eventId
 // @desc    Get feedback for an event
-// @access  Private (Teachers and Admins only)
-router.get('/event/:eventId', auth, teacherAuth, [
+// @access  Private (Event organizer, view_analytics club permission, or feedback.view_any permission)
+router.get('/event/:eventId', auth, [
   query('includeAnonymous')
     .optional()
     .isBoolean()
@@ -196,7 +197,7 @@ router.get('/event/:eventId', auth, teacherAuth, [
 
     // Verify event exists and user has permission
     const event = await Event.findById(eventId)
-      .populate('club', 'name coordinator')
+      .populate('club', 'name coordinator coCoordinators')
       .populate('organizer', 'name email');
 
     if (!event) {
@@ -205,11 +206,11 @@ router.get('/event/:eventId', auth, teacherAuth, [
 
     // Check permissions
     const isOrganizer = event.organizer._id.toString() === req.user._id.toString();
-    const isCoordinator = event.club.coordinator.toString() === req.user._id.toString();
-    const isAdmin = req.user.role === 'admin';
+    const canViewClub = await hasClubPermission(req.user, event.club, 'view_analytics');
+    const canViewAny = await hasPermission(req.user, 'feedback.view_any');
 
-    if (!isOrganizer && !isCoordinator && !isAdmin) {
-      throw createForbiddenError('Only event organizers, club coordinators, and admins can view feedback');
+    if (!isOrganizer && !canViewClub && !canViewAny) {
+      throw createForbiddenError('Only event organizers, club coordinators, and staff with feedback access can view feedback');
     }
 
     // Build query
@@ -277,7 +278,7 @@ router.get('/event/:eventId', auth, teacherAuth, [
 
 // @route   GET /api/feedback/club/:clubId
 // @desc    Get feedback summary for a club
-// @access  Private (Club coordinator and Admins only)
+// @access  Private (view_analytics club permission or feedback.view_club_summaries permission)
 router.get('/club/:clubId', auth, [
   query('startDate')
     .optional()
@@ -314,12 +315,11 @@ router.get('/club/:clubId', auth, [
       throw createNotFoundError('Club');
     }
 
-    const isCoordinator = club.coordinator.toString() === req.user._id.toString();
-    const isAdmin = req.user.role === 'admin';
-    const isTeacher = req.user.role === 'teacher';
+    const canViewClub = await hasClubPermission(req.user, club, 'view_analytics');
+    const canViewAny = await hasPermission(req.user, 'feedback.view_club_summaries');
 
-    if (!isCoordinator && !isAdmin && !isTeacher) {
-      throw createForbiddenError('Only club coordinators, teachers, and admins can view feedback');
+    if (!canViewClub && !canViewAny) {
+      throw createForbiddenError('Only club coordinators and staff with feedback access can view feedback');
     }
 
     // Build date range filter
@@ -421,8 +421,8 @@ router.put('/:id/helpful', auth, async (req, res, next) => {
 
 // @route   POST /api/feedback/:id/respond
 // @desc    Respond to feedback
-// @access  Private (Teachers and Admins only)
-router.post('/:id/respond', auth, teacherAuth, [
+// @access  Private (feedback.respond permission)
+router.post('/:id/respond', auth, requirePermission('feedback.respond'), [
   body('response')
     .trim()
     .isLength({ min: 10, max: 1000 })
@@ -453,9 +453,9 @@ router.post('/:id/respond', auth, teacherAuth, [
     // Check permissions - only organizer, coordinator, or admin can respond
     const isOrganizer = feedback.event.organizer.toString() === req.user._id.toString();
     const isCoordinator = feedback.club.coordinator.toString() === req.user._id.toString();
-    const isAdmin = req.user.role === 'admin';
+    const canManageAny = await hasPermission(req.user, 'events.manage_any');
 
-    if (!isOrganizer && !isCoordinator && !isAdmin) {
+    if (!isOrganizer && !isCoordinator && !canManageAny) {
       throw createForbiddenError('Only event organizers, club coordinators, and admins can respond to feedback');
     }
 
@@ -485,8 +485,8 @@ router.post('/:id/respond', auth, teacherAuth, [
 
 // @route   PUT /api/feedback/:id/flag
 // @desc    Flag feedback as inappropriate
-// @access  Private (Teachers and Admins only)
-router.put('/:id/flag', auth, teacherAuth, [
+// @access  Private (feedback.moderate permission)
+router.put('/:id/flag', auth, requirePermission('feedback.moderate'), [
   body('reason')
     .trim()
     .isLength({ min: 10, max: 500 })
@@ -532,8 +532,8 @@ router.put('/:id/flag', auth, teacherAuth, [
 
 // @route   GET /api/feedback/analytics/sentiment
 // @desc    Get sentiment analysis of feedback
-// @access  Private (Admins only)
-router.get('/analytics/sentiment', auth, [
+// @access  Private (feedback.view_analytics permission)
+router.get('/analytics/sentiment', auth, requirePermission('feedback.view_analytics'), [
   query('clubId')
     .optional()
     .isMongoId()
@@ -550,11 +550,6 @@ router.get('/analytics/sentiment', auth, [
     .withMessage('Timeframe must be between 1 and 365 days'),
 ], async (req, res, next) => {
   try {
-    // Only admins can access sentiment analytics
-    if (req.user.role !== 'admin') {
-      throw createForbiddenError('Only admins can access sentiment analytics');
-    }
-
     // Check for validation errors
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -659,8 +654,8 @@ router.get('/analytics/sentiment', auth, [
 
 // @route   GET /api/feedback/export
 // @desc    Export feedback data
-// @access  Private (Teachers and Admins only)
-router.get('/export', auth, teacherAuth, [
+// @access  Private (feedback.export permission)
+router.get('/export', auth, requirePermission('feedback.export'), [
   query('eventId')
     .optional()
     .isMongoId()
@@ -711,8 +706,9 @@ router.get('/export', auth, teacherAuth, [
       format = 'json'
     } = req.query;
 
-    // Only admins can include personal data
-    const canIncludePersonalData = req.user.role === 'admin' && includePersonalData === 'true';
+    // Personal data needs its own permission
+    const canIncludePersonalData = includePersonalData === 'true' &&
+      await hasPermission(req.user, 'feedback.export_personal_data');
 
     // Build filters
     const filters = {};
@@ -810,17 +806,12 @@ router.get('/export', auth, teacherAuth, [
 });
 
 // @route   DELETE /api/feedback/:id
-// @desc    Delete feedback (Admin only)
-// @access  Private (Admin only)
-router.delete('/:id', auth, async (req, res, next) => {
+// @desc    Delete feedback
+// @access  Private (feedback.delete permission)
+router.delete('/:id', auth, requirePermission('feedback.delete'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    // Only admins can delete feedback
-    if (req.user.role !== 'admin') {
-      throw createForbiddenError('Only admins can delete feedback');
-    }
-
     const feedback = await Feedback.findById(id);
     if (!feedback) {
       throw createNotFoundError('Feedback');
@@ -0,0 +1,293 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const Club = require('../models/Club');
+const ClubInvitation = require('../models/ClubInvitation');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const { createNotFoundError, createForbiddenError, createConflictError } = require('../middleware/errorHandler');
+const { joinClub } = require('../services/membershipService');
+const { notifyInvitationResponse } = require('../services/notificationService');
+
+const router = express.Router();
+
+const tokenParam = param('token')
+  .isHexadecimal()
+  .isLength({ min: 64, max: 64 })
+  .withMessage('Invalid invitation link');
+
+const idParam = param('id')
+  .isMongoId()
+  .withMessage('Invitation ID must be a valid MongoDB ID');
+
+// Throw unless the invitation can still be answered, marking it expired if needed
+const assertOpen = async (invitation) => {
+  if (invitation.status === 'pending' && invitation.expiresAt <= Date.now()) {
+    invitation.status = 'expired';
+    await invitation.save();
+  }
+
+  if (invitation.status === 'expired') {
+    throw createConflictError('This invitation has expired');
+  }
+
+  if (invitation.status !== 'pending') {
+    throw createConflictError(`This invitation was already ${invitation.status}`);
+  }
+};
+
+const isForUser = (invitation, user) => (
+  invitation.email === user.email.toLowerCase() ||
+  (invitation.invitee && invitation.invitee.toString() === user._id.toString())
+);
+
+// Add the invitee to the club and close the invitation
+const acceptInvitation = async (invitation, user) => {
+  await assertOpen(invitation);
+
+  if (!isForUser(invitation, user)) {
+    throw createForbiddenError('This invitation was sent to a different email address');
+  }
+
+  const club = await Club.findById(invitation.club);
+  if (!club) {
+    throw createNotFoundError('Club');
+  }
+
+  if (!club.isMember(user._id)) {
+    await joinClub(club._id, user._id, { source: 'invitation' });
+  }
+
+  await invitation.respond('accepted', user._id);
+  await notifyInvitationResponse(club, invitation, user);
+
+  return club;
+};
+
+// Close the invitation without joining; works without an account via the token
+const declineInvitation = async (invitation, user) => {
+  await assertOpen(invitation);
+
+  if (user && !isForUser(invitation, user)) {
+    throw createForbiddenError('This invitation was sent to a different email address');
+  }
+
+  await invitation.respond('declined', user ? user._id : undefined);
+
+  const club = await Club.findById(invitation.club).select('name');
+  if (club) {
+    await notifyInvitationResponse(club, invitation, user);
+  }
+};
+
+// Shape an invitation for responses
+const formatInvitation = (invitation) => ({
+  id: invitation._id,
+  club: invitation.club,
+  invitedBy: invitation.invitedBy,
+  email: invitation.email,
+  message: invitation.message,
+  status: invitation.status === 'pending' && !invitation.isOpen ? 'expired' : invitation.status,
+  expiresAt: invitation.expiresAt,
+  createdAt: invitation.createdAt,
+});
+
+const populateInvitation = [
+  { path: 'club', select: 'name slug category shortDescription images' },
+  { path: 'invitedBy', select: 'name' },
+];
+
+// @route   GET /api/invitations
+// @desc    Get the current user's open club invitations
+// @access  Private
+router.get('/', auth, async (req, res, next) => {
+  try {
+    const invitations = await ClubInvitation.find({
+      status: 'pending',
+      expiresAt: { $gt: new Date() },
+      $or: [
+        { invitee: req.user._id },
+        { email: req.user.email.toLowerCase() }
+      ]
+    })
+      .populate(populateInvitation)
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        invitations: invitations.map(formatInvitation)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/invitations/mine/:id/accept
+// @desc    Accept one of the current user's invitations
+// @access  Private
+router.post('/mine/:id/accept', auth, [idParam], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await ClubInvitation.findById(req.params.id);
+    if (!invitation || !isForUser(invitation, req.user)) {
+      throw createNotFoundError('Invitation');
+    }
+
+    const club = await acceptInvitation(invitation, req.user);
+
+    res.json({
+      success: true,
+      message: `You joined ${club.name}`,
+      data: {
+        clubId: club._id
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/invitations/mine/:id/decline
+// @desc    Decline one of the current user's invitations
+// @access  Private
+router.post('/mine/:id/decline', auth, [idParam], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await ClubInvitation.findById(req.params.id);
+    if (!invitation || !isForUser(invitation, req.user)) {
+      throw createNotFoundError('Invitation');
+    }
+
+    await declineInvitation(invitation, req.user);
+
+    res.json({
+      success: true,
+      message: 'Invitation declined'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/invitations/:token
+// @desc    Get an invitation from its emailed link
+// @access  Public
+router.get('/:token', [tokenParam], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await ClubInvitation.findByToken(req.params.token)
+      .populate(populateInvitation);
+
+    if (!invitation) {
+      throw createNotFoundError('Invitation');
+    }
+
+    const hasAccount = !!invitation.invitee || await User.exists({ email: invitation.email });
+
+    res.json({
+      success: true,
+      data: {
+        invitation: formatInvitation(invitation),
+        hasAccount: !!hasAccount
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/invitations/:token/accept
+// @desc    Accept an invitation from its emailed link
+// @access  Private (the invited email's account)
+router.post('/:token/accept', auth, [tokenParam], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await ClubInvitation.findByToken(req.params.token);
+    if (!invitation) {
+      throw createNotFoundError('Invitation');
+    }
+
+    const club = await acceptInvitation(invitation, req.user);
+
+    res.json({
+      success: true,
+      message: `You joined ${club.name}`,
+      data: {
+        clubId: club._id
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/invitations/:token/decline
+// @desc    Decline an invitation from its emailed link
+// @access  Public (the link is the credential)
+router.post('/:token/decline', [tokenParam], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await ClubInvitation.findByToken(req.params.token);
+    if (!invitation) {
+      throw createNotFoundError('Invitation');
+    }
+
+    await declineInvitation(invitation, null);
+
+    res.json({
+      success: true,
+      message: 'Invitation declined'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
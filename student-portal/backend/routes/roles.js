@@ -0,0 +1,170 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { createValidationError } = require('../middleware/errorHandler');
+const {
+  ROLES,
+  PERMISSIONS,
+  CLUB_PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  LOCKED_PERMISSIONS,
+  getRolePermissionMap,
+  getPermissionsForRole,
+  findUnknownPermissions,
+  setRolePermissions,
+  resetRolePermissions
+} = require('../services/permissionService');
+
+const router = express.Router();
+
+const roleParam = param('role')
+  .isIn(ROLES)
+  .withMessage('Role must be student, teacher, or admin');
+
+// Shape a role's permissions for responses
+const formatRole = (role, permissions) => ({
+  role,
+  permissions: [...permissions].sort(),
+  lockedPermissions: LOCKED_PERMISSIONS[role] || [],
+  isDefault: [...permissions].sort().join() === [...DEFAULT_ROLE_PERMISSIONS[role]].sort().join()
+});
+
+// @route   GET /api/roles/me
+// @desc    Get the current user's permissions
+// @access  Private
+router.get('/me', auth, async (req, res, next) => {
+  try {
+    const permissions = await getPermissionsForRole(req.user.role);
+
+    res.json({
+      success: true,
+      data: {
+        role: req.user.role,
+        permissions: [...permissions].sort()
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/roles/permissions
+// @desc    Get the permission registry
+// @access  Private (roles.manage permission)
+router.get('/permissions', auth, requirePermission('roles.manage'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({
+        key,
+        group: key.split('.')[0],
+        description
+      })),
+      clubPermissions: Object.entries(CLUB_PERMISSIONS).map(([key, description]) => ({
+        key,
+        description
+      }))
+    }
+  });
+});
+
+// @route   GET /api/roles
+// @desc    Get permissions for every role
+// @access  Private (roles.manage permission)
+router.get('/', auth, requirePermission('roles.manage'), async (req, res, next) => {
+  try {
+    const map = await getRolePermissionMap();
+
+    res.json({
+      success: true,
+      data: {
+        roles: ROLES.map(role => formatRole(role, map[role]))
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/roles/:role
+// @desc    Replace the permissions granted to a role
+// @access  Private (roles.manage permission)
+router.put('/:role', auth, requirePermission('roles.manage'), [
+  roleParam,
+  body('permissions')
+    .isArray()
+    .withMessage('Permissions must be a list'),
+  body('permissions.*')
+    .isString()
+    .withMessage('Each permission must be a string'),
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { role } = req.params;
+    const { permissions } = req.body;
+
+    const unknown = findUnknownPermissions(permissions);
+    if (unknown.length > 0) {
+      throw createValidationError(`Unknown permissions: ${unknown.join(', ')}`, 'permissions');
+    }
+
+    const doc = await setRolePermissions(role, permissions, req.user._id);
+
+    res.json({
+      success: true,
+      message: `Permissions for ${role} updated successfully`,
+      data: {
+        role: formatRole(role, doc.permissions)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/roles/:role/reset
+// @desc    Restore a role's default permissions
+// @access  Private (roles.manage permission)
+router.post('/:role/reset', auth, requirePermission('roles.manage'), [
+  roleParam,
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { role } = req.params;
+    const permissions = await resetRolePermissions(role);
+
+    res.json({
+      success: true,
+      message: `Permissions for ${role} reset to defaults`,
+      data: {
+        role: formatRole(role, permissions)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
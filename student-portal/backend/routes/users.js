@@ -1,15 +1,20 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth, adminAuth, teacherAuth, ownerOrElevatedAuth } = require('../middleware/auth');
+const { auth, requirePermission, ownerOrPermission } = require('../middleware/auth');
+const { uploadImage } = require('../middleware/upload');
 const { createNotFoundError, createValidationError, createForbiddenError } = require('../middleware/errorHandler');
+const { previewDigest } = require('../services/digestService');
+const { revokeAllSessions } = require('../services/sessionService');
+const { hasPermission } = require('../services/permissionService');
+const { processImage, removeImages } = require('../services/imageService');
 
 const router = express.Router();
 
 // @route   GET /api/users
 // @desc    Get all users with filtering and pagination
-// @access  Private (Admin/Teacher)
-router.get('/', auth, teacherAuth, [
+// @access  Private (users.view permission)
+router.get('/', auth, requirePermission('users.view'), [
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -164,8 +169,8 @@ router.get('/search', auth, [
 
 // @route   GET /api/users/role/:role
 // @desc    Get users by role
-// @access  Private (Admin/Teacher)
-router.get('/role/:role', auth, teacherAuth, [
+// @access  Private (users.view permission)
+router.get('/role/:role', auth, requirePermission('users.view'), [
   query('limit')
     .optional()
     .isInt({ min: 1, max: 100 })
@@ -220,8 +225,8 @@ router.get('/teachers', auth, async (req, res, next) => {
 
 // @route   GET /api/users/stats
 // @desc    Get user statistics
-// @access  Private (Admin)
-router.get('/stats', auth, adminAuth, async (req, res, next) => {
+// @access  Private (users.view_stats permission)
+router.get('/stats', auth, requirePermission('users.view_stats'), async (req, res, next) => {
   try {
     const stats = await User.getUserStats();
 
@@ -258,7 +263,7 @@ router.get('/:id', auth, async (req, res, next) => {
     const { id } = req.params;
 
     // Check if user can access this profile
-    if (req.user.role === 'student' && req.user._id.toString() !== id) {
+    if (req.user._id.toString() !== id && !(await hasPermission(req.user, 'users.view'))) {
       throw createForbiddenError('You can only access your own profile');
     }
 
@@ -308,8 +313,8 @@ router.get('/:id', auth, async (req, res, next) => {
 
 // @route   PUT /api/users/:id
 // @desc    Update user by ID
-// @access  Private (Own profile or Admin)
-router.put('/:id', auth, ownerOrElevatedAuth('id'), [
+// @access  Private (Own profile or users.edit_profiles permission)
+router.put('/:id', auth, ownerOrPermission('users.edit_profiles', 'id'), [
   body('name')
     .optional()
     .trim()
@@ -338,6 +343,11 @@ router.put('/:id', auth, ownerOrElevatedAuth('id'), [
     .optional()
     .matches(/^[+]?[\d\s\-\(\)]{10,15}$/)
     .withMessage('Please provide a valid phone number'),
+
+  body('preferences')
+    .optional()
+    .isObject()
+    .withMessage('Preferences must be an object'),
 ], async (req, res, next) => {
   try {
     // Check for validation errors
@@ -352,9 +362,10 @@ router.put('/:id', auth, ownerOrElevatedAuth('id'), [
 
     const { id } = req.params;
     const allowedUpdates = ['name', 'department', 'studentId', 'bio', 'phoneNumber'];
+    const preferenceKeys = ['emailNotifications', 'smsNotifications', 'weeklyDigest', 'eventReminders'];
     
-    // Only admin can update certain fields
-    const adminOnlyUpdates = ['role', 'isActive', 'isEmailVerified'];
+    // Account fields need users.manage; role changes need users.change_role
+    const accountUpdates = ['isActive', 'isEmailVerified'];
     
     const updates = {};
 
@@ -365,15 +376,29 @@ router.put('/:id', auth, ownerOrElevatedAuth('id'), [
       }
     });
 
-    // Process admin-only updates
-    if (req.user.role === 'admin') {
+    // Process notification preference toggles
+    if (req.body.preferences) {
+      preferenceKeys.forEach(key => {
+        if (typeof req.body.preferences[key] === 'boolean') {
+          updates[`preferences.${key}`] = req.body.preferences[key];
+        }
+      });
+    }
+
+    // Process privileged updates
+    if (await hasPermission(req.user, 'users.manage')) {
       Object.keys(req.body).forEach(key => {
-        if (adminOnlyUpdates.includes(key) && req.body[key] !== undefined) {
+        if (accountUpdates.includes(key) && req.body[key] !== undefined) {
           updates[key] = req.body[key];
         }
       });
     }
 
+    if (req.body.role !== undefined && req.user._id.toString() !== id &&
+      await hasPermission(req.user, 'users.change_role')) {
+      updates.role = req.body.role;
+    }
+
     // Check if student ID is being updated and is unique
     if (updates.studentId) {
       const existingUser = await User.findOne({ 
@@ -390,9 +415,16 @@ router.put('/:id', auth, ownerOrElevatedAuth('id'), [
       }
     }
 
+    const update = { $set: updates };
+
+    // Role or status changes invalidate the user's existing access tokens
+    if (updates.role !== undefined || updates.isActive !== undefined) {
+      update.$inc = { tokenVersion: 1 };
+    }
+
     const user = await User.findByIdAndUpdate(
       id,
-      { $set: updates },
+      update,
       { new: true, runValidators: true }
     ).select('-password');
 
@@ -400,6 +432,10 @@ router.put('/:id', auth, ownerOrElevatedAuth('id'), [
       throw createNotFoundError('User');
     }
 
+    if (updates.isActive === false) {
+      await revokeAllSessions(user._id, 'account_deactivated');
+    }
+
     res.json({
       success: true,
       message: 'User updated successfully',
@@ -413,8 +449,8 @@ router.put('/:id', auth, ownerOrElevatedAuth('id'), [
 
 // @route   DELETE /api/users/:id
 // @desc    Deactivate user (soft delete)
-// @access  Private (Admin only)
-router.delete('/:id', auth, adminAuth, async (req, res, next) => {
+// @access  Private (users.manage permission)
+router.delete('/:id', auth, requirePermission('users.manage'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -432,7 +468,8 @@ router.delete('/:id', auth, adminAuth, async (req, res, next) => {
         isActive: false,
         // You might also want to clear some data
         lockUntil: undefined,
-        loginAttempts: 0
+        loginAttempts: 0,
+        $inc: { tokenVersion: 1 }
       },
       { new: true }
     ).select('-password');
@@ -441,6 +478,8 @@ router.delete('/:id', auth, adminAuth, async (req, res, next) => {
       throw createNotFoundError('User');
     }
 
+    await revokeAllSessions(user._id, 'account_deactivated');
+
     res.json({
       success: true,
       message: 'User deactivated successfully',
@@ -454,8 +493,8 @@ router.delete('/:id', auth, adminAuth, async (req, res, next) => {
 
 // @route   PUT /api/users/:id/activate
 // @desc    Reactivate user
-// @access  Private (Admin only)
-router.put('/:id/activate', auth, adminAuth, async (req, res, next) => {
+// @access  Private (users.manage permission)
+router.put('/:id/activate', auth, requirePermission('users.manage'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -484,10 +523,41 @@ router.put('/:id/activate', auth, adminAuth, async (req, res, next) => {
   }
 });
 
+// @route   PUT /api/users/:id/unlock
+// @desc    Unlock an account locked by failed login attempts
+// @access  Private (users.manage permission)
+router.put('/:id/unlock', auth, requirePermission('users.manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findByIdAndUpdate(
+      id,
+      {
+        $set: { loginAttempts: 0 },
+        $unset: { lockUntil: 1 }
+      },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      throw createNotFoundError('User');
+    }
+
+    res.json({
+      success: true,
+      message: 'User account unlocked successfully',
+      data: { user }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   PUT /api/users/:id/role
 // @desc    Update user role
-// @access  Private (Admin only)
-router.put('/:id/role', auth, adminAuth, [
+// @access  Private (users.change_role permission)
+router.put('/:id/role', auth, requirePermission('users.change_role'), [
   body('role')
     .isIn(['student', 'teacher', 'admin'])
     .withMessage('Role must be student, teacher, or admin'),
@@ -506,17 +576,18 @@ router.put('/:id/role', auth, adminAuth, [
     const { id } = req.params;
     const { role } = req.body;
 
-    // Prevent admin from changing their own role
-    if (req.user._id.toString() === id && req.user.role === 'admin') {
+    // Prevent users from changing their own role
+    if (req.user._id.toString() === id) {
       return res.status(400).json({
         success: false,
         message: 'You cannot change your own role'
       });
     }
 
+    // Bump the token version so tokens carrying the old role stop working
     const user = await User.findByIdAndUpdate(
       id,
-      { role },
+      { role, $inc: { tokenVersion: 1 } },
       { new: true, runValidators: true }
     ).select('-password');
 
@@ -543,7 +614,7 @@ router.get('/:id/clubs', auth, async (req, res, next) => {
     const { id } = req.params;
 
     // Check if user can access this data
-    if (req.user.role === 'student' && req.user._id.toString() !== id) {
+    if (req.user._id.toString() !== id && !(await hasPermission(req.user, 'users.view'))) {
       throw createForbiddenError('You can only access your own club data');
     }
 
@@ -586,7 +657,7 @@ router.get('/:id/events', auth, async (req, res, next) => {
     const { status = 'all', upcoming = 'false' } = req.query;
 
     // Check if user can access this data
-    if (req.user.role === 'student' && req.user._id.toString() !== id) {
+    if (req.user._id.toString() !== id && !(await hasPermission(req.user, 'users.view'))) {
       throw createForbiddenError('You can only access your own event data');
     }
 
@@ -634,37 +705,43 @@ router.get('/:id/events', auth, async (req, res, next) => {
 });
 
 // @route   POST /api/users/:id/upload-avatar
-// @desc    Upload user avatar
-// @access  Private (Own profile or Admin)
-router.post('/:id/upload-avatar', auth, ownerOrElevatedAuth('id'), async (req, res, next) => {
+// @desc    Upload user avatar (multipart field "image"); replaces any previous avatar
+// @access  Private (Own profile or users.edit_profiles permission)
+router.post('/:id/upload-avatar', auth, ownerOrPermission('users.edit_profiles', 'id'), uploadImage, async (req, res, next) => {
   try {
-    // This would typically handle file upload using multer
-    // For now, we'll just update the profilePicture URL
     const { id } = req.params;
-    const { profilePicture } = req.body;
 
-    if (!profilePicture) {
-      return res.status(400).json({
-        success: false,
-        message: 'Profile picture URL is required'
-      });
+    if (!req.file) {
+      throw createValidationError('Choose an image to upload', 'image');
     }
 
-    const user = await User.findByIdAndUpdate(
+    const existing = await User.findById(id).select('_id');
+    if (!existing) {
+      throw createNotFoundError('User');
+    }
+
+    const avatar = await processImage(req.file, `images/users/${id}/avatar`, 'avatar');
+
+    // The previous document is returned so its files can be cleaned up
+    const previous = await User.findByIdAndUpdate(
       id,
-      { profilePicture },
-      { new: true }
-    ).select('-password');
+      { avatar, profilePicture: avatar.variants.medium.url },
+      { new: false }
+    ).select('avatar');
 
-    if (!user) {
+    if (!previous) {
+      await removeImages([avatar]);
       throw createNotFoundError('User');
     }
 
+    await removeImages([previous.avatar]);
+
     res.json({
       success: true,
       message: 'Profile picture updated successfully',
       data: {
-        profilePicture: user.profilePicture
+        profilePicture: avatar.variants.medium.url,
+        avatar
       }
     });
 
@@ -673,6 +750,33 @@ router.post('/:id/upload-avatar', auth, ownerOrElevatedAuth('id'), async (req, r
   }
 });
 
+// @route   DELETE /api/users/:id/avatar
+// @desc    Remove user avatar and its stored files
+// @access  Private (Own profile or users.edit_profiles permission)
+router.delete('/:id/avatar', auth, ownerOrPermission('users.edit_profiles', 'id'), async (req, res, next) => {
+  try {
+    const previous = await User.findByIdAndUpdate(
+      req.params.id,
+      { $unset: { avatar: 1 }, profilePicture: '' },
+      { new: false }
+    ).select('avatar');
+
+    if (!previous) {
+      throw createNotFoundError('User');
+    }
+
+    await removeImages([previous.avatar]);
+
+    res.json({
+      success: true,
+      message: 'Profile picture removed successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   GET /api/users/:id/activity
 // @desc    Get user activity log
 // @access  Private (Own profile or Admin/Teacher)
@@ -682,7 +786,7 @@ router.get('/:id/activity', auth, async (req, res, next) => {
     const { limit = 20, page = 1 } = req.query;
 
     // Check permissions
-    if (req.user.role === 'student' && req.user._id.toString() !== id) {
+    if (req.user._id.toString() !== id && !(await hasPermission(req.user, 'users.view'))) {
       throw createForbiddenError('You can only access your own activity');
     }
 
@@ -755,4 +859,50 @@ router.get('/:id/activity', auth, async (req, res, next) => {
   }
 });
 
+// @route   GET /api/users/:id/digest-preview
+// @desc    Preview the user's weekly digest (add ?format=html for the rendered email)
+// @access  Private (Own profile or users.view permission)
+router.get('/:id/digest-preview', auth, ownerOrPermission('users.view', 'id'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id).select('name email preferences isActive joinedClubs');
+    if (!user) {
+      throw createNotFoundError('User');
+    }
+
+    const { digest, subject, html, text } = await previewDigest(user);
+
+    if (req.query.format === 'html') {
+      return res.type('html').send(html);
+    }
+
+    if (req.query.format === 'text') {
+      return res.type('text').send(text);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        subject,
+        html,
+        text,
+        summary: {
+          since: digest.since,
+          until: digest.until,
+          clubs: digest.clubCount,
+          announcements: digest.announcements.length,
+          upcomingEvents: digest.upcomingEvents.length,
+          completedEvents: digest.completedEvents.length,
+          isEmpty: digest.isEmpty
+        },
+        weeklyDigestEnabled: user.preferences?.weeklyDigest !== false
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
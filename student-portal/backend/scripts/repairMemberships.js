@@ -0,0 +1,38 @@
+// Find and fix drift between Club.members and User.joinedClubs.
+//
+//   npm run repair:memberships             apply the fixes
+//   npm run repair:memberships -- --dry-run  only report what would change
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { repairMemberships } = require('../services/membershipService');
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/smart-clubs';
+
+  await mongoose.connect(mongoURI);
+  console.log(`✅ MongoDB Connected: ${mongoose.connection.host}`);
+
+  const report = await repairMemberships({ dryRun });
+
+  report.issues.forEach(issue => {
+    const target = [
+      issue.clubName || issue.club ? `club ${issue.clubName || issue.club}` : null,
+      issue.user ? `user ${issue.user}` : null,
+    ].filter(Boolean).join(', ');
+    console.log(`- ${target}: ${issue.issue}`);
+  });
+
+  console.log(
+    `${dryRun ? 'Dry run: ' : ''}checked ${report.clubsChecked} clubs and ${report.usersChecked} users; ` +
+    `${report.clubsFixed} clubs and ${report.usersFixed} users ${dryRun ? 'need' : 'received'} fixes`
+  );
+};
+
+run()
+  .catch(error => {
+    console.error('Membership repair failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
\ No newline at end of file
@@ -17,11 +17,31 @@ const clubRoutes = require('./routes/clubs');
 const eventRoutes = require('./routes/events');
 const attendanceRoutes = require('./routes/attendance');
 const feedbackRoutes = require('./routes/feedback');
+const notificationRoutes = require('./routes/notifications');
+const roleRoutes = require('./routes/roles');
+const invitationRoutes = require('./routes/invitations');
+
+// Import services
+const { startOutboxWorker } = require('./services/mailService');
+const { startScheduler } = require('./services/scheduler');
+const { syncUpcomingEventReminders } = require('./services/reminderService');
+const { syncEventStatuses } = require('./services/eventStatusService');
+const { scheduleNextDigest } = require('./services/digestService');
+const { scheduleNextSeriesExtension } = require('./services/recurrenceService');
+const { assertTokenConfig } = require('./services/tokenService');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
 const notFound = require('./middleware/notFound');
 
+// Refuse to start without a key for signing auth tokens
+try {
+  assertTokenConfig();
+} catch (error) {
+  console.error(`❌ ${error.message}. Set it in the environment before starting the server.`);
+  process.exit(1);
+}
+
 const app = express();
 
 // Security middleware
@@ -94,7 +114,11 @@ if (process.env.NODE_ENV === 'development') {
   app.use(morgan('combined'));
 }
 
-// Serve static files
+// Serve static files. Private uploads are only reachable through routes
+// that check access first.
+app.use('/uploads/private', (req, res) => {
+  res.status(404).json({ success: false, message: 'Resource not found' });
+});
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // Health check endpoint
@@ -114,6 +138,9 @@ app.use('/api/clubs', clubRoutes);
 app.use('/api/events', eventRoutes);
 app.use('/api/attendance', attendanceRoutes);
 app.use('/api/feedback', feedbackRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/invitations', invitationRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -128,6 +155,9 @@ app.get('/', (req, res) => {
       events: '/api/events',
       attendance: '/api/attendance',
       feedback: '/api/feedback',
+      notifications: '/api/notifications',
+      roles: '/api/roles',
+      invitations: '/api/invitations',
     },
   });
 });
@@ -149,6 +179,20 @@ const connectDB = async () => {
     });
 
     console.log(`✅ MongoDB Connected: ${mongoose.connection.host}`);
+
+    // Start background email delivery and scheduled jobs once the database is available
+    startOutboxWorker();
+    await syncEventStatuses();
+    await syncUpcomingEventReminders();
+    // A failed job write is logged rather than treated as a connection
+    // error; both jobs are scheduled again on the next start
+    await scheduleNextDigest().catch((error) => {
+      console.error('Weekly digest scheduling error:', error.message);
+    });
+    await scheduleNextSeriesExtension().catch((error) => {
+      console.error('Recurring series scheduling error:', error.message);
+    });
+    startScheduler();
   } catch (error) {
     console.error('❌ MongoDB connection error:', error.message);
     process.exit(1);
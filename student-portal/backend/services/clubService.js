@@ -0,0 +1,151 @@
+const Event = require('../models/Event');
+const ClubInvitation = require('../models/ClubInvitation');
+const Feedback = require('../models/Feedback');
+const JoinRequest = require('../models/JoinRequest');
+const MembershipHistory = require('../models/MembershipHistory');
+const Notification = require('../models/Notification');
+const Registration = require('../models/Registration');
+const ScheduledJob = require('../models/ScheduledJob');
+const User = require('../models/User');
+const { removeFiles } = require('./storageService');
+const { getImageKeys } = require('./imageService');
+
+// Permanently delete a club along with its events and every record that
+// points at them: feedback, registrations, scheduled jobs, notifications,
+// join requests, invitations, membership history, uploaded resource files,
+// achievement attachments and images, and the club/event references kept on users.
+const deleteClubCascade = async (club) => {
+  const events = await Event.find({ club: club._id }).select('_id images.bannerFile');
+  const eventIds = events.map(event => event._id);
+
+  const [feedback, registrations, jobs, notifications, users, joinRequests, invitations, history] = await Promise.all([
+    Feedback.deleteMany({ $or: [{ club: club._id }, { event: { $in: eventIds } }] }),
+    Registration.deleteMany({ event: { $in: eventIds } }),
+    ScheduledJob.deleteMany({ event: { $in: eventIds } }),
+    Notification.deleteMany({ $or: [{ relatedClub: club._id }, { relatedEvent: { $in: eventIds } }] }),
+    User.updateMany(
+      {
+        $or: [
+          { 'joinedClubs.club': club._id },
+          { 'eventsRegistered.event': { $in: eventIds } },
+          { eventsOrganized: { $in: eventIds } },
+        ],
+      },
+      {
+        $pull: {
+          joinedClubs: { club: club._id },
+          eventsRegistered: { event: { $in: eventIds } },
+          eventsOrganized: { $in: eventIds },
+        },
+      }
+    ),
+    JoinRequest.deleteMany({ club: club._id }),
+    ClubInvitation.deleteMany({ club: club._id }),
+    MembershipHistory.deleteMany({ club: club._id }),
+  ]);
+
+  await Event.deleteMany({ club: club._id });
+  await club.deleteOne();
+
+  const images = [
+    club.images.logoFile,
+    club.images.bannerFile,
+    ...club.images.gallery.map(item => item.file),
+    ...events.map(event => event.images && event.images.bannerFile),
+  ];
+  const fileKeys = [
+    ...club.resources.map(resource => resource.file && resource.file.key),
+    ...club.achievements.flatMap(achievement => (
+      achievement.attachments.map(attachment => attachment.file && attachment.file.key)
+    )),
+    ...images.flatMap(getImageKeys),
+  ].filter(Boolean);
+
+  // The records are already gone, so storage errors are logged and reported
+  // rather than failing a deletion that has happened
+  let filesNotRemoved;
+  try {
+    filesNotRemoved = await removeFiles(fileKeys);
+  } catch (error) {
+    console.error(`File cleanup failed for deleted club ${club._id}:`, error.message);
+    filesNotRemoved = fileKeys;
+  }
+
+  return {
+    events: eventIds.length,
+    feedback: feedback.deletedCount,
+    registrations: registrations.deletedCount,
+    scheduledJobs: jobs.deletedCount,
+    notifications: notifications.deletedCount,
+    usersUpdated: users.modifiedCount,
+    joinRequests: joinRequests.deletedCount,
+    invitations: invitations.deletedCount,
+    membershipHistory: history.deletedCount,
+    files: fileKeys.length - filesNotRemoved.length,
+    filesNotRemoved: filesNotRemoved.length,
+  };
+};
+
+// Build a club's history for its timeline: when it was founded, its
+// achievements and its past public events, grouped by year, newest first
+const getClubTimeline = async (club) => {
+  const events = await Event.find({
+    club: club._id,
+    isPublic: true,
+    status: { $nin: ['draft', 'cancelled'] },
+    eventDate: { $lt: new Date() },
+  }).select('title slug eventType eventDate venue.name');
+
+  const items = [
+    ...club.achievements.map(achievement => ({
+      type: 'achievement',
+      _id: achievement._id,
+      date: achievement.date,
+      title: achievement.title,
+      description: achievement.description,
+      category: achievement.category,
+      event: achievement.event,
+      attachments: achievement.attachments.map(attachment => ({
+        _id: attachment._id,
+        name: attachment.name,
+        url: attachment.url,
+        type: attachment.type,
+      })),
+    })),
+    ...events.map(event => ({
+      type: 'event',
+      _id: event._id,
+      date: event.eventDate,
+      title: event.title,
+      eventType: event.eventType,
+      venue: event.venue && event.venue.name,
+    })),
+  ];
+
+  if (club.establishedAt) {
+    items.push({
+      type: 'founded',
+      date: club.establishedAt,
+      title: `${club.name} was founded`,
+    });
+  }
+
+  const years = new Map();
+  items
+    .filter(item => item.date)
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
+    .forEach(item => {
+      const year = new Date(item.date).getFullYear();
+      if (!years.has(year)) {
+        years.set(year, []);
+      }
+      years.get(year).push(item);
+    });
+
+  return [...years].map(([year, yearItems]) => ({ year, items: yearItems }));
+};
+
+module.exports = {
+  deleteClubCascade,
+  getClubTimeline,
+};
\ No newline at end of file
@@ -0,0 +1,214 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Club = require('../models/Club');
+const Event = require('../models/Event');
+const Feedback = require('../models/Feedback');
+const { registerJobHandler, scheduleJob } = require('./scheduler');
+const { queueEmail } = require('./mailService');
+const { renderTemplate } = require('./mail/templates');
+const { getAnnouncementRecipients } = require('./notificationService');
+
+const JOB_TYPE = 'weekly_digest';
+const DIGEST_PERIOD_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Day of week (0 = Sunday) and hour the digest goes out
+const getDigestDay = () => parseInt(process.env.DIGEST_DAY ?? 1);
+const getDigestHour = () => parseInt(process.env.DIGEST_HOUR ?? 8);
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+// Next digest run strictly after the given date
+const getNextDigestRun = (from = new Date()) => {
+  const next = new Date(from);
+  next.setHours(getDigestHour(), 0, 0, 0);
+
+  const daysAhead = (getDigestDay() - next.getDay() + 7) % 7;
+  next.setDate(next.getDate() + daysAhead);
+
+  if (next <= from) {
+    next.setDate(next.getDate() + 7);
+  }
+
+  return next;
+};
+
+const getDigestKey = (runAt) => `${JOB_TYPE}:${runAt.toISOString().split('T')[0]}`;
+
+// Clubs the user is an active member of
+const getUserClubs = (user) => {
+  const joinedClubIds = (user.joinedClubs || [])
+    .filter(membership => membership.isActive !== false && membership.club)
+    .map(membership => membership.club);
+
+  return Club.find({
+    isActive: true,
+    $or: [
+      { _id: { $in: joinedClubIds } },
+      { members: { $elemMatch: { user: user._id, isActive: true } } },
+      { coordinator: user._id },
+      { 'coCoordinators.user': user._id },
+    ],
+  }).select('name slug coordinator coCoordinators members announcements');
+};
+
+// Average rating, count and recommendation rate for each event
+const getFeedbackSummaries = async (eventIds) => {
+  if (eventIds.length === 0) return {};
+
+  const summaries = await Feedback.aggregate([
+    { $match: { event: { $in: eventIds.map(toObjectId) } } },
+    {
+      $group: {
+        _id: '$event',
+        totalFeedback: { $sum: 1 },
+        averageRating: { $avg: '$rating.overall' },
+        recommendCount: {
+          $sum: { $cond: [{ $eq: ['$suggestions.recommendToOthers', true] }, 1, 0] }
+        },
+      }
+    }
+  ]);
+
+  return summaries.reduce((acc, summary) => {
+    acc[summary._id.toString()] = {
+      totalFeedback: summary.totalFeedback,
+      averageRating: +summary.averageRating.toFixed(1),
+      recommendRate: Math.round((summary.recommendCount / summary.totalFeedback) * 100),
+    };
+    return acc;
+  }, {});
+};
+
+// Gather everything that goes into a user's digest for the period ending at `until`
+const buildDigest = async (user, { until = new Date() } = {}) => {
+  const since = new Date(until.getTime() - DIGEST_PERIOD_MS);
+  const clubs = await getUserClubs(user);
+  const clubIds = clubs.map(club => club._id);
+
+  // New announcements the user is in the audience for
+  const announcements = [];
+  clubs.forEach(club => {
+    const isRecipient = (audience) => getAnnouncementRecipients(club, audience)
+      .some(recipient => recipient && recipient.toString() === user._id.toString());
+
+    club.announcements
+      .filter(announcement =>
+        announcement.isActive &&
+        announcement.createdAt >= since &&
+        announcement.createdAt <= until &&
+        (!announcement.expiresAt || announcement.expiresAt > until) &&
+        isRecipient(announcement.targetAudience)
+      )
+      .forEach(announcement => {
+        announcements.push({
+          club: { _id: club._id, name: club.name, slug: club.slug },
+          title: announcement.title,
+          content: announcement.content,
+          priority: announcement.priority,
+          createdAt: announcement.createdAt,
+        });
+      });
+  });
+  announcements.sort((a, b) => b.createdAt - a.createdAt);
+
+  // Upcoming events for each of the user's clubs
+  const upcomingByClub = await Promise.all(
+    clubIds.map(clubId => Event.findUpcoming(5, { club: clubId }))
+  );
+  const upcomingEvents = upcomingByClub
+    .flat()
+    .sort((a, b) => a.eventDate - b.eventDate)
+    .slice(0, 10);
+
+  // Events that finished during the period, with their feedback
+  const completed = await Event.find({
+    club: { $in: clubIds },
+    status: 'completed',
+    eventDate: { $gte: since, $lte: until },
+  })
+    .populate('club', 'name slug')
+    .sort({ eventDate: -1 })
+    .limit(10);
+
+  const feedbackSummaries = await getFeedbackSummaries(completed.map(event => event._id));
+  const completedEvents = completed.map(event => ({
+    event,
+    feedback: feedbackSummaries[event._id.toString()] || {
+      totalFeedback: 0,
+      averageRating: null,
+      recommendRate: null,
+    },
+  }));
+
+  return {
+    since,
+    until,
+    clubCount: clubs.length,
+    announcements,
+    upcomingEvents,
+    completedEvents,
+    isEmpty: announcements.length === 0 && upcomingEvents.length === 0 && completedEvents.length === 0,
+  };
+};
+
+// Build and render a user's digest without sending it
+const previewDigest = async (user) => {
+  const digest = await buildDigest(user);
+  const { subject, html, text } = renderTemplate('weeklyDigest', { user, digest });
+  return { digest, subject, html, text };
+};
+
+// Make sure the next weekly run is scheduled
+const scheduleNextDigest = (from = new Date()) => {
+  const runAt = getNextDigestRun(from);
+  return scheduleJob({
+    type: JOB_TYPE,
+    key: getDigestKey(runAt),
+    runAt,
+  });
+};
+
+// Job handler: queue a digest for every user who opted in
+const sendWeeklyDigests = async (job) => {
+  const runKey = job.key || getDigestKey(job.runAt);
+  let users = 0;
+  let queued = 0;
+
+  const cursor = User.find({
+    isActive: true,
+    'preferences.weeklyDigest': true,
+    'preferences.emailNotifications': { $ne: false },
+  })
+    .select('name email preferences isActive joinedClubs')
+    .cursor();
+
+  for await (const user of cursor) {
+    users++;
+    try {
+      const digest = await buildDigest(user, { until: job.runAt });
+      if (digest.isEmpty) continue;
+
+      // One digest per user per run, even if the job is retried
+      const entry = await queueEmail(user, 'weeklyDigest', { digest }, {
+        dedupeKey: `${runKey}:${user._id}`,
+      });
+      if (entry) queued++;
+    } catch (error) {
+      console.error(`Weekly digest error for ${user._id}:`, error.message);
+    }
+  }
+
+  // Schedule from now if this run was delayed (e.g. the server was down)
+  await scheduleNextDigest(new Date(Math.max(job.runAt.getTime(), Date.now())));
+
+  return { users, queued };
+};
+
+registerJobHandler(JOB_TYPE, sendWeeklyDigests);
+
+module.exports = {
+  buildDigest,
+  previewDigest,
+  scheduleNextDigest,
+  getNextDigestRun,
+};
\ No newline at end of file
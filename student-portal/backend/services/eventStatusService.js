@@ -0,0 +1,135 @@
+const Event = require('../models/Event');
+const ScheduledJob = require('../models/ScheduledJob');
+const { registerJobHandler, scheduleJob } = require('./scheduler');
+const { updateEventReminders } = require('./reminderService');
+
+const JOB_TYPE = 'event_status_transition';
+
+// Statuses the clock moves events out of
+const CLOCK_STATUSES = ['draft', 'published', 'upcoming', 'postponed', 'ongoing'];
+
+// The target time is part of the key, so moving an event schedules a new job
+// even when the job for the old time already ran
+const getTransitionKey = (eventId, status, runAt) => `${JOB_TYPE}:${eventId}:${status}:${runAt.getTime()}`;
+
+// The clock-driven changes still ahead of an event, as [status, time] pairs
+const getUpcomingTransitions = (event) => {
+  switch (event.status) {
+    case 'draft':
+      return event.publishAt ? [['published', event.publishAt]] : [];
+    case 'published':
+    case 'upcoming':
+    case 'postponed':
+      return [['ongoing', event.getStartDateTime()], ['completed', event.getEndDateTime()]];
+    case 'ongoing':
+      return [['completed', event.getEndDateTime()]];
+    default:
+      return [];
+  }
+};
+
+// Apply every change the clock says is due, recording each one in the status
+// history. A change is skipped if someone else changed the status first.
+const advanceEventStatus = async (event, now = new Date()) => {
+  const applied = [];
+  let status = event.getClockStatus(now);
+
+  while (status) {
+    const from = event.status;
+    const result = await Event.updateOne(
+      { _id: event._id, status: from },
+      {
+        $set: { status },
+        $push: { statusHistory: { from, to: status, automatic: true, changedAt: now } },
+      }
+    );
+
+    if (result.modifiedCount === 0) break;
+
+    event.status = status;
+    applied.push(status);
+    status = event.getClockStatus(now);
+  }
+
+  if (applied.length > 0) {
+    await updateEventReminders(event);
+    await updateEventStatusJobs(event);
+  }
+
+  return applied;
+};
+
+// Create or move the jobs that will move the event along by the clock and
+// drop any that no longer apply; never throws
+const updateEventStatusJobs = async (event) => {
+  try {
+    const keys = [];
+
+    for (const [status, runAt] of getUpcomingTransitions(event)) {
+      const key = getTransitionKey(event._id, status, runAt);
+      keys.push(key);
+
+      await scheduleJob({
+        type: JOB_TYPE,
+        key,
+        runAt,
+        event: event._id,
+        payload: { status },
+      });
+    }
+
+    await ScheduledJob.deleteMany({
+      type: JOB_TYPE,
+      event: event._id,
+      status: 'pending',
+      key: { $nin: keys },
+    });
+  } catch (error) {
+    console.error(`Status scheduling error for event ${event._id}:`, error.message);
+  }
+};
+
+// Job handler: move the event to whatever status is due
+const runStatusTransition = async (job) => {
+  const event = await Event.findById(job.event)
+    .select('status eventDate startTime endTime timezone publishAt');
+
+  if (!event) {
+    return { skipped: true, reason: 'Event not found' };
+  }
+
+  const applied = await advanceEventStatus(event);
+  return { applied, status: event.status };
+};
+
+// Catch up on changes missed while the server was down and schedule jobs for
+// every event the clock still has to move (run on startup)
+const syncEventStatuses = async () => {
+  try {
+    const events = await Event.find({ status: { $in: CLOCK_STATUSES } })
+      .select('status eventDate startTime endTime timezone publishAt');
+
+    let changed = 0;
+    for (const event of events) {
+      const applied = await advanceEventStatus(event);
+      if (applied.length > 0) {
+        changed++;
+      } else {
+        await updateEventStatusJobs(event);
+      }
+    }
+
+    return changed;
+  } catch (error) {
+    console.error('Event status sync error:', error.message);
+    return 0;
+  }
+};
+
+registerJobHandler(JOB_TYPE, runStatusTransition);
+
+module.exports = {
+  advanceEventStatus,
+  updateEventStatusJobs,
+  syncEventStatuses,
+};
\ No newline at end of file
@@ -0,0 +1,128 @@
+const sharp = require('sharp');
+const { createValidationError } = require('../middleware/errorHandler');
+const { getStorage, buildKey, removeFiles } = require('./storageService');
+
+const VARIANT_NAMES = ['small', 'medium', 'large'];
+
+// Sizes generated for each kind of image, as [width, height]. "cover" crops to
+// the exact size; "inside" keeps the aspect ratio and never enlarges.
+const IMAGE_PRESETS = {
+  avatar: { fit: 'cover', sizes: { small: [64, 64], medium: [256, 256], large: [512, 512] } },
+  logo: { fit: 'cover', sizes: { small: [64, 64], medium: [256, 256], large: [512, 512] } },
+  banner: { fit: 'cover', sizes: { small: [640, 200], medium: [1280, 400], large: [1920, 600] } },
+  gallery: { fit: 'inside', sizes: { small: [320, 320], medium: [960, 960], large: [1920, 1920] } },
+};
+
+// Refuse images that would take too much memory to decode
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+// Identify an image from its leading bytes rather than trusting the upload's
+// declared type or extension
+const sniffImageType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6))) {
+    return 'image/gif';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+};
+
+// Every storage key belonging to a stored image
+const getImageKeys = (image) => {
+  if (!image || !image.key) return [];
+
+  const variantKeys = VARIANT_NAMES
+    .map(name => image.variants && image.variants[name] && image.variants[name].key)
+    .filter(Boolean);
+
+  return [image.key, ...variantKeys];
+};
+
+// Validate an uploaded multer file (memory storage), store it with EXIF data
+// stripped and save a WebP copy for each size of the preset. Returns the
+// document stored by models/schemas/storedImage.js.
+const processImage = async (file, folder, presetName) => {
+  const preset = IMAGE_PRESETS[presetName];
+  if (!preset) {
+    throw new Error(`Unknown image preset: ${presetName}`);
+  }
+
+  const mimeType = sniffImageType(file.buffer);
+  if (!mimeType || mimeType !== file.mimetype) {
+    throw createValidationError('File contents are not a valid JPEG, PNG, GIF or WebP image', 'image');
+  }
+
+  // rotate() applies the EXIF orientation before the metadata is dropped
+  const load = () => sharp(file.buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+
+  let original;
+  try {
+    original = await load().toBuffer({ resolveWithObject: true });
+  } catch (error) {
+    throw createValidationError('Image could not be read; it may be corrupt or too large', 'image');
+  }
+
+  const storage = getStorage();
+  const key = buildKey(folder, file.originalname);
+  const baseKey = key.replace(/\.[^./]+$/, '');
+  const savedKeys = [];
+
+  try {
+    await storage.save(key, original.data, { contentType: mimeType });
+    savedKeys.push(key);
+
+    const variants = {};
+    for (const name of VARIANT_NAMES) {
+      const [width, height] = preset.sizes[name];
+      const { data, info } = await load()
+        .resize({ width, height, fit: preset.fit, withoutEnlargement: preset.fit === 'inside' })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+
+      const variantKey = `${baseKey}-${name}.webp`;
+      await storage.save(variantKey, data, { contentType: 'image/webp' });
+      savedKeys.push(variantKey);
+
+      variants[name] = {
+        key: variantKey,
+        url: storage.getPublicUrl(variantKey),
+        width: info.width,
+        height: info.height,
+      };
+    }
+
+    return {
+      key,
+      url: storage.getPublicUrl(key),
+      mimeType,
+      size: original.info.size,
+      width: original.info.width,
+      height: original.info.height,
+      variants,
+      uploadedAt: new Date(),
+    };
+  } catch (error) {
+    await removeFiles(savedKeys);
+    throw error;
+  }
+};
+
+// Remove every stored size of the given images
+const removeImages = (images) => removeFiles(images.flatMap(getImageKeys));
+
+module.exports = {
+  IMAGE_PRESETS,
+  sniffImageType,
+  getImageKeys,
+  processImage,
+  removeImages,
+};
\ No newline at end of file
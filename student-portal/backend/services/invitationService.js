@@ -0,0 +1,61 @@
+const ClubInvitation = require('../models/ClubInvitation');
+const { queueEmail } = require('./mailService');
+const { notifyClubInvitation } = require('./notificationService');
+
+// Email an invitation and, when the invitee has an account, notify them in-app.
+// Invitees without an account are emailed directly at the invited address.
+const sendInvitation = async (invitation, token, { club, inviter, invitee }) => {
+  const recipient = invitee || {
+    name: invitation.email,
+    email: invitation.email,
+    preferences: {},
+    isActive: true,
+  };
+
+  try {
+    await queueEmail(recipient, 'clubInvitation', {
+      club,
+      inviter,
+      invitation,
+      token,
+      hasAccount: !!invitee,
+    });
+  } catch (error) {
+    console.error('Club invitation email error:', error.message);
+  }
+
+  if (invitee) {
+    await notifyClubInvitation(club, invitation, inviter);
+  }
+};
+
+// Link invitations sent to an email address before its owner registered
+const linkInvitationsToUser = async (user) => {
+  const invitations = await ClubInvitation.find({
+    email: user.email.toLowerCase(),
+    status: 'pending',
+    invitee: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .populate('club', 'name')
+    .populate('invitedBy', 'name');
+
+  if (invitations.length === 0) return 0;
+
+  await ClubInvitation.updateMany(
+    { _id: { $in: invitations.map(invitation => invitation._id) } },
+    { $set: { invitee: user._id } }
+  );
+
+  for (const invitation of invitations) {
+    invitation.invitee = user._id;
+    await notifyClubInvitation(invitation.club, invitation, invitation.invitedBy);
+  }
+
+  return invitations.length;
+};
+
+module.exports = {
+  sendInvitation,
+  linkInvitationsToUser,
+};
\ No newline at end of file
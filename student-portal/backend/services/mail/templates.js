@@ -0,0 +1,377 @@
+const APP_NAME = 'Smart Clubs';
+
+const getAppUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatEventDate = (event) => {
+  const date = new Date(event.eventDate).toLocaleDateString('en-IN', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    // Event dates are calendar days stored at midnight UTC
+    timeZone: 'UTC',
+  });
+  return event.startTime ? `${date} at ${event.startTime}` : date;
+};
+
+// Wrap template content in the shared email layout
+const layout = ({ heading, body, action }) => {
+  const actionHtml = action
+    ? `<p style="margin:24px 0;"><a href="${escapeHtml(action.url)}" style="background:#2563eb;color:#ffffff;padding:12px 20px;border-radius:8px;text-decoration:none;font-weight:600;">${escapeHtml(action.label)}</a></p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f9fafb;font-family:Arial,Helvetica,sans-serif;color:#111827;">
+    <div style="max-width:600px;margin:0 auto;background:#ffffff;border:1px solid #e5e7eb;border-radius:12px;padding:32px;">
+      <h1 style="font-size:22px;margin:0 0 16px;">${escapeHtml(heading)}</h1>
+      ${body}
+      ${actionHtml}
+      <p style="font-size:12px;color:#6b7280;margin-top:32px;">
+        You are receiving this email from ${APP_NAME}. You can change your email preferences in your profile settings.
+      </p>
+    </div>
+  </body>
+</html>`;
+};
+
+const textFooter = `\n\n--\nYou are receiving this email from ${APP_NAME}. You can change your email preferences in your profile settings.`;
+
+const formatShortDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+});
+
+const truncate = (value = '', length = 200) => (
+  value.length > length ? `${value.substring(0, length)}...` : value
+);
+
+const sectionHeading = (title) => `<h2 style="font-size:16px;margin:24px 0 8px;padding-bottom:6px;border-bottom:1px solid #e5e7eb;">${escapeHtml(title)}</h2>`;
+
+const describeFeedback = ({ totalFeedback, averageRating, recommendRate }) => {
+  if (!totalFeedback) return 'No feedback yet';
+  const parts = [`${averageRating}/5 from ${totalFeedback} response${totalFeedback === 1 ? '' : 's'}`];
+  if (recommendRate !== null) parts.push(`${recommendRate}% would recommend`);
+  return parts.join(', ');
+};
+
+// Each template declares which User.preferences flag gates it and how to render it.
+// A template with `required: true` is sent regardless of preferences (account security emails).
+const templates = {
+  emailVerification: {
+    required: true,
+    render: ({ user, token }) => {
+      const url = `${getAppUrl()}/verify-email/${token}`;
+      const expiresInHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+      return {
+        subject: `Verify your ${APP_NAME} email address`,
+        html: layout({
+          heading: 'Verify your email',
+          body: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Please confirm that <strong>${escapeHtml(user.email)}</strong> is your email address to finish setting up your account.</p>
+<p>This link expires in ${expiresInHours} hours. If you did not create an account, you can ignore this email.</p>`,
+          action: { label: 'Verify email', url },
+        }),
+        text: `Hi ${user.name},\n\nPlease confirm that ${user.email} is your email address to finish setting up your account:\n\n${url}\n\nThis link expires in ${expiresInHours} hours. If you did not create an account, you can ignore this email.${textFooter}`,
+      };
+    },
+  },
+
+  passwordReset: {
+    required: true,
+    render: ({ user, token }) => {
+      const url = `${getAppUrl()}/reset-password/${token}`;
+      const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+      return {
+        subject: `Reset your ${APP_NAME} password`,
+        html: layout({
+          heading: 'Reset your password',
+          body: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>We received a request to reset the password for your account. Use the button below to choose a new password.</p>
+<p>This link can only be used once and expires in ${expiresInMinutes} minutes. If you did not request a reset, you can safely ignore this email.</p>`,
+          action: { label: 'Reset password', url },
+        }),
+        text: `Hi ${user.name},\n\nWe received a request to reset the password for your account. Choose a new password here:\n\n${url}\n\nThis link can only be used once and expires in ${expiresInMinutes} minutes. If you did not request a reset, you can safely ignore this email.${textFooter}`,
+      };
+    },
+  },
+
+  passwordChanged: {
+    required: true,
+    render: ({ user }) => {
+      const url = `${getAppUrl()}/forgot-password`;
+      return {
+        subject: `Your ${APP_NAME} password was changed`,
+        html: layout({
+          heading: 'Password changed',
+          body: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>The password for your account was just changed and you have been signed out of your other sessions.</p>
+<p>If you did not make this change, reset your password immediately and contact an administrator.</p>`,
+          action: { label: 'Reset password', url },
+        }),
+        text: `Hi ${user.name},\n\nThe password for your account was just changed and you have been signed out of your other sessions.\n\nIf you did not make this change, reset your password immediately and contact an administrator: ${url}${textFooter}`,
+      };
+    },
+  },
+
+  eventConfirmation: {
+    preference: 'emailNotifications',
+    render: ({ user, event }) => {
+      const url = `${getAppUrl()}/events/${event._id}`;
+      const venue = event.venue?.isVirtual ? 'Online' : event.venue?.name;
+      return {
+        subject: `Registration confirmed: ${event.title}`,
+        html: layout({
+          heading: 'You are registered!',
+          body: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Your registration for <strong>${escapeHtml(event.title)}</strong> is confirmed.</p>
+<p><strong>When:</strong> ${escapeHtml(formatEventDate(event))}<br/><strong>Where:</strong> ${escapeHtml(venue || 'TBA')}</p>`,
+          action: { label: 'View event', url },
+        }),
+        text: `Hi ${user.name},\n\nYour registration for ${event.title} is confirmed.\n\nWhen: ${formatEventDate(event)}\nWhere: ${venue || 'TBA'}\n\nView event: ${url}${textFooter}`,
+      };
+    },
+  },
+
+  waitlistPromotion: {
+    preference: 'emailNotifications',
+    render: ({ user, event }) => {
+      const url = `${getAppUrl()}/events/${event._id}`;
+      return {
+        subject: `A spot opened up: ${event.title}`,
+        html: layout({
+          heading: 'You got a spot!',
+          body: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>A spot opened up for <strong>${escapeHtml(event.title)}</strong> and you have been moved from the waitlist to registered.</p>
+<p><strong>When:</strong> ${escapeHtml(formatEventDate(event))}</p>
+<p>If you can no longer attend, please unregister so the next person on the waitlist can take your place.</p>`,
+          action: { label: 'View event', url },
+        }),
+        text: `Hi ${user.name},\n\nA spot opened up for ${event.title} and you have been moved from the waitlist to registered.\n\nWhen: ${formatEventDate(event)}\n\nIf you can no longer attend, please unregister so the next person on the waitlist can take your place.\n\nView event: ${url}${textFooter}`,
+      };
+    },
+  },
+
+  eventCancellation: {
+    preference: 'emailNotifications',
+    render: ({ user, event, reason }) => {
+      const url = `${getAppUrl()}/events/${event._id}`;
+      const cancellationReason = reason || event.cancellation?.reason;
+      return {
+        subject: `Event cancelled: ${event.title}`,
+        html: layout({
+          heading: 'Event cancelled',
+          body: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>We are sorry to let you know that <strong>${escapeHtml(event.title)}</strong>, scheduled for ${escapeHtml(formatEventDate(event))}, has been cancelled.</p>
+${cancellationReason ? `<p><strong>Reason:</strong> ${escapeHtml(cancellationReason)}</p>` : ''}`,
+          action: { label: 'View details', url },
+        }),
+        text: `Hi ${user.name},\n\nWe are sorry to let you know that ${event.title}, scheduled for ${formatEventDate(event)}, has been cancelled.${cancellationReason ? `\n\nReason: ${cancellationReason}` : ''}\n\nView details: ${url}${textFooter}`,
+      };
+    },
+  },
+
+  eventPostponement: {
+    preference: 'emailNotifications',
+    render: ({ user, event, waitlisted }) => {
+      const url = `${getAppUrl()}/events/${event._id}`;
+      const { reason, previousDate, previousStartTime } = event.postponement || {};
+      const previous = previousDate
+        ? formatEventDate({ eventDate: previousDate, startTime: previousStartTime })
+        : null;
+      const nextStep = waitlisted
+        ? 'You are still on the waitlist for the new date.'
+        : 'Please let us know whether you can still make it: confirm your seat, or release it so someone on the waitlist can have it.';
+      return {
+        subject: `Event postponed: ${event.title}`,
+        html: layout({
+          heading: 'Event postponed',
+          body: `<p>Hi ${escapeHtml(user.name)},</p>
+<p><strong>${escapeHtml(event.title)}</strong>${previous ? `, scheduled for ${escapeHtml(previous)},` : ''} has been postponed to <strong>${escapeHtml(formatEventDate(event))}</strong>.</p>
+${reason ? `<p><strong>Reason:</strong> ${escapeHtml(reason)}</p>` : ''}
+<p>${escapeHtml(nextStep)}</p>`,
+          action: { label: waitlisted ? 'View event' : 'Confirm or release your seat', url },
+        }),
+        text: `Hi ${user.name},\n\n${event.title}${previous ? `, scheduled for ${previous},` : ''} has been postponed to ${formatEventDate(event)}.${reason ? `\n\nReason: ${reason}` : ''}\n\n${nextStep}\n\nView event: ${url}${textFooter}`,
+      };
+    },
+  },
+
+  eventReminder: {
+    preference: 'eventReminders',
+    render: ({ user, event, timeUntil }) => {
+      const url = `${getAppUrl()}/events/${event._id}`;
+      const venue = event.venue?.isVirtual ? 'Online' : event.venue?.name;
+      return {
+        subject: `Reminder: ${event.title} starts ${timeUntil}`,
+        html: layout({
+          heading: `Starting ${timeUntil}`,
+          body: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>This is a reminder that <strong>${escapeHtml(event.title)}</strong> starts ${escapeHtml(timeUntil)}.</p>
+<p><strong>When:</strong> ${escapeHtml(formatEventDate(event))}<br/><strong>Where:</strong> ${escapeHtml(venue || 'TBA')}</p>
+${event.venue?.isVirtual && event.venue?.virtualLink ? `<p><strong>Join link:</strong> <a href="${escapeHtml(event.venue.virtualLink)}">${escapeHtml(event.venue.virtualLink)}</a></p>` : ''}`,
+          action: { label: 'View event', url },
+        }),
+        text: `Hi ${user.name},\n\nThis is a reminder that ${event.title} starts ${timeUntil}.\n\nWhen: ${formatEventDate(event)}\nWhere: ${venue || 'TBA'}${event.venue?.isVirtual && event.venue?.virtualLink ? `\nJoin link: ${event.venue.virtualLink}` : ''}\n\nView event: ${url}${textFooter}`,
+      };
+    },
+  },
+
+  weeklyDigest: {
+    preference: 'weeklyDigest',
+    render: ({ user, digest }) => {
+      const appUrl = getAppUrl();
+      const period = `${formatShortDate(digest.since)} - ${formatShortDate(digest.until)}`;
+      const { announcements, upcomingEvents, completedEvents } = digest;
+
+      let html = `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Here is what happened in your clubs this week (${escapeHtml(period)}).</p>`;
+      let text = `Hi ${user.name},\n\nHere is what happened in your clubs this week (${period}).`;
+
+      if (digest.isEmpty) {
+        html += '<p>It was a quiet week. Explore clubs and events to get more out of your digest.</p>';
+        text += '\n\nIt was a quiet week. Explore clubs and events to get more out of your digest.';
+      }
+
+      if (announcements.length > 0) {
+        html += sectionHeading('New announcements');
+        text += '\n\nNEW ANNOUNCEMENTS';
+        announcements.forEach(announcement => {
+          html += `<div style="margin:12px 0;">
+<p style="margin:0;font-weight:600;">${escapeHtml(announcement.title)}${announcement.priority === 'urgent' ? ' <span style="color:#dc2626;">(urgent)</span>' : ''}</p>
+<p style="margin:2px 0;font-size:13px;color:#6b7280;">${escapeHtml(announcement.club.name)} &middot; ${escapeHtml(formatShortDate(announcement.createdAt))}</p>
+<p style="margin:4px 0;">${escapeHtml(truncate(announcement.content))}</p>
+</div>`;
+          text += `\n\n* ${announcement.title} (${announcement.club.name}, ${formatShortDate(announcement.createdAt)})\n  ${truncate(announcement.content)}`;
+        });
+      }
+
+      if (upcomingEvents.length > 0) {
+        html += sectionHeading('Upcoming events');
+        text += '\n\nUPCOMING EVENTS';
+        upcomingEvents.forEach(event => {
+          const url = `${appUrl}/events/${event._id}`;
+          html += `<div style="margin:12px 0;">
+<p style="margin:0;"><a href="${escapeHtml(url)}" style="font-weight:600;color:#2563eb;text-decoration:none;">${escapeHtml(event.title)}</a></p>
+<p style="margin:2px 0;font-size:13px;color:#6b7280;">${escapeHtml(event.club?.name || '')} &middot; ${escapeHtml(formatEventDate(event))}</p>
+</div>`;
+          text += `\n\n* ${event.title} (${event.club?.name || ''})\n  ${formatEventDate(event)}\n  ${url}`;
+        });
+      }
+
+      if (completedEvents.length > 0) {
+        html += sectionHeading('Recently completed');
+        text += '\n\nRECENTLY COMPLETED';
+        completedEvents.forEach(({ event, feedback }) => {
+          html += `<div style="margin:12px 0;">
+<p style="margin:0;font-weight:600;">${escapeHtml(event.title)}</p>
+<p style="margin:2px 0;font-size:13px;color:#6b7280;">${escapeHtml(event.club?.name || '')} &middot; ${escapeHtml(formatShortDate(event.eventDate))}</p>
+<p style="margin:4px 0;font-size:13px;">Feedback: ${escapeHtml(describeFeedback(feedback))}</p>
+</div>`;
+          text += `\n\n* ${event.title} (${event.club?.name || ''}, ${formatShortDate(event.eventDate)})\n  Feedback: ${describeFeedback(feedback)}`;
+        });
+      }
+
+      return {
+        subject: `Your weekly club digest (${period})`,
+        html: layout({
+          heading: 'Your weekly digest',
+          body: html,
+          action: { label: 'Open dashboard', url: `${appUrl}/dashboard` },
+        }),
+        text: `${text}\n\nOpen dashboard: ${appUrl}/dashboard${textFooter}`,
+      };
+    },
+  },
+
+  clubAnnouncement: {
+    preference: 'emailNotifications',
+    render: ({ user, club, announcement }) => {
+      const url = `${getAppUrl()}/clubs/${club._id}`;
+      return {
+        subject: `${club.name}: ${announcement.title}`,
+        html: layout({
+          heading: announcement.title,
+          body: `<p>Hi ${escapeHtml(user.name)},</p>
+<p><strong>${escapeHtml(club.name)}</strong> posted a new announcement:</p>
+<div style="border-left:4px solid #2563eb;padding:8px 16px;background:#eff6ff;white-space:pre-line;">${escapeHtml(announcement.content)}</div>`,
+          action: { label: 'Open club', url },
+        }),
+        text: `Hi ${user.name},\n\n${club.name} posted a new announcement:\n\n${announcement.title}\n\n${announcement.content}\n\nOpen club: ${url}${textFooter}`,
+      };
+    },
+  },
+
+  clubInvitation: {
+    preference: 'emailNotifications',
+    render: ({ user, club, inviter, invitation, token, hasAccount }) => {
+      const url = `${getAppUrl()}/invitations/${token}`;
+      const expires = formatShortDate(invitation.expiresAt);
+      const nextStep = hasAccount
+        ? 'Open the invitation to accept or decline it.'
+        : `You don't have a ${APP_NAME} account yet. Open the invitation to create one with this email address, then accept.`;
+      return {
+        subject: `${inviter.name} invited you to join ${club.name}`,
+        html: layout({
+          heading: `Join ${club.name}`,
+          body: `<p>Hi${hasAccount ? ` ${escapeHtml(user.name)}` : ''},</p>
+<p><strong>${escapeHtml(inviter.name)}</strong> invited you to join <strong>${escapeHtml(club.name)}</strong>.</p>
+${invitation.message ? `<div style="border-left:4px solid #2563eb;padding:8px 16px;background:#eff6ff;white-space:pre-line;">${escapeHtml(invitation.message)}</div>` : ''}
+<p>${escapeHtml(nextStep)} The invitation expires on ${escapeHtml(expires)}.</p>`,
+          action: { label: 'View invitation', url },
+        }),
+        text: `Hi${hasAccount ? ` ${user.name}` : ''},\n\n${inviter.name} invited you to join ${club.name}.${invitation.message ? `\n\n"${invitation.message}"` : ''}\n\n${nextStep} The invitation expires on ${expires}.\n\nView invitation: ${url}${textFooter}`,
+      };
+    },
+  },
+
+  joinRequestReviewed: {
+    preference: 'emailNotifications',
+    render: ({ user, club, request }) => {
+      const url = `${getAppUrl()}/clubs/${club._id}`;
+      const approved = request.status === 'approved';
+      return {
+        subject: approved ? `Welcome to ${club.name}` : `Your request to join ${club.name}`,
+        html: layout({
+          heading: approved ? `Welcome to ${club.name}!` : 'Join request declined',
+          body: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>${approved
+    ? `Your request to join <strong>${escapeHtml(club.name)}</strong> was approved. You are now a member.`
+    : `Your request to join <strong>${escapeHtml(club.name)}</strong> was not approved this time.`}</p>
+${request.reviewNote ? `<p><strong>Note from the coordinator:</strong> ${escapeHtml(request.reviewNote)}</p>` : ''}`,
+          action: { label: 'Open club', url },
+        }),
+        text: `Hi ${user.name},\n\n${approved
+          ? `Your request to join ${club.name} was approved. You are now a member.`
+          : `Your request to join ${club.name} was not approved this time.`}${request.reviewNote ? `\n\nNote from the coordinator: ${request.reviewNote}` : ''}\n\nOpen club: ${url}${textFooter}`,
+      };
+    },
+  },
+};
+
+// Render a template by name
+const renderTemplate = (name, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template.render(data);
+};
+
+module.exports = {
+  templates,
+  renderTemplate,
+  layout,
+  escapeHtml,
+  formatEventDate,
+  getAppUrl,
+  textFooter,
+};
\ No newline at end of file
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+// Every transport exposes the same shape: { name, send(message) => { messageId } }
+// where message is { from, to, subject, html, text }
+
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+// Writes each email as a JSON file, handy for local development
+const createFileTransport = () => {
+  const directory = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', '..', 'tmp', 'mail');
+
+  return {
+    name: 'file',
+    directory,
+    send: async (message) => {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const messageId = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+      const filePath = path.join(directory, `${messageId}.json`);
+      await fs.promises.writeFile(filePath, JSON.stringify({
+        messageId,
+        date: new Date().toISOString(),
+        ...message,
+      }, null, 2));
+      return { messageId };
+    },
+  };
+};
+
+// Keeps emails in memory so tests can assert on them
+const createMemoryTransport = () => {
+  const sentMessages = [];
+
+  return {
+    name: 'memory',
+    sentMessages,
+    send: async (message) => {
+      const messageId = `memory-${sentMessages.length + 1}`;
+      sentMessages.push({ messageId, date: new Date(), ...message });
+      return { messageId };
+    },
+    clear: () => {
+      sentMessages.length = 0;
+    },
+  };
+};
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  memory: createMemoryTransport,
+};
+
+// Create the transport named by MAIL_TRANSPORT (defaults to file outside production)
+const createTransport = (name = process.env.MAIL_TRANSPORT) => {
+  const transportName = name || (process.env.NODE_ENV === 'production' ? 'smtp' : 'file');
+  const factory = transportFactories[transportName];
+
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  return factory();
+};
+
+module.exports = {
+  createTransport,
+  createSmtpTransport,
+  createFileTransport,
+  createMemoryTransport,
+};
\ No newline at end of file
@@ -0,0 +1,179 @@
+const User = require('../models/User');
+const EmailOutbox = require('../models/EmailOutbox');
+const { createTransport } = require('./mail/transports');
+const { templates, renderTemplate } = require('./mail/templates');
+
+let transport = null;
+let workerTimer = null;
+let isProcessing = false;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Swap the active transport (e.g. a memory transport in tests)
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const getFromAddress = () => process.env.MAIL_FROM || 'Smart Clubs <no-reply@smartclubs.local>';
+
+// Check the recipient's preference flags for a template
+const canReceive = (user, templateName) => {
+  const template = templates[templateName];
+  if (!template) return false;
+  if (template.required) return true;
+  if (!user || !user.isActive) return false;
+
+  const preferences = user.preferences || {};
+  if (preferences.emailNotifications === false) return false;
+  if (template.preference && preferences[template.preference] === false) return false;
+
+  return true;
+};
+
+// Render an email and store it in the outbox; returns null when preferences opt out
+const queueEmail = async (userOrId, templateName, data = {}, options = {}) => {
+  const { dedupeKey, maxAttempts } = options;
+
+  const user = userOrId && userOrId.email && userOrId.preferences
+    ? userOrId
+    : await User.findById(userOrId).select('name email preferences isActive');
+
+  if (!user || !canReceive(user, templateName)) {
+    return null;
+  }
+
+  const { subject, html, text } = renderTemplate(templateName, { ...data, user });
+
+  try {
+    const entry = await EmailOutbox.create({
+      recipient: user._id,
+      to: user.email,
+      template: templateName,
+      subject,
+      html,
+      text,
+      dedupeKey,
+      ...(maxAttempts && { maxAttempts }),
+    });
+
+    scheduleFlush();
+    return entry;
+  } catch (error) {
+    // Same dedupe key already queued
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Queue the same template for many users; failures are logged, never thrown
+const queueEmailForUsers = async (userIds, templateName, data = {}, options = {}) => {
+  const uniqueIds = [...new Set(userIds.filter(Boolean).map(id => id.toString()))];
+  if (uniqueIds.length === 0) return [];
+
+  const users = await User.find({ _id: { $in: uniqueIds } })
+    .select('name email preferences isActive');
+
+  const queued = [];
+  for (const user of users) {
+    try {
+      const entry = await queueEmail(user, templateName, data, {
+        ...options,
+        dedupeKey: options.dedupeKey ? `${options.dedupeKey}:${user._id}` : undefined,
+      });
+      if (entry) queued.push(entry);
+    } catch (error) {
+      console.error(`Email queue error (${templateName}) for ${user._id}:`, error.message);
+    }
+  }
+
+  return queued;
+};
+
+// Deliver a single claimed outbox entry
+const deliver = async (entry) => {
+  // Preferences are checked again at send time in case they changed since queueing
+  if (entry.recipient && !templates[entry.template]?.required) {
+    const user = await User.findById(entry.recipient).select('preferences isActive');
+    if (!canReceive(user, entry.template)) {
+      return entry.markSkipped('Recipient preferences do not allow this email');
+    }
+  }
+
+  try {
+    const info = await getTransport().send({
+      from: getFromAddress(),
+      to: entry.to,
+      subject: entry.subject,
+      html: entry.html,
+      text: entry.text,
+    });
+    return entry.markSent(info.messageId);
+  } catch (error) {
+    console.error(`Email delivery failed (${entry._id}, attempt ${entry.attempts}):`, error.message);
+    return entry.recordFailure(error);
+  }
+};
+
+// Send every email that is due, up to batchSize
+const processOutbox = async ({ batchSize = 50 } = {}) => {
+  if (isProcessing) return 0;
+  isProcessing = true;
+
+  let processed = 0;
+  try {
+    while (processed < batchSize) {
+      const entry = await EmailOutbox.claimNext();
+      if (!entry) break;
+      await deliver(entry);
+      processed++;
+    }
+  } catch (error) {
+    console.error('Email outbox processing error:', error.message);
+  } finally {
+    isProcessing = false;
+  }
+
+  return processed;
+};
+
+// Deliver newly queued emails right away when the worker is running
+const scheduleFlush = () => {
+  if (workerTimer) {
+    setImmediate(() => processOutbox());
+  }
+};
+
+const startOutboxWorker = (intervalMs = parseInt(process.env.MAIL_OUTBOX_INTERVAL_MS) || 30000) => {
+  if (workerTimer) return;
+
+  workerTimer = setInterval(() => processOutbox(), intervalMs);
+  workerTimer.unref();
+  processOutbox();
+
+  console.log(`📧 Email outbox worker started (${getTransport().name} transport)`);
+};
+
+const stopOutboxWorker = () => {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+};
+
+module.exports = {
+  canReceive,
+  queueEmail,
+  queueEmailForUsers,
+  processOutbox,
+  startOutboxWorker,
+  stopOutboxWorker,
+  getTransport,
+  setTransport,
+};
\ No newline at end of file
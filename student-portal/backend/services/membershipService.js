@@ -0,0 +1,541 @@
+const mongoose = require('mongoose');
+const Club = require('../models/Club');
+const MembershipHistory = require('../models/MembershipHistory');
+const User = require('../models/User');
+const { createNotFoundError, createForbiddenError, createConflictError } = require('../middleware/errorHandler');
+
+// Club membership is stored twice: Club.members and User.joinedClubs. Every
+// join, leave, role change and removal goes through this module so both
+// documents change together and the change lands in MembershipHistory.
+// Club.members is the source of truth when the two disagree.
+
+const ROLE_RANK = { coordinator: 0, 'co-coordinator': 1, leader: 2, member: 3 };
+
+// Transactions need a replica set. A standalone development server rejects
+// them, so after the first refusal the same steps run without one, with a
+// warning each time. Every operation saves the Club first: Club.members is
+// the source of truth, so if a later step fails, `npm run repair:memberships`
+// can rebuild User.joinedClubs from it.
+let transactionsSupported = true;
+
+const runInTransaction = async (label, work) => {
+  if (!transactionsSupported) {
+    console.warn(`Membership ${label} is running without a transaction`);
+    return work(null);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (error.code === 20 || /replica set|Transaction numbers/i.test(error.message)) {
+      transactionsSupported = false;
+      console.warn(`MongoDB transactions are unavailable; membership ${label} is running without one`);
+      return work(null);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Run the writes that follow the Club save. Inside a transaction a failure
+// rolls everything back. Without one the club change has already landed, so
+// the failure is logged for the repair script instead of failing a request
+// whose main change went through.
+const afterClubSaved = async (session, label, work) => {
+  if (session) {
+    return work();
+  }
+
+  try {
+    return await work();
+  } catch (error) {
+    console.error(`Membership ${label} saved the club but not the user records; run "npm run repair:memberships":`, error.message);
+    return null;
+  }
+};
+
+const loadClub = async (clubId, session) => {
+  const club = await Club.findById(clubId).session(session);
+  if (!club) {
+    throw createNotFoundError('Club');
+  }
+  return club;
+};
+
+// Mirror a Club.members entry onto the user's joinedClubs, adding it if missing
+const syncUserMembership = async (userId, clubId, { role, isActive, joinedAt }, session) => {
+  const $set = {
+    'joinedClubs.$.role': role,
+    'joinedClubs.$.isActive': isActive,
+  };
+  if (joinedAt) {
+    $set['joinedClubs.$.joinedAt'] = joinedAt;
+  }
+
+  const result = await User.updateOne(
+    { _id: userId, 'joinedClubs.club': clubId },
+    { $set },
+    { session }
+  );
+
+  if (result.matchedCount === 0) {
+    await User.updateOne(
+      { _id: userId },
+      { $push: { joinedClubs: { club: clubId, role, joinedAt: joinedAt || new Date(), isActive } } },
+      { session }
+    );
+  }
+};
+
+const recordHistory = (entries, session) => (
+  MembershipHistory.insertMany(entries.filter(Boolean), { session })
+);
+
+// Add a user to a club, or reactivate a former member
+const joinClub = (clubId, userId, { role = 'member', performedBy, source = 'join', reason } = {}) => (
+  runInTransaction('join', async (session) => {
+    const club = await loadClub(clubId, session);
+
+    if (club.archivedAt) {
+      throw createConflictError('This club is archived and not accepting new members');
+    }
+
+    if (club.isMember(userId)) {
+      throw createConflictError('User is already a member of this club');
+    }
+
+    if (club.settings.maxMembers && club.memberCount >= club.settings.maxMembers) {
+      throw createConflictError('Club has reached maximum member capacity');
+    }
+
+    await club.addMember(userId, role);
+    const member = club.getMember(userId);
+
+    await afterClubSaved(session, 'join', async () => {
+      await syncUserMembership(userId, club._id, { role, isActive: true, joinedAt: member.joinedAt }, session);
+      await recordHistory([{
+        club: club._id,
+        user: userId,
+        action: 'joined',
+        newRole: role,
+        source,
+        performedBy: performedBy || userId,
+        reason,
+      }], session);
+    });
+
+    return club;
+  })
+);
+
+// End a user's membership. The entries stay on both documents, marked
+// inactive, so a later rejoin picks them back up.
+const leaveClub = (clubId, userId, { performedBy, action = 'left', source = 'manual', reason } = {}) => (
+  runInTransaction('removal', async (session) => {
+    const club = await loadClub(clubId, session);
+    const member = club.getMember(userId);
+
+    if (!member) {
+      throw createNotFoundError('Club member');
+    }
+
+    if (member.role === 'coordinator') {
+      throw createForbiddenError('The coordinator cannot leave the club. Transfer it to someone else first.');
+    }
+
+    const previousRole = member.role;
+
+    // Co-coordinator access ends with the membership
+    club.coCoordinators = club.coCoordinators.filter(
+      entry => entry.user.toString() !== userId.toString()
+    );
+    await club.removeMember(userId);
+
+    await afterClubSaved(session, 'removal', async () => {
+      await syncUserMembership(userId, club._id, { role: previousRole, isActive: false }, session);
+      await recordHistory([{
+        club: club._id,
+        user: userId,
+        action,
+        previousRole,
+        source,
+        performedBy: performedBy || userId,
+        reason,
+      }], session);
+    });
+
+    return club;
+  })
+);
+
+// Change an active member's role. Moving to or from co-coordinator also
+// adds or drops their Club.coCoordinators entry.
+const changeMemberRole = (clubId, userId, role, { performedBy, source = 'manual', permissions = [], reason } = {}) => (
+  runInTransaction('role change', async (session) => {
+    const club = await loadClub(clubId, session);
+    const member = club.getMember(userId);
+
+    if (!member) {
+      throw createNotFoundError('Club member');
+    }
+
+    const previousRole = member.role;
+
+    if (role === 'coordinator' || previousRole === 'coordinator') {
+      throw createForbiddenError('The coordinator role changes through a coordinator transfer');
+    }
+
+    if (previousRole === role) {
+      return { club, member };
+    }
+
+    if (role === 'co-coordinator') {
+      club.coCoordinators.push({
+        user: userId,
+        assignedAt: new Date(),
+        permissions,
+      });
+    } else if (previousRole === 'co-coordinator') {
+      club.coCoordinators = club.coCoordinators.filter(
+        entry => entry.user.toString() !== userId.toString()
+      );
+    }
+
+    await club.updateMemberRole(userId, role);
+
+    await afterClubSaved(session, 'role change', async () => {
+      await syncUserMembership(userId, club._id, { role, isActive: true }, session);
+      await recordHistory([{
+        club: club._id,
+        user: userId,
+        action: 'role_changed',
+        previousRole,
+        newRole: role,
+        source,
+        performedBy,
+        reason,
+      }], session);
+    });
+
+    return { club, member: club.getMember(userId) };
+  })
+);
+
+// Hand the club to a new coordinator. The previous coordinator stays on as a
+// member, or as a co-coordinator with the given club permissions when asked.
+const transferCoordinator = (clubId, newCoordinatorId, { keepPreviousAsCoCoordinator = false, clubPermissions = [], performedBy } = {}) => (
+  runInTransaction('coordinator transfer', async (session) => {
+    const club = await loadClub(clubId, session);
+    const previousCoordinatorId = club.coordinator;
+    const newId = newCoordinatorId.toString();
+    const history = [];
+
+    club.coordinator = newCoordinatorId;
+
+    // The new coordinator no longer needs a co-coordinator entry
+    club.coCoordinators = club.coCoordinators.filter(entry => entry.user.toString() !== newId);
+
+    const newMember = club.getMember(newId);
+    if (newMember) {
+      history.push({ user: newCoordinatorId, action: 'role_changed', previousRole: newMember.role, newRole: 'coordinator' });
+      newMember.role = 'coordinator';
+    } else {
+      const formerMember = club.members.find(member => member.user.toString() === newId);
+      if (formerMember) {
+        formerMember.role = 'coordinator';
+        formerMember.joinedAt = new Date();
+        formerMember.isActive = true;
+      } else {
+        club.members.push({ user: newCoordinatorId, role: 'coordinator', isActive: true });
+      }
+      history.push({ user: newCoordinatorId, action: 'joined', newRole: 'coordinator' });
+    }
+
+    const previousRole = keepPreviousAsCoCoordinator ? 'co-coordinator' : 'member';
+    const previousMember = club.getMember(previousCoordinatorId);
+    if (keepPreviousAsCoCoordinator && previousMember) {
+      club.coCoordinators.push({
+        user: previousCoordinatorId,
+        assignedAt: new Date(),
+        permissions: clubPermissions,
+      });
+    }
+    if (previousMember) {
+      previousMember.role = previousRole;
+      history.push({ user: previousCoordinatorId, action: 'role_changed', previousRole: 'coordinator', newRole: previousRole });
+    }
+
+    await club.save();
+
+    await afterClubSaved(session, 'coordinator transfer', async () => {
+      await syncUserMembership(newCoordinatorId, club._id, { role: 'coordinator', isActive: true }, session);
+      if (previousMember) {
+        await syncUserMembership(previousCoordinatorId, club._id, { role: previousRole, isActive: true }, session);
+      }
+      await recordHistory(history.map(entry => ({
+        ...entry,
+        club: club._id,
+        source: 'coordinator_transfer',
+        performedBy,
+      })), session);
+    });
+
+    return { club, previousCoordinatorId };
+  })
+);
+
+// Create a club with its coordinator as the first member
+const createClubWithCoordinator = (clubData, { performedBy } = {}) => (
+  runInTransaction('club creation', async (session) => {
+    const club = new Club({
+      ...clubData,
+      members: [{
+        user: clubData.coordinator,
+        role: 'coordinator'
+      }]
+    });
+    await club.save({ session });
+
+    await afterClubSaved(session, 'club creation', async () => {
+      await syncUserMembership(clubData.coordinator, club._id, { role: 'coordinator', isActive: true }, session);
+      await recordHistory([{
+        club: club._id,
+        user: clubData.coordinator,
+        action: 'joined',
+        newRole: 'coordinator',
+        source: 'club_created',
+        performedBy,
+      }], session);
+    });
+
+    return club;
+  })
+);
+
+// Collapse a club's member list to one entry per existing user and make the
+// roles agree with Club.coordinator and Club.coCoordinators. Returns the
+// problems found; the caller saves the club when there are any.
+const normalizeClubMembers = (club, existingUserIds) => {
+  const issues = [];
+  const coordinatorId = club.coordinator.toString();
+  const coCoordinatorIds = new Set(club.coCoordinators.map(entry => entry.user.toString()));
+  const byUser = new Map();
+
+  for (const member of club.members) {
+    const userId = member.user.toString();
+
+    if (!existingUserIds.has(userId)) {
+      issues.push({ user: userId, issue: 'member entry for a deleted user removed' });
+      continue;
+    }
+
+    const kept = byUser.get(userId);
+    if (!kept) {
+      byUser.set(userId, member);
+      continue;
+    }
+
+    // Prefer the active entry, then the higher role
+    issues.push({ user: userId, issue: 'duplicate member entry removed' });
+    if ((member.isActive && !kept.isActive) ||
+        (member.isActive === kept.isActive && ROLE_RANK[member.role] < ROLE_RANK[kept.role])) {
+      byUser.set(userId, member);
+    }
+  }
+
+  if (!byUser.has(coordinatorId)) {
+    issues.push({ user: coordinatorId, issue: 'coordinator added to members' });
+    byUser.set(coordinatorId, { user: club.coordinator, role: 'coordinator', isActive: true, joinedAt: new Date() });
+  }
+
+  for (const [userId, member] of byUser) {
+    let expectedRole = member.role;
+    if (userId === coordinatorId) {
+      expectedRole = 'coordinator';
+      if (!member.isActive) {
+        issues.push({ user: userId, issue: 'inactive coordinator reactivated' });
+        member.isActive = true;
+      }
+    } else if (coCoordinatorIds.has(userId) && member.isActive) {
+      expectedRole = 'co-coordinator';
+    } else if (member.role === 'coordinator' || member.role === 'co-coordinator') {
+      expectedRole = 'member';
+    }
+
+    if (member.role !== expectedRole) {
+      issues.push({ user: userId, issue: `club role ${member.role} corrected to ${expectedRole}` });
+      member.role = expectedRole;
+    }
+  }
+
+  // Co-coordinators must be active members
+  const activeIds = new Set([...byUser].filter(([, member]) => member.isActive).map(([userId]) => userId));
+  const coCoordinators = club.coCoordinators.filter(entry => activeIds.has(entry.user.toString()) && entry.user.toString() !== coordinatorId);
+  if (coCoordinators.length !== club.coCoordinators.length) {
+    issues.push({ issue: 'co-coordinator entries without an active membership removed' });
+  }
+
+  if (issues.length > 0) {
+    club.members = [...byUser.values()];
+    club.coCoordinators = coCoordinators;
+  }
+
+  return issues;
+};
+
+// The club a raw joinedClubs entry points at. Older code pushed bare club
+// ids, which may be stored as-is or as a subdocument with only an _id.
+const resolveJoinedClubId = (entry, clubIds) => {
+  if (entry instanceof mongoose.Types.ObjectId) {
+    return entry.toString();
+  }
+  if (entry && entry.club) {
+    return entry.club.toString();
+  }
+  if (entry && entry._id && clubIds.has(entry._id.toString())) {
+    return entry._id.toString();
+  }
+  return null;
+};
+
+// Find and fix drift between Club.members and User.joinedClubs. Club.members
+// wins; User.joinedClubs is rebuilt from it. With dryRun nothing is written.
+const repairMemberships = async ({ dryRun = false } = {}) => {
+  const report = { clubsChecked: 0, clubsFixed: 0, usersChecked: 0, usersFixed: 0, issues: [] };
+
+  const existingUserIds = new Set((await User.find().select('_id').lean()).map(user => user._id.toString()));
+
+  // Per user: clubId -> { role, isActive, joinedAt } taken from the clubs
+  const expected = new Map();
+  const clubIds = new Set();
+
+  for await (const club of Club.find().cursor()) {
+    report.clubsChecked++;
+    clubIds.add(club._id.toString());
+
+    const issues = normalizeClubMembers(club, existingUserIds);
+    if (issues.length > 0) {
+      report.clubsFixed++;
+      issues.forEach(issue => report.issues.push({ club: club._id.toString(), clubName: club.name, ...issue }));
+
+      if (!dryRun) {
+        await club.save({ validateBeforeSave: false });
+        await recordHistory(issues.filter(issue => issue.user).map(issue => ({
+          club: club._id,
+          user: issue.user,
+          action: 'repaired',
+          newRole: club.members.find(member => member.user.toString() === issue.user)?.role,
+          source: 'repair',
+          reason: issue.issue,
+        })));
+      }
+    }
+
+    for (const member of club.members) {
+      const userId = member.user.toString();
+      if (!expected.has(userId)) {
+        expected.set(userId, new Map());
+      }
+      expected.get(userId).set(club._id.toString(), {
+        role: member.role,
+        isActive: member.isActive,
+        joinedAt: member.joinedAt,
+      });
+    }
+  }
+
+  // Read users through the driver so malformed joinedClubs entries are seen as stored
+  const cursor = User.collection.find({}, { projection: { joinedClubs: 1 } });
+  for await (const user of cursor) {
+    report.usersChecked++;
+    const userId = user._id.toString();
+    const clubsFromClubSide = expected.get(userId) || new Map();
+    const issues = [];
+    const seen = new Map();
+
+    for (const entry of user.joinedClubs || []) {
+      const clubId = resolveJoinedClubId(entry, clubIds);
+
+      if (!clubId || !clubIds.has(clubId)) {
+        issues.push({ issue: 'joinedClubs entry for a missing club removed' });
+        continue;
+      }
+      if (entry instanceof mongoose.Types.ObjectId || !entry.club) {
+        issues.push({ club: clubId, issue: 'malformed joinedClubs entry rebuilt' });
+      }
+      if (seen.has(clubId)) {
+        issues.push({ club: clubId, issue: 'duplicate joinedClubs entry removed' });
+        continue;
+      }
+      seen.set(clubId, entry instanceof mongoose.Types.ObjectId ? {} : entry);
+    }
+
+    const joinedClubs = [];
+
+    for (const [clubId, entry] of seen) {
+      const membership = clubsFromClubSide.get(clubId);
+
+      // The club has no record of this user, e.g. after an old hard-delete leave
+      const role = membership ? membership.role : (entry.role || 'member');
+      const isActive = membership ? membership.isActive : false;
+
+      if (entry.role !== role || entry.isActive !== isActive) {
+        issues.push({ club: clubId, issue: `joinedClubs set to ${role}${isActive ? '' : ' (inactive)'} to match the club` });
+      }
+
+      joinedClubs.push({
+        _id: entry._id && entry.club ? entry._id : new mongoose.Types.ObjectId(),
+        club: new mongoose.Types.ObjectId(clubId),
+        joinedAt: entry.joinedAt || (membership && membership.joinedAt) || new Date(),
+        role,
+        isActive,
+      });
+    }
+
+    for (const [clubId, membership] of clubsFromClubSide) {
+      if (seen.has(clubId)) continue;
+      issues.push({ club: clubId, issue: 'missing joinedClubs entry added' });
+      joinedClubs.push({
+        _id: new mongoose.Types.ObjectId(),
+        club: new mongoose.Types.ObjectId(clubId),
+        joinedAt: membership.joinedAt || new Date(),
+        role: membership.role,
+        isActive: membership.isActive,
+      });
+    }
+
+    if (issues.length === 0) continue;
+
+    report.usersFixed++;
+    issues.forEach(issue => report.issues.push({ user: userId, ...issue }));
+
+    if (!dryRun) {
+      await User.collection.updateOne({ _id: user._id }, { $set: { joinedClubs } });
+      await recordHistory(issues.filter(issue => issue.club).map(issue => ({
+        club: issue.club,
+        user: user._id,
+        action: 'repaired',
+        newRole: joinedClubs.find(entry => entry.club.toString() === issue.club)?.role,
+        source: 'repair',
+        reason: issue.issue,
+      })));
+    }
+  }
+
+  return report;
+};
+
+module.exports = {
+  joinClub,
+  leaveClub,
+  changeMemberRole,
+  transferCoordinator,
+  createClubWithCoordinator,
+  repairMemberships,
+};
\ No newline at end of file
@@ -0,0 +1,308 @@
+const Notification = require('../models/Notification');
+const { queueEmail, queueEmailForUsers } = require('./mailService');
+
+// Notifications must never break the request that triggered them
+const safelyNotify = async (label, work) => {
+  try {
+    return await work();
+  } catch (error) {
+    console.error(`Notification error (${label}):`, error.message);
+    return [];
+  }
+};
+
+const getId = (value) => (value && value._id ? value._id : value);
+
+// Notify a participant about their registration and the organizer about the new sign-up
+const notifyEventRegistration = (event, userId, { waitlisted = false } = {}) => {
+  return safelyNotify('event registration', async () => {
+    const link = `/events/${event._id}`;
+
+    const created = await Notification.notifyUsers([userId], {
+      type: waitlisted ? 'event_waitlisted' : 'event_registration',
+      title: waitlisted ? 'Added to waitlist' : 'Registration confirmed',
+      message: waitlisted
+        ? `${event.title} is full. You have been added to the waitlist and will be notified if a spot opens up.`
+        : `You are registered for ${event.title}.`,
+      link,
+      relatedEvent: event._id,
+      relatedClub: getId(event.club),
+    });
+
+    if (!waitlisted) {
+      await queueEmail(userId, 'eventConfirmation', { event });
+    }
+
+    const organizerId = getId(event.organizer);
+    if (organizerId && organizerId.toString() !== userId.toString()) {
+      await Notification.notifyUsers([organizerId], {
+        type: 'event_new_registration',
+        title: waitlisted ? 'New waitlist entry' : 'New registration',
+        message: `Someone ${waitlisted ? 'joined the waitlist for' : 'registered for'} ${event.title}.`,
+        link,
+        priority: 'low',
+        relatedEvent: event._id,
+        relatedClub: getId(event.club),
+        actor: userId,
+      });
+    }
+
+    return created;
+  });
+};
+
+// Notify a waitlisted user that a spot opened up for them
+const notifyWaitlistPromotion = (event, userId) => {
+  return safelyNotify('waitlist promotion', async () => {
+    const created = await Notification.notifyUsers([userId], {
+      type: 'waitlist_promoted',
+      title: 'You got a spot!',
+      message: `A spot opened up for ${event.title} and you have been moved from the waitlist to registered.`,
+      link: `/events/${event._id}`,
+      priority: 'high',
+      relatedEvent: event._id,
+      relatedClub: getId(event.club),
+    });
+
+    await queueEmail(userId, 'waitlistPromotion', { event });
+
+    return created;
+  });
+};
+
+// Notify registered and waitlisted users that an event changed status
+const notifyEventStatusChange = (event, previousStatus, actorId) => {
+  if (previousStatus === event.status) {
+    return Promise.resolve([]);
+  }
+
+  return safelyNotify('event status change', async () => {
+    const recipients = [
+      ...event.registeredParticipants
+        .filter(p => p.status === 'registered' || p.status === 'attended')
+        .map(p => getId(p.user)),
+      ...event.waitlist.map(w => getId(w.user)),
+    ].filter(recipient => !actorId || recipient.toString() !== actorId.toString());
+
+    let message = `${event.title} changed from ${previousStatus} to ${event.status}.`;
+    if (event.status === 'cancelled' && event.cancellation) {
+      if (event.cancellation.reason) {
+        message += ` Reason: ${event.cancellation.reason}`;
+      }
+      if (event.cancellation.refundStatus) {
+        message += ' Paid registrations will be refunded.';
+      }
+    }
+
+    const created = await Notification.notifyUsers(recipients, {
+      type: 'event_status_changed',
+      title: `Event ${event.status}`,
+      message,
+      link: `/events/${event._id}`,
+      priority: ['cancelled', 'postponed'].includes(event.status) ? 'high' : 'medium',
+      relatedEvent: event._id,
+      relatedClub: getId(event.club),
+      actor: actorId,
+    });
+
+    if (event.status === 'cancelled') {
+      await queueEmailForUsers(recipients, 'eventCancellation', { event });
+    }
+
+    return created;
+  });
+};
+
+// Tell registered participants about a postponement and ask them to confirm
+// or release their seat; waitlisted users are told the new date
+const notifyEventPostponed = (event, actorId) => {
+  return safelyNotify('event postponement', async () => {
+    const notActor = recipient => !actorId || recipient.toString() !== actorId.toString();
+    const registered = event.registeredParticipants
+      .filter(p => p.status === 'registered')
+      .map(p => getId(p.user))
+      .filter(notActor);
+    const waitlisted = event.waitlist.map(w => getId(w.user)).filter(notActor);
+
+    const newDate = new Date(event.eventDate).toLocaleDateString('en-IN', {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric',
+      timeZone: 'UTC',
+    });
+    const reason = event.postponement && event.postponement.reason
+      ? ` Reason: ${event.postponement.reason}`
+      : '';
+    const notification = {
+      type: 'event_status_changed',
+      title: 'Event postponed',
+      link: `/events/${event._id}`,
+      priority: 'high',
+      relatedEvent: event._id,
+      relatedClub: getId(event.club),
+      actor: actorId,
+    };
+
+    const created = [
+      ...await Notification.notifyUsers(registered, {
+        ...notification,
+        message: `${event.title} has moved to ${newDate} at ${event.startTime}.${reason} Please confirm or release your seat.`,
+      }),
+      ...await Notification.notifyUsers(waitlisted, {
+        ...notification,
+        message: `${event.title} has moved to ${newDate} at ${event.startTime}.${reason} You are still on the waitlist.`,
+      }),
+    ];
+
+    await queueEmailForUsers(registered, 'eventPostponement', { event });
+    await queueEmailForUsers(waitlisted, 'eventPostponement', { event, waitlisted: true });
+
+    return created;
+  });
+};
+
+// Resolve which club users an announcement is meant for
+const getAnnouncementRecipients = (club, targetAudience = 'members') => {
+  const activeMembers = club.members.filter(member => member.isActive);
+  const coordinators = [
+    getId(club.coordinator),
+    ...club.coCoordinators.map(coCoord => getId(coCoord.user)),
+  ];
+
+  switch (targetAudience) {
+    case 'coordinators':
+      return coordinators;
+    case 'leaders':
+      return [
+        ...coordinators,
+        ...activeMembers
+          .filter(member => ['leader', 'coordinator', 'co-coordinator'].includes(member.role))
+          .map(member => getId(member.user)),
+      ];
+    case 'all':
+    case 'members':
+    default:
+      return [...coordinators, ...activeMembers.map(member => getId(member.user))];
+  }
+};
+
+// Notify the intended audience of a club announcement
+const notifyClubAnnouncement = (club, announcement) => {
+  return safelyNotify('club announcement', async () => {
+    const authorId = getId(announcement.author);
+    const recipients = getAnnouncementRecipients(club, announcement.targetAudience)
+      .filter(recipient => recipient && recipient.toString() !== authorId.toString());
+
+    const created = await Notification.notifyUsers(recipients, {
+      type: 'club_announcement',
+      title: `${club.name}: ${announcement.title}`,
+      message: announcement.content.length > 200
+        ? `${announcement.content.substring(0, 200)}...`
+        : announcement.content,
+      link: `/clubs/${club._id}?tab=announcements`,
+      priority: announcement.priority,
+      relatedClub: club._id,
+      actor: authorId,
+    });
+
+    await queueEmailForUsers(recipients, 'clubAnnouncement', { club, announcement });
+
+    return created;
+  });
+};
+
+// Tell a user their club role or co-coordinator permissions changed
+const notifyClubRoleChange = (club, userId, message, actorId) => {
+  return safelyNotify('club role change', () => Notification.notifyUsers([userId], {
+    type: 'club_role_changed',
+    title: `${club.name}: your role changed`,
+    message,
+    link: `/clubs/${club._id}`,
+    relatedClub: club._id,
+    actor: actorId,
+  }));
+};
+
+// Tell the staff who manage a club's members about a new join request
+const notifyJoinRequest = (club, applicant) => {
+  return safelyNotify('club join request', () => {
+    const recipients = [
+      getId(club.coordinator),
+      ...club.coCoordinators
+        .filter(coCoord => (coCoord.permissions || []).includes('manage_members'))
+        .map(coCoord => getId(coCoord.user)),
+    ];
+
+    return Notification.notifyUsers(recipients, {
+      type: 'club_join_request',
+      title: `${club.name}: new join request`,
+      message: `${applicant.name} asked to join ${club.name}.`,
+      link: `/clubs/${club._id}`,
+      relatedClub: club._id,
+      actor: applicant._id,
+    });
+  });
+};
+
+// Tell an applicant their join request was approved or rejected
+const notifyJoinRequestReviewed = (club, request, actorId) => {
+  return safelyNotify('club join request review', async () => {
+    const approved = request.status === 'approved';
+    const userId = getId(request.user);
+
+    const created = await Notification.notifyUsers([userId], {
+      type: 'club_join_request_reviewed',
+      title: approved ? `Welcome to ${club.name}!` : `${club.name}: join request declined`,
+      message: approved
+        ? `Your request to join ${club.name} was approved.`
+        : `Your request to join ${club.name} was not approved.${request.reviewNote ? ` ${request.reviewNote}` : ''}`,
+      link: `/clubs/${club._id}`,
+      priority: approved ? 'medium' : 'low',
+      relatedClub: club._id,
+      actor: actorId,
+    });
+
+    await queueEmail(userId, 'joinRequestReviewed', { club, request });
+
+    return created;
+  });
+};
+
+// Tell a user with an account that they were invited to a club
+const notifyClubInvitation = (club, invitation, inviter) => {
+  return safelyNotify('club invitation', () => Notification.notifyUsers([getId(invitation.invitee)], {
+    type: 'club_invitation',
+    title: `Invitation to join ${club.name}`,
+    message: `${inviter.name} invited you to join ${club.name}.`,
+    link: '/invitations',
+    relatedClub: getId(club),
+    actor: getId(inviter),
+  }));
+};
+
+// Tell the inviter that their invitation was accepted or declined
+const notifyInvitationResponse = (club, invitation, responder) => {
+  return safelyNotify('club invitation response', () => Notification.notifyUsers([getId(invitation.invitedBy)], {
+    type: 'club_invitation_response',
+    title: `${club.name}: invitation ${invitation.status}`,
+    message: `${responder ? responder.name : invitation.email} ${invitation.status} your invitation to join ${club.name}.`,
+    link: `/clubs/${getId(club)}`,
+    priority: 'low',
+    relatedClub: getId(club),
+    actor: responder ? responder._id : undefined,
+  }));
+};
+
+module.exports = {
+  notifyEventRegistration,
+  notifyWaitlistPromotion,
+  notifyEventStatusChange,
+  notifyEventPostponed,
+  notifyClubAnnouncement,
+  notifyClubRoleChange,
+  notifyJoinRequest,
+  notifyJoinRequestReviewed,
+  notifyClubInvitation,
+  notifyInvitationResponse,
+  getAnnouncementRecipients,
+};
\ No newline at end of file
@@ -0,0 +1,56 @@
+const { body } = require('express-validator');
+
+// Password rules, configurable through environment variables
+const getPasswordPolicy = () => ({
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+  requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+  requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+  requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+  requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+  // Number of recent passwords (including the current one) that cannot be reused
+  historySize: parseInt(process.env.PASSWORD_HISTORY_SIZE) || 5,
+});
+
+// Return every rule the password breaks (empty when it is acceptable)
+const validatePassword = (password = '', policy = getPasswordPolicy()) => {
+  const errors = [];
+
+  if (password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters long`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain at least one uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain at least one lowercase letter');
+  }
+  if (policy.requireNumber && !/\d/.test(password)) {
+    errors.push('Password must contain at least one number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain at least one special character');
+  }
+
+  return errors;
+};
+
+// express-validator chain that applies the policy to a body field
+const passwordRules = (field = 'password') => {
+  return body(field)
+    .isString()
+    .withMessage('Password is required')
+    .bail()
+    .custom((value) => {
+      const errors = validatePassword(value);
+      if (errors.length > 0) {
+        throw new Error(errors[0]);
+      }
+      return true;
+    });
+};
+
+module.exports = {
+  getPasswordPolicy,
+  validatePassword,
+  passwordRules,
+};
\ No newline at end of file
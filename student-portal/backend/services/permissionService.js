@@ -0,0 +1,187 @@
+const RolePermission = require('../models/RolePermission');
+
+const ROLES = ['student', 'teacher', 'admin'];
+
+// Every permission that can be granted to a role
+const PERMISSIONS = {
+  'users.view': 'View user lists and other users\' profiles',
+  'users.edit_profiles': 'Edit other users\' profile details',
+  'users.manage': 'Deactivate, reactivate and unlock user accounts',
+  'users.change_role': 'Change user roles',
+  'users.view_stats': 'View user statistics',
+  'clubs.create': 'Create clubs',
+  'clubs.join': 'Join and leave clubs',
+  'clubs.manage_any': 'Act as coordinator of any club',
+  'clubs.verify': 'Mark clubs as verified',
+  'clubs.delete': 'Permanently delete clubs and their events',
+  'events.register': 'Register for events',
+  'events.manage_any': 'Edit, cancel and duplicate any event',
+  'events.view_stats': 'View event statistics',
+  'attendance.mark': 'Mark attendance for events they run',
+  'attendance.manage_any': 'Mark and change attendance for any event',
+  'attendance.view_any': 'View attendance for any event, club or user',
+  'attendance.export': 'Export attendance lists',
+  'feedback.submit': 'Submit event feedback',
+  'feedback.view_any': 'View the individual feedback for any event',
+  'feedback.view_club_summaries': 'View the feedback summary of any club',
+  'feedback.respond': 'Respond to feedback on events they run',
+  'feedback.moderate': 'Flag feedback for review',
+  'feedback.delete': 'Delete feedback',
+  'feedback.export': 'Export feedback',
+  'feedback.export_personal_data': 'Include personal data in feedback exports',
+  'feedback.view_analytics': 'View feedback sentiment analytics',
+  'roles.manage': 'Edit role permissions',
+  'security.manage': 'Change site-wide security settings',
+};
+
+// Permissions a club coordinator can hand to co-coordinators (Club.coCoordinators.permissions)
+const CLUB_PERMISSIONS = {
+  manage_members: 'Manage club members and join requests',
+  create_events: 'Create and run events for the club',
+  manage_content: 'Post announcements and manage club content',
+  view_analytics: 'View club attendance, feedback and statistics',
+};
+
+const STUDENT_PERMISSIONS = [
+  'clubs.join',
+  'events.register',
+  'feedback.submit',
+];
+
+const TEACHER_PERMISSIONS = [
+  ...STUDENT_PERMISSIONS,
+  'users.view',
+  'users.edit_profiles',
+  'events.view_stats',
+  'attendance.mark',
+  'attendance.view_any',
+  'attendance.export',
+  'feedback.view_club_summaries',
+  'feedback.respond',
+  'feedback.moderate',
+  'feedback.export',
+];
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  student: STUDENT_PERMISSIONS,
+  teacher: TEACHER_PERMISSIONS,
+  admin: Object.keys(PERMISSIONS),
+};
+
+// Permissions that can't be removed, so admins can't lock themselves out
+const LOCKED_PERMISSIONS = {
+  admin: ['roles.manage'],
+};
+
+const CACHE_MS = 60 * 1000;
+let cachedMap = null;
+let cachedAt = 0;
+
+const clearCache = () => {
+  cachedMap = null;
+  cachedAt = 0;
+};
+
+// Role -> Set of permissions, falling back to the defaults for unsaved roles
+const getRolePermissionMap = async () => {
+  if (cachedMap && Date.now() - cachedAt < CACHE_MS) {
+    return cachedMap;
+  }
+
+  const saved = await RolePermission.find({});
+  const map = {};
+
+  ROLES.forEach(role => {
+    const doc = saved.find(entry => entry.role === role);
+    map[role] = new Set(doc ? doc.permissions : DEFAULT_ROLE_PERMISSIONS[role]);
+    (LOCKED_PERMISSIONS[role] || []).forEach(permission => map[role].add(permission));
+  });
+
+  cachedMap = map;
+  cachedAt = Date.now();
+  return map;
+};
+
+const getPermissionsForRole = async (role) => {
+  const map = await getRolePermissionMap();
+  return map[role] || new Set();
+};
+
+const hasPermission = async (user, permission) => {
+  if (!user) return false;
+  const permissions = await getPermissionsForRole(user.role);
+  return permissions.has(permission);
+};
+
+// Return unknown permission names (empty when all are valid)
+const findUnknownPermissions = (permissions) => {
+  return permissions.filter(permission => !PERMISSIONS[permission]);
+};
+
+const setRolePermissions = async (role, permissions, updatedBy) => {
+  const unique = [...new Set([...permissions, ...(LOCKED_PERMISSIONS[role] || [])])];
+
+  const doc = await RolePermission.findOneAndUpdate(
+    { role },
+    { $set: { permissions: unique, updatedBy } },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  clearCache();
+  return doc;
+};
+
+const resetRolePermissions = async (role) => {
+  await RolePermission.deleteOne({ role });
+  clearCache();
+  return DEFAULT_ROLE_PERMISSIONS[role];
+};
+
+const idEquals = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+
+// Club-scoped check: the coordinator has every club permission, co-coordinators
+// only those listed for them, and holders of clubs.manage_any act as coordinator
+// of every club. `club` must include coordinator and coCoordinators.
+const hasClubPermission = async (user, club, clubPermission) => {
+  if (!user || !club) return false;
+
+  if (await hasPermission(user, 'clubs.manage_any')) {
+    return true;
+  }
+
+  if (idEquals(club.coordinator, user._id)) {
+    return true;
+  }
+
+  return (club.coCoordinators || []).some(coCoordinator =>
+    idEquals(coCoordinator.user, user._id) &&
+    (coCoordinator.permissions || []).includes(clubPermission)
+  );
+};
+
+// Club permissions a user holds for a club, for responses that drive the UI
+const getClubPermissions = async (user, club) => {
+  const granted = [];
+  for (const clubPermission of Object.keys(CLUB_PERMISSIONS)) {
+    if (await hasClubPermission(user, club, clubPermission)) {
+      granted.push(clubPermission);
+    }
+  }
+  return granted;
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  CLUB_PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  LOCKED_PERMISSIONS,
+  getRolePermissionMap,
+  getPermissionsForRole,
+  hasPermission,
+  findUnknownPermissions,
+  setRolePermissions,
+  resetRolePermissions,
+  hasClubPermission,
+  getClubPermissions,
+};
\ No newline at end of file
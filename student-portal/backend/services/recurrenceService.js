@@ -0,0 +1,448 @@
+const Event = require('../models/Event');
+const Club = require('../models/Club');
+const { registerJobHandler, scheduleJob } = require('./scheduler');
+const { updateEventReminders } = require('./reminderService');
+const { updateEventStatusJobs } = require('./eventStatusService');
+const { notifyEventStatusChange } = require('./notificationService');
+const { DEFAULT_TIMEZONE, getZonedDay } = require('./timezone');
+
+const JOB_TYPE = 'recurring_series_extension';
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Series without an end date are generated this far ahead and topped up daily
+const GENERATION_HORIZON_DAYS = 90;
+
+// Upper bound on occurrences in one series, however long it runs
+const MAX_OCCURRENCES = 100;
+
+// Default length of a generated club meeting
+const MEETING_DURATION_MINUTES = 60;
+
+// Occurrences that can still be edited, cancelled or registered for
+const OPEN_STATUSES = ['draft', 'published', 'upcoming', 'postponed'];
+
+// Club meeting frequencies expressed as event recurrence patterns
+const MEETING_PATTERNS = {
+  weekly: { frequency: 'weekly', interval: 1 },
+  biweekly: { frequency: 'weekly', interval: 2 },
+  monthly: { frequency: 'monthly', interval: 1 },
+  quarterly: { frequency: 'monthly', interval: 3 },
+};
+
+// Event dates are calendar days read in UTC (see ./timezone), so the date
+// arithmetic below works in UTC too
+const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next;
+};
+
+// Add months, keeping the day of month where it exists (Jan 31 + 1 month = Feb 28/29)
+const addMonths = (date, months) => {
+  const next = new Date(date);
+  const day = next.getUTCDate();
+  next.setUTCDate(1);
+  next.setUTCMonth(next.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+  next.setUTCDate(Math.min(day, lastDay));
+  return next;
+};
+
+const getDayKey = (date) => new Date(date).toISOString().split('T')[0];
+
+// Every date the pattern produces after `start` (exclusive) up to `until`.
+// Only dates after `after` are returned, so the MAX_OCCURRENCES cap isn't
+// used up by dates that have already passed.
+const getOccurrenceDates = (start, pattern, until, after = start) => {
+  const interval = Math.max(1, pattern.interval || 1);
+  const dates = [];
+
+  if (pattern.frequency === 'weekly') {
+    const days = (pattern.daysOfWeek && pattern.daysOfWeek.length > 0)
+      ? pattern.daysOfWeek.map(day => DAY_NAMES.indexOf(day.toLowerCase())).filter(day => day >= 0)
+      : [start.getUTCDay()];
+    days.sort((a, b) => a - b);
+
+    const weekStart = addDays(start, -start.getUTCDay());
+    for (let week = 0; dates.length < MAX_OCCURRENCES; week += interval) {
+      const base = addDays(weekStart, week * 7);
+      if (base > until) break;
+
+      for (const day of days) {
+        const date = addDays(base, day);
+        if (date > start && date > after && date <= until && dates.length < MAX_OCCURRENCES) {
+          dates.push(date);
+        }
+      }
+    }
+    return dates;
+  }
+
+  const step = pattern.frequency === 'yearly' ? interval * 12 : interval;
+  for (let count = 1; dates.length < MAX_OCCURRENCES; count++) {
+    const date = addMonths(start, count * step);
+    if (date > until) break;
+    if (date > after) dates.push(date);
+  }
+  return dates;
+};
+
+// Copy of an event without the data that belongs to one particular
+// occurrence: registrations, feedback, statistics, uploaded files and
+// series links
+const getEventTemplate = (event) => {
+  const template = event.toObject({ virtuals: false });
+  delete template._id;
+  delete template.id;
+  delete template.__v;
+  delete template.slug;
+  delete template.registeredParticipants;
+  delete template.attendedParticipants;
+  delete template.waitlist;
+  delete template.feedback;
+  delete template.statistics;
+  delete template.cancellation;
+  delete template.statusHistory;
+  delete template.publishAt;
+  delete template.createdAt;
+  delete template.updatedAt;
+  delete template.isRecurring;
+  delete template.recurringPattern;
+  delete template.parentEvent;
+  delete template.childEvents;
+
+  // An uploaded banner's files belong to the original event
+  if (template.images && template.images.bannerFile) {
+    delete template.images.bannerFile;
+    delete template.images.banner;
+  }
+
+  return template;
+};
+
+const getSeriesRootId = (event) => event.parentEvent || event._id;
+
+const isSeriesEvent = (event) => Boolean(event.isRecurring || event.parentEvent);
+
+// Every occurrence of the event's series, the first occurrence included, by date
+const getSeriesEvents = (event) => {
+  const rootId = getSeriesRootId(event);
+  return Event.find({ $or: [{ _id: rootId }, { parentEvent: rootId }] }).sort({ eventDate: 1 });
+};
+
+// The occurrences an edit or cancellation with the given scope applies to:
+// "this", "following" (this and later ones) or "all". Only occurrences that
+// have not started yet are included, apart from the event itself.
+const getScopedEvents = async (event, scope = 'this') => {
+  if (scope === 'this' || !isSeriesEvent(event)) {
+    return [event];
+  }
+
+  // The caller's own copy of the event stands in for the reloaded one
+  const series = await getSeriesEvents(event);
+  return series
+    .map(occurrence => (occurrence._id.equals(event._id) ? event : occurrence))
+    .filter(occurrence => {
+      if (occurrence === event) return true;
+      if (!OPEN_STATUSES.includes(occurrence.status)) return false;
+      return scope === 'all' || occurrence.eventDate >= event.eventDate;
+    });
+};
+
+// Create the occurrences a series is missing, up to its end date or the
+// generation horizon. Dates that already have an occurrence (including
+// cancelled ones) are skipped, so this is safe to run repeatedly.
+const generateOccurrences = async (root) => {
+  const pattern = root.recurringPattern;
+  if (!root.isRecurring || !pattern || !pattern.frequency) {
+    return [];
+  }
+
+  const horizon = addDays(new Date(), GENERATION_HORIZON_DAYS);
+  const until = pattern.endDate && pattern.endDate < horizon ? pattern.endDate : horizon;
+
+  const series = await getSeriesEvents(root);
+  const existingDays = new Set(series.map(occurrence => getDayKey(occurrence.eventDate)));
+  const now = new Date();
+
+  const dates = getOccurrenceDates(new Date(root.eventDate), pattern, until, now)
+    .filter(date => date > now && !existingDays.has(getDayKey(date)))
+    .slice(0, MAX_OCCURRENCES - series.length);
+
+  if (dates.length === 0) {
+    return [];
+  }
+
+  // New occurrences copy the latest one, so edits made to "this and
+  // following" occurrences carry on into the generated ones
+  const latest = series.filter(occurrence => occurrence.status !== 'cancelled').pop() || root;
+
+  // With series registration, people signed up for the latest occurrence
+  // are signed up for the new ones too
+  const seriesParticipants = pattern.registration === 'series'
+    ? latest.registeredParticipants.filter(p => p.status === 'registered').map(p => p.user)
+    : [];
+
+  const template = getEventTemplate(latest);
+  const patternData = root.toObject().recurringPattern;
+  const deadlineOffset = new Date(latest.eventDate) - new Date(latest.registrationDeadline);
+  const created = [];
+
+  for (const date of dates) {
+    const occurrence = new Event({
+      ...template,
+      eventDate: date,
+      registrationDeadline: new Date(date.getTime() - deadlineOffset),
+      status: latest.status === 'draft' ? 'draft' : 'published',
+      isRecurring: true,
+      recurringPattern: patternData,
+      parentEvent: root._id,
+    });
+
+    const participants = template.maxParticipants
+      ? seriesParticipants.slice(0, template.maxParticipants)
+      : seriesParticipants;
+    participants.forEach(user => {
+      occurrence.registeredParticipants.push({ user, status: 'registered' });
+    });
+
+    await occurrence.save();
+    await updateEventReminders(occurrence);
+    await updateEventStatusJobs(occurrence);
+    created.push(occurrence);
+  }
+
+  const ids = created.map(occurrence => occurrence._id);
+  await Event.updateOne({ _id: root._id }, { $push: { childEvents: { $each: ids } } });
+  await Club.updateOne({ _id: root.club }, { $push: { events: { $each: ids } } });
+
+  return created;
+};
+
+// Stop a series from generating occurrences after the given date
+const endSeriesBefore = (event, date) => {
+  return Event.updateOne(
+    { _id: getSeriesRootId(event) },
+    { 'recurringPattern.endDate': addDays(date, -1) }
+  );
+};
+
+// Register a user for this and every later open occurrence of a series
+// registered per series. Full occurrences put the user on their waitlist.
+const registerForSeries = async (event, userId) => {
+  const occurrences = await getScopedEvents(event, 'following');
+  const result = { registered: [], waitlisted: [] };
+
+  for (const occurrence of occurrences) {
+    const { canRegister, canWaitlist } = occurrence.canUserRegister(userId);
+    if (!canRegister && !canWaitlist) continue;
+
+    await occurrence.registerParticipant(userId);
+    (canRegister ? result.registered : result.waitlisted).push(occurrence);
+  }
+
+  return result;
+};
+
+// Take a user off this and every later occurrence of a series, returning
+// the occurrences whose freed spot went to someone on the waitlist along
+// with who got it
+const unregisterFromSeries = async (event, userId) => {
+  const occurrences = await getScopedEvents(event, 'following');
+  const userKey = userId.toString();
+  const promotions = [];
+  let count = 0;
+
+  for (const occurrence of occurrences) {
+    if (occurrence.status === 'ongoing' || occurrence.status === 'completed') continue;
+
+    const onWaitlist = occurrence.waitlist.some(w => w.user.toString() === userKey);
+    if (onWaitlist) {
+      await occurrence.removeFromWaitlist(userId);
+      count++;
+      continue;
+    }
+
+    const registration = occurrence.registeredParticipants.find(
+      p => p.user.toString() === userKey && p.status !== 'cancelled'
+    );
+    if (!registration) continue;
+
+    const nextInLine = registration.status === 'registered' && occurrence.waitlist.length > 0
+      ? occurrence.waitlist[0].user
+      : null;
+
+    await occurrence.unregisterParticipant(userId);
+    count++;
+
+    if (nextInLine) {
+      promotions.push({ event: occurrence, user: nextInLine });
+    }
+  }
+
+  return { count, promotions };
+};
+
+// First calendar day after today (in the given timezone) falling on the
+// given weekday, or tomorrow when there is no weekday
+const getNextMeetingDay = (dayOfWeek, timeZone = DEFAULT_TIMEZONE, from = new Date()) => {
+  const day = DAY_NAMES.indexOf(dayOfWeek);
+  const tomorrow = addDays(getZonedDay(from, timeZone), 1);
+
+  if (day < 0) return tomorrow;
+  return addDays(tomorrow, (day - tomorrow.getUTCDay() + 7) % 7);
+};
+
+const addMinutesToTime = (time, minutes) => {
+  const [hours, mins] = time.split(':').map(Number);
+  const total = Math.min(hours * 60 + mins + minutes, 23 * 60 + 59);
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+};
+
+// Cancel the upcoming occurrences of a club's generated meeting series and
+// stop it from generating more
+const endMeetingSeries = async (seriesId, reason) => {
+  const root = await Event.findById(seriesId);
+  if (!root) return 0;
+
+  const now = new Date();
+  await endSeriesBefore(root, now);
+
+  const upcoming = await Event.find({
+    $or: [{ _id: root._id }, { parentEvent: root._id }],
+    eventDate: { $gt: now },
+    status: { $in: OPEN_STATUSES },
+  });
+
+  for (const occurrence of upcoming) {
+    const previousStatus = occurrence.status;
+    occurrence.cancel({ reason, automatic: true });
+    await occurrence.save();
+
+    await updateEventReminders(occurrence);
+    await updateEventStatusJobs(occurrence);
+    await notifyEventStatusChange(occurrence, previousStatus);
+  }
+
+  return upcoming.length;
+};
+
+// Replace a club's generated meeting events to match its meetingSchedule.
+// Schedules without a time or with an "as-needed" frequency generate nothing.
+const syncClubMeetings = async (club) => {
+  const schedule = club.meetingSchedule || {};
+
+  if (schedule.seriesEvent) {
+    await endMeetingSeries(schedule.seriesEvent, 'The club meeting schedule changed');
+    club.set('meetingSchedule.seriesEvent', undefined);
+  }
+
+  const pattern = MEETING_PATTERNS[schedule.frequency];
+  if (!pattern || !schedule.time || (pattern.frequency === 'weekly' && !schedule.dayOfWeek)) {
+    await club.save();
+    return null;
+  }
+
+  const start = getNextMeetingDay(schedule.dayOfWeek);
+  const isVirtual = !schedule.location && Boolean(schedule.virtualMeetingLink);
+
+  const root = new Event({
+    title: `${club.name} Meeting`,
+    description: schedule.additionalInfo || `Regular ${schedule.frequency} meeting of ${club.name}.`,
+    club: club._id,
+    organizer: club.coordinator,
+    eventDate: start,
+    startTime: schedule.time,
+    endTime: addMinutesToTime(schedule.time, MEETING_DURATION_MINUTES),
+    venue: {
+      name: schedule.location || 'Online',
+      isVirtual,
+      virtualLink: schedule.virtualMeetingLink || undefined,
+    },
+    eventType: 'meeting',
+    category: club.category,
+    registrationDeadline: start,
+    status: 'published',
+    isRecurring: true,
+    recurringPattern: {
+      ...pattern,
+      daysOfWeek: schedule.dayOfWeek ? [schedule.dayOfWeek] : [],
+      registration: 'series',
+    },
+  });
+
+  await root.save();
+  await updateEventReminders(root);
+  await updateEventStatusJobs(root);
+
+  club.events.push(root._id);
+  club.set('meetingSchedule.seriesEvent', root._id);
+  await club.save();
+
+  await generateOccurrences(root);
+  return root;
+};
+
+// Next daily extension run strictly after the given date
+const getNextExtensionRun = (from = new Date()) => {
+  const next = new Date(from);
+  next.setHours(3, 0, 0, 0);
+  if (next <= from) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next;
+};
+
+// Make sure the next daily extension run is scheduled
+const scheduleNextSeriesExtension = (from = new Date()) => {
+  const runAt = getNextExtensionRun(from);
+  return scheduleJob({
+    type: JOB_TYPE,
+    key: `${JOB_TYPE}:${runAt.toISOString().split('T')[0]}`,
+    runAt,
+  });
+};
+
+// Job handler: generate occurrences that have come within the horizon for
+// every series that is still running
+const extendRecurringSeries = async (job) => {
+  const roots = await Event.find({
+    isRecurring: true,
+    parentEvent: null,
+    $or: [
+      { 'recurringPattern.endDate': null },
+      { 'recurringPattern.endDate': { $gt: new Date() } },
+    ],
+  });
+
+  let created = 0;
+  for (const root of roots) {
+    try {
+      created += (await generateOccurrences(root)).length;
+    } catch (error) {
+      console.error(`Series extension error for event ${root._id}:`, error.message);
+    }
+  }
+
+  await scheduleNextSeriesExtension(job.runAt);
+
+  return { series: roots.length, created };
+};
+
+registerJobHandler(JOB_TYPE, extendRecurringSeries);
+
+module.exports = {
+  OPEN_STATUSES,
+  getOccurrenceDates,
+  getEventTemplate,
+  isSeriesEvent,
+  getSeriesEvents,
+  getScopedEvents,
+  generateOccurrences,
+  endSeriesBefore,
+  registerForSeries,
+  unregisterFromSeries,
+  syncClubMeetings,
+  scheduleNextSeriesExtension,
+};
\ No newline at end of file
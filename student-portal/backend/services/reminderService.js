@@ -0,0 +1,144 @@
+const Event = require('../models/Event');
+const ScheduledJob = require('../models/ScheduledJob');
+const { registerJobHandler, scheduleJob } = require('./scheduler');
+const { queueEmailForUsers } = require('./mailService');
+
+const JOB_TYPE = 'event_reminder';
+
+const REMINDER_OFFSETS = [
+  { label: '24h', ms: 24 * 60 * 60 * 1000, timeUntil: 'in 24 hours' },
+  { label: '1h', ms: 60 * 60 * 1000, timeUntil: 'in 1 hour' },
+];
+
+// Reminders are only sent for events that are still going ahead
+const ACTIVE_STATUSES = ['published', 'upcoming', 'postponed'];
+
+// The reminder time is part of the key, so moving an event schedules new
+// reminders (and lets them be emailed again) even when the old ones already ran
+const getReminderKey = (eventId, label, runAt) => `${JOB_TYPE}:${eventId}:${label}:${runAt.getTime()}`;
+
+// Remove reminders that have not run yet, e.g. when an event is cancelled
+const removePendingReminders = (eventId) => {
+  return ScheduledJob.deleteMany({ type: JOB_TYPE, event: eventId, status: 'pending' });
+};
+
+// Create the 24h and 1h reminders for the event's current start time and drop
+// pending ones left over from an earlier start time
+const scheduleEventReminders = async (event) => {
+  const start = event.getStartDateTime();
+  const now = Date.now();
+  const jobs = [];
+  const keys = [];
+
+  for (const offset of REMINDER_OFFSETS) {
+    const runAt = new Date(start.getTime() - offset.ms);
+
+    // Too late for this reminder (e.g. the event was moved closer)
+    if (runAt.getTime() <= now) continue;
+
+    const key = getReminderKey(event._id, offset.label, runAt);
+    keys.push(key);
+
+    jobs.push(await scheduleJob({
+      type: JOB_TYPE,
+      key,
+      runAt,
+      event: event._id,
+      payload: { offset: offset.label },
+    }));
+  }
+
+  await ScheduledJob.deleteMany({
+    type: JOB_TYPE,
+    event: event._id,
+    status: 'pending',
+    key: { $nin: keys },
+  });
+
+  return jobs;
+};
+
+// Keep an event's reminders in sync with its status and start time; never throws
+const updateEventReminders = async (event) => {
+  try {
+    if (ACTIVE_STATUSES.includes(event.status)) {
+      await scheduleEventReminders(event);
+    } else {
+      await removePendingReminders(event._id);
+    }
+  } catch (error) {
+    console.error(`Reminder scheduling error for event ${event._id}:`, error.message);
+  }
+};
+
+// Get every reminder job for an event
+const getEventReminders = (eventId) => {
+  return ScheduledJob.find({ type: JOB_TYPE, event: eventId })
+    .populate('cancelledBy', 'name')
+    .sort({ runAt: 1 });
+};
+
+// Job handler: email registered participants who have reminders enabled
+const sendEventReminder = async (job) => {
+  const offset = REMINDER_OFFSETS.find(o => o.label === job.payload.offset);
+  if (!offset) {
+    throw new Error(`Unknown reminder offset: ${job.payload.offset}`);
+  }
+
+  const event = await Event.findById(job.event);
+  if (!event) {
+    return { skipped: true, reason: 'Event not found' };
+  }
+
+  if (!ACTIVE_STATUSES.includes(event.status)) {
+    return { skipped: true, reason: `Event is ${event.status}` };
+  }
+
+  if (event.getStartDateTime() <= new Date()) {
+    return { skipped: true, reason: 'Event has already started' };
+  }
+
+  const recipients = event.registeredParticipants
+    .filter(p => p.status === 'registered')
+    .map(p => p.user);
+
+  // The per-recipient dedupe key guarantees nobody gets the same reminder twice,
+  // even if this job is re-run after a crash
+  const queued = await queueEmailForUsers(recipients, 'eventReminder', {
+    event,
+    timeUntil: offset.timeUntil,
+  }, {
+    dedupeKey: job.key,
+  });
+
+  return { recipients: recipients.length, queued: queued.length };
+};
+
+// Schedule reminders for upcoming events that do not have them yet (run on startup)
+const syncUpcomingEventReminders = async () => {
+  try {
+    const events = await Event.find({
+      status: { $in: ACTIVE_STATUSES },
+      eventDate: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) },
+    }).select('eventDate startTime timezone status');
+
+    for (const event of events) {
+      await scheduleEventReminders(event);
+    }
+
+    return events.length;
+  } catch (error) {
+    console.error('Reminder sync error:', error.message);
+    return 0;
+  }
+};
+
+registerJobHandler(JOB_TYPE, sendEventReminder);
+
+module.exports = {
+  REMINDER_OFFSETS,
+  scheduleEventReminders,
+  updateEventReminders,
+  getEventReminders,
+  syncUpcomingEventReminders,
+};
\ No newline at end of file
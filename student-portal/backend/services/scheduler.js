@@ -0,0 +1,108 @@
+const ScheduledJob = require('../models/ScheduledJob');
+
+const handlers = {};
+let schedulerTimer = null;
+let isProcessing = false;
+
+// Register the function that runs jobs of a given type.
+// Handlers receive the job document and may return a result to store on it.
+const registerJobHandler = (type, handler) => {
+  handlers[type] = handler;
+};
+
+// Create a job, or move an existing pending job with the same key to the new time.
+// Jobs that already ran or were cancelled are left untouched.
+const scheduleJob = async ({ type, runAt, key, payload = {}, event, user, maxAttempts }) => {
+  if (key) {
+    const existing = await ScheduledJob.findOne({ key });
+    if (existing) {
+      if (existing.status === 'pending') {
+        existing.runAt = runAt;
+        existing.payload = payload;
+        await existing.save();
+      }
+      return existing;
+    }
+  }
+
+  try {
+    return await ScheduledJob.create({
+      type,
+      runAt,
+      key,
+      payload,
+      event,
+      user,
+      ...(maxAttempts && { maxAttempts }),
+    });
+  } catch (error) {
+    // Another request scheduled the same key first
+    if (error.code === 11000) {
+      return ScheduledJob.findOne({ key });
+    }
+    throw error;
+  }
+};
+
+// Run a single claimed job
+const runJob = async (job) => {
+  const handler = handlers[job.type];
+  if (!handler) {
+    return job.recordFailure(new Error(`No handler registered for job type: ${job.type}`));
+  }
+
+  try {
+    const result = await handler(job);
+    return job.markCompleted(result);
+  } catch (error) {
+    console.error(`Scheduled job failed (${job.type} ${job._id}, attempt ${job.attempts}):`, error.message);
+    return job.recordFailure(error);
+  }
+};
+
+// Run every job that is due, up to batchSize
+const processDueJobs = async ({ batchSize = 50 } = {}) => {
+  if (isProcessing) return 0;
+  isProcessing = true;
+
+  let processed = 0;
+  try {
+    while (processed < batchSize) {
+      const job = await ScheduledJob.claimNext();
+      if (!job) break;
+      await runJob(job);
+      processed++;
+    }
+  } catch (error) {
+    console.error('Scheduler processing error:', error.message);
+  } finally {
+    isProcessing = false;
+  }
+
+  return processed;
+};
+
+const startScheduler = (intervalMs = parseInt(process.env.SCHEDULER_INTERVAL_MS) || 60000) => {
+  if (schedulerTimer) return;
+
+  schedulerTimer = setInterval(() => processDueJobs(), intervalMs);
+  schedulerTimer.unref();
+  processDueJobs();
+
+  console.log(`⏰ Job scheduler started (${Object.keys(handlers).join(', ') || 'no handlers'})`);
+};
+
+const stopScheduler = () => {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+};
+
+module.exports = {
+  registerJobHandler,
+  scheduleJob,
+  processDueJobs,
+  startScheduler,
+  stopScheduler,
+};
\ No newline at end of file
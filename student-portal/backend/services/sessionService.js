@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+
+const getRefreshTokenTtlMs = () => (parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+// Rough device details from the User-Agent header, enough to tell sessions apart
+const parseUserAgent = (userAgent = '') => {
+  let browser = 'Unknown browser';
+  if (/Edg\//.test(userAgent)) browser = 'Edge';
+  else if (/OPR\/|Opera/.test(userAgent)) browser = 'Opera';
+  else if (/Firefox\//.test(userAgent)) browser = 'Firefox';
+  else if (/Chrome\//.test(userAgent)) browser = 'Chrome';
+  else if (/Safari\//.test(userAgent)) browser = 'Safari';
+  else if (/PostmanRuntime/.test(userAgent)) browser = 'Postman';
+
+  let os = 'Unknown OS';
+  if (/Windows/.test(userAgent)) os = 'Windows';
+  else if (/iPhone|iPad|iPod/.test(userAgent)) os = 'iOS';
+  else if (/Mac OS X|Macintosh/.test(userAgent)) os = 'macOS';
+  else if (/Android/.test(userAgent)) os = 'Android';
+  else if (/Linux/.test(userAgent)) os = 'Linux';
+
+  let deviceType = 'unknown';
+  if (/iPad|Tablet/.test(userAgent)) deviceType = 'tablet';
+  else if (/Mobi|iPhone|Android/.test(userAgent)) deviceType = 'mobile';
+  else if (userAgent) deviceType = 'desktop';
+
+  return { browser, os, deviceType };
+};
+
+const getClientDetails = (req) => {
+  const userAgent = req.get('User-Agent') || '';
+  return {
+    userAgent,
+    ipAddress: req.ip,
+    device: parseUserAgent(userAgent),
+  };
+};
+
+// Short-lived access token tied to a session
+const createAccessToken = (user, sessionId) => {
+  return user.generateAuthToken(sessionId);
+};
+
+// Start a new session and return its access and refresh tokens
+const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+  const { userAgent, ipAddress, device } = getClientDetails(req);
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent,
+    ipAddress,
+    lastIpAddress: ipAddress,
+    device,
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()),
+  });
+
+  return {
+    session,
+    accessToken: createAccessToken(user, session._id),
+    refreshToken,
+  };
+};
+
+// Exchange a refresh token for a new access token and a new refresh token.
+// Presenting a token that was already rotated revokes the whole session.
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    const reused = await Session.findOne({ previousTokenHash: tokenHash });
+    if (reused && !reused.revokedAt) {
+      await reused.revoke('token_reuse');
+      return { error: 'REFRESH_TOKEN_REUSED' };
+    }
+    return { error: 'INVALID_REFRESH_TOKEN' };
+  }
+
+  if (session.revokedAt || session.expiresAt <= now) {
+    return { error: 'INVALID_REFRESH_TOKEN' };
+  }
+
+  const newRefreshToken = generateRefreshToken();
+
+  // Only rotate if nobody else rotated this token in the meantime
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: tokenHash, revokedAt: { $exists: false } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newRefreshToken),
+        previousTokenHash: tokenHash,
+        lastUsedAt: now,
+        lastIpAddress: req.ip,
+        expiresAt: new Date(now.getTime() + getRefreshTokenTtlMs()),
+      },
+    },
+    { new: true }
+  ).populate('user');
+
+  // Someone else rotated the token first, or its account has been deleted
+  if (!rotated || !rotated.user) {
+    return { error: 'INVALID_REFRESH_TOKEN' };
+  }
+
+  return {
+    session: rotated,
+    user: rotated.user,
+    accessToken: createAccessToken(rotated.user, rotated._id),
+    refreshToken: newRefreshToken,
+  };
+};
+
+// Revoke the session a refresh token belongs to
+const revokeSessionByToken = (refreshToken, reason = 'logout') => {
+  return Session.updateOne(
+    { refreshTokenHash: hashToken(refreshToken), revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Revoke one of a user's sessions by id; returns null if it does not belong to them
+const revokeSessionById = async (userId, sessionId, reason = 'revoked_by_user') => {
+  const session = await Session.findOne({ _id: sessionId, user: userId });
+  if (!session) return null;
+  if (!session.revokedAt) {
+    await session.revoke(reason);
+  }
+  return session;
+};
+
+const revokeAllSessions = (userId, reason = 'logout_all', exceptSessionId) => {
+  return Session.revokeAllForUser(userId, reason, exceptSessionId);
+};
+
+// Check that an access token's session is still usable
+const isSessionActive = async (sessionId, userId) => {
+  const session = await Session.findOne({ _id: sessionId, user: userId })
+    .select('revokedAt expiresAt');
+  return !!session && session.isActive;
+};
+
+const listSessions = (userId) => {
+  return Session.findActiveByUser(userId)
+    .select('device ipAddress lastIpAddress lastUsedAt createdAt expiresAt');
+};
+
+module.exports = {
+  parseUserAgent,
+  createAccessToken,
+  createSession,
+  rotateSession,
+  revokeSessionByToken,
+  revokeSessionById,
+  revokeAllSessions,
+  isSessionActive,
+  listSessions,
+};
\ No newline at end of file
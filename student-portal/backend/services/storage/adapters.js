@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+// Every adapter exposes the same shape:
+//   save(key, buffer, { contentType }) => { key, size }
+//   createReadStream(key) => readable stream
+//   exists(key) => boolean
+//   remove(key) => removes the file, ignoring keys that are already gone
+//   getPublicUrl(key) => URL for keys under a publicly served prefix
+// Keys are forward-slash paths such as "private/clubs/<id>/resources/<file>".
+
+// Stores files on disk under STORAGE_DIR (defaults to backend/uploads, which
+// server.js serves at /uploads apart from the private/ prefix)
+const createLocalStorage = () => {
+  const root = path.resolve(process.env.STORAGE_DIR || path.join(__dirname, '..', '..', 'uploads'));
+
+  // Refuse keys that would escape the storage root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    root,
+    save: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return { key, size: buffer.length };
+    },
+    createReadStream: async (key) => fs.createReadStream(resolveKey(key)),
+    exists: async (key) => {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+    getPublicUrl: (key) => `/uploads/${key}`,
+  };
+};
+
+// Keeps files in memory so tests can run without touching the disk
+const createMemoryStorage = () => {
+  const files = new Map();
+
+  return {
+    name: 'memory',
+    files,
+    save: async (key, buffer, { contentType } = {}) => {
+      files.set(key, { buffer, contentType });
+      return { key, size: buffer.length };
+    },
+    createReadStream: async (key) => {
+      const file = files.get(key);
+      if (!file) {
+        const error = new Error(`File not found: ${key}`);
+        error.code = 'ENOENT';
+        throw error;
+      }
+      return Readable.from(file.buffer);
+    },
+    exists: async (key) => files.has(key),
+    remove: async (key) => {
+      files.delete(key);
+    },
+    getPublicUrl: (key) => `/uploads/${key}`,
+  };
+};
+
+const storageFactories = {
+  local: createLocalStorage,
+  memory: createMemoryStorage,
+};
+
+// Create the adapter named by STORAGE_DRIVER (defaults to local)
+const createStorage = (name = process.env.STORAGE_DRIVER) => {
+  const storageName = name || 'local';
+  const factory = storageFactories[storageName];
+
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${storageName}`);
+  }
+
+  return factory();
+};
+
+module.exports = {
+  createStorage,
+  createLocalStorage,
+  createMemoryStorage,
+};
\ No newline at end of file
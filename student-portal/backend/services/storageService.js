@@ -0,0 +1,66 @@
+const path = require('path');
+const crypto = require('crypto');
+const { createStorage } = require('./storage/adapters');
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+};
+
+// Swap the active storage adapter (e.g. a memory adapter in tests)
+const setStorage = (newStorage) => {
+  storage = newStorage;
+};
+
+// Files under this prefix are never served statically; they are only
+// reachable through routes that check access first
+const PRIVATE_PREFIX = 'private';
+
+// Build a collision-free key that keeps the original extension
+const buildKey = (folder, originalName) => {
+  const extension = path.extname(originalName || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+  return `${folder}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}${extension}`;
+};
+
+// Store an uploaded multer file (memory storage) and describe it for a document
+const saveUpload = async (file, folder) => {
+  const key = buildKey(folder, file.originalname);
+  const { size } = await getStorage().save(key, file.buffer, { contentType: file.mimetype });
+
+  return {
+    key,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size,
+  };
+};
+
+// Remove stored files, logging instead of failing when one cannot be deleted;
+// returns the keys that could not be removed
+const removeFiles = async (keys) => {
+  const failed = [];
+
+  await Promise.all(keys.filter(Boolean).map(async (key) => {
+    try {
+      await getStorage().remove(key);
+    } catch (error) {
+      failed.push(key);
+      console.error(`Failed to remove stored file ${key}:`, error.message);
+    }
+  }));
+
+  return failed;
+};
+
+module.exports = {
+  PRIVATE_PREFIX,
+  getStorage,
+  setStorage,
+  buildKey,
+  saveUpload,
+  removeFiles,
+};
\ No newline at end of file
@@ -0,0 +1,73 @@
+// Event dates are stored as a calendar day (read in UTC, which is how date
+// inputs arrive) and start/end times as HH:MM wall-clock times in the
+// event's timezone. These helpers turn the two into real instants.
+
+const DEFAULT_TIMEZONE = process.env.EVENT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const formatters = {};
+
+const getFormatter = (timeZone) => {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    });
+  }
+  return formatters[timeZone];
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock parts of an instant in the given timezone
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  return parts;
+};
+
+// How far the timezone's wall clock is ahead of UTC at the given instant, in ms
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The instant a calendar day at HH:MM falls on in the given timezone
+const getZonedDateTime = (day, time = '00:00', timeZone = DEFAULT_TIMEZONE) => {
+  const date = new Date(day);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), hours, minutes);
+
+  // The offset can differ either side of a DST change, so check it again at the result
+  const firstGuess = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+  const offset = getTimeZoneOffset(new Date(firstGuess), timeZone);
+  return new Date(wallClock - offset);
+};
+
+// The calendar day (as stored on events) that an instant falls on in the given timezone
+const getZonedDay = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = getZonedParts(new Date(date), timeZone);
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getZonedDateTime,
+  getZonedDay,
+};
\ No newline at end of file
@@ -0,0 +1,119 @@
+const jwt = require('jsonwebtoken');
+
+const TOKEN_ISSUER = 'smart-clubs-api';
+const TOKEN_AUDIENCE = 'smart-clubs-users';
+// Separate audience so a half-finished two-factor login can't be used as an access token
+const TWO_FACTOR_AUDIENCE = 'smart-clubs-2fa';
+const TOKEN_ALGORITHM = 'HS256';
+
+// Signing keys. JWT_SECRET (identified by JWT_KEY_ID) signs new tokens; keys listed in
+// JWT_PREVIOUS_SECRETS as "kid:secret,kid:secret" are still accepted for verification
+// so tokens issued before a rotation keep working until they expire.
+const getKeys = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+
+  const currentKid = process.env.JWT_KEY_ID || 'default';
+  const keys = { [currentKid]: process.env.JWT_SECRET };
+
+  (process.env.JWT_PREVIOUS_SECRETS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const separator = entry.indexOf(':');
+      if (separator > 0 && !keys[entry.slice(0, separator)]) {
+        keys[entry.slice(0, separator)] = entry.slice(separator + 1);
+      }
+    });
+
+  return { currentKid, keys };
+};
+
+// Throw at startup if tokens cannot be signed
+const assertTokenConfig = () => {
+  const { currentKid, keys } = getKeys();
+
+  Object.entries(keys).forEach(([kid, secret]) => {
+    if (!secret) {
+      throw new Error(`JWT signing key "${kid}" has no secret`);
+    }
+  });
+
+  return currentKid;
+};
+
+const signToken = (payload, audience, expiresIn) => {
+  const { currentKid, keys } = getKeys();
+
+  return jwt.sign(payload, keys[currentKid], {
+    algorithm: TOKEN_ALGORITHM,
+    expiresIn,
+    issuer: TOKEN_ISSUER,
+    audience,
+    keyid: currentKid,
+  });
+};
+
+// Verify a token against the key named in its header.
+// Throws the same errors as jwt.verify.
+const verifyToken = (token, audience) => {
+  const { currentKid, keys } = getKeys();
+  const decoded = jwt.decode(token, { complete: true });
+
+  if (!decoded || !decoded.header) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const kid = decoded.header.kid || currentKid;
+  const secret = keys[kid];
+
+  if (!secret) {
+    throw new jwt.JsonWebTokenError('unknown signing key');
+  }
+
+  return jwt.verify(token, secret, {
+    algorithms: [TOKEN_ALGORITHM],
+    issuer: TOKEN_ISSUER,
+    audience,
+  });
+};
+
+// Sign an access token for a user, tied to a session when one is given
+const issueAccessToken = (user, sessionId) => {
+  const payload = {
+    userId: user._id,
+    role: user.role,
+    ver: user.tokenVersion || 0,
+  };
+
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
+
+  return signToken(payload, TOKEN_AUDIENCE, process.env.JWT_ACCESS_EXPIRE || '15m');
+};
+
+const verifyAccessToken = (token) => verifyToken(token, TOKEN_AUDIENCE);
+
+// Short-lived token proving the password step of a two-factor login succeeded
+const issueTwoFactorChallenge = (user) => {
+  return signToken(
+    { userId: user._id, ver: user.tokenVersion || 0 },
+    TWO_FACTOR_AUDIENCE,
+    process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m'
+  );
+};
+
+const verifyTwoFactorChallenge = (token) => verifyToken(token, TWO_FACTOR_AUDIENCE);
+
+module.exports = {
+  TOKEN_ISSUER,
+  TOKEN_AUDIENCE,
+  assertTokenConfig,
+  issueAccessToken,
+  verifyAccessToken,
+  issueTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+};
\ No newline at end of file
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const SecurityPolicy = require('../models/SecurityPolicy');
+
+// Roles that can enroll in two-factor authentication
+const TWO_FACTOR_ROLES = ['teacher', 'admin'];
+
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// Accept codes from one period either side to allow for clock drift
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const POLICY_CACHE_MS = 60 * 1000;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = '';
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const getCurrentStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+
+// RFC 6238 code for a given time step
+const generateTotp = (secret, step = getCurrentStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+};
+
+// Return the matching time step, or null. Steps at or before lastUsedStep are
+// rejected so a code cannot be replayed.
+const verifyTotp = (secret, code, lastUsedStep) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = getCurrentStep();
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    if (lastUsedStep !== undefined && lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+const buildOtpauthUrl = (user, secret) => {
+  const issuer = process.env.TWO_FACTOR_ISSUER || 'Smart Clubs';
+  const label = encodeURIComponent(`${issuer}:${user.email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+const getQrCodeDataUrl = (otpauthUrl) => QRCode.toDataURL(otpauthUrl);
+
+const normalizeRecoveryCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+// Plain codes are shown to the user once; only their hashes are stored
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashed: codes.map(code => ({ hash: hashRecoveryCode(code) })),
+  };
+};
+
+// Check a TOTP or recovery code for a user whose twoFactor secret, recovery codes
+// and lastUsedStep are selected. Updates the user on success; the caller saves.
+const verifyUserCode = (user, { code, recoveryCode }) => {
+  const twoFactor = user.twoFactor;
+
+  if (code) {
+    const step = verifyTotp(twoFactor.secret, code, twoFactor.lastUsedStep);
+    if (step === null) return { valid: false };
+
+    twoFactor.lastUsedStep = step;
+    return { valid: true, method: 'totp' };
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const match = twoFactor.recoveryCodes.find(entry => entry.hash === hash && !entry.usedAt);
+    if (!match) return { valid: false };
+
+    match.usedAt = new Date();
+    return {
+      valid: true,
+      method: 'recovery_code',
+      recoveryCodesRemaining: twoFactor.recoveryCodes.filter(entry => !entry.usedAt).length,
+    };
+  }
+
+  return { valid: false };
+};
+
+let cachedRequiredRoles = null;
+let cachedAt = 0;
+
+const getRequiredRoles = async () => {
+  if (cachedRequiredRoles && Date.now() - cachedAt < POLICY_CACHE_MS) {
+    return cachedRequiredRoles;
+  }
+
+  const policy = await SecurityPolicy.getCurrent();
+  cachedRequiredRoles = policy.twoFactorRequiredRoles || [];
+  cachedAt = Date.now();
+  return cachedRequiredRoles;
+};
+
+const setRequiredRoles = async (roles, updatedBy) => {
+  const policy = await SecurityPolicy.findOneAndUpdate(
+    { key: 'default' },
+    { $set: { twoFactorRequiredRoles: roles, updatedBy } },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  cachedRequiredRoles = policy.twoFactorRequiredRoles;
+  cachedAt = Date.now();
+  return policy;
+};
+
+const isTwoFactorRequired = async (user) => {
+  const roles = await getRequiredRoles();
+  return roles.includes(user.role);
+};
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUrl,
+  getQrCodeDataUrl,
+  generateRecoveryCodes,
+  verifyUserCode,
+  getRequiredRoles,
+  setRequiredRoles,
+  isTwoFactorRequired,
+};
\ No newline at end of file
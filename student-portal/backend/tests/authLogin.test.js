@@ -0,0 +1,171 @@
+const express = require('express');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const authRoutes = require('../routes/auth');
+
+const NOW = new Date('2026-05-01T10:00:00Z');
+const ACCOUNT_EMAIL = 'member@example.edu';
+const UNKNOWN_EMAIL = 'nobody@example.edu';
+
+// Keep real bcrypt work cheap
+process.env.BCRYPT_SALT_ROUNDS = '4';
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+// Apply the $inc/$set/$unset parts of an update to a plain record
+const applyUpdate = (record, { $inc = {}, $set = {}, $unset = {} }) => {
+  Object.entries($inc).forEach(([field, amount]) => {
+    record[field] = (record[field] || 0) + amount;
+  });
+  Object.assign(record, $set);
+  Object.keys($unset).forEach(field => delete record[field]);
+  return record;
+};
+
+// Keep an account and the unknown-email attempts in memory instead of MongoDB
+const mockStore = () => {
+  const account = { email: ACCOUNT_EMAIL, loginAttempts: 0, isActive: true };
+  let unknown = null;
+  const passwordMatches = jest.fn().mockResolvedValue(false);
+
+  const buildUser = () => {
+    const user = new User({ name: 'Club Member', email: account.email, password: 'hashed', role: 'student', ...account });
+    jest.spyOn(user, 'comparePassword').mockImplementation(passwordMatches);
+    jest.spyOn(user, 'updateOne').mockImplementation(async update => applyUpdate(account, update));
+    return user;
+  };
+
+  jest.spyOn(User, 'findOne').mockImplementation(({ email }) => ({
+    select: async () => (email === ACCOUNT_EMAIL ? buildUser() : null),
+  }));
+  jest.spyOn(User, 'findById').mockImplementation(() => ({
+    select: async () => new User(account),
+  }));
+
+  jest.spyOn(LoginAttempt, 'findOne').mockImplementation(async () => (unknown ? new LoginAttempt(unknown) : null));
+  jest.spyOn(LoginAttempt, 'findOneAndUpdate').mockImplementation(async ({ email }, update) => {
+    unknown = applyUpdate(unknown || { email, loginAttempts: 0 }, update);
+    return new LoginAttempt(unknown);
+  });
+  jest.spyOn(LoginAttempt, 'findByIdAndUpdate').mockImplementation(async (id, update) => {
+    unknown = applyUpdate(unknown, update);
+    return new LoginAttempt(unknown);
+  });
+
+  return { account, passwordMatches };
+};
+
+const login = email => request(app).post('/api/auth/login').send({ email, password: 'wrong-password' });
+
+describe('POST /api/auth/login', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+    store = mockStore();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('counts down the attempts left and then locks', async () => {
+    const responses = [];
+    for (let attempt = 1; attempt <= 6; attempt++) {
+      responses.push(await login(ACCOUNT_EMAIL));
+    }
+
+    expect(responses.map(response => response.status)).toEqual([400, 400, 400, 400, 423, 423]);
+    expect(responses[0].body.attemptsRemaining).toBe(4);
+    expect(responses[4].body).toMatchObject({ code: 'ACCOUNT_LOCKED', minutesRemaining: 120 });
+    expect(responses[4].headers['retry-after']).toBe('7200');
+  });
+
+  it('refuses a locked account without checking the password', async () => {
+    store.account.lockUntil = new Date(NOW.getTime() + 30 * 60 * 1000);
+    store.passwordMatches.mockResolvedValue(true);
+
+    const response = await login(ACCOUNT_EMAIL);
+
+    expect(response.status).toBe(423);
+    expect(response.body.minutesRemaining).toBe(30);
+    expect(store.passwordMatches).not.toHaveBeenCalled();
+  });
+
+  it('starts counting again once the lock has expired', async () => {
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      await login(ACCOUNT_EMAIL);
+    }
+    jest.setSystemTime(new Date(NOW.getTime() + 121 * 60 * 1000));
+
+    const response = await login(ACCOUNT_EMAIL);
+
+    expect(response.status).toBe(400);
+    expect(response.body.attemptsRemaining).toBe(4);
+  });
+
+  it('answers failed logins for unknown emails exactly like those for accounts', async () => {
+    for (let attempt = 1; attempt <= 6; attempt++) {
+      const forAccount = await login(ACCOUNT_EMAIL);
+      const forUnknown = await login(UNKNOWN_EMAIL);
+
+      expect(forUnknown.status).toBe(forAccount.status);
+      expect(forUnknown.body).toEqual(forAccount.body);
+      expect(forUnknown.headers['retry-after']).toBe(forAccount.headers['retry-after']);
+    }
+  });
+
+  it('checks the password of an unknown email against a hash of the configured cost', async () => {
+    const compare = jest.spyOn(bcrypt, 'compare');
+
+    const response = await login(UNKNOWN_EMAIL);
+
+    expect(response.status).toBe(400);
+    expect(compare).toHaveBeenCalledTimes(1);
+    expect(compare).toHaveBeenCalledWith('wrong-password', expect.stringMatching(/^\$2[aby]\$04\$/));
+    expect(await compare.mock.results[0].value).toBe(false);
+  });
+
+  it('does not check the password of a locked unknown email, just like a locked account', async () => {
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      await login(UNKNOWN_EMAIL);
+    }
+    const compare = jest.spyOn(bcrypt, 'compare');
+
+    expect((await login(UNKNOWN_EMAIL)).status).toBe(423);
+    expect(compare).not.toHaveBeenCalled();
+  });
+
+  it('locks unknown emails and lets them try again once the lock has expired', async () => {
+    const responses = [];
+    for (let attempt = 1; attempt <= 6; attempt++) {
+      responses.push(await login(UNKNOWN_EMAIL));
+    }
+
+    expect(responses.map(response => response.status)).toEqual([400, 400, 400, 400, 423, 423]);
+    expect(LoginAttempt.findOneAndUpdate).toHaveBeenCalledTimes(5);
+
+    jest.setSystemTime(new Date(NOW.getTime() + 121 * 60 * 1000));
+    const response = await login(UNKNOWN_EMAIL);
+
+    expect(response.status).toBe(400);
+    expect(response.body.attemptsRemaining).toBe(4);
+  });
+
+  it('only reports a deactivated account once the password is correct', async () => {
+    store.account.isActive = false;
+
+    expect((await login(ACCOUNT_EMAIL)).status).toBe(400);
+
+    store.passwordMatches.mockResolvedValue(true);
+    const response = await login(ACCOUNT_EMAIL);
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('ACCOUNT_DEACTIVATED');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const { buildEvent } = require('./helpers/events');
+
+const NOW = new Date('2026-06-01T09:00:00Z');
+const newId = () => new mongoose.Types.ObjectId();
+
+// A paid event with one paid, one unpaid and one cancelled registration
+const buildPaidEvent = (fields = {}) => {
+  const event = buildEvent({ registrationFee: 200, maxParticipants: 2, ...fields });
+  event.registeredParticipants.push(
+    { user: newId(), status: 'registered', paymentStatus: 'paid' },
+    { user: newId(), status: 'registered', paymentStatus: 'pending' },
+    { user: newId(), status: 'cancelled', paymentStatus: 'paid' }
+  );
+  return event;
+};
+
+const findParticipant = (event, userId) => event.registeredParticipants.find(p => p.user.equals(userId));
+
+describe('Event cancellation and postponement', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('cancel', () => {
+    it('marks paid registrations for refund', () => {
+      const event = buildPaidEvent();
+      const cancelledBy = event.organizer;
+
+      const refunds = event.cancel({ cancelledBy, reason: 'Venue unavailable' });
+
+      expect(refunds).toBe(1);
+      expect(event.status).toBe('cancelled');
+      expect(event.registeredParticipants.map(p => p.refundStatus)).toEqual(['pending', undefined, undefined]);
+      expect(event.cancellation).toMatchObject({ reason: 'Venue unavailable', refundStatus: 'pending' });
+      expect(event.cancellation.cancelledBy).toEqual(cancelledBy);
+    });
+
+    it('does not mark a refund twice', () => {
+      const event = buildPaidEvent();
+      event.registeredParticipants[0].refundStatus = 'completed';
+
+      expect(event.cancel({ reason: 'Storm warning' })).toBe(0);
+      expect(event.registeredParticipants[0].refundStatus).toBe('completed');
+      expect(event.cancellation.refundStatus).toBeUndefined();
+    });
+
+    it('cannot cancel a completed event', () => {
+      const event = buildPaidEvent({ status: 'completed' });
+
+      expect(() => event.cancel({ reason: 'Too late' })).toThrow('Cannot change event status from completed to cancelled');
+    });
+  });
+
+  describe('postpone', () => {
+    it('moves the event, keeps its length and asks participants to confirm', () => {
+      const event = buildPaidEvent();
+      const [paid] = event.registeredParticipants;
+
+      event.postpone({ eventDate: new Date('2026-07-01T00:00:00Z'), startTime: '14:30' }, { reason: 'Exams' });
+
+      expect(event.status).toBe('postponed');
+      expect(event.eventDate).toEqual(new Date('2026-07-01T00:00:00Z'));
+      expect([event.startTime, event.endTime]).toEqual(['14:30', '16:30']);
+      expect(event.registrationDeadline).toEqual(new Date('2026-06-14T00:00:00Z'));
+      expect(event.postponement).toMatchObject({
+        reason: 'Exams',
+        previousDate: new Date('2026-06-15T00:00:00Z'),
+        previousStartTime: '10:00',
+        previousEndTime: '12:00',
+      });
+      expect(event.registeredParticipants.map(p => p.postponementResponse)).toEqual(['pending', 'pending', undefined]);
+      expect(paid.refundStatus).toBeUndefined();
+    });
+
+    it('pulls the registration deadline back to an earlier new date', () => {
+      const event = buildPaidEvent();
+
+      event.postpone({ eventDate: new Date('2026-06-10T00:00:00Z') }, { reason: 'Clash' });
+
+      expect(event.registrationDeadline).toEqual(new Date('2026-06-10T00:00:00Z'));
+    });
+
+    it('can postpone a postponed event again and resets earlier answers', () => {
+      const event = buildPaidEvent();
+      event.postpone({ eventDate: new Date('2026-07-01T00:00:00Z') }, { reason: 'Exams' });
+      event.registeredParticipants[0].postponementResponse = 'confirmed';
+
+      event.postpone({ eventDate: new Date('2026-08-01T00:00:00Z') }, { reason: 'Exams again' });
+
+      expect(event.status).toBe('postponed');
+      expect(event.statusHistory.map(entry => [entry.from, entry.to]))
+        .toEqual([['published', 'postponed'], ['postponed', 'postponed']]);
+      expect(event.registeredParticipants[0].postponementResponse).toBe('pending');
+    });
+  });
+
+  describe('respondToPostponement', () => {
+    const postponeFullEvent = () => {
+      const event = buildPaidEvent();
+      const waiting = newId();
+      event.waitlist.push({ user: waiting, position: 1 });
+      event.postpone({ eventDate: new Date('2026-07-01T00:00:00Z') }, { reason: 'Exams' });
+      return { event, waiting };
+    };
+
+    it('keeps a confirmed seat', async () => {
+      const { event } = postponeFullEvent();
+      const [paid] = event.registeredParticipants;
+
+      await event.respondToPostponement(paid.user, 'confirmed');
+
+      expect(paid).toMatchObject({ status: 'registered', postponementResponse: 'confirmed', respondedAt: NOW });
+      expect(event.save).toHaveBeenCalled();
+    });
+
+    it('releases the seat to the waitlist and marks a paid one for refund', async () => {
+      const { event, waiting } = postponeFullEvent();
+      const [paid] = event.registeredParticipants;
+
+      await event.respondToPostponement(paid.user, 'released');
+
+      expect(paid).toMatchObject({ status: 'cancelled', postponementResponse: 'released', refundStatus: 'pending' });
+      expect(findParticipant(event, waiting)).toMatchObject({ status: 'registered' });
+      expect(event.waitlist).toHaveLength(0);
+    });
+
+    it('rejects users without a seat to confirm', () => {
+      const { event } = postponeFullEvent();
+      const cancelled = event.registeredParticipants[2];
+
+      expect(() => event.respondToPostponement(cancelled.user, 'confirmed'))
+        .toThrow('User has no seat to confirm for this event');
+    });
+
+    it('starts a fresh registration without the old refund or answer', async () => {
+      const event = buildPaidEvent({ maxParticipants: 5 });
+      const [paid] = event.registeredParticipants;
+      event.postpone({ eventDate: new Date('2026-07-01T00:00:00Z') }, { reason: 'Exams' });
+      await event.respondToPostponement(paid.user, 'released');
+
+      await event.registerParticipant(paid.user, 'paid');
+
+      expect(event.registeredParticipants).toHaveLength(3);
+      expect(paid).toMatchObject({ status: 'registered', paymentStatus: 'paid' });
+      expect(paid.refundStatus).toBeUndefined();
+      expect(paid.postponementResponse).toBeUndefined();
+    });
+  });
+});
\ No newline at end of file
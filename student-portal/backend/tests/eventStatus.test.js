@@ -0,0 +1,141 @@
+jest.mock('../services/reminderService', () => ({ updateEventReminders: jest.fn() }));
+jest.mock('../services/scheduler', () => ({ registerJobHandler: jest.fn(), scheduleJob: jest.fn() }));
+
+const Event = require('../models/Event');
+const ScheduledJob = require('../models/ScheduledJob');
+const { scheduleJob } = require('../services/scheduler');
+const { advanceEventStatus, updateEventStatusJobs } = require('../services/eventStatusService');
+const { buildEvent } = require('./helpers/events');
+
+// 10:00-12:00 in Kolkata on 15 June 2026 is 04:30-06:30 UTC
+const buildKolkataEvent = (fields = {}) => buildEvent({ timezone: 'Asia/Kolkata', ...fields });
+const BEFORE_START = new Date('2026-06-15T04:00:00Z');
+const DURING = new Date('2026-06-15T05:00:00Z');
+const AFTER_END = new Date('2026-06-15T07:00:00Z');
+
+describe('Event status transitions', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: BEFORE_START });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('reads start and end times in the event timezone', () => {
+    const event = buildKolkataEvent();
+
+    expect(event.getStartDateTime()).toEqual(new Date('2026-06-15T04:30:00Z'));
+    expect(event.getEndDateTime()).toEqual(new Date('2026-06-15T06:30:00Z'));
+  });
+
+  it('reports the status the clock says an event should have', () => {
+    const event = buildKolkataEvent();
+
+    expect(event.getClockStatus(BEFORE_START)).toBeNull();
+    expect(event.getClockStatus(DURING)).toBe('ongoing');
+    expect(event.getClockStatus(AFTER_END)).toBe('completed');
+
+    event.status = 'ongoing';
+    expect(event.getClockStatus(DURING)).toBeNull();
+
+    event.status = 'cancelled';
+    expect(event.getClockStatus(AFTER_END)).toBeNull();
+  });
+
+  it('publishes a draft once its publish time has passed', () => {
+    const event = buildKolkataEvent({ status: 'draft', publishAt: DURING });
+
+    expect(event.getClockStatus(BEFORE_START)).toBeNull();
+    expect(event.getClockStatus(DURING)).toBe('published');
+  });
+
+  it('explains why a status change is not allowed', () => {
+    const event = buildKolkataEvent();
+
+    expect(event.getStatusTransitionError('published', BEFORE_START)).toBe('Event is already published');
+    expect(event.getStatusTransitionError('ongoing', BEFORE_START)).toBe('Event has not started yet');
+    expect(event.getStatusTransitionError('draft', DURING)).toBe('Event start time has already passed');
+    expect(event.getStatusTransitionError('ongoing', DURING)).toBeNull();
+
+    event.status = 'completed';
+    expect(event.getStatusTransitionError('published', BEFORE_START))
+      .toBe('Cannot change event status from completed to published');
+  });
+
+  it('lists the statuses an event can move to right now', () => {
+    const event = buildKolkataEvent();
+
+    expect(event.getAllowedStatuses(BEFORE_START)).toEqual(['draft', 'cancelled', 'postponed']);
+    expect(event.getAllowedStatuses(DURING)).toEqual(['ongoing', 'completed', 'cancelled', 'postponed']);
+  });
+
+  it('records manual changes in the status history and rejects invalid ones', () => {
+    const event = buildKolkataEvent({ status: 'draft' });
+    const changedBy = event.organizer;
+
+    event.changeStatus('published', { changedBy, reason: 'Ready' });
+
+    expect(event.status).toBe('published');
+    expect(event.statusHistory[0]).toMatchObject({ from: 'draft', to: 'published', automatic: false, reason: 'Ready' });
+    expect(() => event.changeStatus('completed')).toThrow('Event has not started yet');
+    expect(event.status).toBe('published');
+  });
+});
+
+describe('advanceEventStatus', () => {
+  beforeEach(() => {
+    jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(ScheduledJob, 'deleteMany').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    scheduleJob.mockClear();
+  });
+
+  it('moves a started event along and reschedules its jobs', async () => {
+    const event = buildKolkataEvent();
+
+    const applied = await advanceEventStatus(event, DURING);
+
+    expect(applied).toEqual(['ongoing']);
+    expect(event.status).toBe('ongoing');
+    expect(Event.updateOne).toHaveBeenCalledWith(
+      { _id: event._id, status: 'published' },
+      expect.objectContaining({ $set: { status: 'ongoing' } })
+    );
+    expect(scheduleJob.mock.calls.map(([job]) => job.payload.status)).toEqual(['completed']);
+  });
+
+  it('goes straight to completed once the event is over', async () => {
+    const event = buildKolkataEvent();
+
+    expect(await advanceEventStatus(event, AFTER_END)).toEqual(['completed']);
+    expect(event.status).toBe('completed');
+  });
+
+  it('stops when someone else changed the status first', async () => {
+    Event.updateOne.mockResolvedValue({ modifiedCount: 0 });
+    const event = buildKolkataEvent();
+
+    expect(await advanceEventStatus(event, AFTER_END)).toEqual([]);
+    expect(event.status).toBe('published');
+  });
+
+  it('schedules the upcoming changes and drops jobs for other times', async () => {
+    const event = buildKolkataEvent();
+
+    await updateEventStatusJobs(event);
+
+    expect(scheduleJob.mock.calls.map(([job]) => [job.payload.status, job.runAt])).toEqual([
+      ['ongoing', new Date('2026-06-15T04:30:00Z')],
+      ['completed', new Date('2026-06-15T06:30:00Z')],
+    ]);
+    expect(ScheduledJob.deleteMany).toHaveBeenCalledWith(expect.objectContaining({
+      event: event._id,
+      status: 'pending',
+      key: { $nin: scheduleJob.mock.calls.map(([job]) => job.key) },
+    }));
+  });
+});
\ No newline at end of file
@@ -0,0 +1,78 @@
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  // Sign every request in as an admin, who can manage any event
+  auth: (req, res, next) => {
+    req.user = { _id: 'admin-id', role: 'admin' };
+    next();
+  },
+  eventAccessAuth: (req, res, next) => next(),
+}));
+jest.mock('../services/reminderService', () => ({ updateEventReminders: jest.fn(), getEventReminders: jest.fn() }));
+jest.mock('../services/eventStatusService', () => ({ updateEventStatusJobs: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const Event = require('../models/Event');
+const RolePermission = require('../models/RolePermission');
+const eventRoutes = require('../routes/events');
+const { errorHandler } = require('../middleware/errorHandler');
+const { buildEvent } = require('./helpers/events');
+
+const NOW = new Date('2026-06-01T09:00:00Z');
+
+const app = express();
+app.use(express.json());
+app.use('/api/events', eventRoutes);
+app.use(errorHandler);
+
+describe('PUT /api/events/:id publishAt', () => {
+  let event;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+    event = buildEvent({ status: 'draft' });
+    jest.spyOn(RolePermission, 'find').mockResolvedValue([]);
+    jest.spyOn(Event, 'findById').mockResolvedValue(event);
+    jest.spyOn(Event, 'findByIdAndUpdate').mockImplementation((id, { $set }) => ({
+      populate: async () => Object.assign(event, $set),
+    }));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const update = body => request(app).put(`/api/events/${event._id}`).send(body);
+
+  it('rejects a publish time after the stored event date', async () => {
+    const response = await update({ publishAt: '2026-06-16T08:00:00Z' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Publish time must be before the event date');
+    expect(Event.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('rejects a publish time in the past', async () => {
+    const response = await update({ publishAt: '2026-05-31T09:00:00Z' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors[0].msg).toBe('Publish time must be in the future');
+  });
+
+  it('checks against a new event date sent with it', async () => {
+    const moved = await update({ eventDate: '2026-06-20T00:00:00Z', publishAt: '2026-06-18T08:00:00Z' });
+    const tooLate = await update({ eventDate: '2026-06-10T00:00:00Z', publishAt: '2026-06-12T08:00:00Z' });
+
+    expect(moved.status).toBe(200);
+    expect(tooLate.status).toBe(400);
+    expect(tooLate.body.errors[0].msg).toBe('Publish time must be before the event date');
+  });
+
+  it('accepts a publish time before the event date', async () => {
+    const response = await update({ publishAt: '2026-06-10T08:00:00Z' });
+
+    expect(response.status).toBe(200);
+    expect(event.publishAt).toEqual(new Date('2026-06-10T08:00:00Z'));
+  });
+});
\ No newline at end of file
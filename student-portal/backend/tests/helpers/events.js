@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const Event = require('../../models/Event');
+
+// Stand-in for Event#save that only validates. The organizer check looks the
+// user up, so it is skipped.
+const validateOnly = async function() {
+  await this.validate({ pathsToSkip: ['organizer'] });
+  return this;
+};
+
+// An unsaved event with every required field filled in, whose save() never
+// touches the database
+const buildEvent = (fields = {}) => {
+  const event = new Event({
+    title: 'Robotics Workshop',
+    description: 'Build and program a line-following robot.',
+    club: new mongoose.Types.ObjectId(),
+    organizer: new mongoose.Types.ObjectId(),
+    eventDate: new Date('2026-06-15T00:00:00Z'),
+    startTime: '10:00',
+    endTime: '12:00',
+    timezone: 'UTC',
+    venue: { name: 'Main Hall' },
+    eventType: 'workshop',
+    registrationDeadline: new Date('2026-06-14T00:00:00Z'),
+    status: 'published',
+    ...fields,
+  });
+
+  jest.spyOn(event, 'save').mockImplementation(validateOnly);
+  return event;
+};
+
+module.exports = {
+  validateOnly,
+  buildEvent,
+};
\ No newline at end of file
@@ -0,0 +1,135 @@
+const EmailOutbox = require('../models/EmailOutbox');
+const { canReceive, processOutbox, setTransport } = require('../services/mailService');
+const { createMemoryTransport } = require('../services/mail/transports');
+
+// Outbox entry whose save only validates, so no database is needed
+const createEntry = (fields = {}) => {
+  const entry = new EmailOutbox({
+    to: 'student@example.edu',
+    template: 'eventConfirmation',
+    subject: 'You are registered',
+    html: '<p>See you there</p>',
+    text: 'See you there',
+    status: 'sending',
+    attempts: 1,
+    ...fields,
+  });
+  jest.spyOn(entry, 'save').mockImplementation(async function() {
+    await this.validate();
+    return this;
+  });
+  return entry;
+};
+
+// Make claimNext hand out the given entries, then nothing
+const queueEntries = (entries) => {
+  const queue = [...entries];
+  jest.spyOn(EmailOutbox, 'claimNext').mockImplementation(async () => queue.shift() || null);
+};
+
+describe('EmailOutbox#recordFailure', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('backs off exponentially between retries', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+
+    const delays = [];
+    for (const attempts of [1, 2, 3, 4]) {
+      const entry = createEntry({ attempts });
+      await entry.recordFailure(new Error('SMTP down'));
+      expect(entry.status).toBe('pending');
+      expect(entry.lastError).toBe('SMTP down');
+      delays.push((entry.nextAttemptAt - Date.now()) / 60000);
+    }
+
+    expect(delays).toEqual([1, 2, 4, 8]);
+  });
+
+  it('gives up after maxAttempts and clears the body', async () => {
+    const entry = createEntry({ attempts: 5, maxAttempts: 5 });
+    await entry.recordFailure(new Error('Mailbox unavailable'));
+
+    expect(entry.status).toBe('failed');
+    expect(entry.lastError).toBe('Mailbox unavailable');
+    expect(entry.html).toBeUndefined();
+    expect(entry.text).toBeUndefined();
+  });
+});
+
+describe('processOutbox', () => {
+  let transport;
+
+  beforeEach(() => {
+    transport = createMemoryTransport();
+    setTransport(transport);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends due emails and clears their body once sent', async () => {
+    const entry = createEntry();
+    queueEntries([entry]);
+
+    const processed = await processOutbox();
+
+    expect(processed).toBe(1);
+    expect(transport.sentMessages).toHaveLength(1);
+    expect(transport.sentMessages[0]).toMatchObject({ to: 'student@example.edu', text: 'See you there' });
+    expect(entry.status).toBe('sent');
+    expect(entry.messageId).toBe('memory-1');
+    expect(entry.sentAt).toBeInstanceOf(Date);
+    expect(entry.html).toBeUndefined();
+    expect(entry.text).toBeUndefined();
+  });
+
+  it('schedules a retry when the transport fails', async () => {
+    const entry = createEntry();
+    queueEntries([entry]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    transport.send = async () => {
+      throw new Error('Connection refused');
+    };
+
+    await processOutbox();
+
+    expect(entry.status).toBe('pending');
+    expect(entry.lastError).toBe('Connection refused');
+    expect(entry.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+    expect(entry.text).toBe('See you there');
+  });
+
+  it('stops after batchSize emails', async () => {
+    queueEntries([createEntry(), createEntry(), createEntry()]);
+
+    const processed = await processOutbox({ batchSize: 2 });
+
+    expect(processed).toBe(2);
+    expect(transport.sentMessages).toHaveLength(2);
+  });
+});
+
+describe('canReceive', () => {
+  const user = { isActive: true, preferences: { emailNotifications: true, eventReminders: false } };
+
+  it('honours the preference a template is tied to', () => {
+    expect(canReceive(user, 'eventConfirmation')).toBe(true);
+    expect(canReceive(user, 'eventReminder')).toBe(false);
+  });
+
+  it('sends nothing to users who opted out or are inactive', () => {
+    expect(canReceive({ isActive: true, preferences: { emailNotifications: false } }, 'eventConfirmation')).toBe(false);
+    expect(canReceive({ ...user, isActive: false }, 'eventConfirmation')).toBe(false);
+  });
+
+  it('always sends required templates', () => {
+    expect(canReceive({ isActive: true, preferences: { emailNotifications: false } }, 'emailVerification')).toBe(true);
+  });
+
+  it('rejects unknown templates', () => {
+    expect(canReceive(user, 'noSuchTemplate')).toBe(false);
+  });
+});
\ No newline at end of file
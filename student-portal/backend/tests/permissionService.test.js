@@ -0,0 +1,35 @@
+const RolePermission = require('../models/RolePermission');
+const { hasPermission, setRolePermissions } = require('../services/permissionService');
+
+describe('permissionService', () => {
+  const teacher = { role: 'teacher' };
+  const admin = { role: 'admin' };
+
+  beforeEach(async () => {
+    jest.spyOn(RolePermission, 'findOneAndUpdate').mockResolvedValue({});
+    // Saving clears the cached role map, so each test reads the defaults again
+    await setRolePermissions('student', []);
+    jest.spyOn(RolePermission, 'find').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets teachers see club feedback summaries but not every event\'s feedback', async () => {
+    expect(await hasPermission(teacher, 'feedback.view_club_summaries')).toBe(true);
+    expect(await hasPermission(teacher, 'feedback.view_any')).toBe(false);
+  });
+
+  it('gives admins every feedback permission', async () => {
+    expect(await hasPermission(admin, 'feedback.view_club_summaries')).toBe(true);
+    expect(await hasPermission(admin, 'feedback.view_any')).toBe(true);
+  });
+
+  it('uses saved role permissions over the defaults', async () => {
+    RolePermission.find.mockResolvedValue([{ role: 'teacher', permissions: ['feedback.view_any'] }]);
+
+    expect(await hasPermission(teacher, 'feedback.view_any')).toBe(true);
+    expect(await hasPermission(teacher, 'feedback.view_club_summaries')).toBe(false);
+  });
+});
\ No newline at end of file
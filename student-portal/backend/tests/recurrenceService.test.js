@@ -0,0 +1,131 @@
+jest.mock('../services/reminderService', () => ({ updateEventReminders: jest.fn() }));
+jest.mock('../services/eventStatusService', () => ({ updateEventStatusJobs: jest.fn() }));
+
+const Event = require('../models/Event');
+const Club = require('../models/Club');
+const { getOccurrenceDates, generateOccurrences } = require('../services/recurrenceService');
+const { buildEvent, validateOnly } = require('./helpers/events');
+
+const day = (value) => new Date(`${value}T00:00:00Z`);
+const toDays = (dates) => dates.map(date => date.toISOString().split('T')[0]);
+
+describe('getOccurrenceDates', () => {
+  it('repeats on each listed weekday, skipping weeks by interval', () => {
+    // 2026-03-02 is a Monday
+    const dates = getOccurrenceDates(
+      day('2026-03-02'),
+      { frequency: 'weekly', interval: 2, daysOfWeek: ['friday', 'monday'] },
+      day('2026-03-31')
+    );
+
+    expect(toDays(dates)).toEqual(['2026-03-06', '2026-03-16', '2026-03-20', '2026-03-30']);
+  });
+
+  it('uses the start weekday when no days are listed', () => {
+    const dates = getOccurrenceDates(day('2026-03-04'), { frequency: 'weekly' }, day('2026-03-25'));
+
+    expect(toDays(dates)).toEqual(['2026-03-11', '2026-03-18', '2026-03-25']);
+  });
+
+  it('keeps the day of month where it exists and clamps it otherwise', () => {
+    const dates = getOccurrenceDates(day('2026-01-31'), { frequency: 'monthly' }, day('2026-05-31'));
+
+    expect(toDays(dates)).toEqual(['2026-02-28', '2026-03-31', '2026-04-30', '2026-05-31']);
+  });
+
+  it('steps yearly patterns by twelve months', () => {
+    const dates = getOccurrenceDates(day('2024-02-29'), { frequency: 'yearly' }, day('2028-12-31'));
+
+    expect(toDays(dates)).toEqual(['2025-02-28', '2026-02-28', '2027-02-28', '2028-02-29']);
+  });
+
+  it('only returns dates after `after` and caps what is left', () => {
+    const dates = getOccurrenceDates(
+      day('2020-01-06'),
+      { frequency: 'weekly' },
+      day('2030-01-01'),
+      day('2026-01-01')
+    );
+
+    expect(dates).toHaveLength(100);
+    expect(toDays(dates)[0]).toBe('2026-01-05');
+  });
+});
+
+describe('generateOccurrences', () => {
+  const NOW = new Date('2026-03-01T08:00:00Z');
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+    jest.spyOn(Event, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Club, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Event.prototype, 'save').mockImplementation(validateOnly);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const mockSeries = (series) => {
+    jest.spyOn(Event, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue(series) });
+  };
+
+  it('creates upcoming occurrences for a series that started long ago', async () => {
+    const root = buildEvent({
+      eventDate: day('2024-01-01'),
+      registrationDeadline: day('2023-12-31'),
+      isRecurring: true,
+      recurringPattern: { frequency: 'weekly', endDate: day('2026-03-31') },
+    });
+    mockSeries([root]);
+
+    const created = await generateOccurrences(root);
+
+    expect(toDays(created.map(occurrence => occurrence.eventDate)))
+      .toEqual(['2026-03-02', '2026-03-09', '2026-03-16', '2026-03-23', '2026-03-30']);
+    expect(created.every(occurrence => occurrence.parentEvent.equals(root._id))).toBe(true);
+    expect(created[0].registrationDeadline).toEqual(day('2026-03-01'));
+    expect(Event.updateOne).toHaveBeenCalledWith(
+      { _id: root._id },
+      { $push: { childEvents: { $each: created.map(occurrence => occurrence._id) } } }
+    );
+  });
+
+  it('skips dates that already have an occurrence', async () => {
+    const root = buildEvent({
+      eventDate: day('2026-03-02'),
+      registrationDeadline: day('2026-03-01'),
+      isRecurring: true,
+      recurringPattern: { frequency: 'weekly', endDate: day('2026-03-23') },
+    });
+    const existing = buildEvent({ eventDate: day('2026-03-09'), status: 'cancelled', parentEvent: root._id });
+    mockSeries([root, existing]);
+
+    const created = await generateOccurrences(root);
+
+    expect(toDays(created.map(occurrence => occurrence.eventDate))).toEqual(['2026-03-16', '2026-03-23']);
+  });
+
+  it('signs series participants up for new occurrences', async () => {
+    const root = buildEvent({
+      eventDate: day('2026-03-02'),
+      registrationDeadline: day('2026-03-01'),
+      isRecurring: true,
+      recurringPattern: { frequency: 'weekly', endDate: day('2026-03-09'), registration: 'series' },
+    });
+    root.registeredParticipants.push({ user: root.organizer, status: 'registered' });
+    mockSeries([root]);
+
+    const [occurrence] = await generateOccurrences(root);
+
+    expect(occurrence.registeredParticipants.map(p => p.user)).toEqual([root.organizer]);
+  });
+
+  it('does nothing for an event that does not repeat', async () => {
+    mockSeries([]);
+
+    expect(await generateOccurrences(buildEvent())).toEqual([]);
+    expect(Event.find).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
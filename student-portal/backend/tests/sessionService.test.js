@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { createSession, rotateSession, revokeSessionByToken } = require('../services/sessionService');
+
+const NOW = new Date('2026-05-01T10:00:00Z');
+const req = { ip: '203.0.113.7', get: () => 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0' };
+
+const buildUser = () => {
+  const _id = new mongoose.Types.ObjectId();
+  return {
+    _id,
+    isActive: true,
+    generateAuthToken: jest.fn(sessionId => `access-${sessionId}`),
+  };
+};
+
+// Does a stored session match the fields of a query this service sends?
+const matches = (record, query) => Object.entries(query).every(([field, value]) => {
+  if (value && value.$exists === false) return record[field] === undefined;
+  return String(record[field]) === String(value);
+});
+
+// Keep sessions and their users in memory instead of MongoDB
+const mockStore = () => {
+  const sessions = [];
+  const users = new Map();
+
+  jest.spyOn(Session, 'create').mockImplementation(async (fields) => {
+    const record = { _id: new mongoose.Types.ObjectId(), ...fields };
+    sessions.push(record);
+    return new Session(record);
+  });
+  jest.spyOn(Session, 'findOne').mockImplementation(async (query) => {
+    const record = sessions.find(entry => matches(entry, query));
+    return record ? new Session(record) : null;
+  });
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation((query, { $set }) => ({
+    populate: async () => {
+      const record = sessions.find(entry => matches(entry, query));
+      if (!record) return null;
+      Object.assign(record, $set);
+      return { ...record, user: users.get(String(record.user)) || null };
+    },
+  }));
+  jest.spyOn(Session, 'updateOne').mockImplementation(async (query, { $set }) => {
+    const record = sessions.find(entry => matches(entry, query));
+    if (record) Object.assign(record, $set);
+  });
+  jest.spyOn(Session.prototype, 'save').mockImplementation(async function() {
+    const record = sessions.find(entry => entry._id.equals(this._id));
+    Object.assign(record, { revokedAt: this.revokedAt, revokedReason: this.revokedReason });
+    return this;
+  });
+
+  return { sessions, users };
+};
+
+describe('sessionService', () => {
+  let store;
+  let user;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+    store = mockStore();
+    user = buildUser();
+    store.users.set(String(user._id), user);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('starts a session with the client details and a hashed refresh token', async () => {
+    const { session, accessToken, refreshToken } = await createSession(user, req);
+
+    expect(accessToken).toBe(`access-${session._id}`);
+    expect(store.sessions[0]).toMatchObject({
+      ipAddress: '203.0.113.7',
+      device: { browser: 'Chrome', os: 'Windows', deviceType: 'desktop' },
+      expiresAt: new Date('2026-05-08T10:00:00Z'),
+    });
+    expect(store.sessions[0].refreshTokenHash).not.toBe(refreshToken);
+  });
+
+  it('swaps the refresh token for a new one and extends the session', async () => {
+    const { refreshToken } = await createSession(user, req);
+    jest.setSystemTime(new Date('2026-05-03T10:00:00Z'));
+
+    const result = await rotateSession(refreshToken, req);
+
+    expect(result.error).toBeUndefined();
+    expect(result.user).toBe(user);
+    expect(result.refreshToken).not.toBe(refreshToken);
+    expect(result.accessToken).toBe(`access-${store.sessions[0]._id}`);
+    expect(store.sessions[0].expiresAt).toEqual(new Date('2026-05-10T10:00:00Z'));
+    expect((await rotateSession(result.refreshToken, req)).error).toBeUndefined();
+  });
+
+  it('revokes the session when a replaced refresh token is used again', async () => {
+    const { refreshToken } = await createSession(user, req);
+    const rotated = await rotateSession(refreshToken, req);
+
+    const replay = await rotateSession(refreshToken, req);
+
+    expect(replay).toEqual({ error: 'REFRESH_TOKEN_REUSED' });
+    expect(store.sessions[0]).toMatchObject({ revokedReason: 'token_reuse', revokedAt: NOW });
+    expect(await rotateSession(rotated.refreshToken, req)).toEqual({ error: 'INVALID_REFRESH_TOKEN' });
+  });
+
+  it('lets only one of two simultaneous rotations win', async () => {
+    const { refreshToken } = await createSession(user, req);
+
+    const results = await Promise.all([rotateSession(refreshToken, req), rotateSession(refreshToken, req)]);
+
+    expect(results.filter(result => !result.error)).toHaveLength(1);
+    expect(results.filter(result => result.error === 'INVALID_REFRESH_TOKEN')).toHaveLength(1);
+    expect(store.sessions[0].revokedAt).toBeUndefined();
+  });
+
+  it('refuses to refresh a revoked session', async () => {
+    const { refreshToken } = await createSession(user, req);
+    await revokeSessionByToken(refreshToken);
+
+    expect(await rotateSession(refreshToken, req)).toEqual({ error: 'INVALID_REFRESH_TOKEN' });
+  });
+
+  it('refuses to refresh an expired session', async () => {
+    const { refreshToken } = await createSession(user, req);
+    jest.setSystemTime(new Date('2026-05-08T10:00:00Z'));
+
+    expect(await rotateSession(refreshToken, req)).toEqual({ error: 'INVALID_REFRESH_TOKEN' });
+  });
+
+  it('refuses to refresh a session whose account has been deleted', async () => {
+    const { refreshToken } = await createSession(user, req);
+    store.users.clear();
+    user.generateAuthToken.mockClear();
+
+    expect(await rotateSession(refreshToken, req)).toEqual({ error: 'INVALID_REFRESH_TOKEN' });
+    expect(user.generateAuthToken).not.toHaveBeenCalled();
+  });
+
+  it('rejects unknown refresh tokens', async () => {
+    expect(await rotateSession('not-a-token', req)).toEqual({ error: 'INVALID_REFRESH_TOKEN' });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,58 @@
+const { buildKey, saveUpload, removeFiles, setStorage } = require('../services/storageService');
+const { createMemoryStorage, createStorage } = require('../services/storage/adapters');
+
+describe('storageService', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+    setStorage(storage);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('builds unique keys that keep a safe extension', () => {
+    const first = buildKey('documents', 'Minutes.PDF');
+    const second = buildKey('documents', 'Minutes.PDF');
+
+    expect(first).toMatch(/^documents\/\d+-[0-9a-f]{16}\.pdf$/);
+    expect(first).not.toBe(second);
+    expect(buildKey('documents', 'notes.p<d>f')).toMatch(/\.pdf$/);
+  });
+
+  it('saves an upload and describes it', async () => {
+    const file = { originalname: 'logo.png', mimetype: 'image/png', buffer: Buffer.from('png-data') };
+
+    const saved = await saveUpload(file, 'clubs');
+
+    expect(saved).toMatchObject({ originalName: 'logo.png', mimeType: 'image/png', size: 8 });
+    expect(await storage.exists(saved.key)).toBe(true);
+    expect(storage.files.get(saved.key).contentType).toBe('image/png');
+  });
+
+  it('removes files and returns the keys that could not be removed', async () => {
+    await storage.save('clubs/a.png', Buffer.from('a'));
+    await storage.save('clubs/b.png', Buffer.from('b'));
+    const logError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const remove = storage.remove;
+    storage.remove = async (key) => {
+      if (key === 'clubs/b.png') {
+        throw new Error('Permission denied');
+      }
+      return remove(key);
+    };
+
+    const failed = await removeFiles(['clubs/a.png', null, 'clubs/b.png']);
+
+    expect(failed).toEqual(['clubs/b.png']);
+    expect(logError).toHaveBeenCalledWith('Failed to remove stored file clubs/b.png:', 'Permission denied');
+    expect(await storage.exists('clubs/a.png')).toBe(false);
+    expect(await storage.exists('clubs/b.png')).toBe(true);
+  });
+
+  it('rejects an unknown storage driver', () => {
+    expect(() => createStorage('ftp')).toThrow('Unknown storage driver: ftp');
+  });
+});
\ No newline at end of file
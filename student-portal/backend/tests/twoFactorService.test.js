@@ -0,0 +1,90 @@
+const { generateTotp, verifyTotp, verifyUserCode, generateRecoveryCodes } = require('../services/twoFactorService');
+
+// RFC 6238 appendix B secret ("12345678901234567890") in base32
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const NOW = new Date('2026-03-01T12:00:10Z');
+const CURRENT_STEP = Math.floor(NOW.getTime() / 1000 / 30);
+
+describe('twoFactorService', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('generateTotp', () => {
+    it('matches the RFC 6238 SHA-1 test vectors', () => {
+      expect(generateTotp(SECRET, Math.floor(59 / 30))).toBe('287082');
+      expect(generateTotp(SECRET, Math.floor(1111111109 / 30))).toBe('081804');
+      expect(generateTotp(SECRET, Math.floor(2000000000 / 30))).toBe('279037');
+    });
+  });
+
+  describe('verifyTotp', () => {
+    it('returns the step of a current code', () => {
+      expect(verifyTotp(SECRET, generateTotp(SECRET, CURRENT_STEP))).toBe(CURRENT_STEP);
+    });
+
+    it('accepts codes one period either side and nothing further', () => {
+      expect(verifyTotp(SECRET, generateTotp(SECRET, CURRENT_STEP - 1))).toBe(CURRENT_STEP - 1);
+      expect(verifyTotp(SECRET, generateTotp(SECRET, CURRENT_STEP + 1))).toBe(CURRENT_STEP + 1);
+      expect(verifyTotp(SECRET, generateTotp(SECRET, CURRENT_STEP - 2))).toBeNull();
+      expect(verifyTotp(SECRET, generateTotp(SECRET, CURRENT_STEP + 2))).toBeNull();
+    });
+
+    it('rejects a code from a step that was already used', () => {
+      const code = generateTotp(SECRET, CURRENT_STEP);
+
+      expect(verifyTotp(SECRET, code, CURRENT_STEP)).toBeNull();
+      expect(verifyTotp(SECRET, generateTotp(SECRET, CURRENT_STEP - 1), CURRENT_STEP - 1)).toBeNull();
+      expect(verifyTotp(SECRET, code, CURRENT_STEP - 1)).toBe(CURRENT_STEP);
+    });
+
+    it('ignores spaces and rejects malformed codes', () => {
+      const code = generateTotp(SECRET, CURRENT_STEP);
+
+      expect(verifyTotp(SECRET, `${code.slice(0, 3)} ${code.slice(3)}`)).toBe(CURRENT_STEP);
+      expect(verifyTotp(SECRET, code.slice(0, 5))).toBeNull();
+      expect(verifyTotp(SECRET, 'abcdef')).toBeNull();
+      expect(verifyTotp(SECRET, undefined)).toBeNull();
+    });
+  });
+
+  describe('verifyUserCode', () => {
+    const createUser = () => {
+      const { codes, hashed } = generateRecoveryCodes(2);
+      return {
+        codes,
+        user: { twoFactor: { secret: SECRET, recoveryCodes: hashed } },
+      };
+    };
+
+    it('records the step of an accepted TOTP code so it cannot be replayed', () => {
+      const { user } = createUser();
+      const code = generateTotp(SECRET, CURRENT_STEP);
+
+      expect(verifyUserCode(user, { code })).toEqual({ valid: true, method: 'totp' });
+      expect(user.twoFactor.lastUsedStep).toBe(CURRENT_STEP);
+      expect(verifyUserCode(user, { code })).toEqual({ valid: false });
+    });
+
+    it('accepts each recovery code once', () => {
+      const { user, codes } = createUser();
+
+      expect(verifyUserCode(user, { recoveryCode: codes[0].toUpperCase() })).toEqual({
+        valid: true,
+        method: 'recovery_code',
+        recoveryCodesRemaining: 1,
+      });
+      expect(verifyUserCode(user, { recoveryCode: codes[0] })).toEqual({ valid: false });
+    });
+
+    it('rejects a request without a code', () => {
+      const { user } = createUser();
+
+      expect(verifyUserCode(user, {})).toEqual({ valid: false });
+    });
+  });
+});
\ No newline at end of file
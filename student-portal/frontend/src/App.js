@@ -11,17 +11,25 @@ import Navbar from './components/Layout/Navbar';
 import LoadingSpinner from './components/Common/LoadingSpinner';
 import ProtectedRoute from './components/Common/ProtectedRoute';
 import PublicRoute from './components/Common/PublicRoute';
+import EmailVerificationBanner from './components/Common/EmailVerificationBanner';
 
 // Pages
 import Login from './pages/Auth/Login';
 import Register from './pages/Auth/Register';
+import VerifyEmail from './pages/Auth/VerifyEmail';
+import ForgotPassword from './pages/Auth/ForgotPassword';
+import ResetPassword from './pages/Auth/ResetPassword';
 import Dashboard from './pages/Dashboard/Dashboard';
 import Clubs from './pages/Clubs/Clubs';
 import ClubDetail from './pages/Clubs/ClubDetail';
+import HallOfFame from './pages/Clubs/HallOfFame';
 import Events from './pages/Events/Events';
 import EventDetail from './pages/Events/EventDetail';
 import Profile from './pages/Profile/Profile';
 import AdminPanel from './pages/Admin/AdminPanel';
+import Notifications from './pages/Notifications/Notifications';
+import Invitations from './pages/Invitations/Invitations';
+import InvitationResponse from './pages/Invitations/InvitationResponse';
 import NotFound from './pages/Common/NotFound';
 
 function AppContent() {
@@ -34,6 +42,7 @@ function AppContent() {
   return (
     <div className="min-h-screen bg-gray-50">
       <Navbar />
+      <EmailVerificationBanner />
       <main className="min-h-screen">
         <Routes>
           {/* Public Routes */}
@@ -47,6 +56,18 @@ function AppContent() {
               <Register />
             </PublicRoute>
           } />
+          <Route path="/forgot-password" element={
+            <PublicRoute>
+              <ForgotPassword />
+            </PublicRoute>
+          } />
+          <Route path="/reset-password/:token" element={
+            <PublicRoute restricted={false}>
+              <ResetPassword />
+            </PublicRoute>
+          } />
+          <Route path="/verify-email/:token" element={<VerifyEmail />} />
+          <Route path="/invitations/:token" element={<InvitationResponse />} />
 
           {/* Protected Routes */}
           <Route path="/dashboard" element={
@@ -67,6 +88,12 @@ function AppContent() {
             </ProtectedRoute>
           } />
           
+          <Route path="/hall-of-fame" element={
+            <ProtectedRoute>
+              <HallOfFame />
+            </ProtectedRoute>
+          } />
+          
           <Route path="/events" element={
             <ProtectedRoute>
               <Events />
@@ -85,6 +112,18 @@ function AppContent() {
             </ProtectedRoute>
           } />
           
+          <Route path="/notifications" element={
+            <ProtectedRoute>
+              <Notifications />
+            </ProtectedRoute>
+          } />
+          
+          <Route path="/invitations" element={
+            <ProtectedRoute>
+              <Invitations />
+            </ProtectedRoute>
+          } />
+          
           <Route path="/admin" element={
             <ProtectedRoute allowedRoles={['admin']}>
               <AdminPanel />
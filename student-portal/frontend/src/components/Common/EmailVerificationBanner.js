@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import { MailWarning, X } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import { InlineSpinner } from './LoadingSpinner';
+
+const EmailVerificationBanner = () => {
+  const { user, isAuthenticated } = useAuth();
+  const [sending, setSending] = useState(false);
+  const [dismissed, setDismissed] = useState(false);
+
+  if (!isAuthenticated || !user || user.isEmailVerified !== false || dismissed) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      const response = await axios.post('/api/auth/resend-verification');
+      toast.success(response.data.message || 'Verification email sent');
+    } catch (error) {
+      const retryAfter = error.response?.data?.retryAfter;
+      toast.error(
+        retryAfter
+          ? `Please wait ${retryAfter} seconds before requesting another email`
+          : error.response?.data?.message || 'Failed to send verification email'
+      );
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200">
+      <div className="max-w-7xl mx-auto px-4 py-3 flex items-center justify-between">
+        <div className="flex items-center text-sm text-yellow-800">
+          <MailWarning className="w-5 h-5 mr-3 flex-shrink-0" />
+          <span>
+            Please verify your email address <strong>{user.email}</strong>. You need a verified email to register for events and submit feedback.
+          </span>
+        </div>
+        <div className="flex items-center space-x-2 ml-4">
+          <button
+            onClick={handleResend}
+            disabled={sending}
+            className="flex items-center px-3 py-1.5 bg-yellow-600 text-white text-sm font-medium rounded-lg hover:bg-yellow-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors whitespace-nowrap"
+          >
+            {sending && <InlineSpinner />}
+            <span className={sending ? 'ml-2' : ''}>Resend email</span>
+          </button>
+          <button
+            onClick={() => setDismissed(true)}
+            title="Dismiss"
+            className="p-1.5 text-yellow-700 hover:bg-yellow-100 rounded-lg transition-colors"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
\ No newline at end of file
@@ -0,0 +1,72 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Check, X } from 'lucide-react';
+
+// Used until the server policy has loaded
+const DEFAULT_POLICY = {
+  minLength: 8,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireNumber: true,
+  requireSymbol: false,
+};
+
+let cachedPolicy = null;
+
+// Load the password policy shared with the backend
+export const usePasswordPolicy = () => {
+  const [policy, setPolicy] = useState(cachedPolicy || DEFAULT_POLICY);
+
+  useEffect(() => {
+    if (cachedPolicy) return;
+
+    axios.get('/api/auth/password-policy')
+      .then(response => {
+        cachedPolicy = response.data;
+        setPolicy(response.data);
+      })
+      .catch(error => {
+        console.error('Error loading password policy:', error);
+      });
+  }, []);
+
+  return policy;
+};
+
+export const getPasswordRules = (policy) => [
+  { label: `At least ${policy.minLength} characters`, test: (p) => p.length >= policy.minLength },
+  policy.requireUppercase && { label: 'One uppercase letter', test: (p) => /[A-Z]/.test(p) },
+  policy.requireLowercase && { label: 'One lowercase letter', test: (p) => /[a-z]/.test(p) },
+  policy.requireNumber && { label: 'One number', test: (p) => /\d/.test(p) },
+  policy.requireSymbol && { label: 'One special character', test: (p) => /[^A-Za-z0-9]/.test(p) },
+].filter(Boolean);
+
+// First unmet rule, or null when the password satisfies the policy
+export const getPasswordPolicyError = (policy, password = '') => {
+  const failed = getPasswordRules(policy).find(rule => !rule.test(password));
+  return failed ? `Password needs: ${failed.label.toLowerCase()}` : null;
+};
+
+const PasswordRequirements = ({ password = '', policy }) => {
+  const loadedPolicy = usePasswordPolicy();
+  const rules = getPasswordRules(policy || loadedPolicy);
+
+  return (
+    <ul className="mt-2 space-y-1">
+      {rules.map(rule => {
+        const met = rule.test(password);
+        return (
+          <li
+            key={rule.label}
+            className={`flex items-center text-xs ${met ? 'text-green-600' : 'text-gray-500'}`}
+          >
+            {met ? <Check className="w-3 h-3 mr-1" /> : <X className="w-3 h-3 mr-1" />}
+            {rule.label}
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default PasswordRequirements;
\ No newline at end of file
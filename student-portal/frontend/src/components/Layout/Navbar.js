@@ -1,5 +1,7 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
+import axios from 'axios';
+import { formatDistanceToNow } from 'date-fns';
 import { useAuth } from '../../context/AuthContext';
 import { 
   Menu, 
@@ -13,7 +15,8 @@ import {
   ChevronDown,
   Bell,
   Search,
-  GraduationCap
+  GraduationCap,
+  Trophy
 } from 'lucide-react';
 
 const Navbar = () => {
@@ -23,6 +26,8 @@ const Navbar = () => {
   const [isOpen, setIsOpen] = useState(false);
   const [userMenuOpen, setUserMenuOpen] = useState(false);
   const [notificationOpen, setNotificationOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
   const userMenuRef = useRef(null);
   const notificationRef = useRef(null);
 
@@ -48,6 +53,71 @@ const Navbar = () => {
     setNotificationOpen(false);
   }, [location.pathname]);
 
+  // Poll unread notification count while signed in
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setUnreadCount(0);
+      setNotifications([]);
+      return;
+    }
+
+    fetchUnreadCount();
+    const interval = setInterval(fetchUnreadCount, 60000);
+    return () => clearInterval(interval);
+  }, [isAuthenticated]);
+
+  // Load latest notifications when the dropdown opens
+  useEffect(() => {
+    if (notificationOpen) {
+      fetchNotifications();
+    }
+  }, [notificationOpen]);
+
+  const fetchUnreadCount = async () => {
+    try {
+      const response = await axios.get('/api/notifications/unread-count');
+      setUnreadCount(response.data.data.unreadCount);
+    } catch (error) {
+      console.error('Error fetching unread count:', error);
+    }
+  };
+
+  const fetchNotifications = async () => {
+    try {
+      const response = await axios.get('/api/notifications?limit=5');
+      setNotifications(response.data.data.notifications);
+      setUnreadCount(response.data.data.unreadCount);
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+    }
+  };
+
+  const handleNotificationClick = async (notification) => {
+    if (!notification.isRead) {
+      try {
+        await axios.put(`/api/notifications/${notification._id}/read`);
+        setUnreadCount(prev => Math.max(0, prev - 1));
+      } catch (error) {
+        console.error('Error marking notification as read:', error);
+      }
+    }
+
+    setNotificationOpen(false);
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await axios.put('/api/notifications/read-all');
+      setUnreadCount(0);
+      setNotifications(prev => prev.map(n => ({ ...n, isRead: true })));
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+    }
+  };
+
   const handleLogout = () => {
     logout();
     navigate('/login');
@@ -162,6 +232,18 @@ const Navbar = () => {
               <span>Events</span>
             </Link>
 
+            <Link 
+              to="/hall-of-fame" 
+              className={`flex items-center space-x-2 px-3 py-2 rounded-lg transition-all duration-200 ${
+                isActive('/hall-of-fame') 
+                  ? 'text-blue-600 bg-blue-50 font-medium' 
+                  : 'text-gray-600 hover:text-blue-600 hover:bg-gray-50'
+              }`}
+            >
+              <Trophy size={18} />
+              <span>Hall of Fame</span>
+            </Link>
+
             {user?.role === 'admin' && (
               <Link 
                 to="/admin" 
@@ -191,34 +273,57 @@ const Navbar = () => {
                 className="relative p-2 text-gray-600 hover:text-blue-600 hover:bg-gray-50 rounded-lg transition-colors"
               >
                 <Bell size={18} />
-                <span className="absolute -top-1 -right-1 h-4 w-4 bg-red-500 rounded-full text-xs text-white flex items-center justify-center">
-                  3
-                </span>
+                {unreadCount > 0 && (
+                  <span className="absolute -top-1 -right-1 h-4 min-w-[1rem] px-1 bg-red-500 rounded-full text-xs text-white flex items-center justify-center">
+                    {unreadCount > 9 ? '9+' : unreadCount}
+                  </span>
+                )}
               </button>
 
               {notificationOpen && (
                 <div className="absolute right-0 mt-2 w-80 bg-white rounded-lg shadow-lg border border-gray-200 py-1 animate-slideDown">
-                  <div className="px-4 py-2 border-b border-gray-200">
+                  <div className="px-4 py-2 border-b border-gray-200 flex items-center justify-between">
                     <h3 className="font-medium text-gray-900">Notifications</h3>
+                    {unreadCount > 0 && (
+                      <button
+                        onClick={handleMarkAllRead}
+                        className="text-xs text-blue-600 hover:text-blue-700 font-medium"
+                      >
+                        Mark all as read
+                      </button>
+                    )}
                   </div>
                   <div className="max-h-64 overflow-y-auto">
-                    <div className="px-4 py-3 hover:bg-gray-50 cursor-pointer">
-                      <p className="text-sm font-medium text-gray-900">New event created</p>
-                      <p className="text-xs text-gray-500 mt-1">React Workshop - Tomorrow at 2 PM</p>
-                    </div>
-                    <div className="px-4 py-3 hover:bg-gray-50 cursor-pointer">
-                      <p className="text-sm font-medium text-gray-900">Club invitation</p>
-                      <p className="text-xs text-gray-500 mt-1">You've been invited to join Tech Club</p>
-                    </div>
-                    <div className="px-4 py-3 hover:bg-gray-50 cursor-pointer">
-                      <p className="text-sm font-medium text-gray-900">Event reminder</p>
-                      <p className="text-xs text-gray-500 mt-1">Photography Workshop starts in 1 hour</p>
-                    </div>
+                    {notifications.length === 0 ? (
+                      <div className="px-4 py-6 text-center text-sm text-gray-500">
+                        You're all caught up
+                      </div>
+                    ) : (
+                      notifications.map((notification) => (
+                        <div
+                          key={notification._id}
+                          onClick={() => handleNotificationClick(notification)}
+                          className={`px-4 py-3 hover:bg-gray-50 cursor-pointer ${
+                            notification.isRead ? '' : 'bg-blue-50'
+                          }`}
+                        >
+                          <p className="text-sm font-medium text-gray-900">{notification.title}</p>
+                          <p className="text-xs text-gray-500 mt-1 line-clamp-2">{notification.message}</p>
+                          <p className="text-xs text-gray-400 mt-1">
+                            {formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })}
+                          </p>
+                        </div>
+                      ))
+                    )}
                   </div>
                   <div className="px-4 py-2 border-t border-gray-200">
-                    <button className="text-sm text-blue-600 hover:text-blue-700 font-medium">
+                    <Link
+                      to="/notifications"
+                      onClick={() => setNotificationOpen(false)}
+                      className="text-sm text-blue-600 hover:text-blue-700 font-medium"
+                    >
                       View all notifications
-                    </button>
+                    </Link>
                   </div>
                 </div>
               )}
@@ -230,9 +335,13 @@ const Navbar = () => {
                 onClick={() => setUserMenuOpen(!userMenuOpen)}
                 className="flex items-center space-x-2 p-2 rounded-lg hover:bg-gray-50 transition-colors"
               >
-                <div className={`w-8 h-8 ${getRoleColor(user?.role)} rounded-full flex items-center justify-center text-white text-sm font-medium`}>
-                  {getInitials(user?.name || 'User')}
-                </div>
+                {user?.profilePicture ? (
+                  <img src={user.profilePicture} alt={user.name} className="w-8 h-8 rounded-full object-cover" />
+                ) : (
+                  <div className={`w-8 h-8 ${getRoleColor(user?.role)} rounded-full flex items-center justify-center text-white text-sm font-medium`}>
+                    {getInitials(user?.name || 'User')}
+                  </div>
+                )}
                 <div className="text-left hidden lg:block">
                   <p className="text-sm font-medium text-gray-900">{user?.name}</p>
                   <p className="text-xs text-gray-500 capitalize">{user?.role}</p>
@@ -321,6 +430,19 @@ const Navbar = () => {
                 <span>Events</span>
               </Link>
 
+              <Link 
+                to="/hall-of-fame" 
+                className={`flex items-center space-x-2 px-3 py-2 rounded-lg transition-colors ${
+                  isActive('/hall-of-fame') 
+                    ? 'text-blue-600 bg-blue-50 font-medium' 
+                    : 'text-gray-600 hover:bg-gray-50'
+                }`}
+                onClick={() => setIsOpen(false)}
+              >
+                <Trophy size={18} />
+                <span>Hall of Fame</span>
+              </Link>
+
               {user?.role === 'admin' && (
                 <Link 
                   to="/admin" 
@@ -341,9 +463,13 @@ const Navbar = () => {
               {/* User info in mobile */}
               <div className="px-3 py-2">
                 <div className="flex items-center space-x-3 mb-3">
-                  <div className={`w-10 h-10 ${getRoleColor(user?.role)} rounded-full flex items-center justify-center text-white font-medium`}>
-                    {getInitials(user?.name || 'User')}
-                  </div>
+                  {user?.profilePicture ? (
+                    <img src={user.profilePicture} alt={user.name} className="w-10 h-10 rounded-full object-cover" />
+                  ) : (
+                    <div className={`w-10 h-10 ${getRoleColor(user?.role)} rounded-full flex items-center justify-center text-white font-medium`}>
+                      {getInitials(user?.name || 'User')}
+                    </div>
+                  )}
                   <div>
                     <p className="font-medium text-gray-900">{user?.name}</p>
                     <p className="text-sm text-gray-500 capitalize">{user?.role}</p>
@@ -351,6 +477,20 @@ const Navbar = () => {
                 </div>
               </div>
 
+              <Link
+                to="/notifications"
+                className="flex items-center space-x-2 px-3 py-2 text-gray-600 hover:bg-gray-50 rounded-lg transition-colors"
+                onClick={() => setIsOpen(false)}
+              >
+                <Bell size={18} />
+                <span>Notifications</span>
+                {unreadCount > 0 && (
+                  <span className="ml-auto px-2 py-0.5 bg-red-500 text-white text-xs rounded-full">
+                    {unreadCount}
+                  </span>
+                )}
+              </Link>
+
               <Link
                 to="/profile"
                 className="flex items-center space-x-2 px-3 py-2 text-gray-600 hover:bg-gray-50 rounded-lg transition-colors"
@@ -8,6 +8,32 @@ axios.defaults.baseURL = 'http://localhost:5000';
 // Create Auth Context
 const AuthContext = createContext();
 
+// Shared by every request that fails while a refresh is already in flight
+let refreshPromise = null;
+
+// Exchange the stored refresh token for a new access token
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshPromise = (refreshToken
+      ? axios.post('/api/auth/refresh', { refreshToken }, { _skipAuthRefresh: true })
+      : Promise.reject(new Error('No refresh token'))
+    )
+      .then(response => {
+        localStorage.setItem('token', response.data.token);
+        localStorage.setItem('refreshToken', response.data.refreshToken);
+        axios.defaults.headers.common['Authorization'] = `Bearer ${response.data.token}`;
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
 // Initial state
 const initialState = {
   user: null,
@@ -45,6 +71,7 @@ const authReducer = (state, action) => {
     case 'AUTH_ERROR':
     case 'LOGOUT':
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       return {
         ...state,
         user: null,
@@ -53,6 +80,12 @@ const authReducer = (state, action) => {
         isAuthenticated: false,
       };
 
+    case 'SET_TOKEN':
+      return {
+        ...state,
+        token: action.payload,
+      };
+
     case 'UPDATE_USER':
       return {
         ...state,
@@ -68,6 +101,48 @@ const authReducer = (state, action) => {
 export const AuthProvider = ({ children }) => {
   const [state, dispatch] = useReducer(authReducer, initialState);
 
+  // Silently refresh expired access tokens and retry the request once
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      response => response,
+      async (error) => {
+        const originalRequest = error.config;
+
+        if (error.response?.data?.code === 'TWO_FACTOR_SETUP_REQUIRED') {
+          toast.warning(error.response.data.message, { toastId: 'two-factor-setup' });
+        }
+
+        if (
+          error.response?.status !== 401 ||
+          error.response.data?.code !== 'TOKEN_EXPIRED' ||
+          !originalRequest ||
+          originalRequest._retry ||
+          originalRequest._skipAuthRefresh
+        ) {
+          return Promise.reject(error);
+        }
+
+        originalRequest._retry = true;
+
+        try {
+          const token = await refreshAccessToken();
+          dispatch({ type: 'SET_TOKEN', payload: token });
+          originalRequest.headers['Authorization'] = `Bearer ${token}`;
+          return axios(originalRequest);
+        } catch (refreshError) {
+          dispatch({ type: 'AUTH_ERROR' });
+          delete axios.defaults.headers.common['Authorization'];
+          toast.error('Session expired. Please login again.', { toastId: 'session-expired' });
+          return Promise.reject(error);
+        }
+      }
+    );
+
+    return () => {
+      axios.interceptors.response.eject(interceptor);
+    };
+  }, []);
+
   // Set up axios interceptor
   useEffect(() => {
     if (state.token) {
@@ -104,6 +179,34 @@ export const AuthProvider = ({ children }) => {
     loadUser();
   }, []);
 
+  // Store tokens from a completed login and load the user
+  const completeLogin = (data) => {
+    const { token, refreshToken, user } = data;
+
+    // Store tokens in localStorage
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+
+    // Set axios default header
+    axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+
+    dispatch({
+      type: 'LOGIN_SUCCESS',
+      payload: { user, token },
+    });
+
+    toast.success(`Welcome back, ${user.name}!`);
+
+    if (data.twoFactorSetupRequired) {
+      toast.info('Two-factor authentication is required for your role. Please set it up in your profile.');
+    }
+    if (data.recoveryCodesRemaining !== undefined) {
+      toast.warning(`Recovery code used. ${data.recoveryCodesRemaining} remaining.`);
+    }
+
+    return { success: true, twoFactorSetupRequired: !!data.twoFactorSetupRequired };
+  };
+
   // Login function
   const login = async (email, password) => {
     try {
@@ -114,21 +217,17 @@ export const AuthProvider = ({ children }) => {
         password,
       });
 
-      const { token, user } = response.data;
-
-      // Store token in localStorage
-      localStorage.setItem('token', token);
-
-      // Set axios default header
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-
-      dispatch({
-        type: 'LOGIN_SUCCESS',
-        payload: { user, token },
-      });
+      // Password accepted; the caller asks for the authenticator code next
+      if (response.data.twoFactorRequired) {
+        dispatch({ type: 'SET_LOADING', payload: false });
+        return {
+          success: false,
+          twoFactorRequired: true,
+          twoFactorToken: response.data.twoFactorToken,
+        };
+      }
 
-      toast.success(`Welcome back, ${user.name}!`);
-      return { success: true };
+      return completeLogin(response.data);
       
     } catch (error) {
       dispatch({ type: 'AUTH_ERROR' });
@@ -138,6 +237,27 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second login step with an authenticator or recovery code
+  const verifyTwoFactorLogin = async (twoFactorToken, { code, recoveryCode }) => {
+    try {
+      const response = await axios.post('/api/auth/login/2fa', {
+        twoFactorToken,
+        code,
+        recoveryCode,
+      });
+
+      return completeLogin(response.data);
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Verification failed. Please try again.';
+      toast.error(errorMessage);
+      return {
+        success: false,
+        error: errorMessage,
+        expired: ['TWO_FACTOR_CHALLENGE_EXPIRED', 'ACCOUNT_LOCKED'].includes(error.response?.data?.code),
+      };
+    }
+  };
+
   // Register function
   const register = async (userData) => {
     try {
@@ -145,10 +265,11 @@ export const AuthProvider = ({ children }) => {
       
       const response = await axios.post('/api/auth/register', userData);
       
-      const { token, user } = response.data;
+      const { token, refreshToken, user } = response.data;
 
-      // Store token in localStorage
+      // Store tokens in localStorage
       localStorage.setItem('token', token);
+      localStorage.setItem('refreshToken', refreshToken);
 
       // Set axios default header
       axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
@@ -170,10 +291,36 @@ export const AuthProvider = ({ children }) => {
   };
 
   // Logout function
-  const logout = () => {
+  const logout = async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+
     dispatch({ type: 'LOGOUT' });
     delete axios.defaults.headers.common['Authorization'];
     toast.success('Logged out successfully');
+
+    // End the session on the server; the local logout already happened
+    if (refreshToken) {
+      try {
+        await axios.post('/api/auth/logout', { refreshToken });
+      } catch (error) {
+        console.error('Error ending session:', error);
+      }
+    }
+  };
+
+  // Logout from every device, including this one
+  const logoutAll = async () => {
+    try {
+      await axios.post('/api/auth/logout-all');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to log out of all devices');
+      return { success: false };
+    }
+
+    dispatch({ type: 'LOGOUT' });
+    delete axios.defaults.headers.common['Authorization'];
+    toast.success('Logged out of all devices');
+    return { success: true };
   };
 
   // Update user profile
@@ -184,6 +331,16 @@ export const AuthProvider = ({ children }) => {
     });
   };
 
+  // Replace the stored token (e.g. after a password change revokes the old one)
+  const updateToken = (token) => {
+    localStorage.setItem('token', token);
+    axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+    dispatch({
+      type: 'SET_TOKEN',
+      payload: token,
+    });
+  };
+
   // Refresh user data
   const refreshUser = async () => {
     try {
@@ -222,9 +379,12 @@ export const AuthProvider = ({ children }) => {
     
     // Actions
     login,
+    verifyTwoFactorLogin,
     register,
     logout,
+    logoutAll,
     updateUser,
+    updateToken,
     refreshUser,
     
     // Utility functions
@@ -19,7 +19,11 @@ import {
   Save,
   X,
   Download,
-  Activity
+  Activity,
+  Unlock,
+  Shield,
+  Archive,
+  ArchiveRestore
 } from 'lucide-react';
 import { format } from 'date-fns';
 
@@ -64,13 +68,15 @@ const AdminPanel = () => {
     registrationDeadline: '',
     eventType: 'workshop',
     requirements: '',
-    prizes: ''
+    prizes: '',
+    recurringPattern: { frequency: '', interval: 1, endDate: '', registration: 'occurrence' }
   });
 
   // Selected items for operations
   const [selectedEvent, setSelectedEvent] = useState(null);
   const [selectedUser, setSelectedUser] = useState(null);
   const [attendanceList, setAttendanceList] = useState([]);
+  const [twoFactorPolicy, setTwoFactorPolicy] = useState({ requiredRoles: [], availableRoles: [] });
 
   // Search and filter states
   const [searchTerm, setSearchTerm] = useState('');
@@ -82,13 +88,37 @@ const AdminPanel = () => {
 
   useEffect(() => {
     fetchAllData();
+    fetchTwoFactorPolicy();
   }, []);
 
+  const fetchTwoFactorPolicy = async () => {
+    try {
+      const response = await axios.get('/api/auth/2fa/policy');
+      setTwoFactorPolicy(response.data);
+    } catch (error) {
+      console.error('Error fetching two-factor policy:', error);
+    }
+  };
+
+  const handleToggleTwoFactorRole = async (role) => {
+    const requiredRoles = twoFactorPolicy.requiredRoles.includes(role)
+      ? twoFactorPolicy.requiredRoles.filter(r => r !== role)
+      : [...twoFactorPolicy.requiredRoles, role];
+
+    try {
+      const response = await axios.put('/api/auth/2fa/policy', { requiredRoles });
+      setTwoFactorPolicy(response.data);
+      toast.success('Two-factor policy updated!');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update two-factor policy');
+    }
+  };
+
   const fetchAllData = async () => {
     try {
       setLoading(true);
       const [clubsRes, eventsRes, usersRes, teachersRes] = await Promise.all([
-        axios.get('/api/clubs'),
+        axios.get('/api/clubs', { params: { includeArchived: true } }),
         axios.get('/api/events'),
         axios.get('/api/users'),
         axios.get('/api/users/teachers')
@@ -162,8 +192,10 @@ const AdminPanel = () => {
   const handleCreateEvent = async (e) => {
     e.preventDefault();
     try {
-      await axios.post('/api/events', eventForm);
-      toast.success('Event created successfully!');
+      // Only send a repeat pattern for recurring events
+      const { recurringPattern, ...eventData } = eventForm;
+      const response = await axios.post('/api/events', recurringPattern.frequency ? eventForm : eventData);
+      toast.success(response.data.message || 'Event created successfully!');
       setShowEventModal(false);
       resetEventForm();
       fetchAllData();
@@ -200,8 +232,36 @@ const AdminPanel = () => {
     }
   };
 
+  const handleUnlockUser = async (userId) => {
+    try {
+      const response = await axios.put(`/api/users/${userId}/unlock`);
+      toast.success('User account unlocked!');
+      setSelectedUser(prev => ({ ...prev, ...response.data.data.user }));
+      fetchAllData();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to unlock user');
+    }
+  };
+
+  const handleToggleArchiveClub = async (club) => {
+    try {
+      if (club.archivedAt) {
+        await axios.post(`/api/clubs/${club._id}/unarchive`);
+        toast.success('Club restored');
+      } else {
+        const reason = window.prompt(`Archive ${club.name}? Optionally enter a reason:`);
+        if (reason === null) return;
+        await axios.post(`/api/clubs/${club._id}/archive`, { reason: reason || undefined });
+        toast.success('Club archived');
+      }
+      fetchAllData();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update club');
+    }
+  };
+
   const handleDeleteClub = async (clubId) => {
-    if (window.confirm('Are you sure you want to delete this club?')) {
+    if (window.confirm('Permanently delete this club? Its events, feedback and memberships will be deleted too. Archive the club instead to keep its history.')) {
       try {
         await axios.delete(`/api/clubs/${clubId}`);
         toast.success('Club deleted successfully!');
@@ -268,7 +328,8 @@ const AdminPanel = () => {
       registrationDeadline: '',
       eventType: 'workshop',
       requirements: '',
-      prizes: ''
+      prizes: '',
+      recurringPattern: { frequency: '', interval: 1, endDate: '', registration: 'occurrence' }
     });
   };
 
@@ -282,8 +343,9 @@ const AdminPanel = () => {
   const filteredClubs = clubs.filter(club => {
     const matchesSearch = club.name.toLowerCase().includes(searchTerm.toLowerCase());
     const matchesStatus = !filterStatus || 
-                         (filterStatus === 'active' && club.isActive) ||
-                         (filterStatus === 'inactive' && !club.isActive);
+                         (filterStatus === 'active' && club.isActive && !club.archivedAt) ||
+                         (filterStatus === 'inactive' && !club.isActive) ||
+                         (filterStatus === 'archived' && !!club.archivedAt);
     return matchesSearch && matchesStatus;
   });
 
@@ -509,6 +571,7 @@ const AdminPanel = () => {
                   <option value="">All Status</option>
                   <option value="active">Active</option>
                   <option value="inactive">Inactive</option>
+                  <option value="archived">Archived</option>
                 </select>
               </div>
             </div>
@@ -562,9 +625,10 @@ const AdminPanel = () => {
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+                          club.archivedAt ? 'bg-gray-100 text-gray-800' :
                           club.isActive ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
                         }`}>
-                          {club.isActive ? 'Active' : 'Inactive'}
+                          {club.archivedAt ? 'Archived' : club.isActive ? 'Active' : 'Inactive'}
                         </span>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
@@ -581,6 +645,13 @@ const AdminPanel = () => {
                           >
                             <Eye className="w-4 h-4" />
                           </button>
+                          <button 
+                            onClick={() => handleToggleArchiveClub(club)}
+                            className="text-gray-600 hover:text-gray-900 p-1"
+                            title={club.archivedAt ? 'Restore' : 'Archive'}
+                          >
+                            {club.archivedAt ? <ArchiveRestore className="w-4 h-4" /> : <Archive className="w-4 h-4" />}
+                          </button>
                           <button 
                             onClick={() => handleDeleteClub(club._id)}
                             className="text-red-600 hover:text-red-900 p-1"
@@ -745,6 +816,34 @@ const AdminPanel = () => {
       {activeTab === 'users' && (
         <div className="space-y-6">
           <h2 className="text-xl font-semibold text-gray-900">Manage Users</h2>
+
+          {/* Two-Factor Policy */}
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+              <div className="flex items-center">
+                <div className="p-2 bg-blue-100 rounded-lg mr-3">
+                  <Shield className="w-5 h-5 text-blue-600" />
+                </div>
+                <div>
+                  <h3 className="text-sm font-medium text-gray-900">Require Two-Factor Authentication</h3>
+                  <p className="text-sm text-gray-600">Users in these roles must enable 2FA before using the portal</p>
+                </div>
+              </div>
+              <div className="flex gap-4">
+                {twoFactorPolicy.availableRoles.map(role => (
+                  <label key={role} className="flex items-center text-sm text-gray-700 capitalize">
+                    <input
+                      type="checkbox"
+                      checked={twoFactorPolicy.requiredRoles.includes(role)}
+                      onChange={() => handleToggleTwoFactorRole(role)}
+                      className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-2"
+                    />
+                    {role}s
+                  </label>
+                ))}
+              </div>
+            </div>
+          </div>
           
           {/* Search and Filter */}
           <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
@@ -1277,6 +1376,66 @@ const AdminPanel = () => {
                 </div>
               </div>
 
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Repeats
+                  </label>
+                  <div className="flex space-x-2">
+                    <select
+                      value={eventForm.recurringPattern.frequency}
+                      onChange={(e) => setEventForm({...eventForm, recurringPattern: {...eventForm.recurringPattern, frequency: e.target.value}})}
+                      className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      <option value="">Does not repeat</option>
+                      <option value="weekly">Weekly</option>
+                      <option value="monthly">Monthly</option>
+                      <option value="yearly">Yearly</option>
+                    </select>
+                    {eventForm.recurringPattern.frequency && (
+                      <input
+                        type="number"
+                        min="1"
+                        max="52"
+                        value={eventForm.recurringPattern.interval}
+                        onChange={(e) => setEventForm({...eventForm, recurringPattern: {...eventForm.recurringPattern, interval: e.target.value}})}
+                        title="Repeat every N weeks, months or years"
+                        className="w-20 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      />
+                    )}
+                  </div>
+                </div>
+                {eventForm.recurringPattern.frequency && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Repeat Until
+                    </label>
+                    <input
+                      type="date"
+                      value={eventForm.recurringPattern.endDate}
+                      onChange={(e) => setEventForm({...eventForm, recurringPattern: {...eventForm.recurringPattern, endDate: e.target.value}})}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </div>
+                )}
+              </div>
+
+              {eventForm.recurringPattern.frequency && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Registration
+                  </label>
+                  <select
+                    value={eventForm.recurringPattern.registration}
+                    onChange={(e) => setEventForm({...eventForm, recurringPattern: {...eventForm.recurringPattern, registration: e.target.value}})}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="occurrence">Participants register for each session</option>
+                    <option value="series">Participants register once for the whole series</option>
+                  </select>
+                </div>
+              )}
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   Requirements
@@ -1469,6 +1628,20 @@ const AdminPanel = () => {
                       {selectedUser.isActive ? 'Active' : 'Inactive'}
                     </span>
                   </div>
+                  <div>
+                    <span className="text-blue-700">Last Login:</span>
+                    <span className="ml-2 font-semibold text-blue-900">
+                      {selectedUser.lastLoginAt ? format(new Date(selectedUser.lastLoginAt), 'MMM dd, yyyy HH:mm') : 'Never'}
+                    </span>
+                  </div>
+                  <div>
+                    <span className="text-blue-700">Login Status:</span>
+                    <span className={`ml-2 font-semibold ${
+                      selectedUser.isLocked ? 'text-red-600' : 'text-green-600'
+                    }`}>
+                      {selectedUser.isLocked ? 'Locked' : 'Unlocked'}
+                    </span>
+                  </div>
                 </div>
               </div>
 
@@ -1480,6 +1653,15 @@ const AdminPanel = () => {
                   <Edit className="w-4 h-4 mr-2" />
                   Edit User
                 </button>
+                {selectedUser.isLocked && (
+                  <button
+                    onClick={() => handleUnlockUser(selectedUser._id)}
+                    className="px-4 py-2 bg-yellow-500 text-white rounded-lg hover:bg-yellow-600 transition-colors flex items-center"
+                  >
+                    <Unlock className="w-4 h-4 mr-2" />
+                    Unlock
+                  </button>
+                )}
                 <button
                   onClick={() => handleDeleteUser(selectedUser._id)}
                   className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors flex items-center"
@@ -1,21 +1,24 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
-import { Mail, Lock, Eye, EyeOff, LogIn, GraduationCap, AlertCircle } from 'lucide-react';
+import { Mail, Lock, Eye, EyeOff, LogIn, GraduationCap, AlertCircle, ShieldCheck, ArrowLeft } from 'lucide-react';
 import { InlineSpinner } from '../../components/Common/LoadingSpinner';
 
 const Login = () => {
+  const location = useLocation();
   const [formData, setFormData] = useState({
-    email: '',
+    email: location.state?.email || '',
     password: ''
   });
   const [showPassword, setShowPassword] = useState(false);
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [twoFactorToken, setTwoFactorToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
   
-  const { login, loading } = useAuth();
+  const { login, verifyTwoFactorLogin, loading } = useAuth();
   const navigate = useNavigate();
-  const location = useLocation();
 
   // Get redirect path from location state
   const from = location.state?.from?.pathname || '/dashboard';
@@ -74,8 +77,11 @@ const Login = () => {
     try {
       const result = await login(formData.email, formData.password);
       
-      if (result.success) {
-        navigate(from, { replace: true });
+      if (result.twoFactorRequired) {
+        setTwoFactorToken(result.twoFactorToken);
+        setTwoFactorCode('');
+      } else if (result.success) {
+        handleLoggedIn(result);
       }
     } catch (error) {
       console.error('Login error:', error);
@@ -84,6 +90,49 @@ const Login = () => {
     }
   };
 
+  const handleLoggedIn = (result) => {
+    if (result.twoFactorSetupRequired) {
+      navigate('/profile', { replace: true, state: { tab: 'security' } });
+    } else {
+      navigate(from, { replace: true });
+    }
+  };
+
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!twoFactorCode.trim()) {
+      setErrors({ twoFactorCode: useRecoveryCode ? 'Recovery code is required' : 'Verification code is required' });
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      const result = await verifyTwoFactorLogin(
+        twoFactorToken,
+        useRecoveryCode ? { recoveryCode: twoFactorCode.trim() } : { code: twoFactorCode.trim() }
+      );
+
+      if (result.success) {
+        handleLoggedIn(result);
+      } else if (result.expired) {
+        handleCancelTwoFactor();
+      } else {
+        setErrors({ twoFactorCode: result.error });
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleCancelTwoFactor = () => {
+    setTwoFactorToken(null);
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+    setErrors({});
+  };
+
   const handleDemoLogin = (credentials) => {
     setFormData({
       email: credentials.email,
@@ -113,120 +162,199 @@ const Login = () => {
 
         {/* Login Form */}
         <div className="bg-white rounded-2xl shadow-lg border border-gray-100 p-8">
-          <form onSubmit={handleSubmit} className="space-y-6">
-            {/* Email Field */}
-            <div>
-              <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-2">
-                Email Address
-              </label>
-              <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <Mail className="h-5 w-5 text-gray-400" />
-                </div>
-                <input
-                  id="email"
-                  name="email"
-                  type="email"
-                  autoComplete="email"
-                  value={formData.email}
-                  onChange={handleChange}
-                  className={`block w-full pl-10 pr-3 py-3 border ${
-                    errors.email ? 'border-red-300 focus:border-red-500 focus:ring-red-500' : 'border-gray-300 focus:border-blue-500 focus:ring-blue-500'
-                  } rounded-lg focus:ring-2 focus:ring-opacity-50 transition-colors`}
-                  placeholder="Enter your email address"
-                />
+          {twoFactorToken ? (
+            <form onSubmit={handleTwoFactorSubmit} className="space-y-6">
+              <div className="flex items-center p-4 bg-blue-50 rounded-lg border border-blue-200">
+                <ShieldCheck className="w-5 h-5 text-blue-600 mr-3 flex-shrink-0" />
+                <p className="text-sm text-blue-800">
+                  {useRecoveryCode
+                    ? 'Enter one of your recovery codes. Each code can only be used once.'
+                    : 'Enter the 6-digit code from your authenticator app.'}
+                </p>
               </div>
-              {errors.email && (
-                <div className="flex items-center mt-2 text-sm text-red-600">
-                  <AlertCircle className="w-4 h-4 mr-1" />
-                  {errors.email}
-                </div>
-              )}
-            </div>
 
-            {/* Password Field */}
-            <div>
-              <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
-                Password
-              </label>
-              <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <Lock className="h-5 w-5 text-gray-400" />
-                </div>
+              <div>
+                <label htmlFor="twoFactorCode" className="block text-sm font-medium text-gray-700 mb-2">
+                  {useRecoveryCode ? 'Recovery Code' : 'Verification Code'}
+                </label>
                 <input
-                  id="password"
-                  name="password"
-                  type={showPassword ? 'text' : 'password'}
-                  autoComplete="current-password"
-                  value={formData.password}
-                  onChange={handleChange}
-                  className={`block w-full pl-10 pr-12 py-3 border ${
-                    errors.password ? 'border-red-300 focus:border-red-500 focus:ring-red-500' : 'border-gray-300 focus:border-blue-500 focus:ring-blue-500'
-                  } rounded-lg focus:ring-2 focus:ring-opacity-50 transition-colors`}
-                  placeholder="Enter your password"
+                  id="twoFactorCode"
+                  name="twoFactorCode"
+                  type="text"
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  autoComplete="one-time-code"
+                  autoFocus
+                  value={twoFactorCode}
+                  onChange={(e) => {
+                    setTwoFactorCode(e.target.value);
+                    setErrors({});
+                  }}
+                  className={`block w-full px-3 py-3 border ${
+                    errors.twoFactorCode ? 'border-red-300 focus:border-red-500 focus:ring-red-500' : 'border-gray-300 focus:border-blue-500 focus:ring-blue-500'
+                  } rounded-lg focus:ring-2 focus:ring-opacity-50 transition-colors tracking-widest text-center`}
+                  placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
                 />
+                {errors.twoFactorCode && (
+                  <div className="flex items-center mt-2 text-sm text-red-600">
+                    <AlertCircle className="w-4 h-4 mr-1" />
+                    {errors.twoFactorCode}
+                  </div>
+                )}
+              </div>
+
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="w-full flex items-center justify-center px-6 py-3 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors btn-hover"
+              >
+                {isSubmitting ? (
+                  <>
+                    <InlineSpinner size="small" color="current" />
+                    <span className="ml-2">Verifying...</span>
+                  </>
+                ) : (
+                  'Verify'
+                )}
+              </button>
+
+              <div className="flex items-center justify-between text-sm">
                 <button
                   type="button"
-                  onClick={() => setShowPassword(!showPassword)}
-                  className="absolute inset-y-0 right-0 pr-3 flex items-center hover:text-gray-700 transition-colors"
+                  onClick={handleCancelTwoFactor}
+                  className="inline-flex items-center text-gray-600 hover:text-gray-800 transition-colors"
                 >
-                  {showPassword ? (
-                    <EyeOff className="h-5 w-5 text-gray-400" />
-                  ) : (
-                    <Eye className="h-5 w-5 text-gray-400" />
-                  )}
+                  <ArrowLeft className="w-4 h-4 mr-1" />
+                  Back
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setUseRecoveryCode(!useRecoveryCode);
+                    setTwoFactorCode('');
+                    setErrors({});
+                  }}
+                  className="text-blue-600 hover:text-blue-700 transition-colors"
+                >
+                  {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
                 </button>
               </div>
-              {errors.password && (
-                <div className="flex items-center mt-2 text-sm text-red-600">
-                  <AlertCircle className="w-4 h-4 mr-1" />
-                  {errors.password}
+            </form>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              {/* Email Field */}
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-2">
+                  Email Address
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Mail className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="email"
+                    name="email"
+                    type="email"
+                    autoComplete="email"
+                    value={formData.email}
+                    onChange={handleChange}
+                    className={`block w-full pl-10 pr-3 py-3 border ${
+                      errors.email ? 'border-red-300 focus:border-red-500 focus:ring-red-500' : 'border-gray-300 focus:border-blue-500 focus:ring-blue-500'
+                    } rounded-lg focus:ring-2 focus:ring-opacity-50 transition-colors`}
+                    placeholder="Enter your email address"
+                  />
                 </div>
-              )}
-            </div>
+                {errors.email && (
+                  <div className="flex items-center mt-2 text-sm text-red-600">
+                    <AlertCircle className="w-4 h-4 mr-1" />
+                    {errors.email}
+                  </div>
+                )}
+              </div>
 
-            {/* Remember Me & Forgot Password */}
-            <div className="flex items-center justify-between">
-              <div className="flex items-center">
-                <input
-                  id="remember-me"
-                  name="remember-me"
-                  type="checkbox"
-                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
-                />
-                <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-700">
-                  Remember me
+              {/* Password Field */}
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
+                  Password
                 </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Lock className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="password"
+                    name="password"
+                    type={showPassword ? 'text' : 'password'}
+                    autoComplete="current-password"
+                    value={formData.password}
+                    onChange={handleChange}
+                    className={`block w-full pl-10 pr-12 py-3 border ${
+                      errors.password ? 'border-red-300 focus:border-red-500 focus:ring-red-500' : 'border-gray-300 focus:border-blue-500 focus:ring-blue-500'
+                    } rounded-lg focus:ring-2 focus:ring-opacity-50 transition-colors`}
+                    placeholder="Enter your password"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword(!showPassword)}
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center hover:text-gray-700 transition-colors"
+                  >
+                    {showPassword ? (
+                      <EyeOff className="h-5 w-5 text-gray-400" />
+                    ) : (
+                      <Eye className="h-5 w-5 text-gray-400" />
+                    )}
+                  </button>
+                </div>
+                {errors.password && (
+                  <div className="flex items-center mt-2 text-sm text-red-600">
+                    <AlertCircle className="w-4 h-4 mr-1" />
+                    {errors.password}
+                  </div>
+                )}
               </div>
-              <div>
-                <Link
-                  to="/forgot-password"
-                  className="text-sm text-blue-600 hover:text-blue-700 transition-colors"
-                >
-                  Forgot password?
-                </Link>
+
+              {/* Remember Me & Forgot Password */}
+              <div className="flex items-center justify-between">
+                <div className="flex items-center">
+                  <input
+                    id="remember-me"
+                    name="remember-me"
+                    type="checkbox"
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                  />
+                  <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-700">
+                    Remember me
+                  </label>
+                </div>
+                <div>
+                  <Link
+                    to="/forgot-password"
+                    className="text-sm text-blue-600 hover:text-blue-700 transition-colors"
+                  >
+                    Forgot password?
+                  </Link>
+                </div>
               </div>
-            </div>
 
-            {/* Submit Button */}
-            <button
-              type="submit"
-              disabled={isLoading}
-              className="w-full flex items-center justify-center px-6 py-3 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors btn-hover"
-            >
-              {isLoading ? (
-                <>
-                  <InlineSpinner size="small" color="current" />
-                  <span className="ml-2">Signing in...</span>
-                </>
-              ) : (
-                <>
-                  <LogIn className="w-4 h-4 mr-2" />
-                  Sign In
-                </>
-              )}
-            </button>
-          </form>
+              {/* Submit Button */}
+              <button
+                type="submit"
+                disabled={isLoading}
+                className="w-full flex items-center justify-center px-6 py-3 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors btn-hover"
+              >
+                {isLoading ? (
+                  <>
+                    <InlineSpinner size="small" color="current" />
+                    <span className="ml-2">Signing in...</span>
+                  </>
+                ) : (
+                  <>
+                    <LogIn className="w-4 h-4 mr-2" />
+                    Sign In
+                  </>
+                )}
+              </button>
+            </form>
+          )}
 
           {/* Demo Credentials */}
           <div className="mt-8 p-4 bg-gray-50 rounded-lg">
@@ -250,6 +378,7 @@ const Login = () => {
             <span className="text-gray-600 text-sm">Don't have an account? </span>
             <Link 
               to="/register" 
+              state={location.state}
               className="text-blue-600 hover:text-blue-700 font-medium text-sm transition-colors"
             >
               Create an account
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import { 
   User, 
@@ -14,11 +14,17 @@ import {
   CheckCircle
 } from 'lucide-react';
 import { InlineSpinner } from '../../components/Common/LoadingSpinner';
+import PasswordRequirements, { usePasswordPolicy, getPasswordPolicyError } from '../../components/Common/PasswordRequirements';
 
 const Register = () => {
+  const location = useLocation();
+
+  // Invitation links pass the invited email and the page to return to
+  const from = location.state?.from?.pathname || '/dashboard';
+
   const [formData, setFormData] = useState({
     name: '',
-    email: '',
+    email: location.state?.email || '',
     password: '',
     confirmPassword: '',
     role: 'student',
@@ -28,6 +34,7 @@ const Register = () => {
   
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
+  const passwordPolicy = usePasswordPolicy();
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
   
@@ -76,10 +83,8 @@ const Register = () => {
     // Password validation
     if (!formData.password) {
       newErrors.password = 'Password is required';
-    } else if (formData.password.length < 6) {
-      newErrors.password = 'Password must be at least 6 characters long';
-    } else if (!/(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(formData.password)) {
-      newErrors.password = 'Password must contain at least one uppercase letter, one lowercase letter, and one number';
+    } else if (getPasswordPolicyError(passwordPolicy, formData.password)) {
+      newErrors.password = getPasswordPolicyError(passwordPolicy, formData.password);
     }
 
     // Confirm password validation
@@ -118,7 +123,7 @@ const Register = () => {
       const result = await register(submitData);
       
       if (result.success) {
-        navigate('/dashboard');
+        navigate(from, { replace: true });
       }
     } catch (error) {
       console.error('Registration error:', error);
@@ -362,6 +367,7 @@ const Register = () => {
                       {strengthLabels[passwordStrength - 1] || 'Too Short'}
                     </span>
                   </div>
+                  <PasswordRequirements password={formData.password} policy={passwordPolicy} />
                 </div>
               )}
               
@@ -480,6 +486,7 @@ const Register = () => {
             <span className="text-gray-600 text-sm">Already have an account? </span>
             <Link 
               to="/login" 
+              state={location.state}
               className="text-purple-600 hover:text-purple-700 font-medium text-sm transition-colors"
             >
               Sign in here
@@ -0,0 +1,192 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import { Lock, Eye, EyeOff, KeyRound, AlertCircle, ArrowLeft } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import { InlineSpinner } from '../../components/Common/LoadingSpinner';
+import PasswordRequirements, { usePasswordPolicy, getPasswordPolicyError } from '../../components/Common/PasswordRequirements';
+
+const ResetPassword = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { isAuthenticated, logout } = useAuth();
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [showPassword, setShowPassword] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const passwordPolicy = usePasswordPolicy();
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.password) {
+      newErrors.password = 'Password is required';
+    } else if (getPasswordPolicyError(passwordPolicy, formData.password)) {
+      newErrors.password = getPasswordPolicyError(passwordPolicy, formData.password);
+    }
+
+    if (formData.password !== formData.confirmPassword) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await axios.post(`/api/auth/reset-password/${token}`, {
+        password: formData.password
+      });
+
+      // All existing sessions are revoked by the reset
+      if (isAuthenticated) {
+        logout();
+      }
+
+      toast.success(response.data.message || 'Password has been reset');
+      navigate('/login', { replace: true });
+    } catch (error) {
+      const data = error.response?.data;
+      if (data?.errors?.length || data?.code === 'PASSWORD_REUSED') {
+        setErrors({ password: data.message });
+      } else {
+        toast.error(data?.message || 'Failed to reset password. Please try again.');
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const renderPasswordField = (name, label, placeholder) => (
+    <div>
+      <label htmlFor={name} className="block text-sm font-medium text-gray-700 mb-2">
+        {label}
+      </label>
+      <div className="relative">
+        <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+          <Lock className="h-5 w-5 text-gray-400" />
+        </div>
+        <input
+          id={name}
+          name={name}
+          type={showPassword ? 'text' : 'password'}
+          autoComplete="new-password"
+          value={formData[name]}
+          onChange={handleChange}
+          className={`block w-full pl-10 pr-12 py-3 border ${
+            errors[name] ? 'border-red-300 focus:border-red-500 focus:ring-red-500' : 'border-gray-300 focus:border-blue-500 focus:ring-blue-500'
+          } rounded-lg focus:ring-2 focus:ring-opacity-50 transition-colors`}
+          placeholder={placeholder}
+        />
+        <button
+          type="button"
+          onClick={() => setShowPassword(!showPassword)}
+          className="absolute inset-y-0 right-0 pr-3 flex items-center hover:text-gray-700 transition-colors"
+        >
+          {showPassword ? (
+            <EyeOff className="h-5 w-5 text-gray-400" />
+          ) : (
+            <Eye className="h-5 w-5 text-gray-400" />
+          )}
+        </button>
+      </div>
+      {errors[name] && (
+        <div className="flex items-center mt-2 text-sm text-red-600">
+          <AlertCircle className="w-4 h-4 mr-1" />
+          {errors[name]}
+        </div>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 flex items-center justify-center px-4 py-8">
+      <div className="max-w-md w-full">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <div className="flex items-center justify-center mb-4">
+            <div className="p-3 bg-blue-600 rounded-xl">
+              <KeyRound className="w-8 h-8 text-white" />
+            </div>
+          </div>
+          <h2 className="text-3xl font-bold text-gray-900 mb-2">
+            Choose a New Password
+          </h2>
+          <p className="text-gray-600">
+            You'll be signed out everywhere after resetting
+          </p>
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-lg border border-gray-100 p-8">
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <div>
+              {renderPasswordField('password', 'New Password', 'Enter a new password')}
+              <PasswordRequirements password={formData.password} policy={passwordPolicy} />
+            </div>
+            {renderPasswordField('confirmPassword', 'Confirm Password', 'Re-enter the new password')}
+
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="w-full flex items-center justify-center px-6 py-3 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors btn-hover"
+            >
+              {isSubmitting ? (
+                <>
+                  <InlineSpinner size="small" color="current" />
+                  <span className="ml-2">Resetting...</span>
+                </>
+              ) : (
+                'Reset Password'
+              )}
+            </button>
+          </form>
+
+          <div className="mt-6 text-center space-y-2">
+            <Link
+              to="/forgot-password"
+              className="block text-sm text-gray-600 hover:text-gray-800 transition-colors"
+            >
+              Link expired? Request a new one
+            </Link>
+            <Link
+              to="/login"
+              className="inline-flex items-center text-blue-600 hover:text-blue-700 font-medium text-sm transition-colors"
+            >
+              <ArrowLeft className="w-4 h-4 mr-1" />
+              Back to sign in
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
\ No newline at end of file
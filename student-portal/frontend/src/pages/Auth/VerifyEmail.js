@@ -0,0 +1,118 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import { CheckCircle, XCircle, GraduationCap } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import { InlineSpinner } from '../../components/Common/LoadingSpinner';
+
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const { isAuthenticated, refreshUser } = useAuth();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+  const [resending, setResending] = useState(false);
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single use, so only send the request once
+    if (requested.current) return;
+    requested.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await axios.get(`/api/auth/verify-email/${token}`);
+        setStatus('success');
+        setMessage(response.data.message);
+
+        if (isAuthenticated) {
+          await refreshUser();
+        }
+      } catch (error) {
+        setStatus('error');
+        setMessage(error.response?.data?.message || 'Email verification failed');
+      }
+    };
+
+    verify();
+  }, [token, isAuthenticated, refreshUser]);
+
+  const handleResend = async () => {
+    setResending(true);
+    try {
+      const response = await axios.post('/api/auth/resend-verification');
+      toast.success(response.data.message || 'Verification email sent');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send verification email');
+    } finally {
+      setResending(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 flex items-center justify-center px-4 py-8">
+      <div className="max-w-md w-full">
+        <div className="text-center mb-8">
+          <div className="flex items-center justify-center mb-4">
+            <div className="p-3 bg-blue-600 rounded-xl">
+              <GraduationCap className="w-8 h-8 text-white" />
+            </div>
+          </div>
+          <h2 className="text-3xl font-bold text-gray-900 mb-2">
+            Email Verification
+          </h2>
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-lg border border-gray-100 p-8 text-center">
+          {status === 'verifying' && (
+            <div className="flex flex-col items-center">
+              <InlineSpinner size="default" color="blue" />
+              <p className="text-gray-600 mt-4">Verifying your email address...</p>
+            </div>
+          )}
+
+          {status === 'success' && (
+            <>
+              <CheckCircle className="w-16 h-16 text-green-500 mx-auto mb-4" />
+              <h3 className="text-xl font-semibold text-gray-900 mb-2">You're verified!</h3>
+              <p className="text-gray-600 mb-6">{message}</p>
+              <Link
+                to={isAuthenticated ? '/dashboard' : '/login'}
+                className="inline-block px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium"
+              >
+                {isAuthenticated ? 'Go to Dashboard' : 'Sign in'}
+              </Link>
+            </>
+          )}
+
+          {status === 'error' && (
+            <>
+              <XCircle className="w-16 h-16 text-red-500 mx-auto mb-4" />
+              <h3 className="text-xl font-semibold text-gray-900 mb-2">Verification failed</h3>
+              <p className="text-gray-600 mb-6">{message}</p>
+              {isAuthenticated ? (
+                <button
+                  onClick={handleResend}
+                  disabled={resending}
+                  className="inline-flex items-center px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors font-medium"
+                >
+                  {resending && <InlineSpinner />}
+                  <span className={resending ? 'ml-2' : ''}>Send a new link</span>
+                </button>
+              ) : (
+                <p className="text-sm text-gray-500">
+                  <Link to="/login" className="text-blue-600 hover:text-blue-700 font-medium">
+                    Sign in
+                  </Link>{' '}
+                  to request a new verification link.
+                </p>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
\ No newline at end of file
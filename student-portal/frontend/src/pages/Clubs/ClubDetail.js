@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useParams, useNavigate, useLocation, Link } from 'react-router-dom';
 import axios from 'axios';
 import { useAuth } from '../../context/AuthContext';
 import { toast } from 'react-toastify';
@@ -33,7 +33,22 @@ import {
   Link as LinkIcon,
   ChevronRight,
   Eye,
-  ThumbsUp
+  ThumbsUp,
+  Check,
+  X,
+  Send,
+  Megaphone,
+  Pin,
+  Edit,
+  Trash2,
+  Plus,
+  Download,
+  Search,
+  Upload,
+  Lock,
+  Unlock,
+  Camera,
+  Paperclip
 } from 'lucide-react';
 import { format, isToday, isTomorrow, isPast, isThisWeek } from 'date-fns';
 import LoadingSpinner from '../../components/Common/LoadingSpinner';
@@ -46,10 +61,35 @@ const ClubDetail = () => {
   const [clubEvents, setClubEvents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [joinLoading, setJoinLoading] = useState(false);
-  const [activeTab, setActiveTab] = useState('about');
+  const [membership, setMembership] = useState(null);
+  const [joinRequests, setJoinRequests] = useState([]);
+  const [reviewingId, setReviewingId] = useState(null);
+  const [inviteTarget, setInviteTarget] = useState('');
+  const [inviting, setInviting] = useState(false);
+  const [announcements, setAnnouncements] = useState([]);
+  const [canManageAnnouncements, setCanManageAnnouncements] = useState(false);
+  const [includeExpired, setIncludeExpired] = useState(false);
+  const [announcementForm, setAnnouncementForm] = useState(null);
+  const [savingAnnouncement, setSavingAnnouncement] = useState(false);
+  const [resources, setResources] = useState([]);
+  const [resourceTags, setResourceTags] = useState([]);
+  const [canManageContent, setCanManageContent] = useState(false);
+  const [resourceSearch, setResourceSearch] = useState('');
+  const [resourceFilters, setResourceFilters] = useState({ search: '', tag: '', type: '' });
+  const [resourceForm, setResourceForm] = useState(null);
+  const [savingResource, setSavingResource] = useState(false);
+  const [imageUploading, setImageUploading] = useState(null);
+  const [timeline, setTimeline] = useState([]);
+  const [achievementForm, setAchievementForm] = useState(null);
+  const [savingAchievement, setSavingAchievement] = useState(false);
+  const location = useLocation();
+  const [activeTab, setActiveTab] = useState(
+    new URLSearchParams(location.search).get('tab') || 'about'
+  );
 
   const tabs = [
     { id: 'about', label: 'About', icon: BookOpen },
+    { id: 'announcements', label: 'Announcements', icon: Megaphone },
     { id: 'events', label: 'Events', icon: Calendar },
     { id: 'members', label: 'Members', icon: Users },
     { id: 'achievements', label: 'Achievements', icon: Trophy },
@@ -60,9 +100,29 @@ const ClubDetail = () => {
     if (id) {
       fetchClubDetails();
       fetchClubEvents();
+      fetchMembership();
+      fetchTimeline();
     }
   }, [id]);
 
+  useEffect(() => {
+    if (id) {
+      fetchAnnouncements();
+    }
+  }, [id, includeExpired]);
+
+  useEffect(() => {
+    if (id) {
+      fetchResources();
+    }
+  }, [id, resourceFilters]);
+
+  useEffect(() => {
+    if (membership?.clubPermissions?.includes('manage_members')) {
+      fetchJoinRequests();
+    }
+  }, [membership]);
+
   const fetchClubDetails = async () => {
     try {
       const response = await axios.get(`/api/clubs/${id}`);
@@ -79,24 +139,89 @@ const ClubDetail = () => {
   const fetchClubEvents = async () => {
     try {
       const response = await axios.get(`/api/events?club=${id}`);
-      setClubEvents(response.data);
+      setClubEvents(response.data.data.events);
     } catch (error) {
       console.error('Error fetching club events:', error);
     }
   };
 
+  const fetchMembership = async () => {
+    try {
+      const response = await axios.get(`/api/clubs/${id}/my-membership`);
+      setMembership(response.data.data);
+    } catch (error) {
+      console.error('Error fetching membership:', error);
+    }
+  };
+
+  const fetchAnnouncements = async () => {
+    try {
+      const response = await axios.get(`/api/clubs/${id}/announcements`, {
+        params: includeExpired ? { includeExpired: true } : undefined
+      });
+      setAnnouncements(response.data.data.announcements);
+      setCanManageAnnouncements(response.data.data.canManage);
+    } catch (error) {
+      console.error('Error fetching announcements:', error);
+    }
+  };
+
+  const fetchResources = async () => {
+    try {
+      const params = Object.fromEntries(
+        Object.entries(resourceFilters).filter(([, value]) => value)
+      );
+      const response = await axios.get(`/api/clubs/${id}/resources`, { params });
+      setResources(response.data.data.resources);
+      setResourceTags(response.data.data.tags);
+      setCanManageContent(response.data.data.canManage);
+    } catch (error) {
+      console.error('Error fetching resources:', error);
+    }
+  };
+
+  const fetchTimeline = async () => {
+    try {
+      const response = await axios.get(`/api/clubs/${id}/timeline`);
+      setTimeline(response.data.data.timeline);
+    } catch (error) {
+      console.error('Error fetching timeline:', error);
+    }
+  };
+
+  const fetchJoinRequests = async () => {
+    try {
+      const response = await axios.get(`/api/clubs/${id}/join-requests`);
+      setJoinRequests(response.data.data.joinRequests);
+    } catch (error) {
+      console.error('Error fetching join requests:', error);
+    }
+  };
+
   const handleJoinLeave = async () => {
     if (!club) return;
 
+    const isMember = club.members.some(member => member.user._id === user._id && member.isActive);
+    let message;
+
+    if (!isMember && club.settings?.requireApproval) {
+      message = window.prompt('This club reviews new members. Add a message for the coordinators (optional):');
+      if (message === null) return;
+    }
+
     setJoinLoading(true);
     try {
-      const isMember = club.members.some(member => member.user._id === user._id && member.isActive);
       const endpoint = isMember ? 'leave' : 'join';
       
-      await axios.post(`/api/clubs/${club._id}/${endpoint}`);
+      const response = await axios.post(`/api/clubs/${club._id}/${endpoint}`, message ? { message } : undefined);
       
-      toast.success(isMember ? 'Left club successfully' : 'Joined club successfully');
+      if (response.data.status === 'pending') {
+        toast.info('Join request sent. You will be notified once it is reviewed.');
+      } else {
+        toast.success(isMember ? 'Left club successfully' : 'Joined club successfully');
+      }
       fetchClubDetails(); // Refresh club data
+      fetchMembership();
     } catch (error) {
       toast.error(error.response?.data?.message || 'Operation failed');
     } finally {
@@ -104,6 +229,412 @@ const ClubDetail = () => {
     }
   };
 
+  const handleWithdrawRequest = async () => {
+    setJoinLoading(true);
+    try {
+      await axios.delete(`/api/clubs/${club._id}/join-request`);
+      toast.success('Join request withdrawn');
+      fetchMembership();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to withdraw request');
+    } finally {
+      setJoinLoading(false);
+    }
+  };
+
+  const handleReviewRequest = async (joinRequest, decision) => {
+    let note;
+    if (decision === 'reject') {
+      note = window.prompt(`Reject ${joinRequest.user.name}'s request? Optionally add a note:`);
+      if (note === null) return;
+    }
+
+    setReviewingId(joinRequest._id);
+    try {
+      await axios.post(`/api/clubs/${club._id}/join-requests/${joinRequest._id}/${decision}`, note ? { note } : undefined);
+      toast.success(decision === 'approve' ? `${joinRequest.user.name} added to the club` : 'Join request rejected');
+      setJoinRequests(prev => prev.filter(request => request._id !== joinRequest._id));
+      if (decision === 'approve') {
+        fetchClubDetails();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to review request');
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    const target = inviteTarget.trim();
+    if (!target) return;
+
+    // Anything that looks like an email is sent as one, otherwise it's a student ID
+    const payload = target.includes('@') ? { email: target } : { studentId: target };
+
+    setInviting(true);
+    try {
+      const response = await axios.post(`/api/clubs/${club._id}/invitations`, payload);
+      toast.success(response.data.message);
+      setInviteTarget('');
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to send invitation');
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  const emptyAnnouncement = {
+    title: '',
+    content: '',
+    priority: 'medium',
+    targetAudience: 'members',
+    expiresAt: '',
+    isPinned: false
+  };
+
+  const handleEditAnnouncement = (announcement) => {
+    setAnnouncementForm({
+      _id: announcement._id,
+      title: announcement.title,
+      content: announcement.content,
+      priority: announcement.priority,
+      targetAudience: announcement.targetAudience,
+      expiresAt: announcement.expiresAt ? format(new Date(announcement.expiresAt), "yyyy-MM-dd'T'HH:mm") : '',
+      isPinned: announcement.isPinned
+    });
+  };
+
+  const handleAnnouncementChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setAnnouncementForm(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  const handleSaveAnnouncement = async (e) => {
+    e.preventDefault();
+    const { _id, isPinned, expiresAt, ...fields } = announcementForm;
+
+    setSavingAnnouncement(true);
+    try {
+      if (_id) {
+        await axios.put(`/api/clubs/${club._id}/announcements/${_id}`, {
+          ...fields,
+          expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null
+        });
+        toast.success('Announcement updated');
+      } else {
+        await axios.post(`/api/clubs/${club._id}/announcements`, {
+          ...fields,
+          isPinned: fields.priority === 'urgent' && isPinned,
+          ...(expiresAt && { expiresAt: new Date(expiresAt).toISOString() })
+        });
+        toast.success('Announcement posted');
+      }
+      setAnnouncementForm(null);
+      fetchAnnouncements();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to save announcement');
+    } finally {
+      setSavingAnnouncement(false);
+    }
+  };
+
+  const handleTogglePin = async (announcement) => {
+    try {
+      const response = await axios.put(`/api/clubs/${club._id}/announcements/${announcement._id}/pin`, {
+        pinned: !announcement.isPinned
+      });
+      toast.success(response.data.message);
+      fetchAnnouncements();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update announcement');
+    }
+  };
+
+  const handleDeleteAnnouncement = async (announcement) => {
+    if (!window.confirm(`Delete the announcement "${announcement.title}"?`)) return;
+
+    try {
+      await axios.delete(`/api/clubs/${club._id}/announcements/${announcement._id}`);
+      toast.success('Announcement deleted');
+      setAnnouncements(prev => prev.filter(item => item._id !== announcement._id));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete announcement');
+    }
+  };
+
+  const emptyResource = {
+    mode: 'file',
+    title: '',
+    description: '',
+    tags: '',
+    url: '',
+    isPublic: false,
+    file: null
+  };
+
+  const handleResourceChange = (e) => {
+    const { name, value, type, checked, files } = e.target;
+    setResourceForm(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : type === 'file' ? files[0] || null : value
+    }));
+  };
+
+  const handleResourceSearch = (e) => {
+    e.preventDefault();
+    setResourceFilters(prev => ({ ...prev, search: resourceSearch.trim() }));
+  };
+
+  const handleSaveResource = async (e) => {
+    e.preventDefault();
+    const { mode, file, url, ...fields } = resourceForm;
+
+    const formData = new FormData();
+    Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+    if (mode === 'file') {
+      formData.append('file', file);
+    } else {
+      formData.append('url', url);
+    }
+
+    setSavingResource(true);
+    try {
+      await axios.post(`/api/clubs/${club._id}/resources`, formData);
+      toast.success('Resource added');
+      setResourceForm(null);
+      fetchResources();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to add resource');
+    } finally {
+      setSavingResource(false);
+    }
+  };
+
+  const handleToggleResourceVisibility = async (resource) => {
+    try {
+      await axios.put(`/api/clubs/${club._id}/resources/${resource._id}`, {
+        isPublic: !resource.isPublic
+      });
+      toast.success(resource.isPublic ? 'Resource is now members only' : 'Resource is now public');
+      fetchResources();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update resource');
+    }
+  };
+
+  const handleDeleteResource = async (resource) => {
+    if (!window.confirm(`Delete the resource "${resource.title}"?`)) return;
+
+    try {
+      await axios.delete(`/api/clubs/${club._id}/resources/${resource._id}`);
+      toast.success('Resource deleted');
+      fetchResources();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete resource');
+    }
+  };
+
+  // Files are fetched through axios so members-only downloads carry the auth header
+  const handleDownloadResource = async (resource) => {
+    try {
+      const response = await axios.get(resource.downloadUrl, { responseType: 'blob' });
+      const objectUrl = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = objectUrl;
+      link.download = resource.file.originalName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(objectUrl);
+    } catch (error) {
+      toast.error(error.response?.status === 404 ? 'File not found' : 'Failed to download resource');
+    }
+  };
+
+  const formatFileSize = (bytes) => {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  };
+
+  // kind is logo, banner or gallery
+  const handleImageUpload = async (kind, e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('image', file);
+
+    if (kind === 'gallery') {
+      const caption = window.prompt('Add a caption (optional):');
+      if (caption === null) return;
+      if (caption.trim()) formData.append('caption', caption.trim());
+    }
+
+    setImageUploading(kind);
+    try {
+      if (kind === 'gallery') {
+        await axios.post(`/api/clubs/${club._id}/gallery`, formData);
+      } else {
+        await axios.put(`/api/clubs/${club._id}/images/${kind}`, formData);
+      }
+      toast.success(kind === 'gallery' ? 'Photo added to the gallery' : `Club ${kind} updated`);
+      fetchClubDetails();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to upload image');
+    } finally {
+      setImageUploading(null);
+    }
+  };
+
+  const handleRemoveImage = async (kind) => {
+    if (!window.confirm(`Remove the club ${kind}?`)) return;
+
+    try {
+      await axios.delete(`/api/clubs/${club._id}/images/${kind}`);
+      toast.success(`Club ${kind} removed`);
+      fetchClubDetails();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove image');
+    }
+  };
+
+  const handleDeleteGalleryImage = async (item) => {
+    if (!window.confirm('Remove this photo from the gallery?')) return;
+
+    try {
+      await axios.delete(`/api/clubs/${club._id}/gallery/${item._id}`);
+      toast.success('Photo removed');
+      fetchClubDetails();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove photo');
+    }
+  };
+
+  const emptyAchievement = {
+    title: '',
+    description: '',
+    date: format(new Date(), 'yyyy-MM-dd'),
+    category: 'award',
+    event: ''
+  };
+
+  const handleEditAchievement = (achievement) => {
+    setAchievementForm({
+      _id: achievement._id,
+      title: achievement.title,
+      description: achievement.description || '',
+      date: format(new Date(achievement.date), 'yyyy-MM-dd'),
+      category: achievement.category || 'award',
+      event: achievement.event?._id || ''
+    });
+  };
+
+  const handleAchievementChange = (e) => {
+    const { name, value } = e.target;
+    setAchievementForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSaveAchievement = async (e) => {
+    e.preventDefault();
+    const { _id, event, date, ...fields } = achievementForm;
+    const payload = { ...fields, date: new Date(date).toISOString() };
+
+    setSavingAchievement(true);
+    try {
+      if (_id) {
+        await axios.put(`/api/clubs/${club._id}/achievements/${_id}`, { ...payload, event: event || null });
+        toast.success('Achievement updated');
+      } else {
+        await axios.post(`/api/clubs/${club._id}/achievements`, { ...payload, ...(event && { event }) });
+        toast.success('Achievement added');
+      }
+      setAchievementForm(null);
+      fetchTimeline();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to save achievement');
+    } finally {
+      setSavingAchievement(false);
+    }
+  };
+
+  const handleDeleteAchievement = async (achievement) => {
+    if (!window.confirm(`Delete the achievement "${achievement.title}"?`)) return;
+
+    try {
+      await axios.delete(`/api/clubs/${club._id}/achievements/${achievement._id}`);
+      toast.success('Achievement deleted');
+      fetchTimeline();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete achievement');
+    }
+  };
+
+  const handleAttachFile = async (achievement, e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('file', file);
+
+    try {
+      await axios.post(`/api/clubs/${club._id}/achievements/${achievement._id}/attachments`, formData);
+      toast.success('Attachment added');
+      fetchTimeline();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to add attachment');
+    }
+  };
+
+  const handleAttachLink = async (achievement) => {
+    const url = window.prompt('Link to attach (https://...):');
+    if (!url) return;
+
+    try {
+      await axios.post(`/api/clubs/${club._id}/achievements/${achievement._id}/attachments`, { url });
+      toast.success('Link attached');
+      fetchTimeline();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to attach link');
+    }
+  };
+
+  const handleDeleteAttachment = async (achievement, attachment) => {
+    if (!window.confirm(`Remove "${attachment.name}"?`)) return;
+
+    try {
+      await axios.delete(`/api/clubs/${club._id}/achievements/${achievement._id}/attachments/${attachment._id}`);
+      toast.success('Attachment removed');
+      fetchTimeline();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove attachment');
+    }
+  };
+
+  const getTimelineStyle = (type) => {
+    const styles = {
+      achievement: { icon: Trophy, color: 'bg-yellow-500' },
+      event: { icon: Calendar, color: 'bg-blue-500' },
+      founded: { icon: Star, color: 'bg-purple-500' }
+    };
+    return styles[type] || styles.event;
+  };
+
+  const getPriorityClasses = (priority) => {
+    const classes = {
+      urgent: 'bg-red-100 text-red-800',
+      high: 'bg-orange-100 text-orange-800',
+      medium: 'bg-yellow-100 text-yellow-800',
+      low: 'bg-gray-100 text-gray-800'
+    };
+    return classes[priority] || classes.low;
+  };
+
   const getCategoryIcon = (category) => {
     const icons = {
       technical: '💻',
@@ -227,6 +758,15 @@ const ClubDetail = () => {
         </div>
       </div>
 
+      {/* Club Banner */}
+      {club.images?.banner && (
+        <img
+          src={club.images.banner}
+          alt={`${club.name} banner`}
+          className="w-full h-48 object-cover rounded-xl mb-4"
+        />
+      )}
+
       {/* Club Header */}
       <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-8 mb-8">
         <div className="flex flex-col lg:flex-row lg:items-start lg:justify-between">
@@ -288,29 +828,78 @@ const ClubDetail = () => {
                   ))}
                 </div>
               )}
+
+              {canManageContent && (
+                <div className="flex flex-wrap items-center gap-3 mt-4 text-sm">
+                  {['logo', 'banner'].map(kind => (
+                    <div key={kind} className="flex items-center space-x-2">
+                      <label className="flex items-center space-x-1 px-3 py-1 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 cursor-pointer">
+                        <Camera className="w-4 h-4" />
+                        <span>
+                          {imageUploading === kind
+                            ? 'Uploading...'
+                            : `${club.images?.[kind] ? 'Change' : 'Add'} ${kind}`}
+                        </span>
+                        <input
+                          type="file"
+                          accept="image/jpeg,image/png,image/gif,image/webp"
+                          disabled={!!imageUploading}
+                          onChange={(e) => handleImageUpload(kind, e)}
+                          className="hidden"
+                        />
+                      </label>
+                      {club.images?.[kind] && (
+                        <button
+                          onClick={() => handleRemoveImage(kind)}
+                          className="p-1 text-gray-400 hover:text-red-600"
+                          title={`Remove ${kind}`}
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
           </div>
 
           {/* Action Buttons */}
           <div className="flex flex-col space-y-3">
-            <button
-              onClick={handleJoinLeave}
-              disabled={joinLoading}
-              className={`px-6 py-3 rounded-lg font-medium transition-colors flex items-center justify-center min-w-[140px] ${
-                isUserMember()
-                  ? 'bg-red-600 hover:bg-red-700 text-white'
-                  : 'bg-blue-600 hover:bg-blue-700 text-white'
-              } disabled:opacity-50 disabled:cursor-not-allowed`}
-            >
-              {joinLoading ? (
-                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
-              ) : isUserMember() ? (
-                <UserMinus className="w-4 h-4 mr-2" />
-              ) : (
-                <UserPlus className="w-4 h-4 mr-2" />
-              )}
-              {joinLoading ? 'Processing...' : isUserMember() ? 'Leave Club' : 'Join Club'}
-            </button>
+            {!isUserMember() && membership?.joinRequest?.status === 'pending' ? (
+              <div className="flex flex-col items-center space-y-2">
+                <span className="px-6 py-3 rounded-lg font-medium bg-yellow-100 text-yellow-800 flex items-center justify-center min-w-[140px]">
+                  <Clock className="w-4 h-4 mr-2" />
+                  Request pending
+                </span>
+                <button
+                  onClick={handleWithdrawRequest}
+                  disabled={joinLoading}
+                  className="text-sm text-gray-600 hover:text-gray-900 disabled:opacity-50"
+                >
+                  Withdraw request
+                </button>
+              </div>
+            ) : (
+              <button
+                onClick={handleJoinLeave}
+                disabled={joinLoading}
+                className={`px-6 py-3 rounded-lg font-medium transition-colors flex items-center justify-center min-w-[140px] ${
+                  isUserMember()
+                    ? 'bg-red-600 hover:bg-red-700 text-white'
+                    : 'bg-blue-600 hover:bg-blue-700 text-white'
+                } disabled:opacity-50 disabled:cursor-not-allowed`}
+              >
+                {joinLoading ? (
+                  <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                ) : isUserMember() ? (
+                  <UserMinus className="w-4 h-4 mr-2" />
+                ) : (
+                  <UserPlus className="w-4 h-4 mr-2" />
+                )}
+                {joinLoading ? 'Processing...' : isUserMember() ? 'Leave Club' : club.settings?.requireApproval ? 'Request to Join' : 'Join Club'}
+              </button>
+            )}
 
             {canManageClub() && (
               <button className="px-6 py-3 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors flex items-center justify-center">
@@ -359,6 +948,57 @@ const ClubDetail = () => {
                 </div>
               </div>
 
+              {/* Gallery */}
+              {(club.images?.gallery?.length > 0 || canManageContent) && (
+                <div>
+                  <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-lg font-semibold text-gray-900">Gallery</h3>
+                    {canManageContent && (
+                      <label className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 cursor-pointer">
+                        <Plus className="w-4 h-4" />
+                        <span>{imageUploading === 'gallery' ? 'Uploading...' : 'Add Photo'}</span>
+                        <input
+                          type="file"
+                          accept="image/jpeg,image/png,image/gif,image/webp"
+                          disabled={!!imageUploading}
+                          onChange={(e) => handleImageUpload('gallery', e)}
+                          className="hidden"
+                        />
+                      </label>
+                    )}
+                  </div>
+                  {club.images?.gallery?.length > 0 ? (
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                      {club.images.gallery.map(item => (
+                        <div key={item._id} className="relative group">
+                          <a href={item.url} target="_blank" rel="noopener noreferrer">
+                            <img
+                              src={item.file?.variants?.small?.url || item.url}
+                              alt={item.caption || club.name}
+                              className="w-full h-32 object-cover rounded-lg"
+                            />
+                          </a>
+                          {item.caption && (
+                            <p className="text-xs text-gray-600 mt-1 truncate">{item.caption}</p>
+                          )}
+                          {canManageContent && (
+                            <button
+                              onClick={() => handleDeleteGalleryImage(item)}
+                              className="absolute top-2 right-2 p-1 bg-white rounded-full text-gray-500 hover:text-red-600 opacity-0 group-hover:opacity-100 transition-opacity"
+                              title="Remove photo"
+                            >
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <p className="text-gray-600 text-sm">No photos yet</p>
+                  )}
+                </div>
+              )}
+
               {/* Requirements */}
               {club.requirements && (
                 <div>
@@ -510,6 +1150,206 @@ const ClubDetail = () => {
             </div>
           )}
 
+          {/* Announcements Tab */}
+          {activeTab === 'announcements' && (
+            <div>
+              <div className="flex items-center justify-between mb-6">
+                <h3 className="text-lg font-semibold text-gray-900">Announcements</h3>
+                {canManageAnnouncements && (
+                  <div className="flex items-center space-x-4">
+                    <label className="flex items-center space-x-2 text-sm text-gray-600">
+                      <input
+                        type="checkbox"
+                        checked={includeExpired}
+                        onChange={(e) => setIncludeExpired(e.target.checked)}
+                        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                      />
+                      <span>Show expired</span>
+                    </label>
+                    {!announcementForm && (
+                      <button
+                        onClick={() => setAnnouncementForm(emptyAnnouncement)}
+                        className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                      >
+                        <Plus className="w-4 h-4" />
+                        <span>New Announcement</span>
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              {announcementForm && (
+                <form onSubmit={handleSaveAnnouncement} className="mb-8 p-4 bg-gray-50 border border-gray-200 rounded-lg space-y-4">
+                  <input
+                    type="text"
+                    name="title"
+                    value={announcementForm.title}
+                    onChange={handleAnnouncementChange}
+                    placeholder="Title"
+                    required
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <textarea
+                    name="content"
+                    value={announcementForm.content}
+                    onChange={handleAnnouncementChange}
+                    placeholder="What do members need to know?"
+                    rows={4}
+                    required
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Priority</label>
+                      <select
+                        name="priority"
+                        value={announcementForm.priority}
+                        onChange={handleAnnouncementChange}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      >
+                        <option value="low">Low</option>
+                        <option value="medium">Medium</option>
+                        <option value="high">High</option>
+                        <option value="urgent">Urgent</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Audience</label>
+                      <select
+                        name="targetAudience"
+                        value={announcementForm.targetAudience}
+                        onChange={handleAnnouncementChange}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      >
+                        <option value="all">Everyone</option>
+                        <option value="members">Members</option>
+                        <option value="leaders">Leaders</option>
+                        <option value="coordinators">Coordinators</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Expires (optional)</label>
+                      <input
+                        type="datetime-local"
+                        name="expiresAt"
+                        value={announcementForm.expiresAt}
+                        onChange={handleAnnouncementChange}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      />
+                    </div>
+                  </div>
+                  <div className="flex items-center justify-between">
+                    {!announcementForm._id && announcementForm.priority === 'urgent' ? (
+                      <label className="flex items-center space-x-2 text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          name="isPinned"
+                          checked={announcementForm.isPinned}
+                          onChange={handleAnnouncementChange}
+                          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        />
+                        <span>Pin to the top</span>
+                      </label>
+                    ) : <span />}
+                    <div className="flex items-center space-x-2">
+                      <button
+                        type="button"
+                        onClick={() => setAnnouncementForm(null)}
+                        className="px-4 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-100"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        type="submit"
+                        disabled={savingAnnouncement}
+                        className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                      >
+                        {savingAnnouncement ? 'Saving...' : announcementForm._id ? 'Save Changes' : 'Post'}
+                      </button>
+                    </div>
+                  </div>
+                </form>
+              )}
+
+              {announcements.length > 0 ? (
+                <div className="space-y-4">
+                  {announcements.map((announcement) => (
+                    <div
+                      key={announcement._id}
+                      className={`p-4 border rounded-lg ${
+                        announcement.isPinned ? 'bg-red-50 border-red-200' :
+                        announcement.isExpired || !announcement.isActive ? 'bg-gray-50 border-gray-200 opacity-75' :
+                        'bg-blue-50 border-blue-200'
+                      }`}
+                    >
+                      <div className="flex items-start justify-between">
+                        <div className="flex-1">
+                          <div className="flex items-center flex-wrap gap-2 mb-2">
+                            {announcement.isPinned && <Pin className="w-4 h-4 text-red-600" />}
+                            <h5 className="font-medium text-gray-900">{announcement.title}</h5>
+                            <span className={`px-2 py-1 rounded-full text-xs font-medium ${getPriorityClasses(announcement.priority)}`}>
+                              {announcement.priority}
+                            </span>
+                            {canManageAnnouncements && (
+                              <span className="px-2 py-1 rounded-full text-xs font-medium bg-white text-gray-600 border border-gray-200 capitalize">
+                                {announcement.targetAudience === 'all' ? 'everyone' : announcement.targetAudience}
+                              </span>
+                            )}
+                            {announcement.isExpired && (
+                              <span className="px-2 py-1 rounded-full text-xs font-medium bg-gray-200 text-gray-700">Expired</span>
+                            )}
+                          </div>
+                          <p className="text-gray-700 text-sm whitespace-pre-line">{announcement.content}</p>
+                          <p className="text-gray-500 text-xs mt-2">
+                            {announcement.author?.name ? `${announcement.author.name} · ` : ''}
+                            {format(new Date(announcement.createdAt), 'MMM dd, yyyy')}
+                            {announcement.expiresAt && !announcement.isExpired && (
+                              <> · Expires {format(new Date(announcement.expiresAt), 'MMM dd, yyyy')}</>
+                            )}
+                          </p>
+                        </div>
+                        {canManageAnnouncements && (
+                          <div className="flex items-center space-x-1 ml-4">
+                            {announcement.priority === 'urgent' && (
+                              <button
+                                onClick={() => handleTogglePin(announcement)}
+                                className={`p-2 rounded-lg hover:bg-white ${announcement.isPinned ? 'text-red-600' : 'text-gray-400'}`}
+                                title={announcement.isPinned ? 'Unpin' : 'Pin'}
+                              >
+                                <Pin className="w-4 h-4" />
+                              </button>
+                            )}
+                            <button
+                              onClick={() => handleEditAnnouncement(announcement)}
+                              className="p-2 text-gray-400 hover:text-blue-600 hover:bg-white rounded-lg"
+                              title="Edit"
+                            >
+                              <Edit className="w-4 h-4" />
+                            </button>
+                            <button
+                              onClick={() => handleDeleteAnnouncement(announcement)}
+                              className="p-2 text-gray-400 hover:text-red-600 hover:bg-white rounded-lg"
+                              title="Delete"
+                            >
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <div className="text-center py-12">
+                  <Megaphone className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+                  <h4 className="text-lg font-medium text-gray-900 mb-2">No announcements</h4>
+                  <p className="text-gray-600">News from the club coordinators will appear here</p>
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Events Tab */}
           {activeTab === 'events' && (
             <div>
@@ -604,6 +1444,68 @@ const ClubDetail = () => {
                 </h3>
               </div>
 
+              {membership?.canInvite && (
+                <form onSubmit={handleInvite} className="flex items-center space-x-2 mb-8">
+                  <input
+                    type="text"
+                    value={inviteTarget}
+                    onChange={(e) => setInviteTarget(e.target.value)}
+                    placeholder="Invite by email or student ID"
+                    className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <button
+                    type="submit"
+                    disabled={inviting || !inviteTarget.trim()}
+                    className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    <Send className="w-4 h-4" />
+                    <span>{inviting ? 'Sending...' : 'Invite'}</span>
+                  </button>
+                </form>
+              )}
+
+              {joinRequests.length > 0 && (
+                <div className="mb-8">
+                  <h4 className="text-md font-semibold text-gray-900 mb-3">
+                    Pending Requests ({joinRequests.length})
+                  </h4>
+                  <div className="space-y-3">
+                    {joinRequests.map((joinRequest) => (
+                      <div key={joinRequest._id} className="flex items-start justify-between p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+                        <div>
+                          <h5 className="font-medium text-gray-900">{joinRequest.user.name}</h5>
+                          <p className="text-gray-600 text-sm">{joinRequest.user.email}</p>
+                          {joinRequest.message && (
+                            <p className="text-gray-700 text-sm mt-2 italic">"{joinRequest.message}"</p>
+                          )}
+                          <p className="text-gray-500 text-xs mt-1">
+                            Requested {format(new Date(joinRequest.createdAt), 'MMM dd, yyyy')}
+                          </p>
+                        </div>
+                        <div className="flex items-center space-x-2">
+                          <button
+                            onClick={() => handleReviewRequest(joinRequest, 'approve')}
+                            disabled={reviewingId === joinRequest._id}
+                            className="p-2 text-green-600 hover:bg-green-100 rounded-lg disabled:opacity-50"
+                            title="Approve"
+                          >
+                            <Check className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => handleReviewRequest(joinRequest, 'reject')}
+                            disabled={reviewingId === joinRequest._id}
+                            className="p-2 text-red-600 hover:bg-red-100 rounded-lg disabled:opacity-50"
+                            title="Reject"
+                          >
+                            <X className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               <div className="space-y-4">
                 {club.members
                   .filter(member => member.isActive)
@@ -647,24 +1549,207 @@ const ClubDetail = () => {
           {/* Achievements Tab */}
           {activeTab === 'achievements' && (
             <div>
-              <h3 className="text-lg font-semibold text-gray-900 mb-6">Achievements & Awards</h3>
-              
-              {club.achievements && club.achievements.length > 0 ? (
-                <div className="space-y-6">
-                  {club.achievements.map((achievement, index) => (
-                    <div key={index} className="flex items-start space-x-4 p-4 bg-gradient-to-r from-yellow-50 to-orange-50 rounded-lg border border-yellow-200">
-                      <div className="p-2 bg-yellow-500 rounded-full">
-                        <Trophy className="w-5 h-5 text-white" />
-                      </div>
-                      <div className="flex-1">
-                        <h4 className="font-medium text-gray-900 mb-1">{achievement.title}</h4>
-                        <p className="text-gray-700 mb-2">{achievement.description}</p>
-                        <div className="flex items-center space-x-4 text-sm text-gray-500">
-                          <span>{format(new Date(achievement.date), 'MMM dd, yyyy')}</span>
-                          <span className="px-2 py-1 bg-yellow-100 text-yellow-800 rounded-full text-xs font-medium capitalize">
-                            {achievement.category}
-                          </span>
-                        </div>
+              <div className="flex items-center justify-between mb-6">
+                <h3 className="text-lg font-semibold text-gray-900">Achievements & Timeline</h3>
+                {canManageContent && !achievementForm && (
+                  <button
+                    onClick={() => setAchievementForm(emptyAchievement)}
+                    className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                  >
+                    <Plus className="w-4 h-4" />
+                    <span>Add Achievement</span>
+                  </button>
+                )}
+              </div>
+
+              {achievementForm && (
+                <form onSubmit={handleSaveAchievement} className="mb-8 p-4 bg-gray-50 border border-gray-200 rounded-lg space-y-4">
+                  <input
+                    type="text"
+                    name="title"
+                    value={achievementForm.title}
+                    onChange={handleAchievementChange}
+                    placeholder="Title"
+                    required
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <textarea
+                    name="description"
+                    value={achievementForm.description}
+                    onChange={handleAchievementChange}
+                    placeholder="Description (optional)"
+                    rows={3}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+                      <input
+                        type="date"
+                        name="date"
+                        value={achievementForm.date}
+                        max={format(new Date(), 'yyyy-MM-dd')}
+                        onChange={handleAchievementChange}
+                        required
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+                      <select
+                        name="category"
+                        value={achievementForm.category}
+                        onChange={handleAchievementChange}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      >
+                        <option value="award">Award</option>
+                        <option value="recognition">Recognition</option>
+                        <option value="milestone">Milestone</option>
+                        <option value="competition">Competition</option>
+                        <option value="project">Project</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Earned at event</label>
+                      <select
+                        name="event"
+                        value={achievementForm.event}
+                        onChange={handleAchievementChange}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      >
+                        <option value="">None</option>
+                        {clubEvents
+                          .filter(event => isPast(new Date(event.eventDate)))
+                          .map(event => (
+                            <option key={event._id} value={event._id}>
+                              {event.title} ({format(new Date(event.eventDate), 'MMM dd, yyyy')})
+                            </option>
+                          ))}
+                      </select>
+                    </div>
+                  </div>
+                  <div className="flex justify-end space-x-3">
+                    <button
+                      type="button"
+                      onClick={() => setAchievementForm(null)}
+                      className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="submit"
+                      disabled={savingAchievement}
+                      className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      {savingAchievement ? 'Saving...' : achievementForm._id ? 'Save Changes' : 'Add Achievement'}
+                    </button>
+                  </div>
+                </form>
+              )}
+
+              {timeline.length > 0 ? (
+                <div className="space-y-8">
+                  {timeline.map(group => (
+                    <div key={group.year}>
+                      <h4 className="text-sm font-semibold text-gray-500 mb-4">{group.year}</h4>
+                      <div className="ml-3 border-l-2 border-gray-200 space-y-6">
+                        {group.items.map(item => {
+                          const { icon: Icon, color } = getTimelineStyle(item.type);
+                          return (
+                            <div key={`${item.type}-${item._id || group.year}`} className="relative pl-8">
+                              <span className={`absolute -left-3 top-1 w-6 h-6 ${color} rounded-full flex items-center justify-center`}>
+                                <Icon className="w-3 h-3 text-white" />
+                              </span>
+                              <div className="flex items-start justify-between">
+                                <div className="flex-1">
+                                  {item.type === 'event' ? (
+                                    <Link to={`/events/${item._id}`} className="font-medium text-gray-900 hover:text-blue-600">
+                                      {item.title}
+                                    </Link>
+                                  ) : (
+                                    <h5 className="font-medium text-gray-900">{item.title}</h5>
+                                  )}
+                                  <div className="flex flex-wrap items-center gap-3 text-sm text-gray-500 mt-1">
+                                    <span>{format(new Date(item.date), 'MMM dd, yyyy')}</span>
+                                    {item.category && (
+                                      <span className="px-2 py-1 bg-yellow-100 text-yellow-800 rounded-full text-xs font-medium capitalize">
+                                        {item.category}
+                                      </span>
+                                    )}
+                                    {item.type === 'event' && item.venue && <span>{item.venue}</span>}
+                                    {item.event && (
+                                      <Link to={`/events/${item.event._id}`} className="text-blue-600 hover:text-blue-700">
+                                        Earned at {item.event.title}
+                                      </Link>
+                                    )}
+                                  </div>
+                                  {item.description && (
+                                    <p className="text-gray-700 text-sm mt-2">{item.description}</p>
+                                  )}
+                                  {item.attachments?.length > 0 && (
+                                    <div className="flex flex-wrap gap-2 mt-2">
+                                      {item.attachments.map(attachment => (
+                                        <span key={attachment._id} className="flex items-center space-x-1 px-2 py-1 bg-gray-100 rounded text-xs">
+                                          <Paperclip className="w-3 h-3 text-gray-500" />
+                                          <a
+                                            href={attachment.url}
+                                            target="_blank"
+                                            rel="noopener noreferrer"
+                                            className="text-gray-700 hover:text-blue-600"
+                                          >
+                                            {attachment.name}
+                                          </a>
+                                          {canManageContent && (
+                                            <button
+                                              onClick={() => handleDeleteAttachment(item, attachment)}
+                                              className="text-gray-400 hover:text-red-600"
+                                              title="Remove attachment"
+                                            >
+                                              <X className="w-3 h-3" />
+                                            </button>
+                                          )}
+                                        </span>
+                                      ))}
+                                    </div>
+                                  )}
+                                </div>
+                                {item.type === 'achievement' && canManageContent && (
+                                  <div className="flex items-center space-x-1">
+                                    <label className="p-1 text-gray-400 hover:text-blue-600 cursor-pointer" title="Attach a file">
+                                      <Upload className="w-4 h-4" />
+                                      <input
+                                        type="file"
+                                        onChange={(e) => handleAttachFile(item, e)}
+                                        className="hidden"
+                                      />
+                                    </label>
+                                    <button
+                                      onClick={() => handleAttachLink(item)}
+                                      className="p-1 text-gray-400 hover:text-blue-600"
+                                      title="Attach a link"
+                                    >
+                                      <LinkIcon className="w-4 h-4" />
+                                    </button>
+                                    <button
+                                      onClick={() => handleEditAchievement(item)}
+                                      className="p-1 text-gray-400 hover:text-blue-600"
+                                      title="Edit"
+                                    >
+                                      <Edit className="w-4 h-4" />
+                                    </button>
+                                    <button
+                                      onClick={() => handleDeleteAchievement(item)}
+                                      className="p-1 text-gray-400 hover:text-red-600"
+                                      title="Delete"
+                                    >
+                                      <Trash2 className="w-4 h-4" />
+                                    </button>
+                                  </div>
+                                )}
+                              </div>
+                            </div>
+                          );
+                        })}
                       </div>
                     </div>
                   ))}
@@ -682,97 +1767,249 @@ const ClubDetail = () => {
           {/* Resources Tab */}
           {activeTab === 'resources' && (
             <div>
-              <h3 className="text-lg font-semibold text-gray-900 mb-6">Resources & Materials</h3>
-              
-              {club.resources && club.resources.length > 0 ? (
+              <div className="flex items-center justify-between mb-6">
+                <h3 className="text-lg font-semibold text-gray-900">Resources & Materials</h3>
+                {canManageContent && !resourceForm && (
+                  <button
+                    onClick={() => setResourceForm(emptyResource)}
+                    className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                  >
+                    <Upload className="w-4 h-4" />
+                    <span>Add Resource</span>
+                  </button>
+                )}
+              </div>
+
+              {resourceForm && (
+                <form onSubmit={handleSaveResource} className="mb-8 p-4 bg-gray-50 border border-gray-200 rounded-lg space-y-4">
+                  <div className="flex space-x-4 text-sm">
+                    {['file', 'link'].map(mode => (
+                      <label key={mode} className="flex items-center space-x-2 text-gray-700">
+                        <input
+                          type="radio"
+                          name="mode"
+                          value={mode}
+                          checked={resourceForm.mode === mode}
+                          onChange={handleResourceChange}
+                          className="text-blue-600 focus:ring-blue-500"
+                        />
+                        <span>{mode === 'file' ? 'Upload a file' : 'Share a link'}</span>
+                      </label>
+                    ))}
+                  </div>
+                  {resourceForm.mode === 'file' ? (
+                    <input
+                      type="file"
+                      name="file"
+                      onChange={handleResourceChange}
+                      accept=".pdf,.doc,.docx,.xls,.xlsx,.txt,.csv,.ppt,.pptx,.jpg,.jpeg,.png,.gif,.webp,.mp4,.webm"
+                      required
+                      className="w-full text-sm text-gray-600"
+                    />
+                  ) : (
+                    <input
+                      type="url"
+                      name="url"
+                      value={resourceForm.url}
+                      onChange={handleResourceChange}
+                      placeholder="https://"
+                      required
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  )}
+                  <input
+                    type="text"
+                    name="title"
+                    value={resourceForm.title}
+                    onChange={handleResourceChange}
+                    placeholder="Title"
+                    required
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <textarea
+                    name="description"
+                    value={resourceForm.description}
+                    onChange={handleResourceChange}
+                    placeholder="Description (optional)"
+                    rows={3}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <input
+                    type="text"
+                    name="tags"
+                    value={resourceForm.tags}
+                    onChange={handleResourceChange}
+                    placeholder="Tags, separated by commas"
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <label className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      name="isPublic"
+                      checked={resourceForm.isPublic}
+                      onChange={handleResourceChange}
+                      className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    <span>Visible to everyone (otherwise members only)</span>
+                  </label>
+                  <div className="flex justify-end space-x-3">
+                    <button
+                      type="button"
+                      onClick={() => setResourceForm(null)}
+                      className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="submit"
+                      disabled={savingResource}
+                      className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      {savingResource ? 'Saving...' : 'Add Resource'}
+                    </button>
+                  </div>
+                </form>
+              )}
+
+              <div className="flex flex-col md:flex-row md:items-center gap-3 mb-4">
+                <form onSubmit={handleResourceSearch} className="relative flex-1">
+                  <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 transform -translate-y-1/2" />
+                  <input
+                    type="text"
+                    value={resourceSearch}
+                    onChange={(e) => setResourceSearch(e.target.value)}
+                    placeholder="Search resources..."
+                    className="w-full pl-9 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </form>
+                <select
+                  value={resourceFilters.type}
+                  onChange={(e) => setResourceFilters(prev => ({ ...prev, type: e.target.value }))}
+                  className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="">All types</option>
+                  <option value="document">Documents</option>
+                  <option value="presentation">Presentations</option>
+                  <option value="image">Images</option>
+                  <option value="video">Videos</option>
+                  <option value="link">Links</option>
+                </select>
+              </div>
+
+              {resourceTags.length > 0 && (
+                <div className="flex flex-wrap gap-2 mb-6">
+                  {resourceTags.map(tag => (
+                    <button
+                      key={tag}
+                      onClick={() => setResourceFilters(prev => ({ ...prev, tag: prev.tag === tag ? '' : tag }))}
+                      className={`px-3 py-1 rounded-full text-xs ${
+                        resourceFilters.tag === tag
+                          ? 'bg-blue-600 text-white'
+                          : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                      }`}
+                    >
+                      #{tag}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {resources.length > 0 ? (
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                  {club.resources
-                    .filter(resource => resource.isPublic || isUserMember())
-                    .map((resource, index) => {
-                      const Icon = getResourceIcon(resource.type);
-                      return (
-                        <a
-                          key={index}
-                          href={resource.url}
-                          target="_blank"
-                          rel="noopener noreferrer"
-                          className="flex items-start space-x-3 p-4 border border-gray-200 rounded-lg hover:border-blue-300 hover:shadow-md transition-all"
-                        >
-                          <div className="p-2 bg-blue-100 rounded-lg">
-                            <Icon className="w-5 h-5 text-blue-600" />
-                          </div>
-                          <div className="flex-1">
-                            <h4 className="font-medium text-gray-900 mb-1">{resource.title}</h4>
-                            {resource.description && (
-                              <p className="text-gray-600 text-sm mb-2">{resource.description}</p>
+                  {resources.map(resource => {
+                    const Icon = getResourceIcon(resource.type);
+                    return (
+                      <div
+                        key={resource._id}
+                        className="flex items-start space-x-3 p-4 border border-gray-200 rounded-lg hover:border-blue-300 hover:shadow-md transition-all"
+                      >
+                        <div className="p-2 bg-blue-100 rounded-lg">
+                          <Icon className="w-5 h-5 text-blue-600" />
+                        </div>
+                        <div className="flex-1 min-w-0">
+                          <h4 className="font-medium text-gray-900 mb-1">{resource.title}</h4>
+                          {resource.description && (
+                            <p className="text-gray-600 text-sm mb-2">{resource.description}</p>
+                          )}
+                          <div className="flex flex-wrap items-center gap-3 text-xs text-gray-500">
+                            <span className="capitalize">{resource.type}</span>
+                            {resource.file && (
+                              <span>{formatFileSize(resource.file.size)}</span>
                             )}
-                            <div className="flex items-center space-x-3 text-xs text-gray-500">
-                              <span className="capitalize">{resource.type}</span>
-                              {resource.uploadedAt && (
-                                <span>Added {format(new Date(resource.uploadedAt), 'MMM dd, yyyy')}</span>
-                              )}
-                              {!resource.isPublic && (
-                                <span className="px-2 py-1 bg-yellow-100 text-yellow-800 rounded-full">
-                                  Members Only
-                                </span>
-                              )}
-                            </div>
-                            {resource.tags && resource.tags.length > 0 && (
-                              <div className="flex flex-wrap gap-1 mt-2">
-                                {resource.tags.map((tag, tagIndex) => (
-                                  <span key={tagIndex} className="px-2 py-1 bg-gray-100 text-gray-600 rounded text-xs">
-                                    #{tag}
-                                  </span>
-                                ))}
-                              </div>
+                            {resource.uploadedAt && (
+                              <span>Added {format(new Date(resource.uploadedAt), 'MMM dd, yyyy')}</span>
+                            )}
+                            {resource.file && (
+                              <span>{resource.downloadCount || 0} downloads</span>
+                            )}
+                            {!resource.isPublic && (
+                              <span className="px-2 py-1 bg-yellow-100 text-yellow-800 rounded-full">
+                                Members Only
+                              </span>
                             )}
                           </div>
-                          <ExternalLink className="w-4 h-4 text-gray-400" />
-                        </a>
-                      );
-                    })}
+                          {resource.tags && resource.tags.length > 0 && (
+                            <div className="flex flex-wrap gap-1 mt-2">
+                              {resource.tags.map(tag => (
+                                <span key={tag} className="px-2 py-1 bg-gray-100 text-gray-600 rounded text-xs">
+                                  #{tag}
+                                </span>
+                              ))}
+                            </div>
+                          )}
+                        </div>
+                        <div className="flex items-center space-x-1">
+                          {resource.file ? (
+                            <button
+                              onClick={() => handleDownloadResource(resource)}
+                              className="p-1 text-gray-400 hover:text-blue-600"
+                              title="Download"
+                            >
+                              <Download className="w-4 h-4" />
+                            </button>
+                          ) : (
+                            <a
+                              href={resource.url}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="p-1 text-gray-400 hover:text-blue-600"
+                              title="Open link"
+                            >
+                              <ExternalLink className="w-4 h-4" />
+                            </a>
+                          )}
+                          {canManageContent && (
+                            <>
+                              <button
+                                onClick={() => handleToggleResourceVisibility(resource)}
+                                className="p-1 text-gray-400 hover:text-yellow-600"
+                                title={resource.isPublic ? 'Make members only' : 'Make public'}
+                              >
+                                {resource.isPublic ? <Lock className="w-4 h-4" /> : <Unlock className="w-4 h-4" />}
+                              </button>
+                              <button
+                                onClick={() => handleDeleteResource(resource)}
+                                className="p-1 text-gray-400 hover:text-red-600"
+                                title="Delete"
+                              >
+                                <Trash2 className="w-4 h-4" />
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      </div>
+                    );
+                  })}
                 </div>
               ) : (
                 <div className="text-center py-12">
                   <FileText className="w-16 h-16 text-gray-400 mx-auto mb-4" />
-                  <h4 className="text-lg font-medium text-gray-900 mb-2">No resources available</h4>
-                  <p className="text-gray-600">Club resources and materials will appear here</p>
-                </div>
-              )}
-
-              {/* Announcements */}
-              {club.announcements && club.announcements.length > 0 && (
-                <div className="mt-8">
-                  <h4 className="text-lg font-semibold text-gray-900 mb-4">Recent Announcements</h4>
-                  <div className="space-y-4">
-                    {club.announcements
-                      .filter(announcement => announcement.isActive)
-                      .slice(0, 3)
-                      .map((announcement, index) => (
-                        <div key={index} className="p-4 bg-blue-50 border border-blue-200 rounded-lg">
-                          <div className="flex items-start justify-between">
-                            <div className="flex-1">
-                              <div className="flex items-center space-x-2 mb-2">
-                                <MessageSquare className="w-4 h-4 text-blue-600" />
-                                <h5 className="font-medium text-blue-900">{announcement.title}</h5>
-                                <span className={`px-2 py-1 rounded-full text-xs font-medium ${
-                                  announcement.priority === 'urgent' ? 'bg-red-100 text-red-800' :
-                                  announcement.priority === 'high' ? 'bg-orange-100 text-orange-800' :
-                                  announcement.priority === 'medium' ? 'bg-yellow-100 text-yellow-800' :
-                                  'bg-gray-100 text-gray-800'
-                                }`}>
-                                  {announcement.priority}
-                                </span>
-                              </div>
-                              <p className="text-blue-800 text-sm">{announcement.content}</p>
-                              <p className="text-blue-600 text-xs mt-2">
-                                {format(new Date(announcement.createdAt), 'MMM dd, yyyy')}
-                              </p>
-                            </div>
-                          </div>
-                        </div>
-                      ))}
-                  </div>
+                  <h4 className="text-lg font-medium text-gray-900 mb-2">No resources found</h4>
+                  <p className="text-gray-600">
+                    {resourceFilters.search || resourceFilters.tag || resourceFilters.type
+                      ? 'Try a different search or filter'
+                      : 'Club resources and materials will appear here'}
+                  </p>
                 </div>
               )}
             </div>
@@ -0,0 +1,189 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import { Trophy, Calendar, Paperclip, ChevronLeft, ChevronRight } from 'lucide-react';
+import { format } from 'date-fns';
+import { CardSkeleton } from '../../components/Common/LoadingSpinner';
+
+const HallOfFame = () => {
+  const [achievements, setAchievements] = useState([]);
+  const [years, setYears] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [filters, setFilters] = useState({ category: '', year: '' });
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchHallOfFame();
+  }, [filters, page]);
+
+  const fetchHallOfFame = async () => {
+    try {
+      setLoading(true);
+      const params = { page, ...Object.fromEntries(Object.entries(filters).filter(([, value]) => value)) };
+      const response = await axios.get('/api/clubs/hall-of-fame', { params });
+      setAchievements(response.data.data.achievements);
+      setYears(response.data.data.years);
+      setCategories(response.data.data.categories);
+      setPagination(response.data.data.pagination);
+    } catch (error) {
+      console.error('Error fetching hall of fame:', error);
+      toast.error('Failed to load the Hall of Fame');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+    setPage(1);
+  };
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2 flex items-center">
+          <Trophy className="w-8 h-8 mr-3 text-yellow-500" />
+          Hall of Fame
+        </h1>
+        <p className="text-gray-600">Awards, milestones and wins from clubs across campus</p>
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-col sm:flex-row gap-3 mb-6">
+        <select
+          name="category"
+          value={filters.category}
+          onChange={handleFilterChange}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 capitalize"
+        >
+          <option value="">All categories</option>
+          {categories.map(category => (
+            <option key={category} value={category}>{category}</option>
+          ))}
+        </select>
+        <select
+          name="year"
+          value={filters.year}
+          onChange={handleFilterChange}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+        >
+          <option value="">All years</option>
+          {years.map(year => (
+            <option key={year} value={year}>{year}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* List */}
+      {loading ? (
+        <div className="space-y-4">
+          {[1, 2, 3].map(i => (
+            <CardSkeleton key={i} />
+          ))}
+        </div>
+      ) : achievements.length === 0 ? (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 text-center py-16">
+          <Trophy className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+          <p className="text-gray-500 font-medium">No achievements found</p>
+          <p className="text-gray-400 text-sm mt-1">Try a different category or year</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {achievements.map(achievement => (
+            <div
+              key={achievement._id}
+              className="flex items-start space-x-4 p-5 bg-white rounded-xl shadow-sm border border-gray-200"
+            >
+              {achievement.club.logo ? (
+                <img
+                  src={achievement.club.logo}
+                  alt={achievement.club.name}
+                  className="w-12 h-12 rounded-lg object-cover flex-shrink-0"
+                />
+              ) : (
+                <div className="w-12 h-12 bg-yellow-500 rounded-lg flex items-center justify-center flex-shrink-0">
+                  <Trophy className="w-6 h-6 text-white" />
+                </div>
+              )}
+              <div className="flex-1 min-w-0">
+                <div className="flex flex-wrap items-center gap-2 mb-1">
+                  <h3 className="font-semibold text-gray-900">{achievement.title}</h3>
+                  {achievement.category && (
+                    <span className="px-2 py-1 bg-yellow-100 text-yellow-800 rounded-full text-xs font-medium capitalize">
+                      {achievement.category}
+                    </span>
+                  )}
+                </div>
+                <div className="flex flex-wrap items-center gap-3 text-sm text-gray-500 mb-2">
+                  <Link to={`/clubs/${achievement.club._id}`} className="text-blue-600 hover:text-blue-700 font-medium">
+                    {achievement.club.name}
+                  </Link>
+                  {achievement.date && (
+                    <span className="flex items-center">
+                      <Calendar className="w-4 h-4 mr-1" />
+                      {format(new Date(achievement.date), 'MMM dd, yyyy')}
+                    </span>
+                  )}
+                  {achievement.event && (
+                    <Link to={`/events/${achievement.event._id}`} className="hover:text-blue-600">
+                      at {achievement.event.title}
+                    </Link>
+                  )}
+                </div>
+                {achievement.description && (
+                  <p className="text-gray-700 text-sm">{achievement.description}</p>
+                )}
+                {achievement.attachments.length > 0 && (
+                  <div className="flex flex-wrap gap-2 mt-2">
+                    {achievement.attachments.map(attachment => (
+                      <a
+                        key={attachment._id}
+                        href={attachment.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="flex items-center space-x-1 px-2 py-1 bg-gray-100 rounded text-xs text-gray-700 hover:text-blue-600"
+                      >
+                        <Paperclip className="w-3 h-3" />
+                        <span>{attachment.name}</span>
+                      </a>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Pagination */}
+      {pagination && pagination.totalPages > 1 && (
+        <div className="flex items-center justify-center space-x-4 mt-8">
+          <button
+            onClick={() => setPage(prev => prev - 1)}
+            disabled={!pagination.hasPrevPage}
+            className="p-2 border border-gray-300 rounded-lg text-gray-600 hover:bg-gray-50 disabled:opacity-50"
+          >
+            <ChevronLeft className="w-4 h-4" />
+          </button>
+          <span className="text-sm text-gray-600">
+            Page {pagination.currentPage} of {pagination.totalPages}
+          </span>
+          <button
+            onClick={() => setPage(prev => prev + 1)}
+            disabled={!pagination.hasNextPage}
+            className="p-2 border border-gray-300 rounded-lg text-gray-600 hover:bg-gray-50 disabled:opacity-50"
+          >
+            <ChevronRight className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HallOfFame;
\ No newline at end of file
@@ -16,7 +16,9 @@ import {
   Activity,
   BarChart3,
   Target,
-  Zap
+  Zap,
+  Megaphone,
+  Pin
 } from 'lucide-react';
 import { format, isToday, isTomorrow, isThisWeek, parseISO } from 'date-fns';
 import LoadingSpinner, { CardSkeleton } from '../../components/Common/LoadingSpinner';
@@ -34,6 +36,8 @@ const Dashboard = () => {
   const [upcomingEvents, setUpcomingEvents] = useState([]);
   const [recentActivities, setRecentActivities] = useState([]);
   const [myClubs, setMyClubs] = useState([]);
+  const [announcements, setAnnouncements] = useState([]);
+  const [unreadNotifications, setUnreadNotifications] = useState(0);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -45,20 +49,26 @@ const Dashboard = () => {
       setLoading(true);
       
       // Fetch multiple endpoints concurrently
-      const [eventsRes, userRes, clubsRes] = await Promise.all([
+      const [eventsRes, userRes, clubsRes, notificationsRes, announcementsRes] = await Promise.all([
         axios.get('/api/events?upcoming=true'),
         axios.get('/api/auth/me'),
-        axios.get('/api/clubs')
+        axios.get('/api/clubs'),
+        axios.get('/api/notifications/unread-count'),
+        axios.get('/api/clubs/announcements/feed', { params: { limit: 5 } })
       ]);
 
       const events = eventsRes.data;
       const userData = userRes.data;
       const clubs = clubsRes.data;
+      const activeClubs = userData.joinedClubs?.filter(membership => membership.isActive) || [];
+
+      setUnreadNotifications(notificationsRes.data.data.unreadCount);
+      setAnnouncements(announcementsRes.data.data.announcements);
 
       // Calculate statistics
       setStats({
         totalClubs: clubs.length,
-        joinedClubs: userData.joinedClubs?.length || 0,
+        joinedClubs: activeClubs.length,
         upcomingEvents: events.filter(e => e.status === 'upcoming').length,
         registeredEvents: userData.eventsRegistered?.length || 0,
         totalEvents: events.length,
@@ -69,7 +79,7 @@ const Dashboard = () => {
       setUpcomingEvents(events.slice(0, 5));
       
       // Get user's joined clubs
-      setMyClubs(userData.joinedClubs?.slice(0, 4) || []);
+      setMyClubs(activeClubs.slice(0, 4));
       
       // Create recent activities from user's registered events and clubs
       const eventActivities = userData.eventsRegistered?.slice(0, 3).map(item => ({
@@ -82,7 +92,7 @@ const Dashboard = () => {
         color: 'text-blue-600 bg-blue-100'
       })) || [];
 
-      const clubActivities = userData.joinedClubs?.slice(0, 2).map(item => ({
+      const clubActivities = activeClubs.slice(0, 2).map(item => ({
         id: item.club?._id || item._id,
         type: 'club_join',
         title: 'Joined Club',
@@ -90,7 +100,7 @@ const Dashboard = () => {
         date: item.joinedAt,
         icon: Users,
         color: 'text-green-600 bg-green-100'
-      })) || [];
+      }));
 
       // Combine and sort activities
       const allActivities = [...eventActivities, ...clubActivities]
@@ -157,12 +167,14 @@ const Dashboard = () => {
             </p>
           </div>
           <div className="hidden md:flex items-center space-x-3">
-            <div className="relative">
+            <Link to="/notifications" className="relative">
               <Bell className="w-6 h-6 text-gray-400 hover:text-gray-600 cursor-pointer transition-colors" />
-              <span className="absolute -top-2 -right-2 bg-red-500 text-white text-xs rounded-full h-5 w-5 flex items-center justify-center">
-                3
-              </span>
-            </div>
+              {unreadNotifications > 0 && (
+                <span className="absolute -top-2 -right-2 bg-red-500 text-white text-xs rounded-full h-5 w-5 flex items-center justify-center">
+                  {unreadNotifications > 9 ? '9+' : unreadNotifications}
+                </span>
+              )}
+            </Link>
             <div className="text-sm text-gray-500">
               {format(new Date(), 'EEEE, MMMM dd, yyyy')}
             </div>
@@ -347,6 +359,51 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* Announcements Feed */}
+      {announcements.length > 0 && (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-8">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+              <Megaphone className="w-5 h-5 mr-2 text-red-600" />
+              Club Announcements
+            </h2>
+          </div>
+
+          <div className="space-y-4">
+            {announcements.map((announcement) => (
+              <Link
+                key={announcement._id}
+                to={`/clubs/${announcement.club._id}?tab=announcements`}
+                className={`block p-4 rounded-lg border transition-all hover:shadow-md ${
+                  announcement.isPinned ? 'border-red-200 bg-red-50' : 'border-gray-100 hover:border-blue-200'
+                }`}
+              >
+                <div className="flex items-start justify-between">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center space-x-2 mb-1">
+                      {announcement.isPinned && <Pin className="w-4 h-4 text-red-600 flex-shrink-0" />}
+                      <h3 className="font-medium text-gray-900 truncate">{announcement.title}</h3>
+                    </div>
+                    <p className="text-sm text-gray-600 line-clamp-2">{announcement.content}</p>
+                    <p className="text-xs text-gray-500 mt-2">
+                      {announcement.club.name} · {format(parseISO(announcement.createdAt), 'MMM dd, yyyy')}
+                    </p>
+                  </div>
+                  <span className={`ml-4 px-3 py-1 rounded-full text-xs font-medium ${
+                    announcement.priority === 'urgent' ? 'bg-red-100 text-red-800' :
+                    announcement.priority === 'high' ? 'bg-orange-100 text-orange-800' :
+                    announcement.priority === 'medium' ? 'bg-yellow-100 text-yellow-800' :
+                    'bg-gray-100 text-gray-800'
+                  }`}>
+                    {announcement.priority}
+                  </span>
+                </div>
+              </Link>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* My Clubs Section */}
       {myClubs.length > 0 && (
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-8">
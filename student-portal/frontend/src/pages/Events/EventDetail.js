@@ -1,10 +1,1235 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import {
+  ArrowLeft,
+  Calendar,
+  Clock,
+  MapPin,
+  Users,
+  Globe,
+  ExternalLink,
+  Trophy,
+  FileText,
+  CreditCard,
+  CheckCircle,
+  AlertCircle,
+  Settings,
+  Bell,
+  Camera,
+  Trash2,
+  X,
+  Eye,
+  Linkedin,
+  Twitter,
+  Award,
+  Repeat,
+  XCircle,
+  History,
+  CalendarClock
+} from 'lucide-react';
+import { format } from 'date-fns';
+import LoadingSpinner, { InlineSpinner } from '../../components/Common/LoadingSpinner';
+
+const SPONSOR_LEVELS = ['title', 'platinum', 'gold', 'silver', 'bronze', 'partner'];
+
+const EVENT_STATUSES = ['draft', 'published', 'upcoming', 'ongoing', 'completed', 'cancelled'];
+
+const getStatusColor = (status) => {
+  switch (status) {
+    case 'published':
+    case 'upcoming': return 'bg-green-100 text-green-800';
+    case 'ongoing': return 'bg-blue-100 text-blue-800';
+    case 'completed': return 'bg-gray-100 text-gray-800';
+    case 'cancelled': return 'bg-red-100 text-red-800';
+    case 'postponed': return 'bg-yellow-100 text-yellow-800';
+    default: return 'bg-gray-100 text-gray-800';
+  }
+};
+
+const getPaymentColor = (paymentStatus) => {
+  switch (paymentStatus) {
+    case 'paid':
+    case 'waived': return 'text-green-700';
+    case 'failed': return 'text-red-700';
+    case 'refunded': return 'text-blue-700';
+    default: return 'text-yellow-700';
+  }
+};
+
+const getReminderColor = (status) => {
+  switch (status) {
+    case 'pending': return 'bg-yellow-100 text-yellow-800';
+    case 'completed': return 'bg-green-100 text-green-800';
+    case 'failed': return 'bg-red-100 text-red-800';
+    default: return 'bg-gray-100 text-gray-800';
+  }
+};
+
+const POSTPONE_FORM = { eventDate: '', startTime: '', endTime: '', reason: '' };
+
+const getSeriesLabel = (pattern) => {
+  const interval = pattern.interval || 1;
+  const unit = { weekly: 'week', monthly: 'month', yearly: 'year' }[pattern.frequency];
+  let label = interval > 1 ? `Every ${interval} ${unit}s` : `Every ${unit}`;
+  if (pattern.frequency === 'weekly' && pattern.daysOfWeek?.length > 0) {
+    label += ` on ${pattern.daysOfWeek.map(day => day.charAt(0).toUpperCase() + day.slice(1, 3)).join(', ')}`;
+  }
+  if (pattern.endDate) {
+    label += ` until ${format(new Date(pattern.endDate), 'MMM dd, yyyy')}`;
+  }
+  return label;
+};
+
+const getMapUrl = (coordinates) =>
+  `https://www.openstreetmap.org/?mlat=${coordinates.latitude}&mlon=${coordinates.longitude}#map=17/${coordinates.latitude}/${coordinates.longitude}`;
 
 const EventDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [event, setEvent] = useState(null);
+  const [viewer, setViewer] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [actionLoading, setActionLoading] = useState(false);
+  const [newStatus, setNewStatus] = useState('');
+  const [updatingStatus, setUpdatingStatus] = useState(false);
+  const [bannerUploading, setBannerUploading] = useState(false);
+  const [reminders, setReminders] = useState([]);
+  const [participants, setParticipants] = useState(null);
+  const [series, setSeries] = useState(null);
+  const [cancelScope, setCancelScope] = useState('this');
+  const [cancelling, setCancelling] = useState(false);
+  const [showPostponeForm, setShowPostponeForm] = useState(false);
+  const [postponeForm, setPostponeForm] = useState(POSTPONE_FORM);
+  const [postponing, setPostponing] = useState(false);
+
+  useEffect(() => {
+    if (id) {
+      fetchEvent();
+    }
+  }, [id]);
+
+  useEffect(() => {
+    if (viewer?.canManage) {
+      fetchReminders();
+      fetchParticipants();
+    }
+  }, [id, viewer?.canManage]);
+
+  const fetchEvent = async () => {
+    try {
+      const response = await axios.get(`/api/events/${id}`);
+      const { event: eventData } = response.data.data;
+      setEvent(eventData);
+      setViewer(response.data.data.viewer);
+      setNewStatus(eventData.status);
+      if (eventData.isRecurring || eventData.parentEvent) {
+        fetchSeries();
+      } else {
+        setSeries(null);
+      }
+    } catch (error) {
+      console.error('Error fetching event:', error);
+      toast.error('Failed to load event details');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchSeries = async () => {
+    try {
+      const response = await axios.get(`/api/events/${id}/series`);
+      setSeries(response.data.data);
+    } catch (error) {
+      console.error('Error fetching event series:', error);
+    }
+  };
+
+  const fetchReminders = async () => {
+    try {
+      const response = await axios.get(`/api/events/${id}/reminders`);
+      setReminders(response.data.data.reminders);
+    } catch (error) {
+      console.error('Error fetching reminders:', error);
+    }
+  };
+
+  const fetchParticipants = async () => {
+    try {
+      const response = await axios.get(`/api/events/${id}/participants`);
+      setParticipants(response.data.data);
+    } catch (error) {
+      console.error('Error fetching participants:', error);
+    }
+  };
+
+  const refresh = () => {
+    fetchEvent();
+    if (viewer?.canManage) {
+      fetchParticipants();
+    }
+  };
+
+  const handleRegister = async () => {
+    setActionLoading(true);
+    try {
+      const response = await axios.post(`/api/events/${id}/register`);
+      toast.success(response.data.message);
+      refresh();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Registration failed');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleUnregister = async () => {
+    const onWaitlist = Boolean(viewer?.waitlistPosition);
+    const question = onWaitlist
+      ? 'Leave the waitlist for this event?'
+      : 'Cancel your registration? Your spot may go to someone on the waitlist.';
+    if (!window.confirm(question)) return;
+
+    setActionLoading(true);
+    try {
+      const response = await axios.post(`/api/events/${id}/unregister`);
+      toast.success(response.data.message);
+      refresh();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to cancel registration');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handlePostponementResponse = async (response) => {
+    if (response === 'released' && !window.confirm('Release your seat? It may go to someone on the waitlist.')) return;
+
+    setActionLoading(true);
+    try {
+      const result = await axios.post(`/api/events/${id}/postponement-response`, { response });
+      toast.success(result.data.message);
+      refresh();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update your seat');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleStatusUpdate = async () => {
+    if (newStatus === event.status) return;
+
+    setUpdatingStatus(true);
+    try {
+      await axios.put(`/api/events/${id}/status`, { status: newStatus });
+      toast.success('Event status updated');
+      fetchEvent();
+      fetchReminders();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to update status');
+      setNewStatus(event.status);
+    } finally {
+      setUpdatingStatus(false);
+    }
+  };
+
+  const handleBannerUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('image', file);
+
+    setBannerUploading(true);
+    try {
+      await axios.put(`/api/events/${id}/banner`, formData);
+      toast.success('Banner updated');
+      fetchEvent();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to upload banner');
+    } finally {
+      setBannerUploading(false);
+    }
+  };
+
+  const handleBannerRemove = async () => {
+    if (!window.confirm('Remove the event banner?')) return;
+
+    setBannerUploading(true);
+    try {
+      await axios.delete(`/api/events/${id}/banner`);
+      toast.success('Banner removed');
+      fetchEvent();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove banner');
+    } finally {
+      setBannerUploading(false);
+    }
+  };
+
+  const handleCancelEvent = async () => {
+    const reason = window.prompt('Why is this being cancelled? Participants will see this (at least 10 characters).');
+    if (reason === null) return;
+
+    setCancelling(true);
+    try {
+      const response = await axios.delete(`/api/events/${id}`, {
+        data: { reason: reason.trim() || undefined, scope: cancelScope }
+      });
+      toast.success(response.data.message);
+      fetchEvent();
+      fetchReminders();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to cancel event');
+    } finally {
+      setCancelling(false);
+    }
+  };
+
+  const handlePostponeChange = (e) => {
+    const { name, value } = e.target;
+    setPostponeForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handlePostponeEvent = async (e) => {
+    e.preventDefault();
+
+    setPostponing(true);
+    try {
+      const data = Object.fromEntries(Object.entries(postponeForm).filter(([, value]) => value));
+      const response = await axios.post(`/api/events/${id}/postpone`, data);
+      toast.success(response.data.message);
+      setShowPostponeForm(false);
+      setPostponeForm(POSTPONE_FORM);
+      refresh();
+      fetchReminders();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to postpone event');
+    } finally {
+      setPostponing(false);
+    }
+  };
+
+  const handleCancelReminder = async (reminderId) => {
+    if (!window.confirm('Cancel this reminder? Participants will not receive it.')) return;
+
+    try {
+      await axios.delete(`/api/events/${id}/reminders/${reminderId}`);
+      toast.success('Reminder cancelled');
+      fetchReminders();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to cancel reminder');
+    }
+  };
+
+  const renderRegistrationAction = () => {
+    if (!viewer) return null;
+
+    const { registration, waitlistPosition, registrationCheck } = viewer;
+
+    if (registration && registration.status === 'registered') {
+      return (
+        <button
+          onClick={handleUnregister}
+          disabled={actionLoading}
+          className="w-full py-3 border border-red-300 text-red-700 rounded-lg font-medium hover:bg-red-50 disabled:opacity-50 flex items-center justify-center"
+        >
+          {actionLoading && <span className="mr-2"><InlineSpinner size="small" /></span>}
+          Cancel Registration
+        </button>
+      );
+    }
+
+    if (waitlistPosition) {
+      return (
+        <button
+          onClick={handleUnregister}
+          disabled={actionLoading}
+          className="w-full py-3 border border-gray-300 text-gray-700 rounded-lg font-medium hover:bg-gray-50 disabled:opacity-50 flex items-center justify-center"
+        >
+          {actionLoading && <span className="mr-2"><InlineSpinner size="small" /></span>}
+          Leave Waitlist
+        </button>
+      );
+    }
+
+    if (registrationCheck.canRegister || registrationCheck.canWaitlist) {
+      return (
+        <button
+          onClick={handleRegister}
+          disabled={actionLoading}
+          className="w-full py-3 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50 flex items-center justify-center"
+        >
+          {actionLoading && <span className="mr-2"><InlineSpinner size="small" /></span>}
+          {registrationCheck.canRegister ? 'Register Now' : 'Join Waitlist'}
+        </button>
+      );
+    }
+
+    if (registration) return null;
+
+    return (
+      <p className="text-sm text-gray-500 text-center py-2">{registrationCheck.reason}</p>
+    );
+  };
+
+  if (loading) {
+    return <LoadingSpinner fullScreen text="Loading event details..." />;
+  }
+
+  if (!event) {
+    return (
+      <div className="text-center py-12">
+        <h2 className="text-2xl font-bold text-gray-900 mb-4">Event not found</h2>
+        <Link
+          to="/events"
+          className="text-blue-600 hover:text-blue-700 font-medium"
+        >
+          Back to Events
+        </Link>
+      </div>
+    );
+  }
+
+  const venue = event.venue || {};
+  const fee = event.registrationFee?.amount || 0;
+  const activeRegistrations = event.registeredParticipants.filter(
+    p => p.status === 'registered' || p.status === 'attended'
+  ).length;
+  const sponsorTiers = SPONSOR_LEVELS
+    .map(level => ({ level, sponsors: (event.sponsors || []).filter(s => (s.level || 'partner') === level) }))
+    .filter(tier => tier.sponsors.length > 0);
+  const requirements = event.requirements || {};
+  const requirementLists = [
+    { label: 'Prerequisites', items: requirements.prerequisites },
+    { label: 'Skills', items: requirements.skills },
+    { label: 'Equipment', items: requirements.equipment },
+    { label: 'Materials', items: requirements.materials },
+  ].filter(list => list.items && list.items.length > 0);
+  const canSeeVirtualLink = viewer?.canManage || viewer?.registration;
+  const isSeriesRegistration = event.recurringPattern?.registration === 'series';
+
   return (
-    <div className="min-h-screen flex items-center justify-center">
-      <h1 className="text-2xl font-bold">Event Detail Page</h1>
-      <p className="mt-2 text-gray-600">Details for the selected event will appear here.</p>
+    <div className="max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="flex items-center mb-6">
+        <button
+          onClick={() => navigate('/events')}
+          className="mr-4 p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors"
+        >
+          <ArrowLeft className="w-5 h-5" />
+        </button>
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Event Details</h1>
+          <p className="text-gray-600">Everything you need to know before you go</p>
+        </div>
+      </div>
+
+      {/* Event Banner */}
+      {event.images?.banner && (
+        <img
+          src={event.images.banner}
+          alt={`${event.title} banner`}
+          className="w-full h-48 object-cover rounded-xl mb-4"
+        />
+      )}
+
+      {/* Event Header */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-8 mb-8">
+        <div className="flex flex-wrap items-center gap-2 mb-3">
+          <span className={`px-3 py-1 rounded-full text-sm font-medium capitalize ${getStatusColor(event.status)}`}>
+            {event.status}
+          </span>
+          {event.eventType && (
+            <span className="px-3 py-1 bg-blue-100 text-blue-800 rounded-full text-sm font-medium capitalize">
+              {event.eventType}
+            </span>
+          )}
+          {event.category && (
+            <span className="px-3 py-1 bg-gray-100 text-gray-700 rounded-full text-sm font-medium capitalize">
+              {event.category}
+            </span>
+          )}
+        </div>
+        <h2 className="text-3xl font-bold text-gray-900 mb-2">{event.title}</h2>
+        {event.club && (
+          <p className="text-gray-600 mb-4">
+            Hosted by{' '}
+            <Link to={`/clubs/${event.club._id}`} className="text-blue-600 hover:text-blue-700 font-medium">
+              {event.club.name}
+            </Link>
+            {event.organizer && <span> &middot; organized by {event.organizer.name}</span>}
+          </p>
+        )}
+        <div className="flex flex-wrap gap-6 text-gray-700">
+          <span className="flex items-center">
+            <Calendar className="w-5 h-5 mr-2 text-gray-400" />
+            {format(new Date(event.eventDate), 'EEEE, MMM dd, yyyy')}
+          </span>
+          <span className="flex items-center">
+            <Clock className="w-5 h-5 mr-2 text-gray-400" />
+            {event.startTime} &ndash; {event.endTime}
+            {event.timezone && <span className="ml-1 text-sm text-gray-500">({event.timezone})</span>}
+          </span>
+          <span className="flex items-center">
+            {venue.isVirtual ? (
+              <Globe className="w-5 h-5 mr-2 text-gray-400" />
+            ) : (
+              <MapPin className="w-5 h-5 mr-2 text-gray-400" />
+            )}
+            {venue.isVirtual ? 'Online event' : venue.name}
+          </span>
+        </div>
+        {event.status === 'postponed' && event.postponement && (
+          <div className="mt-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-sm">
+            <p className="font-medium text-yellow-800 flex items-center">
+              <CalendarClock className="w-4 h-4 mr-2" />
+              Postponed from {format(new Date(event.postponement.previousDate), 'MMM dd, yyyy')}
+              {event.postponement.previousStartTime && ` at ${event.postponement.previousStartTime}`}
+            </p>
+            {event.postponement.reason && <p className="text-yellow-700 mt-1">{event.postponement.reason}</p>}
+            <p className="text-yellow-700 mt-1">Registration stays open for the new date.</p>
+          </div>
+        )}
+        {event.status === 'cancelled' && event.cancellation?.reason && (
+          <div className="mt-6 p-4 bg-red-50 border border-red-200 rounded-lg text-sm">
+            <p className="font-medium text-red-800 flex items-center">
+              <XCircle className="w-4 h-4 mr-2" />
+              This event has been cancelled
+            </p>
+            <p className="text-red-700 mt-1">{event.cancellation.reason}</p>
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        {/* Main Content */}
+        <div className="lg:col-span-2 space-y-8">
+          {/* Description */}
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+            <h3 className="text-xl font-semibold text-gray-900 mb-4">About this event</h3>
+            <p className="text-gray-700 leading-relaxed whitespace-pre-line">{event.description}</p>
+            {event.tags && event.tags.length > 0 && (
+              <div className="flex flex-wrap gap-2 mt-4">
+                {event.tags.map((tag, index) => (
+                  <span key={index} className="px-2 py-1 bg-gray-100 text-gray-700 rounded-md text-xs">
+                    #{tag}
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Agenda */}
+          {event.agenda && event.agenda.length > 0 && (
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <h3 className="text-xl font-semibold text-gray-900 mb-4">Agenda</h3>
+              <ol className="relative border-l-2 border-blue-100 ml-2">
+                {event.agenda.map(item => (
+                  <li key={item._id} className="ml-6 mb-6 last:mb-0">
+                    <span className="absolute -left-2 w-4 h-4 bg-blue-500 rounded-full border-2 border-white" />
+                    <div className="flex flex-wrap items-center gap-2 text-sm text-gray-500 mb-1">
+                      {item.time && <span className="font-medium text-blue-600">{item.time}</span>}
+                      {item.duration && <span>{item.duration} min</span>}
+                    </div>
+                    <h4 className="font-semibold text-gray-900">{item.title}</h4>
+                    {item.description && <p className="text-gray-700 text-sm mt-1">{item.description}</p>}
+                    {item.speaker?.name && (
+                      <p className="text-sm text-gray-500 mt-1">
+                        with {item.speaker.name}{item.speaker.title && `, ${item.speaker.title}`}
+                      </p>
+                    )}
+                  </li>
+                ))}
+              </ol>
+            </div>
+          )}
+
+          {/* Speakers */}
+          {event.speakers && event.speakers.length > 0 && (
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <h3 className="text-xl font-semibold text-gray-900 mb-4">Speakers</h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {event.speakers.map(speaker => (
+                  <div key={speaker._id} className="flex items-start space-x-4 p-4 border border-gray-200 rounded-lg">
+                    {speaker.image ? (
+                      <img src={speaker.image} alt={speaker.name} className="w-14 h-14 rounded-full object-cover flex-shrink-0" />
+                    ) : (
+                      <div className="w-14 h-14 bg-blue-500 rounded-full flex items-center justify-center text-white text-lg font-semibold flex-shrink-0">
+                        {speaker.name.charAt(0).toUpperCase()}
+                      </div>
+                    )}
+                    <div className="flex-1 min-w-0">
+                      <h4 className="font-semibold text-gray-900">{speaker.name}</h4>
+                      {(speaker.title || speaker.organization) && (
+                        <p className="text-sm text-gray-600">
+                          {[speaker.title, speaker.organization].filter(Boolean).join(', ')}
+                        </p>
+                      )}
+                      {speaker.bio && <p className="text-sm text-gray-700 mt-2">{speaker.bio}</p>}
+                      {speaker.topics && speaker.topics.length > 0 && (
+                        <div className="flex flex-wrap gap-1 mt-2">
+                          {speaker.topics.map((topic, index) => (
+                            <span key={index} className="px-2 py-0.5 bg-blue-50 text-blue-700 rounded text-xs">
+                              {topic}
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                      <div className="flex items-center space-x-3 mt-2">
+                        {speaker.socialLinks?.linkedin && (
+                          <a href={speaker.socialLinks.linkedin} target="_blank" rel="noopener noreferrer" className="text-gray-400 hover:text-blue-600">
+                            <Linkedin className="w-4 h-4" />
+                          </a>
+                        )}
+                        {speaker.socialLinks?.twitter && (
+                          <a href={speaker.socialLinks.twitter} target="_blank" rel="noopener noreferrer" className="text-gray-400 hover:text-blue-600">
+                            <Twitter className="w-4 h-4" />
+                          </a>
+                        )}
+                        {speaker.socialLinks?.website && (
+                          <a href={speaker.socialLinks.website} target="_blank" rel="noopener noreferrer" className="text-gray-400 hover:text-blue-600">
+                            <Globe className="w-4 h-4" />
+                          </a>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Prizes */}
+          {event.prizes && (event.prizes.description || event.prizes.details?.length > 0) && (
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <h3 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
+                <Trophy className="w-5 h-5 mr-2 text-yellow-500" />
+                Prizes
+              </h3>
+              {event.prizes.description && <p className="text-gray-700 mb-4">{event.prizes.description}</p>}
+              {event.prizes.details?.length > 0 && (
+                <div className="space-y-2">
+                  {event.prizes.details.map(detail => (
+                    <div key={detail._id} className="flex items-center justify-between p-3 bg-yellow-50 rounded-lg">
+                      <span className="font-medium text-gray-900">{detail.position}</span>
+                      <span className="text-gray-700">
+                        {detail.prize}
+                        {detail.value ? ` (${event.registrationFee?.currency || 'INR'} ${detail.value})` : ''}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+              {event.prizes.criteria && <p className="text-sm text-gray-500 mt-4">Judging: {event.prizes.criteria}</p>}
+            </div>
+          )}
+
+          {/* Sponsors */}
+          {sponsorTiers.length > 0 && (
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <h3 className="text-xl font-semibold text-gray-900 mb-4">Sponsors</h3>
+              <div className="space-y-6">
+                {sponsorTiers.map(tier => (
+                  <div key={tier.level}>
+                    <h4 className="text-sm font-semibold text-gray-500 uppercase tracking-wide mb-3">
+                      {tier.level === 'partner' ? 'Partners' : `${tier.level} sponsors`}
+                    </h4>
+                    <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+                      {tier.sponsors.map(sponsor => {
+                        const content = (
+                          <>
+                            {sponsor.logo ? (
+                              <img src={sponsor.logo} alt={sponsor.name} className="h-12 object-contain mx-auto mb-2" />
+                            ) : (
+                              <Award className="w-10 h-10 text-gray-300 mx-auto mb-2" />
+                            )}
+                            <p className="font-medium text-gray-900 text-sm">{sponsor.name}</p>
+                            {sponsor.contribution && <p className="text-xs text-gray-500 mt-1">{sponsor.contribution}</p>}
+                          </>
+                        );
+                        return sponsor.website ? (
+                          <a
+                            key={sponsor._id}
+                            href={sponsor.website}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="p-4 border border-gray-200 rounded-lg text-center hover:border-blue-300"
+                          >
+                            {content}
+                          </a>
+                        ) : (
+                          <div key={sponsor._id} className="p-4 border border-gray-200 rounded-lg text-center">
+                            {content}
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Requirements */}
+          {(requirements.eligibility || requirementLists.length > 0) && (
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <h3 className="text-xl font-semibold text-gray-900 mb-4">Requirements</h3>
+              {requirements.eligibility && (
+                <p className="text-gray-700 mb-4">
+                  <span className="font-medium">Eligibility:</span> {requirements.eligibility}
+                </p>
+              )}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {requirementLists.map(list => (
+                  <div key={list.label}>
+                    <h4 className="font-medium text-gray-900 mb-2">{list.label}</h4>
+                    <ul className="list-disc list-inside text-sm text-gray-700 space-y-1">
+                      {list.items.map((item, index) => (
+                        <li key={index}>{item}</li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Resources */}
+          {event.resources && event.resources.length > 0 && (
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <h3 className="text-xl font-semibold text-gray-900 mb-4">Resources</h3>
+              <div className="space-y-2">
+                {event.resources.map(resource => (
+                  <a
+                    key={resource._id}
+                    href={resource.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="flex items-center justify-between p-3 border border-gray-200 rounded-lg hover:border-blue-300"
+                  >
+                    <div className="flex items-center space-x-3">
+                      <FileText className="w-5 h-5 text-gray-400" />
+                      <div>
+                        <p className="font-medium text-gray-900">{resource.title}</p>
+                        {resource.description && <p className="text-sm text-gray-500">{resource.description}</p>}
+                      </div>
+                    </div>
+                    <ExternalLink className="w-4 h-4 text-gray-400" />
+                  </a>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Sidebar */}
+        <div className="space-y-6">
+          {/* Registration */}
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Registration</h3>
+            <div className="space-y-3 text-sm mb-6">
+              <div className="flex items-center justify-between">
+                <span className="text-gray-600 flex items-center">
+                  <CreditCard className="w-4 h-4 mr-2" />
+                  Fee
+                </span>
+                <span className="font-medium text-gray-900">
+                  {fee > 0 ? `${event.registrationFee.currency} ${fee}` : 'Free'}
+                </span>
+              </div>
+              <div className="flex items-center justify-between">
+                <span className="text-gray-600 flex items-center">
+                  <Users className="w-4 h-4 mr-2" />
+                  Spots
+                </span>
+                <span className="font-medium text-gray-900">
+                  {event.maxParticipants
+                    ? `${event.availableSpots} of ${event.maxParticipants} left`
+                    : `${activeRegistrations} registered`}
+                </span>
+              </div>
+              {event.registrationDeadline && (
+                <div className="flex items-center justify-between">
+                  <span className="text-gray-600 flex items-center">
+                    <Clock className="w-4 h-4 mr-2" />
+                    Closes
+                  </span>
+                  <span className="font-medium text-gray-900">
+                    {format(new Date(event.registrationDeadline), 'MMM dd, yyyy h:mm a')}
+                  </span>
+                </div>
+              )}
+            </div>
+
+            {viewer?.registration && (
+              <div className="p-4 bg-green-50 border border-green-200 rounded-lg mb-4 text-sm">
+                <p className="font-medium text-green-800 flex items-center capitalize">
+                  <CheckCircle className="w-4 h-4 mr-2" />
+                  {viewer.registration.status}
+                </p>
+                <p className="text-green-700 mt-1">
+                  Since {format(new Date(viewer.registration.registrationDate), 'MMM dd, yyyy')}
+                </p>
+                {fee > 0 && (
+                  <p className="mt-1">
+                    Payment:{' '}
+                    <span className={`font-medium capitalize ${getPaymentColor(viewer.registration.paymentStatus)}`}>
+                      {viewer.registration.paymentStatus}
+                    </span>
+                  </p>
+                )}
+                {viewer.registration.refundStatus && (
+                  <p className="mt-1">
+                    Refund: <span className="font-medium capitalize text-blue-700">{viewer.registration.refundStatus}</span>
+                  </p>
+                )}
+                {viewer.registration.postponementResponse === 'confirmed' && (
+                  <p className="text-green-700 mt-1">Seat confirmed for the new date</p>
+                )}
+              </div>
+            )}
+
+            {viewer?.registration?.postponementResponse === 'pending' && (
+              <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg mb-4 text-sm">
+                <p className="font-medium text-yellow-800 flex items-center">
+                  <CalendarClock className="w-4 h-4 mr-2" />
+                  Can you still make it?
+                </p>
+                <p className="text-yellow-700 mt-1">
+                  This event moved to {format(new Date(event.eventDate), 'MMM dd, yyyy')} at {event.startTime}.
+                  Confirm your seat, or release it for someone on the waitlist.
+                </p>
+                <div className="flex space-x-2 mt-3">
+                  <button
+                    onClick={() => handlePostponementResponse('confirmed')}
+                    disabled={actionLoading}
+                    className="flex-1 py-2 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    Confirm Seat
+                  </button>
+                  <button
+                    onClick={() => handlePostponementResponse('released')}
+                    disabled={actionLoading}
+                    className="flex-1 py-2 border border-red-300 text-red-700 rounded-lg font-medium hover:bg-red-50 disabled:opacity-50"
+                  >
+                    Release Seat
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {viewer?.waitlistPosition && (
+              <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg mb-4 text-sm">
+                <p className="font-medium text-yellow-800 flex items-center">
+                  <AlertCircle className="w-4 h-4 mr-2" />
+                  On the waitlist &middot; position {viewer.waitlistPosition}
+                </p>
+                <p className="text-yellow-700 mt-1">We'll let you know if a spot opens up.</p>
+              </div>
+            )}
+
+            {isSeriesRegistration && (
+              <p className="text-xs text-gray-500 mb-3">
+                This is a recurring series. Registering signs you up for this and every later session.
+              </p>
+            )}
+
+            {renderRegistrationAction()}
+
+            {fee > 0 && event.registrationFee.refundPolicy && (
+              <p className="text-xs text-gray-500 mt-4">Refunds: {event.registrationFee.refundPolicy}</p>
+            )}
+          </div>
+
+          {/* Venue */}
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">
+              {venue.isVirtual ? 'Joining online' : 'Venue'}
+            </h3>
+            {venue.isVirtual ? (
+              canSeeVirtualLink && venue.virtualLink ? (
+                <a
+                  href={venue.virtualLink}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="flex items-center text-blue-600 hover:text-blue-700 font-medium break-all"
+                >
+                  <Globe className="w-4 h-4 mr-2 flex-shrink-0" />
+                  {venue.virtualLink}
+                </a>
+              ) : (
+                <p className="text-sm text-gray-500">The meeting link is shared with registered participants.</p>
+              )
+            ) : (
+              <div className="space-y-1 text-sm text-gray-700">
+                <p className="font-medium text-gray-900">{venue.name}</p>
+                {(venue.room || venue.building) && (
+                  <p>{[venue.room, venue.building].filter(Boolean).join(', ')}</p>
+                )}
+                {venue.address && <p>{venue.address}</p>}
+                {venue.campus && <p>{venue.campus}</p>}
+                {venue.coordinates?.latitude != null && venue.coordinates?.longitude != null && (
+                  <a
+                    href={getMapUrl(venue.coordinates)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="inline-flex items-center text-blue-600 hover:text-blue-700 font-medium pt-2"
+                  >
+                    <MapPin className="w-4 h-4 mr-1" />
+                    Open in map
+                  </a>
+                )}
+              </div>
+            )}
+            {venue.accessInstructions && (
+              <p className="text-sm text-gray-500 mt-4">{venue.accessInstructions}</p>
+            )}
+          </div>
+
+          {/* Series */}
+          {series && (
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-1 flex items-center">
+                <Repeat className="w-5 h-5 mr-2 text-blue-600" />
+                Recurring Series
+              </h3>
+              {series.recurringPattern?.frequency && (
+                <p className="text-sm text-gray-500 mb-4">{getSeriesLabel(series.recurringPattern)}</p>
+              )}
+              <ul className="space-y-1 max-h-64 overflow-y-auto">
+                {series.occurrences.map(occurrence => (
+                  <li key={occurrence._id}>
+                    <Link
+                      to={`/events/${occurrence._id}`}
+                      className={`flex items-center justify-between px-3 py-2 rounded-lg text-sm ${
+                        occurrence._id === event._id ? 'bg-blue-50 text-blue-700 font-medium' : 'text-gray-700 hover:bg-gray-50'
+                      }`}
+                    >
+                      <span className={occurrence.status === 'cancelled' ? 'line-through text-gray-400' : ''}>
+                        {format(new Date(occurrence.eventDate), 'EEE, MMM dd')} &middot; {occurrence.startTime}
+                      </span>
+                      {occurrence.status !== 'published' && occurrence.status !== 'upcoming' && (
+                        <span className={`px-2 py-0.5 rounded-full text-xs capitalize ${getStatusColor(occurrence.status)}`}>
+                          {occurrence.status}
+                        </span>
+                      )}
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* Organizer Panel */}
+          {viewer?.canManage && (
+            <div className="bg-white rounded-xl shadow-sm border border-blue-200 p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+                <Settings className="w-5 h-5 mr-2 text-blue-600" />
+                Manage Event
+              </h3>
+
+              {/* Stats */}
+              <div className="grid grid-cols-2 gap-3 mb-6">
+                <div className="p-3 bg-gray-50 rounded-lg text-center">
+                  <p className="text-2xl font-bold text-gray-900">{activeRegistrations}</p>
+                  <p className="text-xs text-gray-500">Registered</p>
+                </div>
+                <div className="p-3 bg-gray-50 rounded-lg text-center">
+                  <p className="text-2xl font-bold text-gray-900">{event.waitlist.length}</p>
+                  <p className="text-xs text-gray-500">Waitlisted</p>
+                </div>
+                <div className="p-3 bg-gray-50 rounded-lg text-center">
+                  <p className="text-2xl font-bold text-gray-900">{event.attendedParticipants.length}</p>
+                  <p className="text-xs text-gray-500">Attended</p>
+                </div>
+                <div className="p-3 bg-gray-50 rounded-lg text-center">
+                  <p className="text-2xl font-bold text-gray-900 flex items-center justify-center">
+                    <Eye className="w-4 h-4 mr-1 text-gray-400" />
+                    {event.statistics?.views || 0}
+                  </p>
+                  <p className="text-xs text-gray-500">Views</p>
+                </div>
+              </div>
+
+              {/* Status */}
+              <div className="mb-6">
+                <label className="block text-sm font-medium text-gray-700 mb-2">Status</label>
+                <div className="flex space-x-2">
+                  <select
+                    value={newStatus}
+                    onChange={(e) => setNewStatus(e.target.value)}
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 capitalize"
+                  >
+                    {EVENT_STATUSES
+                      .filter(status => status === event.status || viewer.allowedStatuses?.includes(status))
+                      .map(status => (
+                        <option key={status} value={status}>{status}</option>
+                      ))}
+                  </select>
+                  <button
+                    onClick={handleStatusUpdate}
+                    disabled={updatingStatus || newStatus === event.status}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    {updatingStatus ? <InlineSpinner size="small" /> : 'Update'}
+                  </button>
+                </div>
+              </div>
+
+              {/* Cancel */}
+              {event.status !== 'cancelled' && event.status !== 'completed' && (
+                <div className="mb-6">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Cancel</label>
+                  <div className="flex space-x-2">
+                    {series && (
+                      <select
+                        value={cancelScope}
+                        onChange={(e) => setCancelScope(e.target.value)}
+                        className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      >
+                        <option value="this">This session</option>
+                        <option value="following">This and following</option>
+                        <option value="all">All sessions</option>
+                      </select>
+                    )}
+                    <button
+                      onClick={handleCancelEvent}
+                      disabled={cancelling}
+                      className="flex-1 flex items-center justify-center px-3 py-2 border border-red-300 text-red-700 rounded-lg text-sm hover:bg-red-50 disabled:opacity-50"
+                    >
+                      {cancelling ? <InlineSpinner size="small" /> : <XCircle className="w-4 h-4 mr-2" />}
+                      {series ? 'Cancel' : 'Cancel Event'}
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {/* Postpone */}
+              {['published', 'upcoming', 'postponed'].includes(event.status) && (
+                <div className="mb-6">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Postpone</label>
+                  {showPostponeForm ? (
+                    <form onSubmit={handlePostponeEvent} className="space-y-2">
+                      <input
+                        type="date"
+                        name="eventDate"
+                        value={postponeForm.eventDate}
+                        onChange={handlePostponeChange}
+                        required
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      />
+                      <div className="flex space-x-2">
+                        <input
+                          type="time"
+                          name="startTime"
+                          value={postponeForm.startTime}
+                          onChange={handlePostponeChange}
+                          title="New start time (optional)"
+                          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        />
+                        <input
+                          type="time"
+                          name="endTime"
+                          value={postponeForm.endTime}
+                          onChange={handlePostponeChange}
+                          title="New end time (optional)"
+                          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        />
+                      </div>
+                      <textarea
+                        name="reason"
+                        value={postponeForm.reason}
+                        onChange={handlePostponeChange}
+                        required
+                        minLength={10}
+                        maxLength={500}
+                        rows={2}
+                        placeholder="Why is it being postponed? Participants will see this."
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      />
+                      <div className="flex space-x-2">
+                        <button
+                          type="submit"
+                          disabled={postponing}
+                          className="flex-1 flex items-center justify-center px-3 py-2 bg-yellow-500 text-white rounded-lg text-sm font-medium hover:bg-yellow-600 disabled:opacity-50"
+                        >
+                          {postponing && <span className="mr-2"><InlineSpinner size="small" /></span>}
+                          Postpone
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setShowPostponeForm(false)}
+                          className="px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </form>
+                  ) : (
+                    <button
+                      onClick={() => setShowPostponeForm(true)}
+                      className="w-full flex items-center justify-center px-3 py-2 border border-yellow-300 text-yellow-700 rounded-lg text-sm hover:bg-yellow-50"
+                    >
+                      <CalendarClock className="w-4 h-4 mr-2" />
+                      Move to a later date
+                    </button>
+                  )}
+                </div>
+              )}
+
+              {/* Banner */}
+              <div className="mb-6">
+                <label className="block text-sm font-medium text-gray-700 mb-2">Banner</label>
+                <div className="flex space-x-2">
+                  <label className="flex-1 flex items-center justify-center px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 cursor-pointer">
+                    {bannerUploading ? (
+                      <span className="mr-2"><InlineSpinner size="small" /></span>
+                    ) : (
+                      <Camera className="w-4 h-4 mr-2" />
+                    )}
+                    {event.images?.banner ? 'Replace' : 'Upload'}
+                    <input
+                      type="file"
+                      accept="image/jpeg,image/png,image/gif,image/webp"
+                      onChange={handleBannerUpload}
+                      disabled={bannerUploading}
+                      className="hidden"
+                    />
+                  </label>
+                  {event.images?.banner && (
+                    <button
+                      onClick={handleBannerRemove}
+                      disabled={bannerUploading}
+                      className="px-3 py-2 border border-red-300 text-red-700 rounded-lg hover:bg-red-50 disabled:opacity-50"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {/* Reminders */}
+              <div className="mb-6">
+                <h4 className="text-sm font-medium text-gray-700 mb-2 flex items-center">
+                  <Bell className="w-4 h-4 mr-2" />
+                  Reminders
+                </h4>
+                {reminders.length === 0 ? (
+                  <p className="text-sm text-gray-500">No reminders scheduled</p>
+                ) : (
+                  <ul className="space-y-2">
+                    {reminders.map(reminder => (
+                      <li key={reminder._id} className="flex items-center justify-between text-sm">
+                        <div>
+                          <p className="text-gray-900">{reminder.payload?.offset} before</p>
+                          <p className="text-xs text-gray-500">
+                            {format(new Date(reminder.runAt), 'MMM dd, h:mm a')}
+                            {reminder.cancelledBy && ` · cancelled by ${reminder.cancelledBy.name}`}
+                          </p>
+                        </div>
+                        <div className="flex items-center space-x-2">
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${getReminderColor(reminder.status)}`}>
+                            {reminder.status}
+                          </span>
+                          {reminder.status === 'pending' && (
+                            <button
+                              onClick={() => handleCancelReminder(reminder._id)}
+                              className="p-1 text-gray-400 hover:text-red-600"
+                              title="Cancel reminder"
+                            >
+                              <X className="w-4 h-4" />
+                            </button>
+                          )}
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+
+              {/* Status History */}
+              <div className="mb-6">
+                <h4 className="text-sm font-medium text-gray-700 mb-2 flex items-center">
+                  <History className="w-4 h-4 mr-2" />
+                  Status History
+                </h4>
+                {!event.statusHistory || event.statusHistory.length === 0 ? (
+                  <p className="text-sm text-gray-500">No status changes yet</p>
+                ) : (
+                  <ul className="space-y-2 max-h-48 overflow-y-auto">
+                    {[...event.statusHistory].reverse().map(entry => (
+                      <li key={entry._id} className="text-sm">
+                        <p className="text-gray-900 capitalize">
+                          {entry.from ? `${entry.from} → ${entry.to}` : entry.to}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {format(new Date(entry.changedAt), 'MMM dd, h:mm a')}
+                          {' · '}
+                          {entry.automatic ? 'Automatic' : entry.changedBy?.name || 'Unknown'}
+                        </p>
+                        {entry.reason && <p className="text-xs text-gray-600 mt-0.5">{entry.reason}</p>}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+
+              {/* Participants */}
+              <div>
+                <h4 className="text-sm font-medium text-gray-700 mb-2 flex items-center">
+                  <Users className="w-4 h-4 mr-2" />
+                  Participants
+                </h4>
+                {!participants ? (
+                  <InlineSpinner size="small" />
+                ) : participants.registered.length === 0 && participants.waitlist.length === 0 ? (
+                  <p className="text-sm text-gray-500">No one has registered yet</p>
+                ) : (
+                  <ul className="space-y-2 max-h-72 overflow-y-auto">
+                    {participants.registered.map(participant => (
+                      <li key={participant._id} className="flex items-center justify-between text-sm">
+                        <div className="min-w-0">
+                          <p className="text-gray-900 truncate">{participant.user?.name}</p>
+                          <p className="text-xs text-gray-500 truncate">{participant.user?.email}</p>
+                        </div>
+                        <div className="text-right flex-shrink-0 ml-2">
+                          <p className="text-xs capitalize text-gray-700">{participant.status}</p>
+                          {fee > 0 && (
+                            <p className={`text-xs capitalize ${getPaymentColor(participant.paymentStatus)}`}>
+                              {participant.paymentStatus}
+                            </p>
+                          )}
+                          {participant.refundStatus && (
+                            <p className="text-xs capitalize text-blue-700">refund {participant.refundStatus}</p>
+                          )}
+                          {participant.postponementResponse && participant.status === 'registered' && (
+                            <p className="text-xs capitalize text-yellow-700">
+                              {participant.postponementResponse === 'pending' ? 'awaiting reply' : participant.postponementResponse}
+                            </p>
+                          )}
+                        </div>
+                      </li>
+                    ))}
+                    {participants.waitlist.map(entry => (
+                      <li key={entry._id} className="flex items-center justify-between text-sm">
+                        <div className="min-w-0">
+                          <p className="text-gray-900 truncate">{entry.user?.name}</p>
+                          <p className="text-xs text-gray-500 truncate">{entry.user?.email}</p>
+                        </div>
+                        <span className="text-xs text-yellow-700 flex-shrink-0 ml-2">Waitlist #{entry.position}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
     </div>
   );
 };
@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams, useNavigate, useLocation } from 'react-router-dom';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import { Users, XCircle, GraduationCap, Clock } from 'lucide-react';
+import { format } from 'date-fns';
+import { useAuth } from '../../context/AuthContext';
+import { InlineSpinner } from '../../components/Common/LoadingSpinner';
+
+const InvitationResponse = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { isAuthenticated, user } = useAuth();
+  const [invitation, setInvitation] = useState(null);
+  const [hasAccount, setHasAccount] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [responding, setResponding] = useState(false);
+  const [declined, setDeclined] = useState(false);
+
+  useEffect(() => {
+    const fetchInvitation = async () => {
+      try {
+        const response = await axios.get(`/api/invitations/${token}`);
+        setInvitation(response.data.data.invitation);
+        setHasAccount(response.data.data.hasAccount);
+      } catch (err) {
+        setError(err.response?.data?.message || 'This invitation link is not valid');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchInvitation();
+  }, [token]);
+
+  const handleAccept = async () => {
+    setResponding(true);
+    try {
+      const response = await axios.post(`/api/invitations/${token}/accept`);
+      toast.success(response.data.message);
+      navigate(`/clubs/${response.data.data.clubId}`, { replace: true });
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to accept invitation');
+      setResponding(false);
+    }
+  };
+
+  const handleDecline = async () => {
+    setResponding(true);
+    try {
+      await axios.post(`/api/invitations/${token}/decline`);
+      setDeclined(true);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to decline invitation');
+    } finally {
+      setResponding(false);
+    }
+  };
+
+  const isOpen = invitation?.status === 'pending';
+  const isWrongAccount = isAuthenticated && invitation && user?.email?.toLowerCase() !== invitation.email;
+  // Login and Register send the user back here, with the invited email prefilled
+  const authState = { from: location, email: invitation?.email };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 flex items-center justify-center px-4 py-8">
+      <div className="max-w-md w-full">
+        <div className="text-center mb-8">
+          <div className="flex items-center justify-center mb-4">
+            <div className="p-3 bg-blue-600 rounded-xl">
+              <GraduationCap className="w-8 h-8 text-white" />
+            </div>
+          </div>
+          <h2 className="text-3xl font-bold text-gray-900 mb-2">
+            Club Invitation
+          </h2>
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-lg border border-gray-100 p-8 text-center">
+          {loading && (
+            <div className="flex flex-col items-center">
+              <InlineSpinner size="default" color="blue" />
+              <p className="text-gray-600 mt-4">Loading invitation...</p>
+            </div>
+          )}
+
+          {!loading && error && (
+            <>
+              <XCircle className="w-16 h-16 text-red-500 mx-auto mb-4" />
+              <h3 className="text-xl font-semibold text-gray-900 mb-2">Invitation not found</h3>
+              <p className="text-gray-600 mb-6">{error}</p>
+              <Link
+                to={isAuthenticated ? '/dashboard' : '/login'}
+                className="inline-block px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium"
+              >
+                {isAuthenticated ? 'Go to Dashboard' : 'Sign in'}
+              </Link>
+            </>
+          )}
+
+          {!loading && invitation && (
+            <>
+              <Users className="w-16 h-16 text-blue-600 mx-auto mb-4" />
+              <h3 className="text-xl font-semibold text-gray-900 mb-2">{invitation.club.name}</h3>
+              <p className="text-gray-600 mb-4">
+                {invitation.invitedBy?.name || 'A club member'} invited {invitation.email} to join this club.
+              </p>
+              {invitation.message && (
+                <p className="text-gray-700 text-sm italic mb-4">"{invitation.message}"</p>
+              )}
+
+              {declined ? (
+                <p className="text-gray-600">Invitation declined. No further action is needed.</p>
+              ) : !isOpen ? (
+                <p className="text-gray-600">This invitation is {invitation.status} and can no longer be answered.</p>
+              ) : (
+                <>
+                  <p className="text-xs text-gray-400 mb-6 flex items-center justify-center">
+                    <Clock className="w-3 h-3 mr-1" />
+                    Expires {format(new Date(invitation.expiresAt), 'MMM dd, yyyy')}
+                  </p>
+
+                  {!isAuthenticated ? (
+                    <div className="space-y-3">
+                      <Link
+                        to={hasAccount ? '/login' : '/register'}
+                        state={authState}
+                        className="block w-full px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium"
+                      >
+                        {hasAccount ? 'Sign in to accept' : 'Create an account to accept'}
+                      </Link>
+                      <button
+                        onClick={handleDecline}
+                        disabled={responding}
+                        className="block w-full px-6 py-3 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 transition-colors font-medium"
+                      >
+                        Decline
+                      </button>
+                    </div>
+                  ) : isWrongAccount ? (
+                    <p className="text-sm text-gray-500">
+                      This invitation was sent to {invitation.email}, but you are signed in as {user.email}.
+                      Sign in with the invited account to accept it.
+                    </p>
+                  ) : (
+                    <div className="flex space-x-3">
+                      <button
+                        onClick={handleAccept}
+                        disabled={responding}
+                        className="flex-1 inline-flex items-center justify-center px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors font-medium"
+                      >
+                        {responding && <InlineSpinner />}
+                        <span className={responding ? 'ml-2' : ''}>Accept</span>
+                      </button>
+                      <button
+                        onClick={handleDecline}
+                        disabled={responding}
+                        className="flex-1 px-6 py-3 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 transition-colors font-medium"
+                      >
+                        Decline
+                      </button>
+                    </div>
+                  )}
+                </>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InvitationResponse;
\ No newline at end of file
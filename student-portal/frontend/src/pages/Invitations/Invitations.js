@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import { Mail, Check, X, Users, Clock } from 'lucide-react';
+import { format, formatDistanceToNow } from 'date-fns';
+import { CardSkeleton } from '../../components/Common/LoadingSpinner';
+
+const Invitations = () => {
+  const navigate = useNavigate();
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [respondingId, setRespondingId] = useState(null);
+
+  useEffect(() => {
+    fetchInvitations();
+  }, []);
+
+  const fetchInvitations = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/invitations');
+      setInvitations(response.data.data.invitations);
+    } catch (error) {
+      console.error('Error fetching invitations:', error);
+      toast.error('Failed to load invitations');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRespond = async (invitation, decision) => {
+    setRespondingId(invitation.id);
+    try {
+      const response = await axios.post(`/api/invitations/mine/${invitation.id}/${decision}`);
+      toast.success(response.data.message);
+      setInvitations(prev => prev.filter(i => i.id !== invitation.id));
+      if (decision === 'accept') {
+        navigate(`/clubs/${response.data.data.clubId}`);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to respond to invitation');
+      fetchInvitations();
+    } finally {
+      setRespondingId(null);
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2 flex items-center">
+          <Mail className="w-8 h-8 mr-3 text-blue-600" />
+          Club Invitations
+        </h1>
+        <p className="text-gray-600">
+          {invitations.length > 0
+            ? `You have ${invitations.length} open invitation${invitations.length > 1 ? 's' : ''}`
+            : 'Invitations to join clubs will show up here'}
+        </p>
+      </div>
+
+      {/* List */}
+      {loading ? (
+        <div className="space-y-4">
+          {[1, 2].map(i => (
+            <CardSkeleton key={i} />
+          ))}
+        </div>
+      ) : invitations.length === 0 ? (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 text-center py-16">
+          <Mail className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+          <p className="text-gray-500 font-medium">No open invitations</p>
+          <p className="text-gray-400 text-sm mt-1">
+            <Link to="/clubs" className="text-blue-600 hover:text-blue-700">Browse clubs</Link> to find one to join
+          </p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 divide-y divide-gray-100">
+          {invitations.map(invitation => (
+            <div key={invitation.id} className="flex items-start p-4 space-x-4">
+              <div className="p-2 rounded-lg text-indigo-600 bg-indigo-100">
+                <Users className="w-5 h-5" />
+              </div>
+              <div className="flex-1 min-w-0">
+                <Link
+                  to={`/clubs/${invitation.club._id}`}
+                  className="text-sm font-medium text-gray-900 hover:text-blue-600"
+                >
+                  {invitation.club.name}
+                </Link>
+                <p className="text-sm text-gray-600 mt-1">
+                  Invited by {invitation.invitedBy?.name || 'a club member'}{' '}
+                  {formatDistanceToNow(new Date(invitation.createdAt), { addSuffix: true })}
+                </p>
+                {invitation.message && (
+                  <p className="text-sm text-gray-700 mt-2 italic">"{invitation.message}"</p>
+                )}
+                <p className="text-xs text-gray-400 mt-2 flex items-center">
+                  <Clock className="w-3 h-3 mr-1" />
+                  Expires {format(new Date(invitation.expiresAt), 'MMM dd, yyyy')}
+                </p>
+              </div>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => handleRespond(invitation, 'accept')}
+                  disabled={respondingId === invitation.id}
+                  className="flex items-center px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-medium disabled:opacity-50"
+                >
+                  <Check className="w-4 h-4 mr-1" />
+                  Accept
+                </button>
+                <button
+                  onClick={() => handleRespond(invitation, 'decline')}
+                  disabled={respondingId === invitation.id}
+                  title="Decline"
+                  className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Invitations;
\ No newline at end of file
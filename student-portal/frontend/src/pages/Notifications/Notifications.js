@@ -0,0 +1,266 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import {
+  Bell,
+  CheckCheck,
+  Trash2,
+  Calendar,
+  Users,
+  Megaphone,
+  Clock,
+  ChevronLeft,
+  ChevronRight
+} from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import { CardSkeleton } from '../../components/Common/LoadingSpinner';
+
+const Notifications = () => {
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [filter, setFilter] = useState('all');
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchNotifications();
+  }, [filter, page]);
+
+  const fetchNotifications = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/notifications', {
+        params: {
+          page,
+          limit: 20,
+          unreadOnly: filter === 'unread',
+        },
+      });
+
+      setNotifications(response.data.data.notifications);
+      setUnreadCount(response.data.data.unreadCount);
+      setPagination(response.data.data.pagination);
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+      toast.error('Failed to load notifications');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (newFilter) => {
+    setFilter(newFilter);
+    setPage(1);
+  };
+
+  const handleOpen = async (notification) => {
+    if (!notification.isRead) {
+      await handleMarkRead(notification);
+    }
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  const handleMarkRead = async (notification) => {
+    try {
+      await axios.put(`/api/notifications/${notification._id}/read`);
+      setNotifications(prev => prev.map(n =>
+        n._id === notification._id ? { ...n, isRead: true } : n
+      ));
+      setUnreadCount(prev => Math.max(0, prev - 1));
+    } catch (error) {
+      console.error('Error marking notification as read:', error);
+      toast.error('Failed to update notification');
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await axios.put('/api/notifications/read-all');
+      setUnreadCount(0);
+      if (filter === 'unread') {
+        setNotifications([]);
+      } else {
+        setNotifications(prev => prev.map(n => ({ ...n, isRead: true })));
+      }
+      toast.success('All notifications marked as read');
+    } catch (error) {
+      console.error('Error marking all notifications as read:', error);
+      toast.error('Failed to update notifications');
+    }
+  };
+
+  const handleDelete = async (notification) => {
+    try {
+      await axios.delete(`/api/notifications/${notification._id}`);
+      setNotifications(prev => prev.filter(n => n._id !== notification._id));
+      if (!notification.isRead) {
+        setUnreadCount(prev => Math.max(0, prev - 1));
+      }
+    } catch (error) {
+      console.error('Error deleting notification:', error);
+      toast.error('Failed to delete notification');
+    }
+  };
+
+  const getNotificationIcon = (type) => {
+    switch (type) {
+      case 'club_announcement':
+        return { icon: Megaphone, color: 'text-purple-600 bg-purple-100' };
+      case 'club_role_changed':
+      case 'club_join_request':
+      case 'club_join_request_reviewed':
+      case 'club_invitation':
+      case 'club_invitation_response':
+        return { icon: Users, color: 'text-indigo-600 bg-indigo-100' };
+      case 'event_status_changed':
+        return { icon: Clock, color: 'text-orange-600 bg-orange-100' };
+      case 'waitlist_promoted':
+        return { icon: Users, color: 'text-green-600 bg-green-100' };
+      case 'event_registration':
+      case 'event_waitlisted':
+      case 'event_new_registration':
+        return { icon: Calendar, color: 'text-blue-600 bg-blue-100' };
+      default:
+        return { icon: Bell, color: 'text-gray-600 bg-gray-100' };
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 py-8">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-8">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2 flex items-center">
+            <Bell className="w-8 h-8 mr-3 text-blue-600" />
+            Notifications
+          </h1>
+          <p className="text-gray-600">
+            {unreadCount > 0 ? `You have ${unreadCount} unread notification${unreadCount > 1 ? 's' : ''}` : 'You are all caught up'}
+          </p>
+        </div>
+        {unreadCount > 0 && (
+          <button
+            onClick={handleMarkAllRead}
+            className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium"
+          >
+            <CheckCheck className="w-4 h-4 mr-2" />
+            Mark all as read
+          </button>
+        )}
+      </div>
+
+      {/* Filters */}
+      <div className="flex space-x-2 mb-6">
+        {[
+          { value: 'all', label: 'All' },
+          { value: 'unread', label: 'Unread' },
+        ].map(option => (
+          <button
+            key={option.value}
+            onClick={() => handleFilterChange(option.value)}
+            className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+              filter === option.value
+                ? 'bg-blue-600 text-white'
+                : 'bg-white text-gray-700 border border-gray-200 hover:bg-gray-50'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {/* List */}
+      {loading ? (
+        <div className="space-y-4">
+          {[1, 2, 3].map(i => (
+            <CardSkeleton key={i} />
+          ))}
+        </div>
+      ) : notifications.length === 0 ? (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 text-center py-16">
+          <Bell className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+          <p className="text-gray-500 font-medium">No notifications</p>
+          <p className="text-gray-400 text-sm mt-1">
+            {filter === 'unread' ? 'You have read everything' : 'Activity from your clubs and events will show up here'}
+          </p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 divide-y divide-gray-100">
+          {notifications.map(notification => {
+            const { icon: Icon, color } = getNotificationIcon(notification.type);
+            return (
+              <div
+                key={notification._id}
+                className={`flex items-start p-4 space-x-4 ${notification.isRead ? '' : 'bg-blue-50'}`}
+              >
+                <div className={`p-2 rounded-lg ${color}`}>
+                  <Icon className="w-5 h-5" />
+                </div>
+                <div
+                  className="flex-1 min-w-0 cursor-pointer"
+                  onClick={() => handleOpen(notification)}
+                >
+                  <p className="text-sm font-medium text-gray-900">{notification.title}</p>
+                  <p className="text-sm text-gray-600 mt-1">{notification.message}</p>
+                  <p className="text-xs text-gray-400 mt-2">
+                    {formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-2">
+                  {!notification.isRead && (
+                    <button
+                      onClick={() => handleMarkRead(notification)}
+                      title="Mark as read"
+                      className="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-100 rounded-lg transition-colors"
+                    >
+                      <CheckCheck className="w-4 h-4" />
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleDelete(notification)}
+                    title="Delete"
+                    className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Pagination */}
+      {pagination && pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between mt-6">
+          <button
+            onClick={() => setPage(prev => prev - 1)}
+            disabled={!pagination.hasPrevPage}
+            className="flex items-center px-4 py-2 bg-white border border-gray-200 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <ChevronLeft className="w-4 h-4 mr-1" />
+            Previous
+          </button>
+          <span className="text-sm text-gray-500">
+            Page {pagination.currentPage} of {pagination.totalPages}
+          </span>
+          <button
+            onClick={() => setPage(prev => prev + 1)}
+            disabled={!pagination.hasNextPage}
+            className="flex items-center px-4 py-2 bg-white border border-gray-200 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Next
+            <ChevronRight className="w-4 h-4 ml-1" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Notifications;
\ No newline at end of file
@@ -1,5 +1,6 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import axios from 'axios';
+import { useLocation } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import { toast } from 'react-toastify';
 import { 
@@ -28,19 +29,30 @@ import {
   Shield,
   Bell,
   Lock,
-  Activity
+  Activity,
+  FileText,
+  Monitor,
+  Smartphone,
+  Tablet,
+  LogOut,
+  ShieldCheck,
+  KeyRound,
+  Copy
 } from 'lucide-react';
 import { format } from 'date-fns';
 import { InlineSpinner } from '../../components/Common/LoadingSpinner';
+import PasswordRequirements, { usePasswordPolicy, getPasswordPolicyError } from '../../components/Common/PasswordRequirements';
 
 const Profile = () => {
-  const { user, refreshUser } = useAuth();
+  const { user, refreshUser, updateToken, logoutAll } = useAuth();
+  const location = useLocation();
   const [profileData, setProfileData] = useState(null);
   const [isEditing, setIsEditing] = useState(false);
-  const [activeTab, setActiveTab] = useState('overview');
+  const [activeTab, setActiveTab] = useState(location.state?.tab || 'overview');
   const [loading, setLoading] = useState(true);
   const [updateLoading, setUpdateLoading] = useState(false);
   const [changePasswordLoading, setChangePasswordLoading] = useState(false);
+  const passwordPolicy = usePasswordPolicy();
 
   // Edit form state
   const [editForm, setEditForm] = useState({
@@ -92,6 +104,19 @@ const Profile = () => {
   });
 
   const [attendanceHistory, setAttendanceHistory] = useState([]);
+  const [digestPreview, setDigestPreview] = useState(null);
+  const [digestPreviewLoading, setDigestPreviewLoading] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const [sessionsLoading, setSessionsLoading] = useState(false);
+  const [revokingSessionId, setRevokingSessionId] = useState(null);
+  const [twoFactorStatus, setTwoFactorStatus] = useState(null);
+  const [twoFactorSetup, setTwoFactorSetup] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [twoFactorLoading, setTwoFactorLoading] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [disableTwoFactorForm, setDisableTwoFactorForm] = useState(null);
+  const [avatarUploading, setAvatarUploading] = useState(false);
+  const avatarInputRef = useRef(null);
 
   const tabs = [
     { id: 'overview', name: 'Overview', icon: User },
@@ -106,6 +131,13 @@ const Profile = () => {
     fetchAttendanceHistory();
   }, []);
 
+  useEffect(() => {
+    if (activeTab === 'security') {
+      fetchSessions();
+      fetchTwoFactorStatus();
+    }
+  }, [activeTab]);
+
   const fetchProfileData = async () => {
     try {
       const response = await axios.get('/api/auth/me');
@@ -232,6 +264,140 @@ const Profile = () => {
     }));
   };
 
+  const fetchSessions = async () => {
+    setSessionsLoading(true);
+    try {
+      const response = await axios.get('/api/auth/sessions');
+      setSessions(response.data.sessions);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      toast.error('Failed to load active sessions');
+    } finally {
+      setSessionsLoading(false);
+    }
+  };
+
+  const handleRevokeSession = async (sessionId) => {
+    setRevokingSessionId(sessionId);
+    try {
+      await axios.delete(`/api/auth/sessions/${sessionId}`);
+      setSessions(prev => prev.filter(session => session.id !== sessionId));
+      toast.success('Session signed out');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to sign out session');
+    } finally {
+      setRevokingSessionId(null);
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Log out of all devices, including this one?')) {
+      return;
+    }
+    await logoutAll();
+  };
+
+  const fetchTwoFactorStatus = async () => {
+    try {
+      const response = await axios.get('/api/auth/2fa');
+      setTwoFactorStatus(response.data);
+    } catch (error) {
+      console.error('Error fetching two-factor status:', error);
+    }
+  };
+
+  const handleStartTwoFactorSetup = async () => {
+    setTwoFactorLoading(true);
+    try {
+      const response = await axios.post('/api/auth/2fa/setup');
+      setTwoFactorSetup(response.data);
+      setTwoFactorCode('');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start two-factor setup');
+    } finally {
+      setTwoFactorLoading(false);
+    }
+  };
+
+  const handleEnableTwoFactor = async (e) => {
+    e.preventDefault();
+    setTwoFactorLoading(true);
+    try {
+      const response = await axios.post('/api/auth/2fa/enable', { code: twoFactorCode });
+      setRecoveryCodes(response.data.recoveryCodes);
+      setTwoFactorSetup(null);
+      setTwoFactorCode('');
+      toast.success('Two-factor authentication enabled!');
+      fetchTwoFactorStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to enable two-factor authentication');
+    } finally {
+      setTwoFactorLoading(false);
+    }
+  };
+
+  const handleDisableTwoFactor = async (e) => {
+    e.preventDefault();
+    setTwoFactorLoading(true);
+    try {
+      await axios.post('/api/auth/2fa/disable', disableTwoFactorForm);
+      setDisableTwoFactorForm(null);
+      setRecoveryCodes(null);
+      toast.success('Two-factor authentication disabled');
+      fetchTwoFactorStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to disable two-factor authentication');
+    } finally {
+      setTwoFactorLoading(false);
+    }
+  };
+
+  const handleRegenerateRecoveryCodes = async () => {
+    const code = window.prompt('Enter a code from your authenticator app to generate new recovery codes');
+    if (!code) {
+      return;
+    }
+
+    try {
+      const response = await axios.post('/api/auth/2fa/recovery-codes', { code });
+      setRecoveryCodes(response.data.recoveryCodes);
+      toast.success('New recovery codes generated');
+      fetchTwoFactorStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to generate recovery codes');
+    }
+  };
+
+  const handleCopyRecoveryCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+      toast.success('Recovery codes copied');
+    } catch (error) {
+      toast.error('Failed to copy recovery codes');
+    }
+  };
+
+  const getDeviceIcon = (deviceType) => {
+    switch (deviceType) {
+      case 'mobile': return Smartphone;
+      case 'tablet': return Tablet;
+      default: return Monitor;
+    }
+  };
+
+  const handlePreviewDigest = async () => {
+    setDigestPreviewLoading(true);
+    try {
+      const response = await axios.get(`/api/users/${user.id}/digest-preview`);
+      setDigestPreview(response.data.data);
+    } catch (error) {
+      console.error('Error loading digest preview:', error);
+      toast.error('Failed to load digest preview');
+    } finally {
+      setDigestPreviewLoading(false);
+    }
+  };
+
   const handleUpdateProfile = async (e) => {
     e.preventDefault();
     setUpdateLoading(true);
@@ -251,6 +417,43 @@ const Profile = () => {
     }
   };
 
+  const handleAvatarChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('image', file);
+
+    setAvatarUploading(true);
+    try {
+      const response = await axios.post(`/api/users/${user.id}/upload-avatar`, formData);
+      setProfileData(prev => ({ ...prev, profilePicture: response.data.data.profilePicture }));
+      toast.success('Profile picture updated');
+      await refreshUser();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to upload profile picture');
+    } finally {
+      setAvatarUploading(false);
+    }
+  };
+
+  const handleRemoveAvatar = async () => {
+    if (!window.confirm('Remove your profile picture?')) return;
+
+    setAvatarUploading(true);
+    try {
+      await axios.delete(`/api/users/${user.id}/avatar`);
+      setProfileData(prev => ({ ...prev, profilePicture: '' }));
+      toast.success('Profile picture removed');
+      await refreshUser();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove profile picture');
+    } finally {
+      setAvatarUploading(false);
+    }
+  };
+
   const handleChangePassword = async (e) => {
     e.preventDefault();
     
@@ -259,18 +462,22 @@ const Profile = () => {
       return;
     }
 
-    if (passwordForm.newPassword.length < 6) {
-      toast.error('Password must be at least 6 characters long');
+    const policyError = getPasswordPolicyError(passwordPolicy, passwordForm.newPassword);
+    if (policyError) {
+      toast.error(policyError);
       return;
     }
 
     setChangePasswordLoading(true);
     
     try {
-      await axios.put('/api/auth/change-password', {
+      const response = await axios.put('/api/auth/change-password', {
         currentPassword: passwordForm.currentPassword,
         newPassword: passwordForm.newPassword,
       });
+
+      // Other sessions are signed out; keep this one with the new token
+      updateToken(response.data.token);
       
       setPasswordForm({
         currentPassword: '',
@@ -278,7 +485,7 @@ const Profile = () => {
         confirmPassword: '',
       });
       
-      toast.success('Password changed successfully!');
+      toast.success(response.data.message || 'Password changed successfully!');
     } catch (error) {
       toast.error(error.response?.data?.message || 'Failed to change password');
     } finally {
@@ -352,13 +559,42 @@ const Profile = () => {
             <div className="text-center">
               {/* Profile Picture */}
               <div className="relative mb-4">
-                <div className={`w-20 h-20 ${getRoleColor(profileData.role)} rounded-full flex items-center justify-center text-white text-2xl font-bold mx-auto`}>
-                  {getInitials(profileData.name)}
-                </div>
-                <button className="absolute bottom-0 right-1/2 transform translate-x-6 bg-blue-600 text-white p-1.5 rounded-full hover:bg-blue-700 transition-colors">
-                  <Camera className="w-3 h-3" />
+                {profileData.profilePicture ? (
+                  <img
+                    src={profileData.profilePicture}
+                    alt={profileData.name}
+                    className="w-20 h-20 rounded-full object-cover mx-auto"
+                  />
+                ) : (
+                  <div className={`w-20 h-20 ${getRoleColor(profileData.role)} rounded-full flex items-center justify-center text-white text-2xl font-bold mx-auto`}>
+                    {getInitials(profileData.name)}
+                  </div>
+                )}
+                <button
+                  onClick={() => avatarInputRef.current?.click()}
+                  disabled={avatarUploading}
+                  title="Upload profile picture"
+                  className="absolute bottom-0 right-1/2 transform translate-x-6 bg-blue-600 text-white p-1.5 rounded-full hover:bg-blue-700 transition-colors disabled:opacity-50"
+                >
+                  {avatarUploading ? <InlineSpinner size="xs" /> : <Camera className="w-3 h-3" />}
                 </button>
+                <input
+                  ref={avatarInputRef}
+                  type="file"
+                  accept="image/jpeg,image/png,image/gif,image/webp"
+                  onChange={handleAvatarChange}
+                  className="hidden"
+                />
               </div>
+              {profileData.profilePicture && (
+                <button
+                  onClick={handleRemoveAvatar}
+                  disabled={avatarUploading}
+                  className="text-xs text-gray-500 hover:text-red-600 mb-3"
+                >
+                  Remove photo
+                </button>
+              )}
               
               <h3 className="text-xl font-semibold text-gray-900 mb-2">{profileData.name}</h3>
               <span className={`inline-block px-3 py-1 rounded-full text-sm font-medium ${getRoleBadgeColor(profileData.role)} mb-3 capitalize`}>
@@ -618,9 +854,9 @@ const Profile = () => {
               <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
                 <h2 className="text-xl font-semibold text-gray-900 mb-6">Joined Clubs</h2>
                 
-                {profileData.joinedClubs && profileData.joinedClubs.length > 0 ? (
+                {profileData.joinedClubs && profileData.joinedClubs.some(clubData => clubData.isActive) ? (
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                    {profileData.joinedClubs.map((clubData) => (
+                    {profileData.joinedClubs.filter(clubData => clubData.isActive).map((clubData) => (
                       <div key={clubData._id} className="p-4 border border-gray-200 rounded-lg hover:border-blue-300 transition-colors">
                         <div className="flex items-start justify-between">
                           <div className="flex-1">
@@ -791,6 +1027,15 @@ const Profile = () => {
                     <div>
                       <h3 className="text-sm font-medium text-gray-900">Weekly Digest</h3>
                       <p className="text-sm text-gray-500">Get a summary of club activities every week</p>
+                      <button
+                        type="button"
+                        onClick={handlePreviewDigest}
+                        disabled={digestPreviewLoading}
+                        className="mt-1 flex items-center text-sm text-blue-600 hover:text-blue-700 font-medium disabled:opacity-50"
+                      >
+                        {digestPreviewLoading ? <InlineSpinner /> : <FileText className="w-4 h-4 mr-1" />}
+                        Preview this week's digest
+                      </button>
                     </div>
                     <label className="relative inline-flex items-center cursor-pointer">
                       <input
@@ -1040,7 +1285,6 @@ const Profile = () => {
                         value={passwordForm.newPassword}
                         onChange={handlePasswordInputChange}
                         required
-                        minLength={6}
                         className="w-full px-3 py-2 pr-10 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                       />
                       <button
@@ -1055,6 +1299,9 @@ const Profile = () => {
                         )}
                       </button>
                     </div>
+                    {passwordForm.newPassword && (
+                      <PasswordRequirements password={passwordForm.newPassword} policy={passwordPolicy} />
+                    )}
                   </div>
 
                   <div>
@@ -1068,7 +1315,6 @@ const Profile = () => {
                         value={passwordForm.confirmPassword}
                         onChange={handlePasswordInputChange}
                         required
-                        minLength={6}
                         className="w-full px-3 py-2 pr-10 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                       />
                       <button
@@ -1150,6 +1396,236 @@ const Profile = () => {
                 </div>
               </div>
 
+              {/* Two-Factor Authentication */}
+              {twoFactorStatus?.canEnroll && (
+                <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+                  <div className="flex items-center justify-between mb-6">
+                    <div>
+                      <h2 className="text-xl font-semibold text-gray-900">Two-Factor Authentication</h2>
+                      <p className="text-sm text-gray-600">
+                        Require a code from an authenticator app when you sign in
+                        {twoFactorStatus.required && ' (required for your role)'}
+                      </p>
+                    </div>
+                    {twoFactorStatus.enabled ? (
+                      <span className="flex items-center px-3 py-1 bg-green-100 text-green-800 text-sm font-medium rounded-full">
+                        <ShieldCheck className="w-4 h-4 mr-1" />
+                        Enabled
+                      </span>
+                    ) : (
+                      <span className="px-3 py-1 bg-gray-100 text-gray-700 text-sm font-medium rounded-full">
+                        Disabled
+                      </span>
+                    )}
+                  </div>
+
+                  {recoveryCodes && (
+                    <div className="mb-6 p-4 bg-yellow-50 rounded-lg border border-yellow-200">
+                      <div className="flex items-center justify-between mb-3">
+                        <h3 className="text-sm font-medium text-yellow-900">Recovery Codes</h3>
+                        <button
+                          onClick={handleCopyRecoveryCodes}
+                          className="flex items-center text-sm text-yellow-800 hover:text-yellow-900"
+                        >
+                          <Copy className="w-4 h-4 mr-1" />
+                          Copy
+                        </button>
+                      </div>
+                      <p className="text-sm text-yellow-800 mb-3">
+                        Save these codes somewhere safe. Each one signs you in once if you lose your device, and they won't be shown again.
+                      </p>
+                      <div className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900">
+                        {recoveryCodes.map(code => (
+                          <span key={code} className="px-2 py-1 bg-white rounded border border-yellow-200">{code}</span>
+                        ))}
+                      </div>
+                      <button
+                        onClick={() => setRecoveryCodes(null)}
+                        className="mt-3 text-sm text-yellow-800 hover:text-yellow-900"
+                      >
+                        I've saved these codes
+                      </button>
+                    </div>
+                  )}
+
+                  {!twoFactorStatus.enabled && !twoFactorSetup && (
+                    <button
+                      onClick={handleStartTwoFactorSetup}
+                      disabled={twoFactorLoading}
+                      className="flex items-center px-4 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                    >
+                      <KeyRound className="w-4 h-4 mr-2" />
+                      Set up two-factor authentication
+                    </button>
+                  )}
+
+                  {twoFactorSetup && (
+                    <form onSubmit={handleEnableTwoFactor} className="space-y-4">
+                      <p className="text-sm text-gray-600">
+                        Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+                      </p>
+                      <img
+                        src={twoFactorSetup.qrCode}
+                        alt="Two-factor QR code"
+                        className="w-48 h-48 border border-gray-200 rounded-lg"
+                      />
+                      <div className="text-sm text-gray-600">
+                        Can't scan it? Enter this key manually:
+                        <div className="mt-1 font-mono text-gray-900 break-all">{twoFactorSetup.secret}</div>
+                      </div>
+                      <div className="flex items-center gap-3">
+                        <input
+                          type="text"
+                          inputMode="numeric"
+                          autoComplete="one-time-code"
+                          value={twoFactorCode}
+                          onChange={(e) => setTwoFactorCode(e.target.value)}
+                          placeholder="123456"
+                          className="w-40 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 tracking-widest"
+                        />
+                        <button
+                          type="submit"
+                          disabled={twoFactorLoading || !twoFactorCode}
+                          className="px-4 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                        >
+                          {twoFactorLoading ? 'Verifying...' : 'Verify and enable'}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setTwoFactorSetup(null)}
+                          className="px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </form>
+                  )}
+
+                  {twoFactorStatus.enabled && !disableTwoFactorForm && (
+                    <div className="flex flex-wrap items-center gap-3">
+                      <span className="text-sm text-gray-600">
+                        {twoFactorStatus.recoveryCodesRemaining} recovery code{twoFactorStatus.recoveryCodesRemaining === 1 ? '' : 's'} remaining
+                      </span>
+                      <button
+                        onClick={handleRegenerateRecoveryCodes}
+                        className="px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                      >
+                        Generate new recovery codes
+                      </button>
+                      {!twoFactorStatus.required && (
+                        <button
+                          onClick={() => setDisableTwoFactorForm({ password: '', code: '' })}
+                          className="px-4 py-2 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition-colors"
+                        >
+                          Disable
+                        </button>
+                      )}
+                    </div>
+                  )}
+
+                  {disableTwoFactorForm && (
+                    <form onSubmit={handleDisableTwoFactor} className="flex flex-wrap items-center gap-3">
+                      <input
+                        type="password"
+                        autoComplete="current-password"
+                        value={disableTwoFactorForm.password}
+                        onChange={(e) => setDisableTwoFactorForm(prev => ({ ...prev, password: e.target.value }))}
+                        placeholder="Current password"
+                        className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      />
+                      <input
+                        type="text"
+                        inputMode="numeric"
+                        autoComplete="one-time-code"
+                        value={disableTwoFactorForm.code}
+                        onChange={(e) => setDisableTwoFactorForm(prev => ({ ...prev, code: e.target.value }))}
+                        placeholder="Authenticator code"
+                        className="w-44 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      />
+                      <button
+                        type="submit"
+                        disabled={twoFactorLoading || !disableTwoFactorForm.password || !disableTwoFactorForm.code}
+                        className="px-4 py-2 bg-red-600 text-white text-sm rounded-lg hover:bg-red-700 disabled:opacity-50 transition-colors"
+                      >
+                        {twoFactorLoading ? 'Disabling...' : 'Disable two-factor'}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setDisableTwoFactorForm(null)}
+                        className="px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                      >
+                        Cancel
+                      </button>
+                    </form>
+                  )}
+                </div>
+              )}
+
+              {/* Active Sessions */}
+              <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+                <div className="flex items-center justify-between mb-6">
+                  <div>
+                    <h2 className="text-xl font-semibold text-gray-900">Active Sessions</h2>
+                    <p className="text-sm text-gray-600">Devices currently signed in to your account</p>
+                  </div>
+                  <button
+                    onClick={handleLogoutAll}
+                    className="flex items-center px-4 py-2 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition-colors"
+                  >
+                    <LogOut className="w-4 h-4 mr-2" />
+                    Log out of all devices
+                  </button>
+                </div>
+
+                {sessionsLoading ? (
+                  <div className="flex justify-center py-6">
+                    <InlineSpinner size="default" />
+                  </div>
+                ) : sessions.length > 0 ? (
+                  <div className="space-y-3">
+                    {sessions.map((session) => {
+                      const DeviceIcon = getDeviceIcon(session.device?.deviceType);
+                      return (
+                        <div
+                          key={session.id}
+                          className="flex items-center justify-between p-4 bg-gray-50 rounded-lg border border-gray-200"
+                        >
+                          <div className="flex items-center">
+                            <div className="p-2 bg-gray-100 rounded-lg mr-3">
+                              <DeviceIcon className="w-5 h-5 text-gray-600" />
+                            </div>
+                            <div>
+                              <h3 className="text-sm font-medium text-gray-900">
+                                {session.device?.browser || 'Unknown browser'} on {session.device?.os || 'Unknown OS'}
+                                {session.current && (
+                                  <span className="ml-2 px-2 py-0.5 bg-green-100 text-green-800 text-xs font-medium rounded-full">
+                                    This device
+                                  </span>
+                                )}
+                              </h3>
+                              <p className="text-sm text-gray-600">
+                                {session.ipAddress || 'Unknown IP'} · Last active {format(new Date(session.lastUsedAt), 'MMM dd, yyyy HH:mm')}
+                              </p>
+                            </div>
+                          </div>
+                          {!session.current && (
+                            <button
+                              onClick={() => handleRevokeSession(session.id)}
+                              disabled={revokingSessionId === session.id}
+                              className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-100 disabled:opacity-50 transition-colors"
+                            >
+                              {revokingSessionId === session.id ? 'Signing out...' : 'Sign out'}
+                            </button>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+                ) : (
+                  <p className="text-sm text-gray-600">No active sessions found.</p>
+                )}
+              </div>
+
               {/* Danger Zone */}
               <div className="bg-white rounded-xl shadow-sm border border-red-200 p-6">
                 <h2 className="text-xl font-semibold text-red-900 mb-6">Danger Zone</h2>
@@ -1170,6 +1646,37 @@ const Profile = () => {
           )}
         </div>
       </div>
+
+      {/* Digest Preview Modal */}
+      {digestPreview && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-xl max-w-3xl w-full p-6">
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h3 className="text-xl font-bold text-gray-900">Weekly Digest Preview</h3>
+                <p className="text-sm text-gray-500">{digestPreview.subject}</p>
+              </div>
+              <button
+                onClick={() => setDigestPreview(null)}
+                className="p-2 text-gray-400 hover:text-gray-600 rounded-lg"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+            {!digestPreview.weeklyDigestEnabled && (
+              <p className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                Weekly digest emails are turned off, so this digest will not be sent to you.
+              </p>
+            )}
+            <iframe
+              title="Weekly digest preview"
+              srcDoc={digestPreview.html}
+              sandbox=""
+              className="w-full h-96 border border-gray-200 rounded-lg"
+            />
+          </div>
+        </div>
+      )}
     </div>
   );
 };